@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+/**
+ * satchan — 无浏览器的批量信道仿真命令行
+ *
+ *   satchan passes   --tle iss.tle --gs 22.54,114.05,0 [--start ISO] [--hours 24] [--min-elev 10] [--out passes.json]
+ *   satchan catalog  --tle active.txt [--search starlink] [--out catalog.json]    (目录检索：NORAD 编号 / 历元龄期 / 校验和)
+ *   satchan simulate --tle iss.tle --gs 22.54,114.05,0 --start ISO --end ISO [--step 10] --out run.json|run.csv
+ *   satchan simulate --tle iss.tle --gs ... --pass 1 [--start ISO] --out run.csv   (第 N 次过境，前后各留 2 分钟)
+ *   satchan run      --scenario scenario.json [--out run.json|run.csv]              (面板保存的场景文件，见 src/scenario.js)
+ *   satchan handover --tle constellation.tle --gs ... --start ISO --end ISO [--step 10] [--policy highest-elevation]
+ *                    [--min-elev 10] [--hysteresis x] --out run.json|run.csv        (多星 TLE 集的服务卫星选择与拼接时间序列)
+ *
+ * --tle 可为整组 TLE / 3LE 目录或 CCSDS OMM 文件（JSON / XML / KVN，按内容识别），passes 与 simulate 用
+ * --sat <名称|NORAD> 选取其中一颗（缺省第一颗）；JSON 输出的 metadata.orbit 记录轨道来源（OMM 的发布方 / 生成时间等）。
+ * 链路参数：--params link.json 为基础，--freq/--eirp/--gRx/--tRx/--bandwidth/--tec/--env/--rainRate/
+ * --polarization/--seed 逐项覆盖；--calib meas.json 先用 calibrateModel 拟合再用 applyCalibration 修正。
+ * --acm s2|s2x [--acm-margin 1] [--acm-hysteresis 0.5] 在输出中附加 simulateACM 的逐帧 MODCOD / 吞吐（simulate 与 run 均可用）。
+ * --acm / --ber 在 handover 中作用于拼接后的服务卫星时间序列。
+ * --ber QPSK|BPSK|8PSK|16APSK|32APSK|DVB-S2|"<MODCOD>" [--ber-target 1e-5] 附加 estimateErrorRates 的逐帧 BER / BLER / 中断概率；
+ * --bler-tables tables.json 给出 MODCOD 名称 → [[Es/N0 dB, BLER], ...] 的公开或实测曲线，未给出时 BLER 为示意曲线。
+ * 输出与 ChannelSimPanel 导出的 CSV / JSON 格式一致（见 src/channelExport.js）。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  generateChannelTimeSeries, predictPasses, calibrateModel, applyCalibration
+} from '../src/model.js';
+import { getSatelliteBandParams } from '../src/knownSatellites.js';
+import { timelineToCSV, timelineToJSON } from '../src/channelExport.js';
+import { parseScenario, runScenario, ScenarioError } from '../src/scenario.js';
+import { simulateACM, ACM_STANDARDS } from '../src/acm.js';
+import { estimateErrorRates, errorRateConfigFor } from '../src/errorRate.js';
+import { simulateHandover, HANDOVER_POLICIES } from '../src/constellation.js';
+import { parseTLECatalog, searchTLECatalog, orbitProvenance } from '../src/tleCatalog.js';
+
+// 与 ChannelSimPanel 初始状态一致
+const DEFAULT_LINK_PARAMS = {
+  freq: 12.0, eirp: 60.0, gRx: 42.0, tRx: 150.0, bandwidth: 400.0, tec: 50.0,
+  env: 'suburban', rainRate: 5.0, polarization: 'RHCP', disableFastFading: true
+};
+const NUMERIC_FLAGS = ['freq', 'eirp', 'gRx', 'tRx', 'bandwidth', 'tec', 'rainRate'];
+
+const USAGE = `Usage:
+  satchan catalog  --tle <file> [--search <name|NORAD>] [--limit 100] [--out <file.json>]
+  satchan passes   --tle <file> [--sat <name|NORAD>] --gs <lat,lon,alt_m> [--start <ISO>] [--hours 24] [--min-elev 0] [--out <file.json>]
+  satchan simulate --tle <file> [--sat <name|NORAD>] --gs <lat,lon,alt_m> (--start <ISO> --end <ISO> | --pass <n>) [--step 10]
+                   [--params <link.json>] [--calib <measurements.json>] [--freq GHz] [--eirp dBW] [--gRx dBi]
+                   [--tRx K] [--bandwidth MHz] [--tec TECU] [--env suburban] [--rainRate mm/h]
+                   [--polarization RHCP] [--seed n] [--name <sat>] [--format json|csv] [--out <file>]
+                   [--acm s2|s2x] [--acm-margin dB] [--acm-hysteresis dB] [--ber <modulation|MODCOD>] [--ber-target 1e-5]
+                   [--bler-tables <tables.json>]
+  satchan run      --scenario <scenario.json> [--format json|csv] [--out <file>] [--acm s2|s2x ...] [--ber ...]
+  satchan handover --tle <constellation.tle> --gs <lat,lon,alt_m> --start <ISO> --end <ISO> [--step 10]
+                   [--policy ${HANDOVER_POLICIES.join('|')}] [--min-elev 10] [--hysteresis deg|dB]
+                   [link flags as simulate] [--format json|csv] [--out <file>] [--acm ...] [--ber ...]`;
+
+class CliError extends Error {}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const opts = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) throw new CliError(`Unexpected argument "${arg}"`);
+    const key = arg.slice(2);
+    const next = rest[i + 1];
+    if (next === undefined || next.startsWith('--')) throw new CliError(`Missing value for --${key}`);
+    opts[key] = next;
+    i++;
+  }
+  return { command, opts };
+}
+
+function parseNumber(opts, key, fallback) {
+  if (opts[key] === undefined) return fallback;
+  const v = Number(opts[key]);
+  if (!Number.isFinite(v)) throw new CliError(`--${key} must be a number, got "${opts[key]}"`);
+  return v;
+}
+
+function parseDate(opts, key, fallback) {
+  if (opts[key] === undefined) return fallback;
+  const d = new Date(opts[key]);
+  if (isNaN(d.getTime())) throw new CliError(`--${key} is not a valid date: "${opts[key]}"`);
+  return d;
+}
+
+function parseGroundStation(value) {
+  if (!value) throw new CliError('--gs <lat,lon,alt_m> is required');
+  const parts = value.split(',').map(Number);
+  if (parts.length < 2 || parts.length > 3 || parts.some(v => !Number.isFinite(v))) {
+    throw new CliError(`--gs must be "lat,lon[,alt_m]", got "${value}"`);
+  }
+  return { lat: parts[0], lon: parts[1], alt: parts[2] || 0 };
+}
+
+// 读取输入文件；文件不存在 / 无法读取时给出用法错误而非堆栈
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new CliError(`${file}: ${e.message}`);
+  }
+}
+
+// 读取 TLE / 3LE 目录或 OMM 文件；校验和不符的记录照常使用，但在 stderr 给出警告
+function readCatalog(file) {
+  if (!file) throw new CliError('--tle <file> is required');
+  const { entries, errors } = parseTLECatalog(readText(file));
+  if (entries.length === 0) {
+    const first = errors[0];
+    throw new CliError(first ? `${file}:${first.line != null ? first.line + ':' : ''} ${first.message}` : `${file}: no TLE line 1/line 2 pair found`);
+  }
+  return entries;
+}
+
+function warnChecksums(file, entries) {
+  const bad = entries.filter(e => !e.checksumOk);
+  if (bad.length > 0) {
+    process.stderr.write(`warning: ${file}: checksum mismatch in ${bad.length} TLE(s): ${bad.slice(0, 3).map(e => e.name).join(', ')}${bad.length > 3 ? ', ...' : ''}\n`);
+  }
+}
+
+// 目录中的一颗卫星：--sat 按名称 / NORAD 编号检索，缺省取第一颗
+function readTLE(opts) {
+  const entries = readCatalog(opts.tle);
+  let entry = entries[0];
+  if (opts.sat !== undefined) {
+    entry = searchTLECatalog(entries, opts.sat, { limit: 1 })[0];
+    if (!entry) throw new CliError(`--sat: no satellite matching "${opts.sat}" in ${opts.tle}`);
+  }
+  warnChecksums(opts.tle, [entry]);
+  return entry;
+}
+
+// 目录中的全部卫星（星座）
+function readTLESet(file) {
+  const entries = readCatalog(file);
+  warnChecksums(file, entries);
+  return entries.map(({ name, line1, line2 }) => ({ name, line1, line2 }));
+}
+
+function readJSON(file) {
+  const text = readText(file);
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new CliError(`${file}: ${e.message}`);
+  }
+}
+
+function buildLinkParams(opts, gs) {
+  let linkParams = { ...DEFAULT_LINK_PARAMS, ...(opts.params ? readJSON(opts.params) : {}) };
+  for (const key of NUMERIC_FLAGS) linkParams[key] = parseNumber(opts, key, linkParams[key]);
+  if (opts.env) linkParams.env = opts.env;
+  if (opts.polarization) linkParams.polarization = opts.polarization;
+  if (opts.seed !== undefined) linkParams.fadingSeed = parseNumber(opts, 'seed');
+
+  let calibration = null;
+  if (opts.calib) {
+    // 与面板一致：纯数组 或 { metadata, measurements }
+    const json = readJSON(opts.calib);
+    const measurements = Array.isArray(json) ? json : (json.measurements || []);
+    const meta = Array.isArray(json) ? null : json.metadata;
+    let refSat = null;
+    if (meta && typeof meta.satellite === 'string' && meta.band) {
+      refSat = getSatelliteBandParams(meta.satellite, meta.band);
+    } else if (meta && meta.satellite && typeof meta.satellite === 'object') {
+      refSat = meta.satellite;
+    }
+    const profile = calibrateModel(measurements, { ...linkParams, stationLat: gs.lat, stationLon: gs.lon, stationAlt: gs.alt }, refSat);
+    if (profile.calibrated) linkParams = applyCalibration(linkParams, profile);
+    calibration = { measurements: measurements.length, calibrated: profile.calibrated, residualRMS: profile.residualRMS, params: profile.params };
+  }
+  return { linkParams, calibration };
+}
+
+function writeOutput(content, out) {
+  if (out) {
+    fs.writeFileSync(out, content);
+    process.stderr.write(`wrote ${out}\n`);
+  } else {
+    process.stdout.write(content + '\n');
+  }
+}
+
+function runCatalog(opts) {
+  if (!opts.tle) throw new CliError('--tle <file> is required');
+  const { entries, errors } = parseTLECatalog(readText(opts.tle));
+  const matches = searchTLECatalog(entries, opts.search, { limit: parseNumber(opts, 'limit', 100) });
+  writeOutput(JSON.stringify({
+    file: path.basename(opts.tle),
+    total: entries.length,
+    checksumFailures: entries.filter(e => !e.checksumOk).length,
+    errors,
+    entries: matches.map(e => ({ ...e, epochDate: e.epochDate && e.epochDate.toISOString() }))
+  }, null, 2), opts.out);
+  return matches;
+}
+
+function runPasses(opts) {
+  const tle = readTLE(opts);
+  const gs = parseGroundStation(opts.gs);
+  const passes = predictPasses(tle.line1, tle.line2, gs.lat, gs.lon, gs.alt,
+    parseNumber(opts, 'hours', 24), parseNumber(opts, 'min-elev', 0), parseDate(opts, 'start', new Date()));
+  writeOutput(JSON.stringify(passes, null, 2), opts.out);
+  return passes;
+}
+
+// --acm 给定时对时间序列运行 ACM 仿真
+function runACM(timeline, opts) {
+  if (opts.acm === undefined) return null;
+  if (!ACM_STANDARDS.includes(opts.acm)) throw new CliError(`--acm must be one of ${ACM_STANDARDS.join(', ')}, got "${opts.acm}"`);
+  const hysteresis_dB = parseNumber(opts, 'acm-hysteresis', 0.5);
+  if (hysteresis_dB < 0) throw new CliError('--acm-hysteresis must be >= 0');
+  return simulateACM(timeline, { standard: opts.acm, margin_dB: parseNumber(opts, 'acm-margin', 1), hysteresis_dB });
+}
+
+// --ber 给定时逐帧估计误码率
+function runErrorRates(timeline, linkParams, opts) {
+  if (opts.ber === undefined) return null;
+  const config = errorRateConfigFor(opts.ber);
+  if (!config) throw new CliError(`--ber: no error-rate model for "${opts.ber}" (use BPSK, QPSK, 8PSK, 16APSK, 32APSK, DVB-S2 or a MODCOD name)`);
+  const targetBer = parseNumber(opts, 'ber-target', 1e-5);
+  if (!(targetBer > 0 && targetBer < 0.5)) throw new CliError('--ber-target must be between 0 and 0.5');
+  if (opts['bler-tables'] === undefined) return estimateErrorRates(timeline, linkParams, { ...config, targetBer });
+  try {
+    return estimateErrorRates(timeline, linkParams, { ...config, targetBer, blerTables: readJSON(opts['bler-tables']) });
+  } catch (e) {
+    if (e instanceof CliError) throw e;
+    throw new CliError(`${opts['bler-tables']}: ${e.message}`);
+  }
+}
+
+// 按 --format 或 --out 扩展名输出 CSV / JSON
+function writeTimeline(timeline, opts, { satellite, orbit = null, groundStation, linkParams, stepSec, calibration = null, scenario = null, handover = null }) {
+  const format = opts.format || (opts.out && path.extname(opts.out).toLowerCase() === '.csv' ? 'csv' : 'json');
+  const acm = runACM(timeline, opts);
+  const errorRates = runErrorRates(timeline, linkParams, opts);
+  if (format === 'csv') {
+    writeOutput(timelineToCSV(timeline, { handover, acm, errorRates }), opts.out);
+  } else if (format === 'json') {
+    const { fadingModel, fadingSeed, dopplerSpread_Hz, dopplerSpectrum, lmsModel, speed_mps } = linkParams;
+    const json = timelineToJSON(timeline, {
+      satellite,
+      orbit,
+      groundStation,
+      linkConfig: linkParams,
+      stepSec,
+      fading: { fadingModel, fadingSeed, dopplerSpread_Hz, dopplerSpectrum, lmsModel, speed_mps, enabled: !linkParams.disableFastFading },
+      handover,
+      acm,
+      errorRates
+    });
+    if (calibration) json.metadata.calibration = calibration;
+    if (scenario) json.metadata.scenario = scenario;
+    writeOutput(JSON.stringify(json, null, 2), opts.out);
+  } else {
+    throw new CliError(`--format must be json or csv, got "${format}"`);
+  }
+}
+
+function runSimulate(opts) {
+  const tle = readTLE(opts);
+  const gs = parseGroundStation(opts.gs);
+  const stepSec = parseNumber(opts, 'step', 10);
+  if (!(stepSec > 0)) throw new CliError('--step must be positive');
+
+  let startTime, endTime;
+  if (opts.pass !== undefined) {
+    const n = parseNumber(opts, 'pass');
+    const passes = predictPasses(tle.line1, tle.line2, gs.lat, gs.lon, gs.alt, 24, 0, parseDate(opts, 'start', new Date()));
+    const pass = passes[n - 1];
+    if (!pass) throw new CliError(`--pass ${n}: only ${passes.length} pass(es) in the next 24 h`);
+    startTime = new Date(pass.aos.getTime() - 2 * 60000);
+    endTime = new Date(pass.los.getTime() + 2 * 60000);
+  } else {
+    startTime = parseDate(opts, 'start');
+    endTime = parseDate(opts, 'end');
+    if (!startTime || !endTime) throw new CliError('simulate needs --start and --end (or --pass <n>)');
+    if (endTime <= startTime) throw new CliError('--end must be after --start');
+  }
+
+  const { linkParams, calibration } = buildLinkParams(opts, gs);
+  const timeline = generateChannelTimeSeries(tle.line1, tle.line2, gs.lat, gs.lon, gs.alt, startTime, endTime, stepSec, linkParams);
+  if (timeline.length === 0) throw new CliError('SGP4 propagation produced no frames (stale TLE or invalid window?)');
+
+  writeTimeline(timeline, opts, { satellite: opts.name || tle.name, orbit: tle.provenance, groundStation: gs, linkParams, stepSec, calibration });
+  return timeline;
+}
+
+function runHandover(opts) {
+  const satellites = readTLESet(opts.tle);
+  const gs = parseGroundStation(opts.gs);
+  const stepSec = parseNumber(opts, 'step', 10);
+  if (!(stepSec > 0)) throw new CliError('--step must be positive');
+  const startTime = parseDate(opts, 'start');
+  const endTime = parseDate(opts, 'end');
+  if (!startTime || !endTime) throw new CliError('handover needs --start and --end');
+  if (endTime <= startTime) throw new CliError('--end must be after --start');
+  const policy = opts.policy || 'highest-elevation';
+  if (!HANDOVER_POLICIES.includes(policy)) throw new CliError(`--policy must be one of ${HANDOVER_POLICIES.join(', ')}, got "${policy}"`);
+  const hysteresis = parseNumber(opts, 'hysteresis', null);
+  if (hysteresis != null && hysteresis < 0) throw new CliError('--hysteresis must be >= 0');
+
+  const { linkParams, calibration } = buildLinkParams(opts, gs);
+  const result = simulateHandover(satellites, gs, startTime, endTime, stepSec, {
+    policy, minElevation_deg: parseNumber(opts, 'min-elev', 10), hysteresis, linkParams
+  });
+  if (result.timeline.length === 0) throw new CliError(`no satellite above ${result.config.minElevation_deg}° in the window`);
+  process.stderr.write(`${satellites.length} satellites, ${result.summary.handoverCount} handover(s), outage ${(100 * result.summary.outageFraction).toFixed(1)}%\n`);
+
+  writeTimeline(result.timeline, opts, {
+    satellite: opts.name || `Constellation (${satellites.length} satellites)`,
+    groundStation: gs, linkParams, stepSec, calibration, handover: result
+  });
+  return result;
+}
+
+function runScenarioFile(opts) {
+  if (!opts.scenario) throw new CliError('--scenario <file.json> is required');
+  try {
+    const scenario = parseScenario(readJSON(opts.scenario));
+    const { timeline, linkParams, stepSec } = runScenario(scenario);
+    if (timeline.length === 0) throw new CliError('SGP4 propagation produced no frames (stale TLE or invalid window?)');
+    const cal = scenario.calibration;
+    const sat = scenario.satellite;
+    writeTimeline(timeline, opts, {
+      satellite: sat.name,
+      orbit: orbitProvenance(sat.omm || sat.tle1),
+      groundStation: scenario.groundStation,
+      linkParams,
+      stepSec,
+      calibration: cal && cal.enabled ? { calibrated: cal.profile.calibrated, residualRMS: cal.profile.residualRMS, params: cal.profile.params } : null,
+      scenario: { name: scenario.name, version: scenario.version, file: path.basename(opts.scenario) }
+    });
+    return timeline;
+  } catch (e) {
+    if (e instanceof ScenarioError) throw new CliError(`${opts.scenario}: ${e.message}`);
+    throw e;
+  }
+}
+
+function main(argv) {
+  if (argv[0] === 'help' || argv[0] === '--help') {
+    process.stdout.write(USAGE + '\n');
+    return 0;
+  }
+  try {
+    const { command, opts } = parseArgs(argv);
+    if (command === 'simulate') runSimulate(opts);
+    else if (command === 'passes') runPasses(opts);
+    else if (command === 'catalog') runCatalog(opts);
+    else if (command === 'run') runScenarioFile(opts);
+    else if (command === 'handover') runHandover(opts);
+    else throw new CliError(command ? `Unknown command "${command}"` : 'Missing command');
+    return 0;
+  } catch (e) {
+    if (!(e instanceof CliError)) throw e;
+    process.stderr.write(`satchan: ${e.message}\n${USAGE}\n`);
+    return 2;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -1,16 +1,27 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, BarElement, BarController, Title, Tooltip, Legend, ScatterController } from 'chart.js';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, LogarithmicScale, PointElement, LineElement, BarElement, BarController, Title, Tooltip, Legend, ScatterController } from 'chart.js';
 import { Line, Scatter } from 'react-chartjs-2';
 import './App.css';
-import { calculateLinkBudget, calculateMIMOCapacity, fitModelToData, calibrateModel, applyCalibration, createDefaultCalibration, calculateDynamicOrbit, predictPasses, computeGroundTrack, computeSkyTrack, generatePassReplay } from './model';
+import { calculateLinkBudget, computeLinkPerformance, calculateAttenuationCCDF, rainClimatologyP837, calculateLinkAvailability, calculateMIMOCapacity, fitModelToData, calibrateModel, applyCalibration, createDefaultCalibration, calculateDynamicOrbit, predictPasses, computeGroundTrack, computeSkyTrack, generatePassReplay, ENVIRONMENTS } from './model';
 import ChannelSimPanel from './ChannelSimPanel';
+import SweepPanel from './SweepPanel';
+import ConstellationPanel from './ConstellationPanel';
+import TleCatalogPanel from './TleCatalogPanel';
+import SimClockBar from './SimClockBar';
+import { createSimClock } from './simClock';
+import { parseTLEEpochAgeDays, tleEpochStatus, orbitProvenance } from './tleCatalog';
+import { isOMMRecord } from './omm';
 import UserManual from './UserManual';
 
-ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, BarElement, BarController, Title, Tooltip, Legend, ScatterController);
+ChartJS.register(CategoryScale, LinearScale, LogarithmicScale, PointElement, LineElement, BarElement, BarController, Title, Tooltip, Legend, ScatterController);
+
+const REPLAY_STEP_SEC = 10; // Historical replay frame spacing (s)
+const FREQ_SWEEP_GHZ = [1, 2, 5, 10, 15, 20, 22.235, 25, 30, 35, 40, 45, 50, 55, 57.5, 60, 62.5, 65, 70]; // Loss-vs-frequency chart grid (GHz)
+const ENV_LABELS = { open: 'Open', rural: 'Rural', suburban: 'Suburban (Trees)', urban: 'Urban (Buildings)', maritime: 'Maritime (Flat Sea)' };
 
 
 // === Milestone 22: Ground Track Canvas Component ===
-function GroundTrackCanvas({ canvasRef, tleLine1, tleLine2, syncLat, syncLon }) {
+function GroundTrackCanvas({ canvasRef, tleLine1, tleLine2, syncLat, syncLon, clock }) {
   const localRef = useRef(null);
   const ref = canvasRef || localRef;
 
@@ -49,7 +60,7 @@ function GroundTrackCanvas({ canvasRef, tleLine1, tleLine2, syncLat, syncLon })
       ctx.fillText('180\u00b0E', W - 30, H / 2 + 12);
 
       // Compute ground track
-      const points = computeGroundTrack(tleLine1, tleLine2, 100);
+      const points = computeGroundTrack(tleLine1, tleLine2, 100, clock.now());
       if (points.length < 2) return;
 
       // Draw track
@@ -94,15 +105,17 @@ function GroundTrackCanvas({ canvasRef, tleLine1, tleLine2, syncLat, syncLon })
     }
 
     draw();
-    const timer = setInterval(draw, 5000);
-    return () => clearInterval(timer);
-  }, [tleLine1, tleLine2, syncLat, syncLon]);
+    // 1 s redraw keeps up with fast clock rates; clock jumps (set / step) redraw immediately
+    const timer = setInterval(draw, 1000);
+    const unsubscribe = clock.subscribe(draw);
+    return () => { clearInterval(timer); unsubscribe(); };
+  }, [tleLine1, tleLine2, syncLat, syncLon, clock]);
 
   return <canvas ref={ref} width={560} height={280} style={{ border: '1px solid #333', borderRadius: '5px', flex: '1 1 540px', minWidth: '300px' }} />;
 }
 
 // === Milestone 22: Sky Plot Canvas Component ===
-function SkyPlotCanvas({ canvasRef, tleLine1, tleLine2, syncLat, syncLon }) {
+function SkyPlotCanvas({ canvasRef, tleLine1, tleLine2, syncLat, syncLon, clock }) {
   const localRef = useRef(null);
   const ref = canvasRef || localRef;
 
@@ -147,7 +160,7 @@ function SkyPlotCanvas({ canvasRef, tleLine1, tleLine2, syncLat, syncLon }) {
       ctx.beginPath(); ctx.moveTo(cx, cy - R); ctx.lineTo(cx, cy + R); ctx.stroke();
 
       // Compute sky track
-      const points = computeSkyTrack(tleLine1, tleLine2, syncLat, syncLon, 0, 100);
+      const points = computeSkyTrack(tleLine1, tleLine2, syncLat, syncLon, 0, 100, clock.now());
       if (points.length < 2) return;
 
       let currentPt = null;
@@ -188,23 +201,27 @@ function SkyPlotCanvas({ canvasRef, tleLine1, tleLine2, syncLat, syncLon }) {
     }
 
     draw();
-    const timer = setInterval(draw, 5000);
-    return () => clearInterval(timer);
-  }, [tleLine1, tleLine2, syncLat, syncLon]);
+    // 1 s redraw keeps up with fast clock rates; clock jumps (set / step) redraw immediately
+    const timer = setInterval(draw, 1000);
+    const unsubscribe = clock.subscribe(draw);
+    return () => { clearInterval(timer); unsubscribe(); };
+  }, [tleLine1, tleLine2, syncLat, syncLon, clock]);
 
   return <canvas ref={ref} width={300} height={300} style={{ border: '1px solid #333', borderRadius: '5px', flex: '0 0 300px' }} />;
 }
 
 function App() {
+  // Global simulation clock: every orbit, replay and live function reads "now" from it (see simClock.js)
+  const [clock] = useState(() => createSimClock());
   const [simTime, setSimTime] = useState(0);
 
   useEffect(() => {
-    // 10 FPS ultra-fast tick for Scintillation turbulence
+    // 10 FPS ultra-fast tick for Scintillation turbulence (frozen while the clock is paused)
     const timer = setInterval(() => {
-      setSimTime(Date.now() / 1000.0);
+      setSimTime(clock.nowMs() / 1000.0);
     }, 100);
     return () => clearInterval(timer);
-  }, []);
+  }, [clock]);
 
   const [params, setParams] = useState({
     freq: 30.0,
@@ -220,7 +237,20 @@ function App() {
     correctionFactor: 1.0,
     slantRange: 35786,
     hpbw: 2.0,
-    isPhasedArray: false
+    isPhasedArray: false,
+    timePercent: null,
+    polarization: 'RHCP',
+    pressure_hPa: 1013.25,
+    temperature_C: 15.0,
+    waterVapour_gm3: 7.5,
+    cloudLWC: null,
+    cloudTemperature_C: 0,
+    requiredSnr_dB: 5.0,
+    rainClimatology: false,
+    fadingModel: 'none',
+    fadingSeed: 1,
+    dopplerSpread_Hz: 5.0,
+    dopplerSpectrum: 'jakes'
   });
 
   const [realData, setRealData] = useState([]);
@@ -244,6 +274,9 @@ function App() {
   const [tleLine2, setTleLine2] = useState(ISS_TLE2);
   const [isDynamicOrbit, setIsDynamicOrbit] = useState(false);
   const [showManual, setShowManual] = useState(false);
+  const [showSweep, setShowSweep] = useState(false);
+  const [showConstellation, setShowConstellation] = useState(false);
+  const [rainChartMode, setRainChartMode] = useState('rate'); // 'rate' | 'ccdf'
   const [orbitData, setOrbitData] = useState(null);
   const [passData, setPassData] = useState([]);
   const [passComputing, setPassComputing] = useState(false);
@@ -259,20 +292,62 @@ function App() {
   const [isReplaying, setIsReplaying] = useState(false);
   const [replaySpeed, setReplaySpeed] = useState(5);
   const replayTimerRef = useRef(null);
+  const replayClockRef = useRef(null); // { rate, playing } of the sim clock before replay took it over
   const [replayMinutesAhead, setReplayMinutesAhead] = useState(20);
 
-  // Replay animation effect
+  // Hand the sim clock back with the rate / play state it had before replay started
+  const releaseReplayClock = useCallback(() => {
+    const prior = replayClockRef.current;
+    if (!prior) return;
+    replayClockRef.current = null;
+    clock.setRate(prior.rate);
+    if (prior.playing) clock.play(); else clock.pause();
+  }, [clock]);
+
+  // Replay animation effect: the sim clock runs at REPLAY_STEP_SEC × replaySpeed and the frame follows it
   useEffect(() => {
     if (isReplaying && replayTimeline.length > 0) {
+      const start = replayTimeline[0].time.getTime();
       replayTimerRef.current = setInterval(() => {
-        setReplayIdx(prev => {
-          if (prev >= replayTimeline.length - 1) { setIsReplaying(false); return prev; }
-          return prev + 1;
-        });
-      }, 1000 / replaySpeed);
+        const idx = Math.floor((clock.nowMs() - start) / (REPLAY_STEP_SEC * 1000));
+        if (idx >= replayTimeline.length - 1) {
+          clock.setTime(replayTimeline[replayTimeline.length - 1].time);
+          releaseReplayClock();
+          setIsReplaying(false);
+        }
+        setReplayIdx(Math.max(0, Math.min(replayTimeline.length - 1, idx)));
+      }, 100);
     }
     return () => clearInterval(replayTimerRef.current);
-  }, [isReplaying, replaySpeed, replayTimeline.length]);
+  }, [isReplaying, replayTimeline, clock, releaseReplayClock]);
+
+  function handleToggleReplay() {
+    if (isReplaying) {
+      releaseReplayClock();
+      setIsReplaying(false);
+      return;
+    }
+    const start = replayTimeline[0].time.getTime();
+    const end = replayTimeline[replayTimeline.length - 1].time.getTime();
+    const t = clock.nowMs();
+    if (t < start || t >= end) clock.setTime(start);
+    replayClockRef.current = { rate: clock.rate, playing: clock.playing };
+    clock.setRate(REPLAY_STEP_SEC * replaySpeed);
+    clock.play();
+    setIsReplaying(true);
+  }
+
+  function handleReplaySpeed(speed) {
+    setReplaySpeed(speed);
+    if (isReplaying) clock.setRate(REPLAY_STEP_SEC * speed);
+  }
+
+  function handleReplaySeek(idx) {
+    releaseReplayClock();
+    clock.setTime(replayTimeline[idx].time);
+    setIsReplaying(false);
+    setReplayIdx(idx);
+  }
 
   // Sync replay frame to link params
   useEffect(() => {
@@ -283,11 +358,12 @@ function App() {
   }, [replayIdx, replayTimeline]);
 
   function handleGenerateReplay() {
-    const now = new Date();
+    const now = clock.now();
     const end = new Date(now.getTime() + replayMinutesAhead * 60000);
-    const tl = generatePassReplay(tleLine1, tleLine2, syncLat, syncLon, gsAlt, now, end, 10, params);
+    const tl = generatePassReplay(tleLine1, tleLine2, syncLat, syncLon, gsAlt, now, end, REPLAY_STEP_SEC, params);
     setReplayTimeline(tl);
     setReplayIdx(0);
+    releaseReplayClock();
     setIsReplaying(false);
   }
 
@@ -304,6 +380,7 @@ function App() {
   const [noradId, setNoradId] = useState('25544');
   const [tleFetching, setTleFetching] = useState(false);
   const [tleFetchError, setTleFetchError] = useState('');
+  const [catalogOrbit, setCatalogOrbit] = useState(null); // { line1, provenance } of the last catalog pick
 
   // === Milestone 20: Satellite Preset Catalog ===
   const SAT_PRESETS = [
@@ -326,21 +403,11 @@ function App() {
     { label: '🇺🇸 GPS BIIR-2 (PRN 13)', id: '24876', name: '' },
   ];
 
-  // === Milestone 19: Parse TLE Epoch Age ===
-  function parseTLEEpochAgeDays(tle1) {
-    try {
-      const yearStr = tle1.substring(18, 20);
-      const dayStr = tle1.substring(20, 32);
-      const year2d = parseInt(yearStr);
-      const fullYear = year2d >= 57 ? 1900 + year2d : 2000 + year2d;
-      const dayOfYear = parseFloat(dayStr);
-      const epochDate = new Date(Date.UTC(fullYear, 0, 1));
-      epochDate.setTime(epochDate.getTime() + (dayOfYear - 1) * 86400000);
-      const ageDays = (Date.now() - epochDate.getTime()) / 86400000;
-      return { epochDate, ageDays };
-    } catch { return { epochDate: null, ageDays: -1 }; }
-  }
-  const tleEpochInfo = parseTLEEpochAgeDays(tleLine1);
+  // === Milestone 19: TLE Epoch Age (shared with the TLE catalog) ===
+  const tleEpochInfo = parseTLEEpochAgeDays(tleLine1, clock.now());
+  // Orbit provenance for exports: OMM header (originator / creation date) when picked from an OMM file
+  const isOMM = isOMMRecord(tleLine1);
+  const orbitSource = catalogOrbit && catalogOrbit.line1 === tleLine1 ? catalogOrbit.provenance : orbitProvenance(tleLine1);
 
   // === Milestone 19+20: Robust TLE Fetch (CATNR → NAME fallback) ===
   async function fetchTLE(catNr, nameQuery) {
@@ -389,7 +456,7 @@ function App() {
       throw new Error(`No TLE found for ID "${catNr}" or name "${searchName}". Try a preset from the dropdown.`);
     } catch (err) {
       if (err.message.includes('Failed to fetch')) {
-        setTleFetchError('CORS/Network Error – please paste TLE manually');
+        setTleFetchError('CORS/Network Error – please paste TLE manually or load a local TLE catalog file');
       } else {
         setTleFetchError(err.message);
       }
@@ -398,6 +465,37 @@ function App() {
     }
   }
 
+  // Restore satellite / ground station / main params from a scenario loaded in ChannelSimPanel
+  function handleScenarioLoad(scenario) {
+    const { satellite, groundStation, app } = scenario;
+    if (satellite.name) setSatName(satellite.name);
+    if (satellite.omm) {
+      setTleLine1(satellite.omm);
+      setTleLine2(null);
+      setNoradId(String(satellite.omm.NORAD_CAT_ID));
+    } else {
+      setTleLine1(satellite.tle1);
+      setTleLine2(satellite.tle2);
+      setNoradId(satellite.tle1.substring(2, 7).trim());
+    }
+    setSyncLat(groundStation.lat);
+    setSyncLon(groundStation.lon);
+    setGsAlt(groundStation.alt);
+    if (app && app.params) setParams(prev => ({ ...prev, ...app.params }));
+    setPassData([]);
+  }
+
+  // Drive the app from a local catalog entry (same reset as a scenario load)
+  function handleCatalogSelect(entry) {
+    setSatName(entry.name);
+    setTleLine1(entry.line1);
+    setTleLine2(entry.line2);
+    setNoradId(entry.noradId);
+    setCatalogOrbit({ line1: entry.line1, provenance: entry.provenance });
+    setTleFetchError('');
+    setPassData([]);
+  }
+
   // Handle preset selection
   function handlePresetChange(e) {
     const idx = parseInt(e.target.value);
@@ -407,12 +505,13 @@ function App() {
     fetchTLE(preset.id, preset.name);
   }
 
-  // Dynamic Orbit Ticker
+  // Dynamic Orbit Ticker (sim clock time; clock jumps update immediately)
   useEffect(() => {
     let intervalId;
+    let unsubscribe = () => {};
     if (isDynamicOrbit) {
-      intervalId = setInterval(() => {
-        const result = calculateDynamicOrbit(tleLine1, tleLine2, syncLat, syncLon, gsAlt, new Date());
+      const tick = () => {
+        const result = calculateDynamicOrbit(tleLine1, tleLine2, syncLat, syncLon, gsAlt, clock.now());
         if (result) {
           setOrbitData(result);
           // Auto-update parameters ensuring elevation doesn't drop to 0 or negative for math stability
@@ -424,13 +523,15 @@ function App() {
         } else {
           setOrbitData(null);
         }
-      }, 1000);
+      };
+      intervalId = setInterval(tick, 1000);
+      unsubscribe = clock.subscribe(tick);
     } else {
       setOrbitData(null);
       setParams(prev => ({ ...prev, slantRange: 35786 }));
     }
-    return () => clearInterval(intervalId);
-  }, [isDynamicOrbit, tleLine1, tleLine2, syncLat, syncLon]);
+    return () => { clearInterval(intervalId); unsubscribe(); };
+  }, [isDynamicOrbit, tleLine1, tleLine2, syncLat, syncLon, clock]);
 
   // Live Sync Effect (Client-Side Only)
   useEffect(() => {
@@ -440,17 +541,23 @@ function App() {
       if (syncMode === 'A') {
         const fetchWeather = async () => {
           try {
-            const url = `https://api.open-meteo.com/v1/forecast?latitude=${syncLat}&longitude=${syncLon}&current=precipitation&timezone=auto`;
+            // Real-time clock → current precipitation; shifted clock → hourly value at the sim hour (Open-Meteo keeps ~3 months past / 16 days ahead)
+            const live = clock.isRealTime();
+            const hour = clock.now().toISOString().slice(0, 13) + ':00';
+            const url = live
+              ? `https://api.open-meteo.com/v1/forecast?latitude=${syncLat}&longitude=${syncLon}&current=precipitation&timezone=auto`
+              : `https://api.open-meteo.com/v1/forecast?latitude=${syncLat}&longitude=${syncLon}&hourly=precipitation&start_hour=${hour}&end_hour=${hour}&timezone=GMT`;
             const res = await fetch(url);
             const data = await res.json();
-            const rain_rate = data?.current?.precipitation || 0;
+            if (data?.error) throw new Error(data.reason || 'request rejected');
+            const rain_rate = (live ? data?.current?.precipitation : data?.hourly?.precipitation?.[0]) || 0;
 
             const theoretical_loss_ku = 0.018 * Math.pow(rain_rate, 1.15) * 5.0;
             const noise = (Math.random() * 1.0) - 0.5;
             const measuredLoss = Math.max(0, theoretical_loss_ku + noise);
 
             setRealData(prev => [...prev, { rainRate: rain_rate, measuredLoss }]);
-            setFittingInfo(`[Live API] Lat ${syncLat}, Lon ${syncLon} -> Rain: ${rain_rate} mm/h`);
+            setFittingInfo(`[Live API] Lat ${syncLat}, Lon ${syncLon}${live ? '' : ` @ ${hour}Z`} -> Rain: ${rain_rate} mm/h`);
           } catch (e) {
             setFittingInfo("[Live API Error] " + e.message);
             setIsLiveSync(false);
@@ -469,10 +576,16 @@ function App() {
         }
 
         setFittingInfo("Starting Historical Data Replay...");
+        // One point per second while the sim clock plays; timestamped points wait until the clock reaches them
         intervalId = setInterval(() => {
+          if (!clock.playing) return;
           setReplayIndex(prevIdx => {
             if (prevIdx < replayData.length) {
               const point = replayData[prevIdx];
+              if (point.timestamp && new Date(point.timestamp).getTime() > clock.nowMs()) {
+                setFittingInfo(`[Replay Mode] Waiting for sim clock to reach ${point.timestamp}`);
+                return prevIdx;
+              }
               setRealData(prev => [...prev, { rainRate: point.rainRate, measuredLoss: point.measuredLoss }]);
               setFittingInfo(`[Replay Mode] Sent Frame ${prevIdx + 1}/${replayData.length}`);
               return prevIdx + 1;
@@ -487,7 +600,7 @@ function App() {
     }
 
     return () => clearInterval(intervalId);
-  }, [isLiveSync, syncMode, syncLat, syncLon, replayData]);
+  }, [isLiveSync, syncMode, syncLat, syncLon, replayData, clock]);
 
   const handleToggleSync = (e) => {
     const checked = e.target.checked;
@@ -500,24 +613,44 @@ function App() {
     }
   };
 
-  const currentParams = { ...params, simTime: simTime, disableFastFading };
+  // Ground station site feeds the ITU-R P.618/P.839 rain chain and the approximate P.837-1 rain-zone lookup
+  const siteParams = useMemo(() => ({ stationLat: syncLat, stationLon: syncLon, stationAlt: gsAlt }), [syncLat, syncLon, gsAlt]);
+  const siteRainClimate = rainClimatologyP837(syncLat, syncLon);
+  const currentParams = { ...siteParams, ...params, simTime: simTime, disableFastFading };
+  const linkBudget = calculateLinkBudget(currentParams);
   const {
     attRain, attGas, attCloud, fadeLMS, lossFaraday, omegaDeg,
-    totalLoss, xpd, actualFspl, deltaFspl,
-    apparentElevation, refractionCorrection, pointingLoss, scanLoss, multipathLoss, tSky, totalAtmosphericLoss, scintLoss, scintillationSigma,
-    groupDelayNs, dispersionNs, maxSymbolRateMbaud
-  } = calculateLinkBudget(currentParams);
+    totalLoss, xpd, deltaFspl,
+    apparentElevation, refractionCorrection, pointingLoss, scanLoss, multipathLoss, tSky, scintLoss, scintillationSigma, fastFadeLoss,
+    groupDelayNs, dispersionNs, maxSymbolRateMbaud, rainHeight, rainEffPathLen, rainR001, attOxygen, attWaterVapour, cloudLWC
+  } = linkBudget;
 
   // === Dynamic Sky Noise & Absolute Received Power ===
-  const k_boltzmann = 1.380649e-23;
-  const tSys = (params.tRx || 150.0) + tSky + 3.0; // 3K cosmic
-  const noisePowerW = k_boltzmann * tSys * ((params.bandwidth || 400.0) * 1e6);
-  const noiseFloorDbm = 10 * Math.log10(noisePowerW) + 30;
-
-  const absoluteLoss = totalAtmosphericLoss + fadeLMS + lossFaraday + pointingLoss + (scanLoss || 0) + (multipathLoss || 0) + (scintLoss || 0) + actualFspl;
-  const rxPowerDbm = (params.eirp || 60.0) + 30 - absoluteLoss + (params.gRx || 42.0);
-
-  const currentSnr = Math.max(-10.0, rxPowerDbm - noiseFloorDbm);
+  const linkPerf = computeLinkPerformance(currentParams, linkBudget);
+  const { tSys_K: tSys, noiseFloorDbm, rxPowerDbm } = linkPerf;
+  const absoluteLoss = linkPerf.losses.total;
+
+  const currentSnr = linkPerf.snrDb;
+
+  // === ITU-R P.618 §2.5: Annual attenuation CCDF & availability at required SNR ===
+  // Neither depends on simTime, so they are evaluated on the smooth (simTime-free) link and only recomputed
+  // when the link or site parameters change, not on every 100 ms tick.
+  // Clear sky: remove atmospheric / scintillation / fast-fading loss and the sky-noise rise (T_sky → 0);
+  // start from C/N0 so a faded SNR sitting at SNR_FLOOR_dB does not skew the clear-sky value
+  const { attCCDF, clearSkySnr, linkAvailability } = useMemo(() => {
+    const staticParams = { ...siteParams, ...params, disableFastFading };
+    const lb = calculateLinkBudget(staticParams);
+    const perf = computeLinkPerformance(staticParams, lb);
+    const clearSkyTSys = (params.tRx || 150.0) + 3.0;
+    const snr = perf.cn0_dBHz - 10 * Math.log10((params.bandwidth || 400.0) * 1e6)
+      + lb.totalAtmosphericLoss + (lb.scintLoss || 0) + (lb.fastFadeLoss || 0) + 10 * Math.log10(perf.tSys_K / clearSkyTSys);
+    const ccdf = calculateAttenuationCCDF(staticParams);
+    return {
+      attCCDF: ccdf,
+      clearSkySnr: snr,
+      linkAvailability: calculateLinkAvailability({ ccdf, clearSkySnr_dB: snr, requiredSnr_dB: params.requiredSnr_dB, tSys_K: clearSkyTSys })
+    };
+  }, [siteParams, params, disableFastFading]);
   const { capRank2, capRank1 } = calculateMIMOCapacity(currentSnr, xpd);
 
   let recommendation = "";
@@ -569,7 +702,7 @@ function App() {
   const rainRates = Array.from({ length: 50 }, (_, i) => i * 2);
 
   const dataRain = rainRates.map(r => {
-    const res = calculateLinkBudget({ ...params, rainRate: r });
+    const res = calculateLinkBudget({ ...siteParams, ...params, rainRate: r });
     return res.totalLoss;
   });
 
@@ -578,6 +711,16 @@ function App() {
     y: d.measuredLoss
   }));
 
+  const chartDataCCDF = {
+    datasets: [
+      { label: 'Total A_T(p)', data: attCCDF.map(c => ({ x: c.p, y: c.attTotal })), borderColor: 'rgb(255, 99, 132)', backgroundColor: 'rgba(255, 99, 132, 0.5)', tension: 0.1 },
+      { label: 'Rain', data: attCCDF.map(c => ({ x: c.p, y: c.attRain })), borderColor: 'rgb(54, 162, 235)', borderDash: [4, 4], pointRadius: 0 },
+      { label: 'Cloud', data: attCCDF.map(c => ({ x: c.p, y: c.attCloud })), borderColor: 'rgb(153, 102, 255)', borderDash: [4, 4], pointRadius: 0 },
+      { label: 'Gas', data: attCCDF.map(c => ({ x: c.p, y: c.attGas })), borderColor: 'rgb(75, 192, 192)', borderDash: [4, 4], pointRadius: 0 },
+      { label: 'Scintillation', data: attCCDF.map(c => ({ x: c.p, y: c.attScint })), borderColor: 'rgb(230, 126, 34)', borderDash: [4, 4], pointRadius: 0 }
+    ]
+  };
+
   const chartData = {
     labels: rainRates,
     datasets: [
@@ -602,11 +745,13 @@ function App() {
     ],
   };
 
-  const freqs = [1, 2, 5, 10, 15, 20, 22.2, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70];
-  const dataFreq = freqs.map(f => {
-    const res = calculateLinkBudget({ ...params, freq: f });
+  // Coarse band grid plus the 22.235 GHz water-vapour line centre and points across the 60 GHz oxygen complex;
+  // independent of simTime, so only recomputed when the link or site parameters change
+  const freqs = FREQ_SWEEP_GHZ;
+  const dataFreq = useMemo(() => FREQ_SWEEP_GHZ.map(f => {
+    const res = calculateLinkBudget({ ...siteParams, ...params, freq: f });
     return res.totalLoss;
-  });
+  }), [siteParams, params]);
 
   const scatterDataFreq = realData.map(d => ({
     x: d.freq || params.freq, // Support Sweep: use injected freq or fallback to global UI freq
@@ -653,6 +798,31 @@ function App() {
         >📖 使用手册</button>
       </div>
       <p>Simulating Rain Fade & Depolarization (Ka-Band Example) with Data Calibration</p>
+      <SimClockBar clock={clock} />
+      <label style={{ display: 'block', marginBottom: '10px', cursor: 'pointer' }}>
+        <input type="checkbox" checked={showSweep} onChange={e => setShowSweep(e.target.checked)} />
+        <strong style={{ marginLeft: '8px' }}>🎲 Monte Carlo / Parameter Sweep</strong>
+      </label>
+      {showSweep && (
+        <SweepPanel
+          baseParams={{ ...siteParams, ...params, disableFastFading }}
+          tleLine1={tleLine1}
+          tleLine2={tleLine2}
+          groundStation={{ lat: syncLat, lon: syncLon, alt: gsAlt }}
+          clock={clock}
+        />
+      )}
+      <label style={{ display: 'block', marginBottom: '10px', cursor: 'pointer' }}>
+        <input type="checkbox" checked={showConstellation} onChange={e => setShowConstellation(e.target.checked)} />
+        <strong style={{ marginLeft: '8px' }}>🛰️ Constellation Visibility / Handover</strong>
+      </label>
+      {showConstellation && (
+        <ConstellationPanel
+          baseParams={{ ...siteParams, ...params, disableFastFading }}
+          groundStation={{ lat: syncLat, lon: syncLon, alt: gsAlt }}
+          clock={clock}
+        />
+      )}
 
       <div className="orbit-controls" style={{ padding: '15px', border: '1px solid #ccc', borderRadius: '5px', marginBottom: '20px', background: '#f9f9f9', textAlign: 'left' }}>
         <h3>🛰️ Satellite Orbit Configuration (SGP4)</h3>
@@ -702,22 +872,36 @@ function App() {
               </button>
             </div>
             {tleFetchError && <div style={{ color: 'red', fontSize: '0.85em' }}>⚠️ {tleFetchError}</div>}
+            {/* Offline bulk catalog: pick any object from a local TLE/3LE group file */}
+            <TleCatalogPanel onSelect={handleCatalogSelect} selectedNoradId={noradId} clock={clock} />
 
             {/* Milestone 19: TLE Epoch Age Badge */}
             {tleEpochInfo.ageDays >= 0 && (() => {
               const days = tleEpochInfo.ageDays;
-              const color = days > 30 ? '#dc3545' : days > 7 ? '#ffc107' : '#28a745';
-              const label = days > 30 ? '❌ STALE' : days > 7 ? '⚠️ AGING' : '✅ FRESH';
+              const status = tleEpochStatus(days);
+              const color = status === 'stale' ? '#dc3545' : status === 'aging' ? '#ffc107' : '#28a745';
+              const label = status === 'stale' ? '❌ STALE' : status === 'aging' ? '⚠️ AGING' : '✅ FRESH';
               return (
                 <div style={{ fontSize: '0.85em', display: 'flex', alignItems: 'center', gap: '8px' }}>
-                  <span style={{ background: color, color: days > 7 && days <= 30 ? '#333' : 'white', padding: '2px 8px', borderRadius: '10px', fontWeight: 'bold', fontSize: '0.8em' }}>{label}</span>
-                  <span>TLE Epoch: {tleEpochInfo.epochDate.toISOString().slice(0, 10)} ({days.toFixed(1)} days ago)</span>
+                  <span style={{ background: color, color: status === 'aging' ? '#333' : 'white', padding: '2px 8px', borderRadius: '10px', fontWeight: 'bold', fontSize: '0.8em' }}>{label}</span>
+                  <span>{isOMM ? 'OMM' : 'TLE'} Epoch: {tleEpochInfo.epochDate.toISOString().slice(0, 10)} ({days.toFixed(1)} days ago)</span>
                 </div>
               );
             })()}
 
-            <input type="text" value={tleLine1} onChange={e => setTleLine1(e.target.value)} placeholder="TLE Line 1" style={{ width: '100%', fontFamily: 'monospace', fontSize: '0.9em' }} />
-            <input type="text" value={tleLine2} onChange={e => setTleLine2(e.target.value)} placeholder="TLE Line 2" style={{ width: '100%', fontFamily: 'monospace', fontSize: '0.9em' }} />
+            {isOMM ? (
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', fontSize: '0.85em', padding: '6px 8px', background: '#fff', border: '1px solid #ccc', borderRadius: '4px' }}>
+                <strong>📄 CCSDS OMM{orbitSource.format !== 'omm' ? ` (${orbitSource.format.slice(4).toUpperCase()})` : ''}</strong>
+                <span style={{ fontFamily: 'monospace' }}>NORAD {tleLine1.NORAD_CAT_ID}{tleLine1.OBJECT_ID ? ` · ${tleLine1.OBJECT_ID}` : ''} · epoch {tleLine1.EPOCH}</span>
+                {orbitSource.originator && <span style={{ color: '#555' }}>· {orbitSource.originator}{orbitSource.creationDate ? ` @ ${orbitSource.creationDate}` : ''}</span>}
+                <button onClick={() => { setTleLine1(''); setTleLine2(''); }} style={{ marginLeft: 'auto', padding: '2px 8px', cursor: 'pointer' }}>✏️ Enter TLE instead</button>
+              </div>
+            ) : (
+              <>
+                <input type="text" value={tleLine1} onChange={e => setTleLine1(e.target.value)} placeholder="TLE Line 1" style={{ width: '100%', fontFamily: 'monospace', fontSize: '0.9em' }} />
+                <input type="text" value={tleLine2} onChange={e => setTleLine2(e.target.value)} placeholder="TLE Line 2" style={{ width: '100%', fontFamily: 'monospace', fontSize: '0.9em' }} />
+              </>
+            )}
             {orbitData && (
               <div style={{ fontSize: '0.9em', color: '#0056b3', marginTop: '5px' }}>
                 <strong>Live Tracking:</strong> Azimuth {orbitData.azimuth.toFixed(1)}° | Elevation {orbitData.elevation.toFixed(1)}° | Slant Range {orbitData.slantRange.toFixed(1)} km
@@ -736,7 +920,7 @@ function App() {
                   onClick={() => {
                     setPassComputing(true);
                     setTimeout(() => {
-                      const results = predictPasses(tleLine1, tleLine2, syncLat, syncLon, gsAlt, passHours);
+                      const results = predictPasses(tleLine1, tleLine2, syncLat, syncLon, gsAlt, passHours, 0, clock.now());
                       setPassData(results);
                       setPassComputing(false);
                     }, 50);
@@ -757,6 +941,8 @@ function App() {
                         <th style={{ padding: '6px', border: '1px solid #dee2e6' }}>📡 TCA (Peak)</th>
                         <th style={{ padding: '6px', border: '1px solid #dee2e6' }}>📡 LOS (Set)</th>
                         <th style={{ padding: '6px', border: '1px solid #dee2e6' }}>Max Elev</th>
+                        <th style={{ padding: '6px', border: '1px solid #dee2e6' }}>Min Range</th>
+                        <th style={{ padding: '6px', border: '1px solid #dee2e6' }}>Dir</th>
                         <th style={{ padding: '6px', border: '1px solid #dee2e6' }}>Duration</th>
                         <th style={{ padding: '6px', border: '1px solid #dee2e6' }}>Quality</th>
                       </tr>
@@ -769,10 +955,12 @@ function App() {
                         return (
                           <tr key={i} style={{ background: i % 2 === 0 ? '#fff' : '#f8f9fa' }}>
                             <td style={{ padding: '4px 6px', border: '1px solid #dee2e6' }}>{i + 1}</td>
-                            <td style={{ padding: '4px 6px', border: '1px solid #dee2e6', fontFamily: 'monospace' }}>{p.aos.toLocaleTimeString()}</td>
-                            <td style={{ padding: '4px 6px', border: '1px solid #dee2e6', fontFamily: 'monospace' }}>{p.tca.toLocaleTimeString()}</td>
-                            <td style={{ padding: '4px 6px', border: '1px solid #dee2e6', fontFamily: 'monospace' }}>{p.los.toLocaleTimeString()}</td>
+                            <td style={{ padding: '4px 6px', border: '1px solid #dee2e6', fontFamily: 'monospace' }} title={p.inViewAtStart ? 'Already in view at the start of the window' : ''}>{p.inViewAtStart ? '⏵ ' : ''}{p.aos.toLocaleTimeString()} <small style={{ color: '#666' }}>Az {p.aosAzimuth.toFixed(0)}°</small></td>
+                            <td style={{ padding: '4px 6px', border: '1px solid #dee2e6', fontFamily: 'monospace' }}>{p.tca.toLocaleTimeString()} <small style={{ color: '#666' }}>Az {p.tcaAzimuth.toFixed(0)}°</small></td>
+                            <td style={{ padding: '4px 6px', border: '1px solid #dee2e6', fontFamily: 'monospace' }} title={p.inViewAtEnd ? 'Still in view at the end of the window' : ''}>{p.los.toLocaleTimeString()}{p.inViewAtEnd ? ' ⏵' : ''} <small style={{ color: '#666' }}>Az {p.losAzimuth.toFixed(0)}°</small></td>
                             <td style={{ padding: '4px 6px', border: '1px solid #dee2e6', fontWeight: 'bold', color: p.maxElev >= 45 ? '#28a745' : p.maxElev >= 20 ? '#ffc107' : '#fd7e14' }}>{p.maxElev.toFixed(1)}°</td>
+                            <td style={{ padding: '4px 6px', border: '1px solid #dee2e6' }}>{p.minRange_km.toFixed(0)} km</td>
+                            <td style={{ padding: '4px 6px', border: '1px solid #dee2e6' }}>{p.direction === 'ascending' ? '↗ Asc' : '↘ Desc'}</td>
                             <td style={{ padding: '4px 6px', border: '1px solid #dee2e6' }}>{mins}m {secs}s</td>
                             <td style={{ padding: '4px 6px', border: '1px solid #dee2e6' }}>{quality}</td>
                           </tr>
@@ -780,7 +968,7 @@ function App() {
                       })}
                     </tbody>
                   </table>
-                  <small style={{ color: '#666' }}>🟢 Excellent (≥45°) | 🟡 Good (≥20°) | 🟠 Low (&lt;20°) — Found {passData.length} passes in next {passHours}h</small>
+                  <small style={{ color: '#666' }}>🟢 Excellent (≥45°) | 🟡 Good (≥20°) | 🟠 Low (&lt;20°) | ⏵ clipped by the window (in view at start / end) — Found {passData.length} passes in next {passHours}h</small>
                 </div>
               )}
               {passData.length === 0 && !passComputing && <small style={{ color: '#999', marginTop: '4px', display: 'block' }}>Click "Predict Passes" to scan future overflight windows.</small>}
@@ -792,8 +980,8 @@ function App() {
       {/* Milestone 22: Orbit Visualization */}
       {isDynamicOrbit && (
         <div style={{ display: 'flex', gap: '15px', marginBottom: '20px', flexWrap: 'wrap' }}>
-          <GroundTrackCanvas canvasRef={groundTrackRef} tleLine1={tleLine1} tleLine2={tleLine2} syncLat={syncLat} syncLon={syncLon} />
-          <SkyPlotCanvas canvasRef={skyPlotRef} tleLine1={tleLine1} tleLine2={tleLine2} syncLat={syncLat} syncLon={syncLon} />
+          <GroundTrackCanvas canvasRef={groundTrackRef} tleLine1={tleLine1} tleLine2={tleLine2} syncLat={syncLat} syncLon={syncLon} clock={clock} />
+          <SkyPlotCanvas canvasRef={skyPlotRef} tleLine1={tleLine1} tleLine2={tleLine2} syncLat={syncLat} syncLon={syncLon} clock={clock} />
         </div>
       )}
 
@@ -810,11 +998,11 @@ function App() {
             </button>
             {replayTimeline.length > 0 && (
               <>
-                <button onClick={() => setIsReplaying(!isReplaying)} style={{ padding: '4px 12px', background: isReplaying ? '#dc3545' : '#28a745', color: 'white', border: 'none', borderRadius: '4px', fontWeight: 'bold', cursor: 'pointer' }}>
+                <button onClick={handleToggleReplay} style={{ padding: '4px 12px', background: isReplaying ? '#dc3545' : '#28a745', color: 'white', border: 'none', borderRadius: '4px', fontWeight: 'bold', cursor: 'pointer' }}>
                   {isReplaying ? '⏸ Pause' : '▶️ Play'}
                 </button>
                 <label style={{ fontSize: '0.85em' }}>Speed:
-                  <select value={replaySpeed} onChange={e => setReplaySpeed(parseInt(e.target.value))} style={{ marginLeft: '4px' }}>
+                  <select value={replaySpeed} onChange={e => handleReplaySpeed(parseInt(e.target.value))} style={{ marginLeft: '4px' }}>
                     <option value={1}>1x</option>
                     <option value={2}>2x</option>
                     <option value={5}>5x</option>
@@ -833,7 +1021,7 @@ function App() {
             <>
               {/* Time scrub slider */}
               <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '8px' }}>
-                <input type="range" min={0} max={replayTimeline.length - 1} value={replayIdx} onChange={e => { setIsReplaying(false); setReplayIdx(parseInt(e.target.value)); }} style={{ flex: 1 }} />
+                <input type="range" min={0} max={replayTimeline.length - 1} value={replayIdx} onChange={e => handleReplaySeek(parseInt(e.target.value))} style={{ flex: 1 }} />
                 <span style={{ fontFamily: 'monospace', fontSize: '0.85em', minWidth: '180px' }}>
                   {replayTimeline[replayIdx]?.timeLabel} | El: {replayTimeline[replayIdx]?.elevation.toFixed(1)}° | Loss: {replayTimeline[replayIdx]?.totalLoss.toFixed(1)}dB
                 </span>
@@ -886,7 +1074,7 @@ function App() {
                   }}
                 />
               </div>
-              <small style={{ color: '#888', marginTop: '4px', display: 'block' }}>{replayTimeline.length} frames | 10s/frame | {replayMinutesAhead} min window</small>
+              <small style={{ color: '#888', marginTop: '4px', display: 'block' }}>{replayTimeline.length} frames | {REPLAY_STEP_SEC}s/frame | {replayMinutesAhead} min window</small>
             </>
           )}
         </div>
@@ -899,7 +1087,19 @@ function App() {
         <label>
           Rain Rate (mm/h):
           <input type="range" min="0" max="100" value={params.rainRate} onChange={e => setParams({ ...params, rainRate: parseFloat(e.target.value) })} />
-          <span>{params.rainRate} mm/h</span>
+          <span>{params.rainRate} mm/h{params.timePercent != null && !params.rainClimatology ? ' (R0.01)' : ''}</span>
+        </label>
+        <label title={`${siteRainClimate.source}. Bilinear between 10° nodes; order-of-magnitude only — enter a measured or P.837-7 R0.01 as Rain Rate for link design. Used as R0.01 when an exceedance p is set`}>
+          <input type="checkbox" checked={params.rainClimatology} onChange={e => setParams({ ...params, rainClimatology: e.target.checked })} />
+          Site Climatology (approx.): R0.01 ≈ {siteRainClimate.r001.toFixed(0)} mm/h (P.837-1 zone {siteRainClimate.zone})
+        </label>
+        <label title="ITU-R P.618: leave empty for instantaneous rain rate, or set the annual time percentage (0.001 ~ 5 %) to treat Rain Rate as R0.01 and predict A_p">
+          Exceedance p (%):
+          <input type="number" step="0.001" min="0.001" max="5" placeholder="instant" value={params.timePercent ?? ''} onChange={e => setParams({ ...params, timePercent: e.target.value === '' ? null : parseFloat(e.target.value) })} />
+        </label>
+        <label title="Required SNR for link availability (CCDF of total attenuation, 0.001 ~ 5 % of an average year)">
+          Required SNR (dB):
+          <input type="number" step="0.5" value={params.requiredSnr_dB} onChange={e => setParams({ ...params, requiredSnr_dB: parseFloat(e.target.value) })} />
         </label>
         <label>
           Elevation (Deg):
@@ -941,14 +1141,61 @@ function App() {
           <input type="checkbox" checked={params.isPhasedArray || false} onChange={e => setParams({ ...params, isPhasedArray: e.target.checked })} style={{ width: 'auto', marginRight: '5px' }} />
           Phased Array Terminal
         </label>
+        <label title="Surface pressure for ITU-R P.676 gaseous absorption">
+          Pressure (hPa):
+          <input type="number" step="1" value={params.pressure_hPa} onChange={e => setParams({ ...params, pressure_hPa: parseFloat(e.target.value) })} />
+        </label>
+        <label title="Surface air temperature for ITU-R P.676 gaseous absorption">
+          Temp (°C):
+          <input type="number" step="1" value={params.temperature_C} onChange={e => setParams({ ...params, temperature_C: parseFloat(e.target.value) })} />
+        </label>
+        <label title="Surface water-vapour density (standard atmosphere: 7.5 g/m³)">
+          Water Vapour (g/m³):
+          <input type="number" step="0.5" min="0" value={params.waterVapour_gm3} onChange={e => setParams({ ...params, waterVapour_gm3: parseFloat(e.target.value) })} />
+        </label>
+        <label title="ITU-R P.840 columnar liquid water content. Empty: 0.5 kg/m² (site P.840-8 statistics are not bundled)">
+          Cloud LWC (kg/m²):
+          <input type="number" step="0.1" min="0" placeholder="0.5" value={params.cloudLWC ?? ''} onChange={e => setParams({ ...params, cloudLWC: e.target.value === '' ? null : parseFloat(e.target.value) })} />
+        </label>
+        <label title="Cloud liquid water temperature for the P.840 dielectric model">
+          Cloud Temp (°C):
+          <input type="number" step="1" value={params.cloudTemperature_C} onChange={e => setParams({ ...params, cloudTemperature_C: parseFloat(e.target.value) })} />
+        </label>
+        <label title="Polarization tilt drives the ITU-R P.838 rain coefficients (H: 0°, V: 90°, circular: 45°)">
+          Polarization:
+          <select value={params.polarization} onChange={e => setParams({ ...params, polarization: e.target.value })}>
+            <option value="RHCP">RHCP (Circular)</option>
+            <option value="LHCP">LHCP (Circular)</option>
+            <option value="Linear-H">Linear-H</option>
+            <option value="Linear-V">Linear-V</option>
+          </select>
+        </label>
         <label>
           Environment:
           <select value={params.env} onChange={e => setParams({ ...params, env: e.target.value })}>
-            <option value="open">Open (Rural)</option>
-            <option value="suburban">Suburban (Trees)</option>
-            <option value="urban">Urban (Buildings)</option>
-            <option value="maritime">Maritime (Flat Sea)</option>
+            {ENVIRONMENTS.map(e => <option key={e} value={e}>{ENV_LABELS[e] || e}</option>)}
+          </select>
+        </label>
+        <label title="Seeded fast-fading envelope applied on top of scintillation (defaults per environment)">
+          Fast Fading:
+          <select value={params.fadingModel} onChange={e => setParams({ ...params, fadingModel: e.target.value })}>
+            <option value="none">None</option>
+            <option value="rician">Rician</option>
+            <option value="loo">Loo</option>
+          </select>
+        </label>
+        <label title="Doppler spectrum and spread (f_d) of the fading processes">
+          Doppler:
+          <select value={params.dopplerSpectrum} onChange={e => setParams({ ...params, dopplerSpectrum: e.target.value })}>
+            <option value="jakes">Jakes</option>
+            <option value="gaussian">Gaussian</option>
           </select>
+          <input type="number" step="0.5" min="0" value={params.dopplerSpread_Hz} onChange={e => setParams({ ...params, dopplerSpread_Hz: parseFloat(e.target.value) || 0 })} style={{ width: '60px' }} /> Hz
+        </label>
+        <label title="Random seed: the same seed reproduces the same fading realization">
+          Seed:
+          <input type="number" step="1" value={params.fadingSeed} onChange={e => setParams({ ...params, fadingSeed: parseInt(e.target.value) || 0 })} style={{ width: '80px' }} />
+          <button onClick={() => setParams({ ...params, fadingSeed: Math.floor(Math.random() * 2147483647) })}>🎲</button>
         </label>
       </div>
 
@@ -965,18 +1212,30 @@ function App() {
           </p>
           <p>Pointing Error Loss: {(pointingLoss || 0).toFixed(2)} dB</p>
           {params.isPhasedArray && <p style={{ color: '#ff8c00' }} title="Phased Array effective aperture reduction at low elevations">Scan Roll-off Limit: {(scanLoss || 0).toFixed(2)} dB</p>}
-          <p>Rain Attenuation: {attRain.toFixed(2)} dB</p>
-          <p>Gas/Cloud Loss: {(attGas + attCloud).toFixed(2)} dB</p>
+          <p title={`ITU-R P.618 | Rain height h_R = ${rainHeight.toFixed(2)} km (P.839) | L_E = ${rainEffPathLen.toFixed(2)} km`}>
+            Rain Attenuation: {attRain.toFixed(2)} dB{params.timePercent != null ? ` (A @ ${params.timePercent}%)` : ''}
+          </p>
+          <p title={`ITU-R P.676: O₂ ${attOxygen.toFixed(3)} dB + H₂O ${attWaterVapour.toFixed(3)} dB`}>Gas Absorption: {attGas.toFixed(2)} dB</p>
+          <p title={`ITU-R P.840 | L = ${cloudLWC.toFixed(2)} kg/m²`}>Cloud Attenuation: {attCloud.toFixed(2)} dB</p>
           <p>Ground Shadowing: {fadeLMS.toFixed(2)} dB</p>
           {params.env === 'maritime' && <p style={{ color: '#9932cc' }} title="Two-Ray Interference Path bounds (+6dB gain to -20dB fade)">Maritime Multipath: {(multipathLoss || 0).toFixed(2)} dB</p>}
           <p style={{ color: '#e67e22' }} title={`Tropospheric & Ionospheric Turbulence (σ = ${scintillationSigma?.toFixed(2)} dB)`}>Scintillation Fading: {(scintLoss || 0).toFixed(2)} dB</p>
+          {params.fadingModel !== 'none' && <p style={{ color: '#e67e22' }} title={`Seed ${params.fadingSeed} | ${params.dopplerSpectrum} spectrum, f_d = ${params.dopplerSpread_Hz} Hz`}>{params.fadingModel === 'loo' ? 'Loo' : 'Rician'} Fast Fading: {(fastFadeLoss || 0).toFixed(2)} dB</p>}
           <p>Faraday Loss: {lossFaraday.toFixed(2)} dB ({omegaDeg.toFixed(1)}°)</p>
           <p title="Relative to Reference GEO distance 35786km">GEO FSPL Δ: {(deltaFspl || 0).toFixed(2)} dB ({params.slantRange?.toFixed(0) || 35786} km)</p>
           <hr />
           <p title={`Absolute Loss: ${absoluteLoss.toFixed(2)} dB`}><strong>Path Loss (rel): {totalLoss.toFixed(2)} dB</strong></p>
-          <p style={{ fontWeight: 'bold', fontSize: '1.2em', color: currentSnr < 0 ? 'red' : 'green' }}>
+          <p style={{ fontWeight: 'bold', fontSize: '1.2em', color: currentSnr < 0 ? 'red' : 'green' }}
+            title={linkPerf.breakdown.map(b => `${b.term}: ${b.value >= 0 ? '+' : ''}${b.value.toFixed(2)} ${b.unit}`).join('\n')}>
             Effective SNR: {currentSnr.toFixed(2)} dB
           </p>
+          <p title={`Es/N0 ${linkPerf.esN0_dB.toFixed(2)} dB @ ${linkPerf.symbolRate_Mbaud.toFixed(1)} Mbaud`}>
+            G/T: {linkPerf.gOverT_dBK.toFixed(2)} dB/K | C/N₀: {linkPerf.cn0_dBHz.toFixed(2)} dBHz | Eb/N₀: {linkPerf.ebN0_dB.toFixed(2)} dB
+          </p>
+          <p style={{ color: linkPerf.margin_dB < 0 ? 'red' : 'inherit' }}>Margin: {linkPerf.margin_dB.toFixed(2)} dB (req. {linkPerf.requiredSnr_dB} dB)</p>
+          <p title={`ITU-R P.618 §2.5 | Clear-sky SNR ${clearSkySnr.toFixed(2)} dB, margin ${linkAvailability.margin_dB.toFixed(2)} dB over ${params.requiredSnr_dB} dB`}>
+            Availability: {linkAvailability.bound === 'above' ? '≥ ' : linkAvailability.bound === 'below' ? '< ' : ''}{linkAvailability.availability.toFixed(3)}% of year
+          </p>
         </div>
 
         <div className="card">
@@ -1002,17 +1261,35 @@ function App() {
 
       <div className="chart-container" style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', marginTop: '20px' }}>
         <div style={{ flex: '1 1 45%', minWidth: '400px' }}>
-          <Line
-            options={{
-              responsive: true,
-              plugins: { legend: { position: 'top' }, title: { display: true, text: 'Attenuation vs Rain Rate' } },
-              scales: {
-                x: { type: 'linear', position: 'bottom', title: { display: true, text: 'Rain Rate (mm/h)' } },
-                y: { title: { display: true, text: 'Total Loss (dB)' } }
-              }
-            }}
-            data={chartData}
-          />
+          <div style={{ display: 'flex', gap: '6px', justifyContent: 'flex-end' }}>
+            <button onClick={() => setRainChartMode('rate')} disabled={rainChartMode === 'rate'}>Rain Rate Sweep</button>
+            <button onClick={() => setRainChartMode('ccdf')} disabled={rainChartMode === 'ccdf'} title="ITU-R P.618 §2.5 total attenuation exceeded for p% of an average year">CCDF (% time)</button>
+          </div>
+          {rainChartMode === 'rate' ? (
+            <Line
+              options={{
+                responsive: true,
+                plugins: { legend: { position: 'top' }, title: { display: true, text: 'Attenuation vs Rain Rate' } },
+                scales: {
+                  x: { type: 'linear', position: 'bottom', title: { display: true, text: 'Rain Rate (mm/h)' } },
+                  y: { title: { display: true, text: 'Total Loss (dB)' } }
+                }
+              }}
+              data={chartData}
+            />
+          ) : (
+            <Line
+              options={{
+                responsive: true,
+                plugins: { legend: { position: 'top' }, title: { display: true, text: `Attenuation Exceeded vs % Time (R0.01 = ${rainR001.toFixed(1)} mm/h)` } },
+                scales: {
+                  x: { type: 'logarithmic', position: 'bottom', min: 0.001, max: 5, title: { display: true, text: 'Percentage of Time Exceeded (%)' } },
+                  y: { title: { display: true, text: 'Attenuation (dB)' } }
+                }
+              }}
+              data={chartDataCCDF}
+            />
+          )}
         </div>
         <div style={{ flex: '1 1 45%', minWidth: '400px' }}>
           <Line
@@ -1067,7 +1344,10 @@ function App() {
           tleLine1={tleLine1}
           tleLine2={tleLine2}
           satName={satName}
+          orbit={orbitSource}
           globalParams={params}
+          onScenarioLoad={handleScenarioLoad}
+          clock={clock}
         />
       )}
 
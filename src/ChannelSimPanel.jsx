@@ -1,15 +1,26 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { Line, Bar } from 'react-chartjs-2';
-import { generateChannelTimeSeries, predictPasses, calibrateModel, applyCalibration, createDefaultCalibration, getCalibParamDefs } from './model.js';
+import { calibrateModel, applyCalibration, createDefaultCalibration, getCalibParamDefs, rainClimatologyP837, NTN_CHANNEL_PROFILES, computeTimeFrequencyResponse, hasOrbitInput, ENVIRONMENTS } from './model.js';
+import { isOMMRecord } from './omm.js';
 import { getSatelliteList, getSatelliteBandParams } from './knownSatellites.js';
+import { parseInterleavedIQ, serializeInterleavedIQ, applyChannelToIQ } from './iqImpairment.js';
+import { timelineToCSV, timelineToJSON } from './channelExport.js';
+import { createScenario, parseScenario, resolveScenarioWindow, ScenarioError } from './scenario.js';
+import { createSimWorkerClient, SimCancelledError } from './simWorkerClient.js';
+import { simulateACM, DVBS2_MODCODS } from './acm.js';
+import { BER_MODULATIONS, estimateErrorRates, errorRateConfigFor } from './errorRate.js';
+import { measurementTimeRange } from './simClock.js';
 
 /**
  * Channel Propagation Simulator Panel
  *
- * Input: Satellite TLE + Ground Station + Time Window + Link Params
- * Output: Rx Power / SNR / CIR time series + CSV/JSON export
+ * Input: Satellite TLE or OMM record (tleLine1, tleLine2 = null) + Ground Station + Time Window + Link Params
+ * Output: Rx Power / SNR / CIR time series + DVB-S2/S2X ACM throughput + BER/BLER + CSV/JSON export
+ * Scenario: the whole panel state (+ App params via onScenarioLoad) saves to / loads from a scenario file (see scenario.js)
+ * Time: pass search and the default window start from the global simulation clock (see simClock.js);
+ * calibration measurements with timestamps can align the clock and the window to the measured pass
  */
-export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalParams }) {
+export default function ChannelSimPanel({ tleLine1, tleLine2, satName, orbit = null, globalParams, onScenarioLoad, clock }) {
     // === Ground Station Config ===
     const [gsLat, setGsLat] = useState(22.54);
     const [gsLon, setGsLon] = useState(114.05);
@@ -18,6 +29,8 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
     // === Time Config ===
     const [durationMin, setDurationMin] = useState(30);
     const [stepSec, setStepSec] = useState(10);
+    const [fixedWindow, setFixedWindow] = useState(null); // { start, end } restored from a scenario file or aligned to measurements
+    const [scenarioName, setScenarioName] = useState(null);
 
     // === Link Params ===
     const [freq, setFreq] = useState(globalParams?.freq || 12.0);
@@ -28,7 +41,44 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
     const [tec, setTec] = useState(globalParams?.tec || 50.0);
     const [env, setEnv] = useState(globalParams?.env || 'suburban');
     const [rainRate, setRainRate] = useState(globalParams?.rainRate || 5.0);
+    const [rainClimatology, setRainClimatology] = useState(globalParams?.rainClimatology ?? false);
+    const [rainTimePercent, setRainTimePercent] = useState(globalParams?.timePercent ?? 0.01);
+    const [polarization, setPolarization] = useState(globalParams?.polarization || 'RHCP');
+    const [pressure, setPressure] = useState(globalParams?.pressure_hPa ?? 1013.25);
+    const [temperature, setTemperature] = useState(globalParams?.temperature_C ?? 15.0);
+    const [waterVapour, setWaterVapour] = useState(globalParams?.waterVapour_gm3 ?? 7.5);
+    const [cloudLWC, setCloudLWC] = useState(globalParams?.cloudLWC ?? 0.5);
+    const [cloudTemperature, setCloudTemperature] = useState(globalParams?.cloudTemperature_C ?? 0);
     const [disableFastFading, setDisableFastFading] = useState(true);
+    const [fadingModel, setFadingModel] = useState('rician');
+    const [fadingSeed, setFadingSeed] = useState(() => Math.floor(Math.random() * 2147483647));
+    const [dopplerSpread, setDopplerSpread] = useState(5.0);
+    const [dopplerSpectrum, setDopplerSpectrum] = useState('jakes');
+    const [lmsModel, setLmsModel] = useState('deterministic');
+    const [speed, setSpeed] = useState(10.0);
+    const [cirProfile, setCirProfile] = useState('legacy');
+    const [ntnDelaySpread, setNtnDelaySpread] = useState(100);
+    const [ntnKFactor, setNtnKFactor] = useState(null);
+    const [runFading, setRunFading] = useState(null); // fading config of the last generated run (export metadata)
+    const [runLinkParams, setRunLinkParams] = useState(null); // link params of the last run (error-rate fading statistics)
+    // Uplink leg + transponder (scenario "uplink" section shape)
+    const [uplink, setUplink] = useState({ enabled: false, freq: 14.0, eirp: 50.0, satGOverT_dBK: 5.0, payload: 'transparent', outputBackoff_dB: 0, cim_dB: null });
+    const updateUplink = (patch) => setUplink(prev => ({ ...prev, ...patch }));
+    const uplinkConfig = uplink.enabled
+        ? { uplinkFreq: uplink.freq, uplinkEirp: uplink.eirp, satGOverT_dBK: uplink.satGOverT_dBK, payload: uplink.payload, outputBackoff_dB: uplink.outputBackoff_dB, cim_dB: uplink.cim_dB }
+        : {};
+
+    // DVB-S2/S2X ACM — post-processes the generated timeline, no regeneration needed
+    const [acmConfig, setAcmConfig] = useState({ standard: 's2', margin_dB: 1.0, hysteresis_dB: 0.5 });
+    const updateAcm = (patch) => setAcmConfig(prev => ({ ...prev, ...patch }));
+    // BER / BLER — modulation defaults follow the selected known-satellite band (errorRateConfigFor)
+    const [berConfig, setBerConfig] = useState({ modulation: 'QPSK', modcod: null, targetBer: 1e-5 });
+    const updateBer = (patch) => setBerConfig(prev => ({ ...prev, ...patch }));
+
+    // Approximate P.837-1 rain-zone statistics follow the ground station coordinates
+    const siteRainClimate = rainClimatologyP837(gsLat || 0, gsLon || 0);
+    const rainStats = rainClimatology ? { rainClimatology: true, timePercent: rainTimePercent } : {};
+    const fadingConfig = { fadingModel, fadingSeed, dopplerSpread_Hz: dopplerSpread, dopplerSpectrum, lmsModel, speed_mps: speed, cirProfile, ntnDelaySpread_ns: ntnDelaySpread, ntnKFactor_dB: ntnKFactor };
 
     // === Calibration State ===
     const [calibProfile, setCalibProfile] = useState(createDefaultCalibration());
@@ -52,17 +102,40 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
     const [searchingPass, setSearchingPass] = useState(false);
 
     const cirCanvasRef = useRef(null);
+    const hfCanvasRef = useRef(null);
+    const iqFileRef = useRef(null);
+    const scenarioFileRef = useRef(null);
+    const [iqSampleRate, setIqSampleRate] = useState(1.0); // MHz
+
+    // === Background Worker (timeline generation / pass search) ===
+    const simWorkerRef = useRef(null);
+    const [progress, setProgress] = useState(null); // 0..1 while a worker job runs
+    useEffect(() => () => { if (simWorkerRef.current) simWorkerRef.current.dispose(); }, []);
+
+    function simWorker() {
+        if (!simWorkerRef.current) simWorkerRef.current = createSimWorkerClient();
+        return simWorkerRef.current;
+    }
+
+    function handleCancel() {
+        if (simWorkerRef.current) simWorkerRef.current.cancel();
+    }
 
     // === Find Next Pass ===
-    function handleFindPass() {
-        if (!tleLine1 || !tleLine2) {
-            setStatusMsg('\u26a0\ufe0f Please load satellite TLE first');
+    async function handleFindPass() {
+        if (!hasOrbitInput(tleLine1, tleLine2)) {
+            setStatusMsg('\u26a0\ufe0f Please load satellite TLE or OMM first');
             return;
         }
         setSearchingPass(true);
+        setFixedWindow(null);
+        setProgress(0);
         setStatusMsg('\ud83d\udd0d Searching passes in next 24 hours...');
-        setTimeout(() => {
-            const results = predictPasses(tleLine1, tleLine2, gsLat, gsLon, gsAlt, 24, 0);
+        try {
+            const results = await simWorker().findPasses(
+                { tleLine1, tleLine2, lat: gsLat, lon: gsLon, alt: gsAlt, hoursAhead: 24, minElev: 0, startTime: clock.now() },
+                { onProgress: setProgress }
+            );
             setPasses(results);
             if (results.length > 0) {
                 setSelectedPass(results[0]);
@@ -73,38 +146,58 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                 setSelectedPass(null);
                 setStatusMsg('\u26a0\ufe0f No visible passes in next 24h. Try another satellite.');
             }
-            setSearchingPass(false);
-        }, 50);
+        } catch (err) {
+            setStatusMsg(err instanceof SimCancelledError ? '\u23f9\ufe0f Pass search cancelled' : '\u26a0\ufe0f Pass search failed: ' + err.message);
+        }
+        setSearchingPass(false);
+        setProgress(null);
+    }
+
+    // === Align Clock to Measurements ===
+    // 时钟暂停在首个测量时刻、窗口 = 测量时间范围，时间序列帧即落在测量时间戳上（步长整除测量间隔时）
+    function handleAlignClock() {
+        const range = measurementTimeRange(calibMeasurements);
+        if (!range) return;
+        clock.pause();
+        clock.setTime(range.start);
+        setSelectedPass(null);
+        setFixedWindow(range);
+        setStatusMsg('\u23f1\ufe0f Clock aligned to measurements: ' + range.start.toISOString().slice(0, 19) + 'Z ~ ' + range.end.toISOString().slice(11, 19) + 'Z');
     }
 
     // === Generate Timeline ===
-    function handleGenerate() {
-        if (!tleLine1 || !tleLine2) {
-            setStatusMsg('\u26a0\ufe0f Please load satellite TLE first');
+    async function handleGenerate() {
+        if (!hasOrbitInput(tleLine1, tleLine2)) {
+            setStatusMsg('\u26a0\ufe0f Please load satellite TLE or OMM first');
             return;
         }
         setComputing(true);
+        setProgress(0);
         setStatusMsg('\u23f3 Generating channel time series...');
-        setTimeout(() => {
-            let startTime, endTime;
-            if (selectedPass) {
-                startTime = new Date(selectedPass.aos.getTime() - 2 * 60000);
-                endTime = new Date(selectedPass.los.getTime() + 2 * 60000);
-            } else {
-                startTime = new Date();
-                endTime = new Date(startTime.getTime() + durationMin * 60 * 1000);
-            }
-            let linkParams = { freq, eirp, gRx, tRx, bandwidth, tec, env, rainRate, disableFastFading };
-            if (useCalibration && calibProfile.calibrated) {
-                linkParams = applyCalibration(linkParams, calibProfile);
-            }
-            const result = generateChannelTimeSeries(
-                tleLine1, tleLine2,
-                gsLat, gsLon, gsAlt,
-                startTime, endTime, stepSec,
-                linkParams
+        let startTime, endTime;
+        if (selectedPass) {
+            startTime = new Date(selectedPass.aos.getTime() - 2 * 60000);
+            endTime = new Date(selectedPass.los.getTime() + 2 * 60000);
+        } else if (fixedWindow) {
+            startTime = fixedWindow.start;
+            endTime = fixedWindow.end;
+        } else {
+            startTime = clock.now();
+            endTime = new Date(startTime.getTime() + durationMin * 60 * 1000);
+        }
+        let linkParams = { freq, eirp, gRx, tRx, bandwidth, tec, env, rainRate, polarization, pressure_hPa: pressure, temperature_C: temperature, waterVapour_gm3: waterVapour, cloudLWC, cloudTemperature_C: cloudTemperature, ...rainStats, disableFastFading, ...fadingConfig, ...uplinkConfig };
+        if (useCalibration && calibProfile.calibrated) {
+            linkParams = applyCalibration(linkParams, calibProfile);
+        }
+        const runConfig = { ...fadingConfig, enabled: !disableFastFading };
+        try {
+            const result = await simWorker().generateTimeline(
+                { tleLine1, tleLine2, lat: gsLat, lon: gsLon, alt: gsAlt, startTime, endTime, stepSec, linkParams },
+                { onProgress: setProgress }
             );
             setTimeline(result);
+            setRunFading(runConfig);
+            setRunLinkParams(linkParams);
             setCirIdx(0);
             const visibleFrames = result.filter(f => f.elevation > 0);
             if (visibleFrames.length === 0) {
@@ -113,8 +206,11 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                 const maxElFrame = visibleFrames.reduce((a, b) => a.elevation > b.elevation ? a : b);
                 setStatusMsg('\u2705 ' + result.length + ' frames | Visible: ' + visibleFrames.length + ' | Max Elev: ' + maxElFrame.elevation.toFixed(1) + '\u00b0 @ ' + maxElFrame.timeLabel + ' | Peak SNR: ' + maxElFrame.snrDb.toFixed(1) + ' dB');
             }
-            setComputing(false);
-        }, 50);
+        } catch (err) {
+            setStatusMsg(err instanceof SimCancelledError ? '\u23f9\ufe0f Generation cancelled' : '\u26a0\ufe0f Generation failed: ' + err.message);
+        }
+        setComputing(false);
+        setProgress(null);
     }
 
     // === CIR Canvas ===
@@ -223,61 +319,205 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
 
     }, [timeline, cirIdx]);
 
+    const acm = useMemo(
+        () => timeline.length > 0 ? simulateACM(timeline, acmConfig) : null,
+        [timeline, acmConfig]
+    );
+    const errorRates = useMemo(
+        () => timeline.length > 0 && runLinkParams ? estimateErrorRates(timeline, runLinkParams, berConfig) : null,
+        [timeline, runLinkParams, berConfig]
+    );
+
+    // === H(f,t) Heatmap ===
+    const HF_BINS = 64;
+    const hfResponse = useMemo(
+        () => computeTimeFrequencyResponse(timeline, { freq, bandwidth, tec, numBins: HF_BINS }),
+        [timeline, freq, bandwidth, tec]
+    );
+
+    useEffect(() => {
+        if (!hfCanvasRef.current || timeline.length === 0) return;
+        const canvas = hfCanvasRef.current;
+        const ctx = canvas.getContext('2d');
+        const W = canvas.width, H = canvas.height;
+        ctx.fillStyle = '#0a0a1a';
+        ctx.fillRect(0, 0, W, H);
+
+        const { freqOffsets_MHz, frames } = hfResponse;
+        const padL = 60, padR = 70, padT = 30, padB = 35;
+        const plotW = W - padL - padR;
+        const plotH = H - padT - padB;
+        const minDb = -20, maxDb = 5;
+        // 深蓝 (衰落) → 青 → 黄 (增强)
+        const colorOf = (db) => {
+            const x = Math.max(0, Math.min(1, (db - minDb) / (maxDb - minDb)));
+            return 'hsl(' + (240 - 180 * x).toFixed(0) + ', 80%, ' + (20 + 40 * x).toFixed(0) + '%)';
+        };
+
+        const cellW = plotW / frames.length;
+        const cellH = plotH / freqOffsets_MHz.length;
+        frames.forEach((fr, i) => {
+            fr.relative_dB.forEach((db, k) => {
+                ctx.fillStyle = fr.elevation < 0 ? '#222' : colorOf(db);
+                // 频率轴由下 (−B/2) 到上 (+B/2)
+                ctx.fillRect(padL + i * cellW, padT + plotH - (k + 1) * cellH, Math.ceil(cellW), Math.ceil(cellH));
+            });
+        });
+
+        // 当前 CIR 帧游标
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padL + (cirIdx + 0.5) * cellW, padT);
+        ctx.lineTo(padL + (cirIdx + 0.5) * cellW, padT + plotH);
+        ctx.stroke();
+
+        ctx.fillStyle = '#aaa';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            const mhz = -bandwidth / 2 + bandwidth * i / 4;
+            ctx.fillText(mhz.toFixed(0) + ' MHz', padL - 5, padT + plotH - plotH * i / 4 + 4);
+        }
+        ctx.textAlign = 'center';
+        for (let i = 0; i <= 4; i++) {
+            const idx = Math.min(frames.length - 1, Math.round((frames.length - 1) * i / 4));
+            ctx.fillText(timeline[idx].timeLabel, padL + (idx + 0.5) * cellW, H - padB + 15);
+        }
+
+        // 色标
+        for (let k = 0; k < plotH; k++) {
+            ctx.fillStyle = colorOf(minDb + (maxDb - minDb) * (1 - k / plotH));
+            ctx.fillRect(W - padR + 15, padT + k, 12, 1);
+        }
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(maxDb + ' dB', W - padR + 30, padT + 8);
+        ctx.fillText(minDb + ' dB', W - padR + 30, padT + plotH);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 12px sans-serif';
+        ctx.fillText('|H(f,t)| \u2014 Relative to In-Band Mean (incl. Ionospheric Dispersion)', padL, 18);
+    }, [timeline, hfResponse, cirIdx, bandwidth]);
+
+    function exportHfCSV() {
+        if (timeline.length === 0) return;
+        const { freqOffsets_MHz, frames } = hfResponse;
+        const headers = 'Time,Elevation_deg,' + freqOffsets_MHz.map(f => 'H_' + f.toFixed(2) + 'MHz_dB').join(',');
+        const rows = frames.map((fr, i) => [timeline[i].timeLabel, fr.elevation.toFixed(2), ...fr.gain_dB.map(v => v.toFixed(3))].join(','));
+        downloadFile(headers + '\n' + rows.join('\n'), 'channel_hft_' + (satName || 'sat') + '_' + new Date().toISOString().slice(0, 16) + '.csv', 'text/csv');
+    }
+
+    // === IQ Impairment ===
+    async function handleImpairIQ(e) {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file || timeline.length === 0) return;
+        try {
+            const iq = parseInterleavedIQ(await file.arrayBuffer());
+            const result = applyChannelToIQ(iq, timeline, { sampleRate_Hz: iqSampleRate * 1e6, seed: runFading ? runFading.fadingSeed : fadingSeed });
+            const base = file.name.replace(/\.[^.]+$/, '');
+            downloadFile(serializeInterleavedIQ(result.iq), base + '_impaired.cf32', 'application/octet-stream');
+            downloadFile(serializeInterleavedIQ(result.crossIq), base + '_impaired_xpol.cf32', 'application/octet-stream');
+            const last = result.frames[result.frames.length - 1];
+            setStatusMsg('\u2705 IQ impaired: ' + (iq.length / 2) + ' samples over frames ' + result.frames[0].frameIndex + '\u2013' + last.frameIndex);
+        } catch (err) {
+            setStatusMsg('\u26a0\ufe0f IQ impairment failed: ' + err.message);
+        }
+    }
+
     // === CSV Export ===
     function exportCSV() {
         if (timeline.length === 0) return;
-        // 找出所有帧中最大 tap 数量
-        const maxTaps = Math.max(...timeline.map(f => f.cir.taps.length));
-        // 基础列头
-        let headers = 'Time,Elevation_deg,Azimuth_deg,SlantRange_km,AbsFSPL_dB,RxPower_dBm,NoiseFloor_dBm,SNR_dB,AttRain_dB,AttGas_dB,AttCloud_dB,AtmTotal_dB,FadeLMS_dB,Faraday_dB,Pointing_dB,Scint_dB,TSky_K,XPD_dB,CapRank1_bpsHz,CapRank2_bpsHz,GroupDelay_ns,Dispersion_ns,CIR_NumTaps,CIR_RMSDelaySpread_ns,CIR_CoherenceBW_MHz';
-        // 为每个 tap 添加详细列头
-        for (let i = 0; i < maxTaps; i++) {
-            headers += `,Tap${i}_Label,Tap${i}_ExcessDelay_ns,Tap${i}_Amplitude_dB,Tap${i}_Phase_rad`;
-        }
-        const rows = timeline.map(f => {
-            const base = [f.timeLabel, f.elevation.toFixed(2), f.azimuth.toFixed(1), f.slantRange.toFixed(1), f.absoluteFspl.toFixed(2), f.rxPowerDbm.toFixed(2), f.noiseFloorDbm.toFixed(2), f.snrDb.toFixed(2), f.attRain.toFixed(3), f.attGas.toFixed(3), f.attCloud.toFixed(3), f.totalAtmosphericLoss.toFixed(3), f.fadeLMS.toFixed(2), f.lossFaraday.toFixed(3), f.pointingLoss.toFixed(3), f.scintLoss.toFixed(3), f.tSky.toFixed(1), f.xpd.toFixed(2), f.capRank1.toFixed(3), f.capRank2.toFixed(3), f.groupDelayNs.toFixed(3), f.dispersionNs.toFixed(3), f.cir.taps.length, f.cir.rmsDelaySpread_ns.toFixed(3), f.cir.coherenceBandwidth_MHz.toFixed(3)];
-            // 逐 tap 输出详细数据
-            for (let i = 0; i < maxTaps; i++) {
-                const tap = f.cir.taps[i];
-                if (tap) {
-                    base.push(tap.label, tap.excessDelay_ns.toFixed(3), tap.amplitude_dB.toFixed(3), tap.phase_rad.toFixed(4));
-                } else {
-                    base.push('', '', '', '');
-                }
-            }
-            return base.join(',');
-        });
-        const csv = headers + '\n' + rows.join('\n');
-        downloadFile(csv, 'channel_sim_' + (satName || 'sat') + '_' + new Date().toISOString().slice(0, 16) + '.csv', 'text/csv');
+        downloadFile(timelineToCSV(timeline, { acm, errorRates }), 'channel_sim_' + (satName || 'sat') + '_' + new Date().toISOString().slice(0, 16) + '.csv', 'text/csv');
     }
 
     // === JSON Export ===
     function exportJSON() {
         if (timeline.length === 0) return;
-        const json = JSON.stringify({
-            metadata: {
-                satellite: satName || 'Unknown',
-                groundStation: { lat: gsLat, lon: gsLon, alt: gsAlt },
-                linkConfig: { freq, eirp, gRx, tRx, bandwidth, tec, env, rainRate },
-                generatedAt: new Date().toISOString(),
-                totalFrames: timeline.length,
-                stepSec
-            },
-            frames: timeline.map(f => ({
-                time: f.time.toISOString(),
-                geometry: { elevation: f.elevation, azimuth: f.azimuth, slantRange: f.slantRange, apparentElevation: f.apparentElevation },
-                linkBudget: { absoluteFspl: f.absoluteFspl, rxPowerDbm: f.rxPowerDbm, noiseFloorDbm: f.noiseFloorDbm, snrDb: f.snrDb },
-                attenuation: { rain: f.attRain, gas: f.attGas, cloud: f.attCloud, atmospheric: f.totalAtmosphericLoss, fadeLMS: f.fadeLMS, faraday: f.lossFaraday, pointing: f.pointingLoss, scintillation: f.scintLoss },
-                noise: { tSky: f.tSky },
-                polarization: { xpd: f.xpd },
-                mimo: { capRank1: f.capRank1, capRank2: f.capRank2 },
-                ionosphere: { groupDelayNs: f.groupDelayNs, dispersionNs: f.dispersionNs },
-                cir: f.cir
-            }))
-        }, null, 2);
+        const json = JSON.stringify(timelineToJSON(timeline, {
+            satellite: satName,
+            orbit,
+            groundStation: { lat: gsLat, lon: gsLon, alt: gsAlt },
+            linkConfig: { freq, eirp, gRx, tRx, bandwidth, tec, env, rainRate, polarization, pressure_hPa: pressure, temperature_C: temperature, waterVapour_gm3: waterVapour, cloudLWC, cloudTemperature_C: cloudTemperature, ...rainStats, ...(rainClimatology ? { rainR001: siteRainClimate.r001, rainZone: siteRainClimate.zone } : {}), ...uplinkConfig },
+            stepSec,
+            fading: runFading,
+            acm,
+            errorRates
+        }), null, 2);
         downloadFile(json, 'channel_sim_' + (satName || 'sat') + '_' + new Date().toISOString().slice(0, 16) + '.json', 'application/json');
     }
 
+    // === Scenario Save / Load ===
+    function handleSaveScenario() {
+        try {
+            // 已选过境按绝对起止时间保存，保证批处理可复现
+            const window = selectedPass
+                ? { start: new Date(selectedPass.aos.getTime() - 2 * 60000).toISOString(), end: new Date(selectedPass.los.getTime() + 2 * 60000).toISOString() }
+                : fixedWindow ? { start: fixedWindow.start.toISOString(), end: fixedWindow.end.toISOString() } : { durationMin };
+            const scenario = createScenario({
+                name: scenarioName || satName || null,
+                satellite: isOMMRecord(tleLine1) ? { name: satName || null, omm: tleLine1 } : { name: satName || null, tle1: tleLine1, tle2: tleLine2 },
+                groundStation: { lat: gsLat, lon: gsLon, alt: gsAlt },
+                timeWindow: { ...window, stepSec },
+                link: { freq, eirp, gRx, tRx, bandwidth, tec, polarization },
+                environment: { env, rainRate, rainClimatology, timePercent: rainTimePercent, pressure_hPa: pressure, temperature_C: temperature, waterVapour_gm3: waterVapour, cloudLWC, cloudTemperature_C: cloudTemperature },
+                fading: { enabled: !disableFastFading, ...fadingConfig },
+                uplink,
+                calibration: calibProfile.calibrated ? { enabled: useCalibration, profile: calibProfile, satellite: calibSatId || null, band: calibBandKey || null } : null,
+                app: globalParams ? { params: globalParams } : null
+            });
+            downloadFile(JSON.stringify(scenario, null, 2), 'scenario_' + (satName || 'sat') + '_' + new Date().toISOString().slice(0, 16) + '.json', 'application/json');
+            setStatusMsg('\u2705 Scenario saved');
+        } catch (err) {
+            setStatusMsg('\u26a0\ufe0f Cannot save scenario: ' + (err instanceof ScenarioError ? err.errors.map(x => x.path + ' ' + x.message).join('; ') : err.message));
+        }
+    }
+
+    function applyScenario(s) {
+        const { groundStation: gs, timeWindow: tw, link: l, environment: e, fading: f, calibration: cal } = s;
+        setScenarioName(s.name);
+        setGsLat(gs.lat); setGsLon(gs.lon); setGsAlt(gs.alt);
+        setStepSec(tw.stepSec);
+        setFreq(l.freq); setEirp(l.eirp); setGRx(l.gRx); setTRx(l.tRx); setBandwidth(l.bandwidth); setTec(l.tec); setPolarization(l.polarization);
+        setEnv(e.env); setRainRate(e.rainRate); setRainClimatology(e.rainClimatology); setRainTimePercent(e.timePercent);
+        setPressure(e.pressure_hPa); setTemperature(e.temperature_C); setWaterVapour(e.waterVapour_gm3); setCloudLWC(e.cloudLWC); setCloudTemperature(e.cloudTemperature_C);
+        setDisableFastFading(!f.enabled); setFadingModel(f.fadingModel); setFadingSeed(f.fadingSeed); setDopplerSpread(f.dopplerSpread_Hz); setDopplerSpectrum(f.dopplerSpectrum);
+        setLmsModel(f.lmsModel); setSpeed(f.speed_mps); setCirProfile(f.cirProfile); setNtnDelaySpread(f.ntnDelaySpread_ns); setNtnKFactor(f.ntnKFactor_dB);
+        setUplink(s.uplink);
+        setCalibProfile(cal ? cal.profile : createDefaultCalibration());
+        setUseCalibration(cal ? cal.enabled : false);
+        setCalibSatId(cal && cal.satellite ? cal.satellite : '');
+        setCalibBandKey(cal && cal.band ? cal.band : '');
+        setTimeline([]);
+        setRunFading(null);
+        setRunLinkParams(null);
+        setCirIdx(0);
+
+        // 过境模式在加载时按场景的 TLE 重新搜索（App 的 TLE 要到下一次渲染才更新）
+        const { startTime, endTime, pass } = resolveScenarioWindow(s, clock.now());
+        setPasses(pass ? [pass] : []);
+        setSelectedPass(pass);
+        setFixedWindow(tw.start != null ? { start: startTime, end: endTime } : null);
+        if (tw.durationMin != null) setDurationMin(tw.durationMin);
+        else if (pass) setDurationMin(Math.ceil(pass.durationSec / 60) + 4);
+
+        if (onScenarioLoad) onScenarioLoad(s);
+    }
+
+    async function handleLoadScenario(ev) {
+        const file = ev.target.files && ev.target.files[0];
+        ev.target.value = '';
+        if (!file) return;
+        try {
+            const scenario = parseScenario(await file.text());
+            applyScenario(scenario);
+            setStatusMsg('\u2705 Scenario loaded: ' + (scenario.name || file.name) + ' (v' + scenario.version + ')');
+        } catch (err) {
+            setStatusMsg('\u26a0\ufe0f ' + file.name + ': ' + (err instanceof ScenarioError ? err.errors.map(x => x.path + ' ' + x.message).join('; ') : err.message));
+        }
+    }
+
     function downloadFile(content, filename, type) {
         const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
@@ -290,6 +530,7 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
 
     // === Chart Data ===
     const chartLabels = timeline.map(f => f.timeLabel);
+    const hasUplink = timeline.some(f => f.uplinkSnrDb != null);
 
     const rxSnrChartData = {
         labels: chartLabels,
@@ -306,7 +547,7 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                 spanGaps: false
             },
             {
-                label: 'SNR (dB)',
+                label: hasUplink ? 'End-to-end SNR (dB)' : 'SNR (dB)',
                 data: timeline.map(f => f.elevation > 0 ? f.snrDb : null),
                 borderColor: '#4ecdc4',
                 yAxisID: 'y1',
@@ -314,6 +555,28 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                 pointRadius: 0,
                 spanGaps: false
             },
+            ...(hasUplink ? [
+                {
+                    label: 'Uplink SNR (dB)',
+                    data: timeline.map(f => f.elevation > 0 ? f.uplinkSnrDb : null),
+                    borderColor: '#f7dc6f',
+                    yAxisID: 'y1',
+                    tension: 0.3,
+                    pointRadius: 0,
+                    borderDash: [2, 2],
+                    spanGaps: false
+                },
+                {
+                    label: 'Downlink SNR (dB)',
+                    data: timeline.map(f => f.elevation > 0 ? f.downlinkSnrDb : null),
+                    borderColor: '#3498db',
+                    yAxisID: 'y1',
+                    tension: 0.3,
+                    pointRadius: 0,
+                    borderDash: [2, 2],
+                    spanGaps: false
+                }
+            ] : []),
             {
                 label: 'Elevation (\u00b0)',
                 data: timeline.map(f => f.elevation),
@@ -342,9 +605,166 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
         }
     };
 
+    // 多普勒频移 / 多普勒变化率 (SGP4 速度，计入地球自转)，与 SNR 同一时间轴
+    const dopplerChartData = {
+        labels: chartLabels,
+        datasets: [
+            {
+                label: 'Doppler (kHz)',
+                data: timeline.map(f => f.doppler_Hz / 1e3),
+                borderColor: '#f7b731',
+                yAxisID: 'y1',
+                tension: 0.3,
+                pointRadius: 0
+            },
+            {
+                label: 'Doppler Rate (Hz/s)',
+                data: timeline.map(f => f.dopplerRate_Hzs),
+                borderColor: '#a55eea',
+                yAxisID: 'y2',
+                tension: 0.3,
+                pointRadius: 0,
+                borderDash: [4, 2]
+            },
+            {
+                label: 'SNR (dB)',
+                data: timeline.map(f => f.elevation > 0 ? f.snrDb : null),
+                borderColor: '#4ecdc4',
+                yAxisID: 'y3',
+                tension: 0.3,
+                pointRadius: 0,
+                spanGaps: false
+            }
+        ]
+    };
+
+    const dopplerChartOpts = {
+        responsive: true,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            legend: { position: 'top', labels: { color: '#ccc', font: { size: 11 } } },
+            title: { display: true, text: 'Doppler Shift / Doppler Rate / SNR vs Time @ ' + freq + ' GHz', color: '#fff', font: { size: 13 } }
+        },
+        scales: {
+            x: { display: true, ticks: { maxTicksLimit: 12, color: '#aaa' }, grid: { color: 'rgba(255,255,255,0.05)' } },
+            y1: { type: 'linear', position: 'left', title: { display: true, text: 'Doppler (kHz)', color: '#ccc' }, grid: { color: 'rgba(255,255,255,0.08)' }, ticks: { color: '#aaa' } },
+            y2: { type: 'linear', position: 'right', title: { display: true, text: 'Hz/s', color: '#ccc' }, grid: { drawOnChartArea: false }, ticks: { color: '#aaa' } },
+            y3: { type: 'linear', position: 'right', title: { display: true, text: 'SNR (dB)', color: '#ccc' }, grid: { drawOnChartArea: false }, ticks: { color: '#aaa' } }
+        }
+    };
+
+    // ACM：净比特率 / 频谱效率（阶梯）与 Es/N0，MODCOD 切换帧打点
+    const acmChartData = acm ? {
+        labels: chartLabels,
+        datasets: [
+            {
+                label: 'Net Bitrate (Mbps)',
+                data: acm.frames.map(a => a.visible ? a.netBitrate_Mbps : null),
+                borderColor: '#2ecc71',
+                backgroundColor: 'rgba(46,204,113,0.1)',
+                yAxisID: 'y1',
+                stepped: true,
+                pointRadius: acm.frames.map(a => a.switched ? 3 : 0),
+                fill: true,
+                spanGaps: false
+            },
+            {
+                label: 'Spectral Eff. (bit/sym)',
+                data: acm.frames.map(a => a.visible ? a.spectralEfficiency : null),
+                borderColor: '#f7b731',
+                yAxisID: 'y2',
+                stepped: true,
+                pointRadius: 0,
+                spanGaps: false
+            },
+            {
+                label: 'Es/N0 (dB)',
+                data: acm.frames.map(a => a.visible ? a.esN0_dB : null),
+                borderColor: '#4ecdc4',
+                yAxisID: 'y3',
+                tension: 0.3,
+                pointRadius: 0,
+                borderDash: [4, 2],
+                spanGaps: false
+            }
+        ]
+    } : null;
+
+    const acmChartOpts = {
+        responsive: true,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            legend: { position: 'top', labels: { color: '#ccc', font: { size: 11 } } },
+            title: { display: true, text: 'ACM (DVB-' + acmConfig.standard.toUpperCase() + ') \u2014 Net Bitrate / Spectral Efficiency / Es/N0 vs Time', color: '#fff', font: { size: 13 } },
+            tooltip: { callbacks: { afterBody: (items) => { const a = acm && items.length ? acm.frames[items[0].dataIndex] : null; return a && a.visible ? 'MODCOD: ' + (a.modcod || 'outage') + (a.switched ? ' (switch)' : '') : ''; } } }
+        },
+        scales: {
+            x: { display: true, ticks: { maxTicksLimit: 12, color: '#aaa' }, grid: { color: 'rgba(255,255,255,0.05)' } },
+            y1: { type: 'linear', position: 'left', title: { display: true, text: 'Mbps', color: '#ccc' }, grid: { color: 'rgba(255,255,255,0.08)' }, ticks: { color: '#aaa' } },
+            y2: { type: 'linear', position: 'right', title: { display: true, text: 'bit/symbol', color: '#ccc' }, grid: { drawOnChartArea: false }, ticks: { color: '#aaa' } },
+            y3: { type: 'linear', position: 'right', title: { display: true, text: 'Es/N0 (dB)', color: '#ccc' }, grid: { drawOnChartArea: false }, ticks: { color: '#aaa' } }
+        }
+    };
+
+    // BER / BLER / 中断概率（对数坐标），AWGN 与衰落平均对照
+    const berChartData = errorRates ? {
+        labels: chartLabels,
+        datasets: [
+            {
+                label: 'BER (fading avg)',
+                data: errorRates.frames.map(e => e.visible ? Math.max(1e-12, e.ber) : null),
+                borderColor: '#ff6b6b',
+                tension: 0.3,
+                pointRadius: 0,
+                spanGaps: false
+            },
+            {
+                label: 'BER (AWGN)',
+                data: errorRates.frames.map(e => e.visible ? Math.max(1e-12, e.berAwgn) : null),
+                borderColor: '#f7b731',
+                tension: 0.3,
+                pointRadius: 0,
+                borderDash: [4, 2],
+                spanGaps: false
+            },
+            ...(berConfig.modcod ? [{
+                label: 'BLER ' + berConfig.modcod + (errorRates.config.blerCurve.illustrative ? ' (illustrative curve)' : ''),
+                data: errorRates.frames.map(e => e.visible ? Math.max(1e-12, e.bler) : null),
+                borderColor: '#a55eea',
+                tension: 0.3,
+                pointRadius: 0,
+                spanGaps: false
+            }] : []),
+            {
+                label: 'Outage Prob.',
+                data: errorRates.frames.map(e => e.visible ? Math.max(1e-12, e.outageProbability) : null),
+                borderColor: '#95a5a6',
+                tension: 0.3,
+                pointRadius: 0,
+                borderDash: [2, 2],
+                spanGaps: false
+            }
+        ]
+    } : null;
+
+    const berChartOpts = {
+        responsive: true,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            legend: { position: 'top', labels: { color: '#ccc', font: { size: 11 } } },
+            title: { display: true, text: 'Error Rates \u2014 ' + (berConfig.modcod || berConfig.modulation) + ' / fading: ' + ((errorRates && errorRates.config.fadingModel) || 'none'), color: '#fff', font: { size: 13 } }
+        },
+        scales: {
+            x: { display: true, ticks: { maxTicksLimit: 12, color: '#aaa' }, grid: { color: 'rgba(255,255,255,0.05)' } },
+            y: { type: 'logarithmic', min: 1e-12, max: 1, title: { display: true, text: 'Probability', color: '#ccc' }, grid: { color: 'rgba(255,255,255,0.08)' }, ticks: { color: '#aaa' } }
+        }
+    };
+
     const currentFrame = timeline[cirIdx];
+    const currentAcm = acm ? acm.frames[cirIdx] : null;
+    const currentErr = errorRates ? errorRates.frames[cirIdx] : null;
     const attBreakdownData = currentFrame ? {
-        labels: ['FSPL', 'Rain', 'Gas', 'Cloud', 'Shadow', 'Faraday', 'Pointing', 'Scint'],
+        labels: ['FSPL', 'Rain', 'Gas', 'Cloud', 'Shadow', 'Faraday', 'Pointing', 'Scint', 'Fading'],
         datasets: [{
             label: 'Loss (dB)',
             data: [
@@ -355,11 +775,12 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                 currentFrame.fadeLMS,
                 currentFrame.lossFaraday,
                 currentFrame.pointingLoss,
-                Math.abs(currentFrame.scintLoss)
+                Math.abs(currentFrame.scintLoss),
+                Math.abs(currentFrame.fastFadeLoss)
             ],
             backgroundColor: [
                 '#ff6b6b', '#f39c12', '#e74c3c', '#9b59b6',
-                '#3498db', '#1abc9c', '#e67e22', '#2ecc71'
+                '#3498db', '#1abc9c', '#e67e22', '#2ecc71', '#95a5a6'
             ]
         }]
     } : null;
@@ -435,6 +856,15 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                         <label style={labelStyle}>Alt(m):
                             <input type="number" step="1" value={gsAlt} onChange={e => setGsAlt(parseFloat(e.target.value) || 0)} style={{ ...inputStyle, width: '60px' }} />
                         </label>
+                        <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }} title={siteRainClimate.source + ' (bilinear between 10\u00b0 nodes, order-of-magnitude only)'}>
+                            <input type="checkbox" checked={rainClimatology} onChange={e => setRainClimatology(e.target.checked)} />
+                            <span>R0.01 {'\u2248'} {siteRainClimate.r001.toFixed(0)} mm/h (approx., zone {siteRainClimate.zone})</span>
+                        </label>
+                        {rainClimatology && (
+                            <label style={labelStyle} title="Annual time percentage for the P.618 rain attenuation">p(%):
+                                <input type="number" step="0.001" min="0.001" max="5" value={rainTimePercent} onChange={e => setRainTimePercent(parseFloat(e.target.value) || 0.01)} style={{ ...inputStyle, width: '55px' }} />
+                            </label>
+                        )}
                     </div>
                     <div style={{ ...inputGroupStyle, marginTop: '8px' }}>
                         <strong style={{ fontSize: '0.9em' }}>{'\u23f1\ufe0f'} Time</strong>
@@ -444,6 +874,12 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                         <label style={labelStyle}>Step(s):
                             <input type="number" min="1" max="60" value={stepSec} onChange={e => setStepSec(parseInt(e.target.value) || 10)} style={{ ...inputStyle, width: '55px' }} />
                         </label>
+                        {fixedWindow && !selectedPass && (
+                            <span style={{ fontSize: '0.8em', color: '#4ecdc4' }} title="Fixed time window (scenario file or measurement alignment)">
+                                {fixedWindow.start.toISOString().slice(0, 16)}Z ~ {fixedWindow.end.toISOString().slice(11, 16)}Z
+                                <button onClick={() => setFixedWindow(null)} style={{ marginLeft: '4px', background: 'none', border: 'none', color: '#ff6b6b', cursor: 'pointer' }} title="Start from the simulation clock instead">{'\u2715'}</button>
+                            </span>
+                        )}
                     </div>
                 </div>
 
@@ -460,19 +896,55 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                             <input type="number" step="1" value={gRx} onChange={e => setGRx(parseFloat(e.target.value))} style={{ ...inputStyle, width: '55px' }} />
                         </label>
                     </div>
+                    <div style={inputGroupStyle}>
+                        <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }} title="Terminal uplink + satellite transponder; SNR becomes end-to-end">
+                            <input type="checkbox" checked={uplink.enabled} onChange={e => updateUplink({ enabled: e.target.checked })} />
+                            <strong>{'\u2b06\ufe0f'} Uplink</strong>
+                        </label>
+                        {uplink.enabled && (
+                            <>
+                                <label style={labelStyle}>Freq(GHz):
+                                    <input type="number" step="0.5" value={uplink.freq} onChange={e => updateUplink({ freq: parseFloat(e.target.value) })} style={{ ...inputStyle, width: '55px' }} />
+                                </label>
+                                <label style={labelStyle}>EIRP(dBW):
+                                    <input type="number" step="1" value={uplink.eirp} onChange={e => updateUplink({ eirp: parseFloat(e.target.value) })} style={{ ...inputStyle, width: '50px' }} />
+                                </label>
+                                <label style={labelStyle} title="Satellite receive G/T">Sat G/T:
+                                    <input type="number" step="1" value={uplink.satGOverT_dBK} onChange={e => updateUplink({ satGOverT_dBK: parseFloat(e.target.value) })} style={{ ...inputStyle, width: '45px' }} />
+                                </label>
+                                <label style={labelStyle}>Payload:
+                                    <select value={uplink.payload} onChange={e => updateUplink({ payload: e.target.value })} style={selectStyle}>
+                                        <option value="transparent">Bent-pipe</option>
+                                        <option value="regenerative">Regenerative</option>
+                                    </select>
+                                </label>
+                                <label style={labelStyle} title="Transponder output backoff (reduces downlink EIRP)">OBO(dB):
+                                    <input type="number" step="0.5" min="0" value={uplink.outputBackoff_dB} onChange={e => updateUplink({ outputBackoff_dB: parseFloat(e.target.value) || 0 })} style={{ ...inputStyle, width: '45px' }} />
+                                </label>
+                                <label style={labelStyle} title="Carrier-to-intermodulation ratio; empty = single carrier, no IM">C/IM(dB):
+                                    <input type="number" step="1" value={uplink.cim_dB ?? ''} placeholder={'\u221e'} onChange={e => updateUplink({ cim_dB: e.target.value === '' ? null : parseFloat(e.target.value) })} style={{ ...inputStyle, width: '45px' }} />
+                                </label>
+                            </>
+                        )}
+                    </div>
                     <div style={inputGroupStyle}>
                         <label style={labelStyle}>Rain(mm/h):
-                            <input type="number" step="1" min="0" max="100" value={rainRate} onChange={e => setRainRate(parseFloat(e.target.value))} style={{ ...inputStyle, width: '55px' }} />
+                            <input type="number" step="1" min="0" max="100" value={rainRate} disabled={rainClimatology} onChange={e => setRainRate(parseFloat(e.target.value))} style={{ ...inputStyle, width: '55px' }} />
                         </label>
                         <label style={labelStyle}>TEC:
                             <input type="number" step="10" value={tec} onChange={e => setTec(parseFloat(e.target.value))} style={{ ...inputStyle, width: '55px' }} />
                         </label>
+                        <label style={labelStyle}>Pol:
+                            <select value={polarization} onChange={e => setPolarization(e.target.value)} style={selectStyle}>
+                                <option value="RHCP">RHCP</option>
+                                <option value="LHCP">LHCP</option>
+                                <option value="Linear-H">Linear-H</option>
+                                <option value="Linear-V">Linear-V</option>
+                            </select>
+                        </label>
                         <label style={labelStyle}>Env:
                             <select value={env} onChange={e => setEnv(e.target.value)} style={selectStyle}>
-                                <option value="suburban">suburban</option>
-                                <option value="urban">urban</option>
-                                <option value="rural">rural</option>
-                                <option value="maritime">maritime</option>
+                                {ENVIRONMENTS.map(e => <option key={e} value={e}>{e}</option>)}
                             </select>
                         </label>
                         <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
@@ -480,21 +952,103 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                             <span>Smooth</span>
                         </label>
                     </div>
+                    <div style={inputGroupStyle}>
+                        <label style={labelStyle} title="Seeded fast-fading envelope (disabled in Smooth mode); the built-in per-environment Rician K and Loo parameters are illustrative, not a published set">Fading:
+                            <select value={fadingModel} onChange={e => setFadingModel(e.target.value)} style={selectStyle}>
+                                <option value="none">none</option>
+                                <option value="rician">Rician (illustrative K)</option>
+                                <option value="loo">Loo (illustrative params)</option>
+                            </select>
+                        </label>
+                        <label style={labelStyle} title="Doppler spectrum and spread f_d">f_d(Hz):
+                            <select value={dopplerSpectrum} onChange={e => setDopplerSpectrum(e.target.value)} style={selectStyle}>
+                                <option value="jakes">Jakes</option>
+                                <option value="gaussian">Gaussian</option>
+                            </select>
+                            <input type="number" step="0.5" min="0" value={dopplerSpread} onChange={e => setDopplerSpread(parseFloat(e.target.value) || 0)} style={{ ...inputStyle, width: '45px' }} />
+                        </label>
+                        <label style={labelStyle} title="Same seed reproduces the same realization; stored in the JSON export metadata">Seed:
+                            <input type="number" step="1" value={fadingSeed} onChange={e => setFadingSeed(parseInt(e.target.value) || 0)} style={{ ...inputStyle, width: '90px' }} />
+                        </label>
+                        <label style={labelStyle} title="3-state Markov model (LOS / Shadowed / Blocked) after P\u00e9rez-Font\u00e1n et al. / ITU-R P.681, transitions driven by travelled distance; built-in parameters are illustrative, not a published set">LMS:
+                            <select value={lmsModel} onChange={e => setLmsModel(e.target.value)} style={selectStyle}>
+                                <option value="deterministic">deterministic</option>
+                                <option value="markov">3-state Markov (illustrative params)</option>
+                            </select>
+                        </label>
+                        {lmsModel === 'markov' && (
+                            <label style={labelStyle} title="Terminal speed">v(m/s):
+                                <input type="number" step="1" min="0" value={speed} onChange={e => setSpeed(parseFloat(e.target.value) || 0)} style={{ ...inputStyle, width: '45px' }} />
+                            </label>
+                        )}
+                        <label style={labelStyle} title="3GPP TR 38.811 NTN TDL/CDL profile for the CIR (per-tap Doppler from satellite motion)">CIR:
+                            <select value={cirProfile} onChange={e => setCirProfile(e.target.value)} style={selectStyle}>
+                                <option value="legacy">legacy</option>
+                                {NTN_CHANNEL_PROFILES.map(p => <option key={p} value={p}>{p}</option>)}
+                            </select>
+                        </label>
+                        {cirProfile !== 'legacy' && (
+                            <>
+                                <label style={labelStyle} title="Desired RMS delay spread">DS(ns):
+                                    <input type="number" step="10" min="0" value={ntnDelaySpread} onChange={e => setNtnDelaySpread(parseFloat(e.target.value) || 0)} style={{ ...inputStyle, width: '55px' }} />
+                                </label>
+                                <label style={labelStyle} title="Desired K-factor (LOS profiles C/D only, blank = profile default)">K(dB):
+                                    <input type="number" step="1" value={ntnKFactor ?? ''} placeholder="auto" onChange={e => { const k = parseFloat(e.target.value); setNtnKFactor(Number.isFinite(k) ? k : null); }} style={{ ...inputStyle, width: '45px' }} />
+                                </label>
+                            </>
+                        )}
+                        <button onClick={() => setFadingSeed(Math.floor(Math.random() * 2147483647))} style={{ ...selectStyle, cursor: 'pointer' }} title="New random seed">{'\ud83c\udfb2'}</button>
+                    </div>
+                    <div style={inputGroupStyle}>
+                        <label style={labelStyle} title="ITU-R P.676 surface pressure">P(hPa):
+                            <input type="number" step="1" value={pressure} onChange={e => setPressure(parseFloat(e.target.value))} style={{ ...inputStyle, width: '60px' }} />
+                        </label>
+                        <label style={labelStyle} title="ITU-R P.676 surface temperature">T({'\u00b0'}C):
+                            <input type="number" step="1" value={temperature} onChange={e => setTemperature(parseFloat(e.target.value))} style={{ ...inputStyle, width: '50px' }} />
+                        </label>
+                        <label style={labelStyle} title="ITU-R P.676 surface water-vapour density">{'\u03c1'}(g/m{'\u00b3'}):
+                            <input type="number" step="0.5" min="0" value={waterVapour} onChange={e => setWaterVapour(parseFloat(e.target.value))} style={{ ...inputStyle, width: '50px' }} />
+                        </label>
+                        <label style={labelStyle} title="ITU-R P.840 columnar cloud liquid water content">LWC(kg/m{'\u00b2'}):
+                            <input type="number" step="0.1" min="0" value={cloudLWC} onChange={e => setCloudLWC(parseFloat(e.target.value))} style={{ ...inputStyle, width: '50px' }} />
+                        </label>
+                        <label style={labelStyle} title="ITU-R P.840 cloud liquid water temperature">T_cloud({'\u00b0'}C):
+                            <input type="number" step="1" value={cloudTemperature} onChange={e => setCloudTemperature(parseFloat(e.target.value))} style={{ ...inputStyle, width: '45px' }} />
+                        </label>
+                    </div>
                 </div>
             </div>
 
             {/* === Action Buttons === */}
             <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '10px', flexWrap: 'wrap' }}>
-                <button onClick={handleFindPass} disabled={searchingPass} style={{ ...btnPrimary, background: 'linear-gradient(135deg, #f39c12, #e67e22)' }}>
+                <button onClick={handleFindPass} disabled={searchingPass || computing} style={{ ...btnPrimary, background: 'linear-gradient(135deg, #f39c12, #e67e22)' }}>
                     {searchingPass ? '\u23f3 Searching...' : '\ud83d\udd0d Search Passes'}
                 </button>
-                <button onClick={handleGenerate} disabled={computing} style={btnPrimary}>
+                <button onClick={handleGenerate} disabled={computing || searchingPass} style={btnPrimary}>
                     {computing ? '\u23f3 Computing...' : '\ud83d\ude80 Generate Channel TimeSeries'}
                 </button>
+                {progress !== null && (
+                    <>
+                        <div style={{ width: '140px', height: '8px', background: '#2c3e50', borderRadius: '4px', overflow: 'hidden' }} title={(progress * 100).toFixed(0) + '%'}>
+                            <div style={{ width: (progress * 100) + '%', height: '100%', background: '#4ecdc4' }} />
+                        </div>
+                        <span style={{ fontSize: '0.8em', color: '#aaa' }}>{(progress * 100).toFixed(0)}%</span>
+                        <button onClick={handleCancel} style={{ ...btnExport, background: '#c0392b' }}>{'\u23f9\ufe0f'} Cancel</button>
+                    </>
+                )}
+                <button onClick={handleSaveScenario} style={btnExport} title="Save TLE, ground station, time window, link / fading / calibration settings and App params as a scenario file (also runs with: satchan run --scenario)">{'\ud83d\udcbe'} Save Scenario</button>
+                <button onClick={() => scenarioFileRef.current && scenarioFileRef.current.click()} style={btnExport} title="Load a scenario file and restore this panel and the main App parameters">{'\ud83d\udcc2'} Load Scenario</button>
+                <input ref={scenarioFileRef} type="file" accept=".json" onChange={handleLoadScenario} style={{ display: 'none' }} />
                 {timeline.length > 0 && (
                     <>
                         <button onClick={exportCSV} style={btnExport}>{'\ud83d\udce5'} CSV</button>
                         <button onClick={exportJSON} style={btnExport}>{'\ud83d\udce5'} JSON</button>
+                        <button onClick={exportHfCSV} style={btnExport} title="Time-frequency response |H(f,t)| (dB) over the occupied bandwidth">{'\ud83d\udce5'} H(f,t)</button>
+                        <label style={labelStyle} title="Sample rate of the interleaved float32 IQ file">fs(MHz):
+                            <input type="number" step="0.1" min="0" value={iqSampleRate} onChange={e => setIqSampleRate(parseFloat(e.target.value) || 0)} style={{ ...inputStyle, width: '55px' }} />
+                        </label>
+                        <button onClick={() => iqFileRef.current && iqFileRef.current.click()} style={btnExport} title="Load an interleaved float32 IQ file, apply CIR / Doppler / AWGN / XPD of this run and download the impaired co-pol and cross-pol files">{'\ud83d\udce1'} Impair IQ</button>
+                        <input ref={iqFileRef} type="file" accept=".cf32,.bin,.iq,.raw" onChange={handleImpairIQ} style={{ display: 'none' }} />
                     </>
                 )}
             </div>
@@ -565,6 +1119,9 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                                                                         if (bp) {
                                                                             setFreq(bp.freq);
                                                                             setEirp(bp.eirp);
+                                                                            if (bp.polarization) setPolarization(bp.polarization);
+                                                                            const berDefaults = errorRateConfigFor(bp.modulation);
+                                                                            if (berDefaults) updateBer(berDefaults);
                                                                             statusParts.push(`🛰️ ${found.name} / ${meta.band}频段`);
                                                                         }
                                                                     } else {
@@ -580,6 +1137,7 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                                                                 if (sat.freq != null) setFreq(sat.freq);
                                                                 if (sat.eirp != null) setEirp(sat.eirp);
                                                                 if (sat.bandwidth != null) setBandwidth(sat.bandwidth);
+                                                                if (sat.polarization) setPolarization(sat.polarization);
                                                                 // 必填字段校验
                                                                 const missing = [];
                                                                 if (sat.freq == null) missing.push('freq(频率)');
@@ -657,6 +1215,11 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                                             calibMeasurements.some(m => m.measuredAttenuation_dB != null) && 'Atten',
                                             calibMeasurements.some(m => m.measuredLoss != null) && 'Loss(旧)'
                                         ].filter(Boolean).join(', ') || '无'}
+                                        {measurementTimeRange(calibMeasurements) && (
+                                            <button onClick={handleAlignClock} style={{ marginLeft: '6px', fontSize: '0.95em', cursor: 'pointer' }} title="仿真时钟暂停在首个测量时刻，仿真窗口设为测量时间范围">
+                                                {'\u23f1\ufe0f'} 对齐时钟到测量
+                                            </button>
+                                        )}
                                     </div>
                                 )}
                             </div>
@@ -687,6 +1250,9 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                                                 if (bp) {
                                                     setFreq(bp.freq);
                                                     setEirp(bp.eirp);
+                                                    if (bp.polarization) setPolarization(bp.polarization);
+                                                    const berDefaults = errorRateConfigFor(bp.modulation);
+                                                    if (berDefaults) updateBer(berDefaults);
                                                     setCalibStatus(`\u2705 已应用 ${bp.satName} ${e.target.value} 频段: ${bp.freq}GHz, ${bp.eirp}dBW, ${bp.polarization}`);
                                                 }
                                             }}
@@ -760,7 +1326,7 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                                     setCalibStatus(`${warnText}⏳ 正在校准...`);
                                     setTimeout(() => {
                                         const refSat = calibSatId && calibBandKey ? getSatelliteBandParams(calibSatId, calibBandKey) : null;
-                                        const profile = calibrateModel(calibMeasurements, { freq, eirp, gRx, tRx, bandwidth, tec, env, rainRate }, refSat);
+                                        const profile = calibrateModel(calibMeasurements, { freq, eirp, gRx, tRx, bandwidth, tec, env, rainRate, polarization, pressure_hPa: pressure, temperature_C: temperature, waterVapour_gm3: waterVapour, cloudLWC, cloudTemperature_C: cloudTemperature, ...rainStats, stationLat: gsLat, stationLon: gsLon, stationAlt: gsAlt }, refSat);
                                         setCalibProfile(profile);
                                         setUseCalibration(true);
                                         const defs = getCalibParamDefs();
@@ -902,7 +1468,7 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                             );
                         })}
                         <button
-                            onClick={() => { setSelectedPass(null); setStatusMsg('Switched to free time mode (starts from now)'); }}
+                            onClick={() => { setSelectedPass(null); setFixedWindow(null); setStatusMsg('Switched to free time mode (starts from now)'); }}
                             style={{ padding: '4px 10px', borderRadius: '4px', cursor: 'pointer', fontSize: '0.8em', background: !selectedPass ? '#4ecdc4' : '#2c3e50', color: !selectedPass ? '#000' : '#eee', border: !selectedPass ? '2px solid #fff' : '1px solid #555' }}
                         >
                             {'\ud83d\udd70\ufe0f'} Start from now
@@ -925,6 +1491,74 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                         <Line data={rxSnrChartData} options={rxSnrChartOpts} />
                     </div>
 
+                    <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '6px', padding: '12px', marginBottom: '15px' }}>
+                        <Line data={dopplerChartData} options={dopplerChartOpts} />
+                    </div>
+
+                    {acm && (
+                        <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '6px', padding: '12px', marginBottom: '15px' }}>
+                            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '8px' }}>
+                                <strong style={{ fontSize: '0.9em' }}>{'\ud83d\udcf6'} ACM:</strong>
+                                <label style={labelStyle}>Standard:
+                                    <select value={acmConfig.standard} onChange={e => updateAcm({ standard: e.target.value })} style={selectStyle}>
+                                        <option value="s2">DVB-S2</option>
+                                        <option value="s2x">DVB-S2X</option>
+                                    </select>
+                                </label>
+                                <label style={labelStyle} title="Es/N0 kept above the MODCOD threshold">Margin(dB):
+                                    <input type="number" step="0.5" value={acmConfig.margin_dB} onChange={e => updateAcm({ margin_dB: parseFloat(e.target.value) || 0 })} style={{ ...inputStyle, width: '45px' }} />
+                                </label>
+                                <label style={labelStyle} title="Extra Es/N0 required before switching to a higher MODCOD">Hysteresis(dB):
+                                    <input type="number" step="0.1" min="0" value={acmConfig.hysteresis_dB} onChange={e => updateAcm({ hysteresis_dB: Math.max(0, parseFloat(e.target.value) || 0) })} style={{ ...inputStyle, width: '45px' }} />
+                                </label>
+                                <span style={{ fontSize: '0.82em', color: '#aaa' }}>Rs = {timeline[0].symbolRate_Mbaud.toFixed(2)} Mbaud</span>
+                            </div>
+                            {acmChartData && <Line data={acmChartData} options={acmChartOpts} />}
+                            <div style={{ fontSize: '0.82em', color: '#ccc', marginTop: '6px' }}>
+                                {acm.passes.length === 0 ? 'No visible frames.' : acm.passes.map((p, i) => (
+                                    <div key={i}>
+                                        Pass {i + 1}: {p.start.toLocaleTimeString()} {'\u2013'} {p.end.toLocaleTimeString()} | <strong>{p.switches}</strong> MODCOD switches | mean {p.meanBitrate_Mbps.toFixed(1)} Mbps | {p.dataVolume_Gbit.toFixed(2)} Gbit | outage {(p.outageFraction * 100).toFixed(1)}%
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {errorRates && (
+                        <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '6px', padding: '12px', marginBottom: '15px' }}>
+                            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '8px' }}>
+                                <strong style={{ fontSize: '0.9em' }}>{'\ud83c\udfaf'} BER / BLER:</strong>
+                                <label style={labelStyle}>Modulation:
+                                    <select value={berConfig.modcod || berConfig.modulation} onChange={e => updateBer(errorRateConfigFor(e.target.value))} style={selectStyle}>
+                                        <optgroup label="Uncoded">
+                                            {BER_MODULATIONS.map(m => <option key={m} value={m}>{m}</option>)}
+                                        </optgroup>
+                                        <optgroup label="DVB-S2 (coded BLER, illustrative waterfall)">
+                                            {DVBS2_MODCODS.map(m => <option key={m.name} value={m.name}>{m.name}</option>)}
+                                        </optgroup>
+                                    </select>
+                                </label>
+                                <label style={labelStyle} title="Uncoded outage: BER above this target">Target BER:
+                                    <select value={berConfig.targetBer} onChange={e => updateBer({ targetBer: parseFloat(e.target.value) })} style={selectStyle}>
+                                        {[1e-3, 1e-4, 1e-5, 1e-6, 1e-7].map(v => <option key={v} value={v}>{v.toExponential(0)}</option>)}
+                                    </select>
+                                </label>
+                                <span style={{ fontSize: '0.82em', color: '#aaa' }}>Required Es/N0 = {errorRates.config.requiredEsN0_dB.toFixed(2)} dB</span>
+                                {errorRates.config.blerCurve && errorRates.config.blerCurve.illustrative && (
+                                    <span style={{ fontSize: '0.78em', color: '#f7b731' }} title={errorRates.config.blerCurve.source}>BLER: illustrative waterfall, not published DVB-S2 curves</span>
+                                )}
+                            </div>
+                            {berChartData && <Line data={berChartData} options={berChartOpts} />}
+                            <div style={{ fontSize: '0.82em', color: '#ccc', marginTop: '6px' }}>
+                                {errorRates.passes.length === 0 ? 'No visible frames.' : errorRates.passes.map((p, i) => (
+                                    <div key={i}>
+                                        Pass {i + 1}: mean BER <strong>{p.meanBer.toExponential(2)}</strong>{p.meanBler != null ? ' | mean BLER ' + p.meanBler.toExponential(2) : ''} | outage probability <strong>{(p.outageProbability * 100).toFixed(2)}%</strong>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
                     <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '6px', padding: '12px', marginBottom: '15px' }}>
                         <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '8px' }}>
                             <strong style={{ fontSize: '0.9em' }}>CIR Frame:</strong>
@@ -937,12 +1571,16 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                                 style={{ flex: 1 }}
                             />
                             <span style={{ fontFamily: 'monospace', fontSize: '0.85em', minWidth: '280px', textAlign: 'right' }}>
-                                {timeline[cirIdx]?.timeLabel} | El: {timeline[cirIdx]?.elevation.toFixed(1)}{'\u00b0'} | SNR: {timeline[cirIdx]?.snrDb.toFixed(1)}dB | RxP: {timeline[cirIdx]?.rxPowerDbm.toFixed(1)}dBm
+                                {timeline[cirIdx]?.timeLabel} | El: {timeline[cirIdx]?.elevation.toFixed(1)}{'\u00b0'} | SNR: {timeline[cirIdx]?.snrDb.toFixed(1)}dB | RxP: {timeline[cirIdx]?.rxPowerDbm.toFixed(1)}dBm | f_D: {(timeline[cirIdx]?.doppler_Hz / 1e3).toFixed(2)}kHz
                             </span>
                         </div>
                         <canvas ref={cirCanvasRef} width={700} height={280} style={{ width: '100%', borderRadius: '4px' }} />
                     </div>
 
+                    <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '6px', padding: '12px', marginBottom: '15px' }}>
+                        <canvas ref={hfCanvasRef} width={700} height={240} style={{ width: '100%', borderRadius: '4px' }} />
+                    </div>
+
                     <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '15px' }}>
                         {attBreakdownData && (
                             <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '6px', padding: '12px' }}>
@@ -972,9 +1610,13 @@ export default function ChannelSimPanel({ tleLine1, tleLine2, satName, globalPar
                                             ['Range', currentFrame.slantRange.toFixed(1) + ' km', 'FSPL', currentFrame.absoluteFspl.toFixed(2) + ' dB'],
                                             ['Rx Power', currentFrame.rxPowerDbm.toFixed(2) + ' dBm', 'SNR', currentFrame.snrDb.toFixed(2) + ' dB'],
                                             ['Noise Floor', currentFrame.noiseFloorDbm.toFixed(2) + ' dBm', 'T_sky', currentFrame.tSky.toFixed(1) + ' K'],
+                                            ...(currentErr && currentErr.visible ? [['BER', currentErr.ber.toExponential(2), currentErr.bler != null ? 'BLER' : 'BER (AWGN)', (currentErr.bler != null ? currentErr.bler : currentErr.berAwgn).toExponential(2)]] : []),
+                                            ...(currentAcm && currentAcm.visible ? [['MODCOD', currentAcm.modcod || 'Outage', 'Net Bitrate', currentAcm.netBitrate_Mbps.toFixed(1) + ' Mbps'], ['Es/N0', currentAcm.esN0_dB.toFixed(2) + ' dB', 'Spectral Eff.', currentAcm.spectralEfficiency.toFixed(3) + ' bit/sym']] : []),
+                                            ...(currentFrame.uplinkSnrDb != null ? [['Uplink SNR', currentFrame.uplinkSnrDb.toFixed(2) + ' dB', 'Downlink SNR', currentFrame.downlinkSnrDb.toFixed(2) + ' dB'], ['Uplink Rain', currentFrame.uplinkAttRain.toFixed(2) + ' dB', 'Limiting', currentFrame.limitingLeg]] : []),
                                             ['XPD', currentFrame.xpd.toFixed(2) + ' dB', 'MIMO R2', currentFrame.capRank2.toFixed(2) + ' bps/Hz'],
                                             ['Group Delay', currentFrame.groupDelayNs.toFixed(2) + ' ns', 'Dispersion', currentFrame.dispersionNs.toFixed(3) + ' ns'],
                                             ['\u03c3_\u03c4', currentFrame.cir.rmsDelaySpread_ns.toFixed(2) + ' ns', 'Bc', currentFrame.cir.coherenceBandwidth_MHz.toFixed(1) + ' MHz'],
+                                            ['LMS State', currentFrame.lmsState || '\u2014', 'Shadowing', currentFrame.fadeLMS.toFixed(2) + ' dB'],
                                         ].map((row, i) => (
                                             <tr key={i} style={{ borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
                                                 <td style={{ padding: '3px 6px', color: '#aaa' }}>{row[0]}</td>
@@ -0,0 +1,256 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Line } from 'react-chartjs-2';
+import { parseTLESet, HANDOVER_POLICIES } from './constellation.js';
+import { timelineToCSV, timelineToJSON } from './channelExport.js';
+import { createSimWorkerClient, SimCancelledError } from './simWorkerClient.js';
+
+const POLICY_LABELS = {
+    'highest-elevation': 'Highest elevation',
+    'longest-visibility': 'Longest remaining visibility',
+    'best-snr': 'Best SNR'
+};
+// 迟滞单位随策略变化；longest-visibility 保持到服务星落下，不使用迟滞
+const HYSTERESIS_UNITS = { 'highest-elevation': '°', 'best-snr': 'dB' };
+
+/**
+ * Constellation Visibility / Handover Panel
+ *
+ * Input: multi-satellite TLE / 3LE set or CCSDS OMM file (Starlink, OneWeb, Qianfan ...) + ground station + base link params
+ * Output: serving-satellite timeline under a handover policy, handover / outage events,
+ * stitched channel time series (same CSV / JSON format as ChannelSimPanel, plus serving-satellite columns).
+ * The simulation window starts at the global simulation clock (see simClock.js).
+ * Runs in the background simulation worker (progress / cancel).
+ */
+export default function ConstellationPanel({ baseParams, groundStation, clock }) {
+    const [satellites, setSatellites] = useState([]);
+    const [setName, setSetName] = useState('');
+    const [policy, setPolicy] = useState('highest-elevation');
+    const [minElevation, setMinElevation] = useState(25);
+    const [hysteresis, setHysteresis] = useState('');
+    const [durationMin, setDurationMin] = useState(30);
+    const [stepSec, setStepSec] = useState(10);
+    const [result, setResult] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [statusMsg, setStatusMsg] = useState('');
+
+    const workerRef = useRef(null);
+    useEffect(() => () => { if (workerRef.current) workerRef.current.dispose(); }, []);
+
+    function loadTLEText(text, name) {
+        const sats = parseTLESet(text);
+        setSatellites(sats);
+        setSetName(name);
+        setResult(null);
+        setStatusMsg(sats.length > 0 ? '✅ Loaded ' + sats.length + ' satellites from ' + name : '⚠️ No TLE line 1/line 2 pairs or OMM records in ' + name);
+    }
+
+    function handleFile(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => loadTLEText(reader.result, file.name);
+        reader.readAsText(file);
+        e.target.value = '';
+    }
+
+    async function handleRun() {
+        if (!workerRef.current) workerRef.current = createSimWorkerClient();
+        const now = clock.now();
+        const args = {
+            satellites,
+            lat: groundStation.lat, lon: groundStation.lon, alt: groundStation.alt,
+            startTime: now, endTime: new Date(now.getTime() + durationMin * 60000), stepSec,
+            policy, minElevation_deg: minElevation,
+            hysteresis: hysteresis === '' ? null : parseFloat(hysteresis),
+            linkParams: baseParams
+        };
+        setProgress(0);
+        setStatusMsg('⏳ Propagating ' + satellites.length + ' satellites...');
+        try {
+            const res = await workerRef.current.runHandover(args, { onProgress: setProgress });
+            setResult(res);
+            setStatusMsg('✅ ' + res.summary.handoverCount + ' handover(s), outage ' + (100 * res.summary.outageFraction).toFixed(1) + '%');
+        } catch (err) {
+            setStatusMsg(err instanceof SimCancelledError ? '⏹️ Handover simulation cancelled' : '⚠️ ' + err.message);
+        }
+        setProgress(null);
+    }
+
+    function downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    const stamp = () => new Date().toISOString().slice(0, 16);
+
+    function exportJSON() {
+        const json = timelineToJSON(result.timeline, {
+            satellite: setName || 'Constellation (' + result.config.satellites + ' satellites)',
+            groundStation,
+            linkConfig: baseParams,
+            stepSec: result.config.stepSec,
+            handover: result
+        });
+        downloadFile(JSON.stringify(json, null, 2), 'handover_' + stamp() + '.json', 'application/json');
+    }
+
+    // === Chart ===
+    const chartData = result ? {
+        labels: result.steps.map(s => s.time.toLocaleTimeString()),
+        datasets: [
+            {
+                label: 'Serving Elevation (°)',
+                data: result.steps.map(s => s.elevation),
+                borderColor: '#4ecdc4',
+                pointRadius: result.steps.map((s, k) => k > 0 && s.serving !== null && result.steps[k - 1].serving !== null && s.serving !== result.steps[k - 1].serving ? 4 : 0),
+                spanGaps: false,
+                yAxisID: 'y'
+            },
+            {
+                label: 'Serving SNR (dB)',
+                data: result.steps.map(s => s.snrDb),
+                borderColor: '#f7dc6f',
+                pointRadius: 0,
+                spanGaps: false,
+                yAxisID: 'y1'
+            },
+            {
+                label: 'Visible Satellites',
+                data: result.steps.map(s => s.visibleCount),
+                borderColor: 'rgba(187,143,206,0.8)',
+                pointRadius: 0,
+                stepped: true,
+                yAxisID: 'y2'
+            }
+        ]
+    } : null;
+    const chartOpts = {
+        responsive: true,
+        plugins: { legend: { labels: { color: '#ccc' } } },
+        scales: {
+            x: { ticks: { color: '#aaa', maxTicksLimit: 12 } },
+            y: { position: 'left', min: 0, max: 90, title: { display: true, text: 'Elevation (°)', color: '#aaa' }, ticks: { color: '#aaa' } },
+            y1: { position: 'right', title: { display: true, text: 'SNR (dB)', color: '#aaa' }, ticks: { color: '#aaa' }, grid: { drawOnChartArea: false } },
+            y2: { position: 'right', min: 0, title: { display: true, text: 'Visible', color: '#aaa' }, ticks: { color: '#aaa', stepSize: 1 }, grid: { drawOnChartArea: false } }
+        }
+    };
+
+    // === Styles ===
+    const panelStyle = { padding: '20px', border: '2px solid #bb8fce', borderRadius: '8px', marginBottom: '20px', background: 'linear-gradient(135deg, #0a0a2e 0%, #1a1a3e 100%)', color: '#eee', textAlign: 'left' };
+    const inputStyle = { width: '65px', fontFamily: 'monospace', padding: '3px 6px', borderRadius: '3px', border: '1px solid #555', background: '#1a1a2e', color: '#eee' };
+    const labelStyle = { fontSize: '0.85em', whiteSpace: 'nowrap' };
+    const btn = { padding: '5px 14px', background: '#2c3e50', color: '#eee', border: '1px solid #bb8fce', borderRadius: '4px', fontWeight: 'bold', cursor: 'pointer', fontSize: '0.85em' };
+    const cellStyle = { padding: '3px 8px', borderBottom: '1px solid #333', fontFamily: 'monospace', fontSize: '0.8em', textAlign: 'right' };
+
+    return (
+        <div style={panelStyle}>
+            <h3 style={{ margin: '0 0 15px 0', fontSize: '1.2em' }}>{'🛰️'} Constellation Visibility / Handover</h3>
+
+            <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '10px' }}>
+                <label style={{ ...btn, display: 'inline-block' }}>
+                    {'📂'} Load TLE / OMM Set
+                    <input type="file" accept=".tle,.txt,.3le,.json,.xml,.kvn,.omm" onChange={handleFile} style={{ display: 'none' }} />
+                </label>
+                <span style={{ fontSize: '0.8em', color: '#aaa' }}>{satellites.length > 0 ? setName + ' — ' + satellites.length + ' satellites' : 'No constellation loaded'}</span>
+            </div>
+
+            <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '10px' }}>
+                <label style={labelStyle}>Policy:
+                    <select value={policy} onChange={e => { setPolicy(e.target.value); setHysteresis(''); }} style={{ ...inputStyle, width: 'auto' }}>
+                        {HANDOVER_POLICIES.map(p => <option key={p} value={p}>{POLICY_LABELS[p]}</option>)}
+                    </select>
+                </label>
+                <label style={labelStyle}>Mask(°):
+                    <input type="number" min="0" max="90" value={minElevation} onChange={e => setMinElevation(parseFloat(e.target.value) || 0)} style={inputStyle} />
+                </label>
+                {HYSTERESIS_UNITS[policy] && (
+                    <label style={labelStyle} title="Blank = policy default (5° / 1 dB)">Hysteresis({HYSTERESIS_UNITS[policy]}):
+                        <input type="number" min="0" step="0.5" value={hysteresis} placeholder="auto" onChange={e => setHysteresis(e.target.value)} style={inputStyle} />
+                    </label>
+                )}
+                <label style={labelStyle}>Duration(min):
+                    <input type="number" min="1" value={durationMin} onChange={e => setDurationMin(parseFloat(e.target.value) || 30)} style={inputStyle} />
+                </label>
+                <label style={labelStyle}>Step(s):
+                    <input type="number" min="1" value={stepSec} onChange={e => setStepSec(parseFloat(e.target.value) || 10)} style={inputStyle} />
+                </label>
+            </div>
+
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', margin: '10px 0', flexWrap: 'wrap' }}>
+                <button onClick={handleRun} disabled={progress !== null || satellites.length === 0} style={{ ...btn, background: 'linear-gradient(135deg, #bb8fce, #8e44ad)', color: '#fff' }}>{'▶️'} Run Handover</button>
+                {progress !== null && (
+                    <>
+                        <div style={{ width: '140px', height: '8px', background: '#2c3e50', borderRadius: '4px', overflow: 'hidden' }}>
+                            <div style={{ width: (progress * 100) + '%', height: '100%', background: '#bb8fce' }} />
+                        </div>
+                        <span style={{ fontSize: '0.8em', color: '#aaa' }}>{(progress * 100).toFixed(0)}%</span>
+                        <button onClick={() => workerRef.current && workerRef.current.cancel()} style={{ ...btn, background: '#c0392b' }}>{'⏹️'} Cancel</button>
+                    </>
+                )}
+                {result && result.timeline.length > 0 && (
+                    <>
+                        <button onClick={() => downloadFile(timelineToCSV(result.timeline, { handover: result }), 'handover_' + stamp() + '.csv', 'text/csv')} style={btn}>{'📥'} Stitched CSV</button>
+                        <button onClick={exportJSON} style={btn}>{'📥'} JSON</button>
+                    </>
+                )}
+            </div>
+            {statusMsg && <div style={{ fontSize: '0.85em', color: '#bb8fce', marginBottom: '10px' }}>{statusMsg}</div>}
+
+            {/* === Results === */}
+            {result && (
+                <>
+                    <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', fontSize: '0.85em', marginBottom: '10px' }}>
+                        <span>Handovers: <strong>{result.summary.handoverCount}</strong></span>
+                        <span>Outages: <strong>{result.summary.outageCount}</strong> ({(100 * result.summary.outageFraction).toFixed(1)}%, {result.summary.outageSec} s)</span>
+                        <span>Visible: mean <strong>{result.summary.meanVisible.toFixed(2)}</strong> / max <strong>{result.summary.maxVisible}</strong></span>
+                        <span>Hysteresis: {result.config.policy === 'longest-visibility' ? '—' : result.config.hysteresis + ' ' + HYSTERESIS_UNITS[result.config.policy]}</span>
+                    </div>
+
+                    <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '6px', padding: '12px', marginBottom: '12px' }}>
+                        <Line data={chartData} options={chartOpts} />
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+                        <div style={{ maxHeight: '220px', overflowY: 'auto' }}>
+                            <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                                <thead>
+                                    <tr>{['Handover', 'From', 'To'].map(h => <th key={h} style={{ ...cellStyle, color: '#bb8fce' }}>{h}</th>)}</tr>
+                                </thead>
+                                <tbody>
+                                    {result.handovers.map((h, i) => (
+                                        <tr key={i}>
+                                            <td style={cellStyle}>{h.time.toLocaleTimeString()}</td>
+                                            <td style={cellStyle}>{h.fromName}</td>
+                                            <td style={cellStyle}>{h.toName}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div style={{ maxHeight: '220px', overflowY: 'auto' }}>
+                            <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                                <thead>
+                                    <tr>{['Outage Start', 'End', 'Duration (s)'].map(h => <th key={h} style={{ ...cellStyle, color: '#ff6b6b' }}>{h}</th>)}</tr>
+                                </thead>
+                                <tbody>
+                                    {result.outages.map((o, i) => (
+                                        <tr key={i}>
+                                            <td style={cellStyle}>{o.start.toLocaleTimeString()}</td>
+                                            <td style={cellStyle}>{o.end.toLocaleTimeString()}</td>
+                                            <td style={cellStyle}>{o.durationSec}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,62 @@
+import React, { useState, useEffect } from 'react';
+import { CLOCK_RATES, CLOCK_STEPS_SEC } from './simClock.js';
+
+const STEP_LABELS = { 10: '10 s', 60: '1 min', 600: '10 min', 3600: '1 h' };
+
+function formatOffset(ms) {
+    const sign = ms < 0 ? '−' : '+';
+    let s = Math.round(Math.abs(ms) / 1000);
+    const d = Math.floor(s / 86400); s -= d * 86400;
+    const hms = [Math.floor(s / 3600), Math.floor(s / 60) % 60, s % 60].map(v => String(v).padStart(2, '0')).join(':');
+    return sign + (d > 0 ? d + 'd ' : '') + hms;
+}
+
+/**
+ * Simulation Clock Bar
+ *
+ * Shows and drives the global simulation clock (see simClock.js): UTC sim time and its offset from wall time,
+ * play / pause, rate multiplier, step back / forward and a settable epoch (UTC).
+ * Every orbit view, pass search, replay and live sync in the app reads "now" from this clock.
+ */
+export default function SimClockBar({ clock }) {
+    const [state, setState] = useState(() => clock.getState());
+    const [stepSec, setStepSec] = useState(60);
+    const [draft, setDraft] = useState(''); // datetime-local value, interpreted as UTC
+
+    useEffect(() => {
+        const refresh = () => setState(clock.getState());
+        const unsubscribe = clock.subscribe(refresh);
+        const timer = setInterval(refresh, 250);
+        return () => { unsubscribe(); clearInterval(timer); };
+    }, [clock]);
+
+    const live = clock.isRealTime();
+    const rates = CLOCK_RATES.includes(state.rate) ? CLOCK_RATES : [...CLOCK_RATES, state.rate].sort((a, b) => a - b);
+    const btn = { padding: '3px 10px', border: 'none', borderRadius: '4px', cursor: 'pointer', fontWeight: 'bold' };
+
+    return (
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', justifyContent: 'center', flexWrap: 'wrap', padding: '6px 10px', marginBottom: '10px', background: '#1a2a4a', color: '#fff', borderRadius: '6px', fontSize: '0.9em' }}>
+            <strong>🕒 Sim Clock</strong>
+            <span style={{ fontFamily: 'monospace', fontSize: '1.1em' }}>{state.time.toISOString().slice(0, 19).replace('T', ' ')} UTC</span>
+            {live
+                ? <span style={{ background: '#28a745', padding: '1px 8px', borderRadius: '8px', fontSize: '0.85em', fontWeight: 'bold' }}>● LIVE</span>
+                : <span style={{ background: '#ffc107', color: '#333', padding: '1px 8px', borderRadius: '8px', fontSize: '0.85em', fontWeight: 'bold' }} title="Offset from wall-clock time">Δ {formatOffset(state.offsetMs)}</span>}
+            <button onClick={() => (state.playing ? clock.pause() : clock.play())} style={{ ...btn, background: state.playing ? '#dc3545' : '#28a745', color: 'white' }}>
+                {state.playing ? '⏸ Pause' : '▶️ Play'}
+            </button>
+            <label>Rate:
+                <select value={state.rate} onChange={e => clock.setRate(parseFloat(e.target.value))} style={{ marginLeft: '4px' }}>
+                    {rates.map(r => <option key={r} value={r}>{r}×</option>)}
+                </select>
+            </label>
+            <button onClick={() => clock.step(-stepSec)} style={btn} title="Step back">⏮</button>
+            <select value={stepSec} onChange={e => setStepSec(parseInt(e.target.value))}>
+                {CLOCK_STEPS_SEC.map(s => <option key={s} value={s}>{STEP_LABELS[s] || s + ' s'}</option>)}
+            </select>
+            <button onClick={() => clock.step(stepSec)} style={btn} title="Step forward">⏭</button>
+            <input type="datetime-local" step="1" value={draft} onChange={e => setDraft(e.target.value)} title="Epoch (UTC)" />
+            <button onClick={() => clock.setTime(draft)} disabled={!draft} style={{ ...btn, background: '#6f42c1', color: 'white' }}>📌 Set UTC</button>
+            <button onClick={() => clock.syncToWallClock()} disabled={live} style={{ ...btn, background: '#17a2b8', color: 'white' }} title="Jump back to wall-clock time at 1×">🔴 Live</button>
+        </div>
+    );
+}
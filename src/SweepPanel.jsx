@@ -0,0 +1,286 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Line, Bar, Scatter } from 'react-chartjs-2';
+import { SWEEP_METHODS, SWEEP_PERCENTILES, sweepToCSV, sweepSummaryToCSV } from './sweep.js';
+import { createSimWorkerClient, SimCancelledError } from './simWorkerClient.js';
+
+// 常用扫描参数（亦可输入任意 calculateLinkBudget / generateChannelTimeSeries 数值字段）
+const PARAM_SUGGESTIONS = ['rainRate', 'tec', 'fadingSeed', 'gRx', 'eirp', 'tRx', 'elevation', 'freq', 'bandwidth', 'cloudLWC', 'waterVapour_gm3', 'temperature_C', 'pressure_hPa', 'dopplerSpread_Hz', 'speed_mps', 'xpdAnt', 'hpbw', 'timePercent', 'uplinkFreq', 'uplinkEirp', 'satGOverT_dBK', 'outputBackoff_dB', 'cim_dB'];
+
+const METRIC_LABELS = {
+    snrDb: 'SNR (dB)', rxPowerDbm: 'Rx Power (dBm)', totalAtmosphericLoss: 'Atm Loss (dB)', attRain: 'Rain Att (dB)', xpd: 'XPD (dB)',
+    capRank1: 'Cap Rank1 (bps/Hz)', capRank2: 'Cap Rank2 (bps/Hz)',
+    meanSnrDb: 'Mean SNR (dB)', minSnrDb: 'Min SNR (dB)', p10SnrDb: 'P10 SNR (dB)', meanCapRank1: 'Mean Cap Rank1 (bps/Hz)',
+    meanCapRank2: 'Mean Cap Rank2 (bps/Hz)', outageFraction: 'Outage Fraction'
+};
+
+/**
+ * Monte Carlo / Parameter Sweep Panel
+ *
+ * Input: base link params (App) + swept parameters + sampling method
+ * Output: percentiles, CDF, tornado sensitivity, metric-vs-parameter scatter + CSV/JSON export
+ * Time-series sweeps start at the global simulation clock (see simClock.js).
+ * Runs in the background simulation worker (progress / cancel).
+ */
+export default function SweepPanel({ baseParams, tleLine1, tleLine2, groundStation, clock }) {
+    const [mode, setMode] = useState('linkBudget');
+    const [method, setMethod] = useState('lhs');
+    const [samples, setSamples] = useState(1000);
+    const [seed, setSeed] = useState(1);
+    const [durationMin, setDurationMin] = useState(15);
+    const [stepSec, setStepSec] = useState(30);
+    const [sweepParams, setSweepParams] = useState([
+        { key: 'rainRate', min: 0, max: 50, steps: 5, scale: 'linear', integer: false },
+        { key: 'tec', min: 10, max: 100, steps: 5, scale: 'linear', integer: false }
+    ]);
+    const [result, setResult] = useState(null);
+    const [metric, setMetric] = useState('snrDb');
+    const [scatterKey, setScatterKey] = useState('rainRate');
+    const [progress, setProgress] = useState(null);
+    const [statusMsg, setStatusMsg] = useState('');
+
+    const workerRef = useRef(null);
+    useEffect(() => () => { if (workerRef.current) workerRef.current.dispose(); }, []);
+
+    function updateParam(i, patch) {
+        setSweepParams(prev => prev.map((p, k) => k === i ? { ...p, ...patch } : p));
+    }
+
+    async function handleRun() {
+        if (!workerRef.current) workerRef.current = createSimWorkerClient();
+        const now = clock.now();
+        const args = {
+            base: baseParams,
+            params: sweepParams.map(p => ({ ...p, integer: p.integer || p.key === 'fadingSeed' })),
+            method, samples, seed, mode,
+            window: mode === 'timeSeries'
+                ? { tleLine1, tleLine2, lat: groundStation.lat, lon: groundStation.lon, alt: groundStation.alt, startTime: now, endTime: new Date(now.getTime() + durationMin * 60000), stepSec }
+                : null
+        };
+        setProgress(0);
+        setStatusMsg('⏳ Running ' + method + ' sweep...');
+        try {
+            const res = await workerRef.current.runSweep(args, { onProgress: setProgress });
+            setResult(res);
+            if (!res.metrics.includes(metric)) setMetric(res.metrics[0]);
+            if (!res.params.some(p => p.key === scatterKey)) setScatterKey(res.params[0].key);
+            setStatusMsg('✅ ' + res.samples.length + ' samples evaluated');
+        } catch (err) {
+            setStatusMsg(err instanceof SimCancelledError ? '⏹️ Sweep cancelled' : '⚠️ ' + err.message);
+        }
+        setProgress(null);
+    }
+
+    function downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    const stamp = () => new Date().toISOString().slice(0, 16);
+
+    // === Charts ===
+    const cdfData = result ? {
+        datasets: [{
+            label: 'CDF ' + (METRIC_LABELS[metric] || metric),
+            data: result.cdf[metric].map(pt => ({ x: pt.x, y: pt.p })),
+            borderColor: '#4ecdc4',
+            pointRadius: 0,
+            stepped: true
+        }]
+    } : null;
+    const cdfOpts = {
+        responsive: true,
+        parsing: false,
+        plugins: { legend: { labels: { color: '#ccc' } } },
+        scales: {
+            x: { type: 'linear', title: { display: true, text: METRIC_LABELS[metric] || metric, color: '#aaa' }, ticks: { color: '#aaa' } },
+            y: { min: 0, max: 1, title: { display: true, text: 'P(X ≤ x)', color: '#aaa' }, ticks: { color: '#aaa' } }
+        }
+    };
+
+    // 龙卷风：每个参数取 min / max 时的指标区间，按摆幅排序
+    const tornado = result && result.baseline ? result.sensitivity[metric] : [];
+    const tornadoData = tornado.length > 0 ? {
+        labels: tornado.map(s => s.key + ' [' + s.lowValue + ', ' + s.highValue + ']'),
+        datasets: [{
+            label: METRIC_LABELS[metric] || metric,
+            data: tornado.map(s => [Math.min(s.low, s.high), Math.max(s.low, s.high)]),
+            backgroundColor: tornado.map(s => s.swing >= 0 ? 'rgba(78,205,196,0.7)' : 'rgba(255,107,107,0.7)')
+        }]
+    } : null;
+    const tornadoOpts = {
+        indexAxis: 'y',
+        responsive: true,
+        plugins: {
+            legend: { display: false },
+            title: { display: true, text: 'Tornado — baseline ' + (result && result.baseline ? result.baseline[metric].toFixed(3) : ''), color: '#ccc' }
+        },
+        scales: { x: { ticks: { color: '#aaa' } }, y: { ticks: { color: '#aaa' } } }
+    };
+
+    const scatterData = result ? {
+        datasets: [{
+            label: (METRIC_LABELS[metric] || metric) + ' vs ' + scatterKey,
+            data: result.samples.map(s => ({ x: s.inputs[scatterKey], y: s.outputs[metric] })),
+            backgroundColor: 'rgba(247,220,111,0.6)',
+            pointRadius: 2
+        }]
+    } : null;
+    const scatterOpts = {
+        responsive: true,
+        plugins: { legend: { labels: { color: '#ccc' } } },
+        scales: {
+            x: { title: { display: true, text: scatterKey, color: '#aaa' }, ticks: { color: '#aaa' } },
+            y: { title: { display: true, text: METRIC_LABELS[metric] || metric, color: '#aaa' }, ticks: { color: '#aaa' } }
+        }
+    };
+
+    // === Styles ===
+    const panelStyle = { padding: '20px', border: '2px solid #f7dc6f', borderRadius: '8px', marginBottom: '20px', background: 'linear-gradient(135deg, #0a0a2e 0%, #1a1a3e 100%)', color: '#eee', textAlign: 'left' };
+    const inputStyle = { width: '65px', fontFamily: 'monospace', padding: '3px 6px', borderRadius: '3px', border: '1px solid #555', background: '#1a1a2e', color: '#eee' };
+    const labelStyle = { fontSize: '0.85em', whiteSpace: 'nowrap' };
+    const btn = { padding: '5px 14px', background: '#2c3e50', color: '#eee', border: '1px solid #f7dc6f', borderRadius: '4px', fontWeight: 'bold', cursor: 'pointer', fontSize: '0.85em' };
+    const cellStyle = { padding: '3px 8px', borderBottom: '1px solid #333', fontFamily: 'monospace', fontSize: '0.8em', textAlign: 'right' };
+
+    return (
+        <div style={panelStyle}>
+            <h3 style={{ margin: '0 0 15px 0', fontSize: '1.2em' }}>{'🎲'} Monte Carlo / Parameter Sweep</h3>
+
+            <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '10px' }}>
+                <label style={labelStyle}>Mode:
+                    <select value={mode} onChange={e => { setMode(e.target.value); setResult(null); }} style={{ ...inputStyle, width: 'auto' }}>
+                        <option value="linkBudget">Link budget (current elevation)</option>
+                        <option value="timeSeries">Time series (SGP4 window)</option>
+                    </select>
+                </label>
+                <label style={labelStyle}>Method:
+                    <select value={method} onChange={e => setMethod(e.target.value)} style={{ ...inputStyle, width: 'auto' }}>
+                        {SWEEP_METHODS.map(m => <option key={m} value={m}>{m === 'lhs' ? 'Latin hypercube' : m}</option>)}
+                    </select>
+                </label>
+                {method !== 'grid' && (
+                    <label style={labelStyle}>N:
+                        <input type="number" min="1" value={samples} onChange={e => setSamples(parseInt(e.target.value) || 1)} style={inputStyle} />
+                    </label>
+                )}
+                <label style={labelStyle}>Seed:
+                    <input type="number" value={seed} onChange={e => setSeed(parseInt(e.target.value) || 0)} style={inputStyle} />
+                </label>
+                {mode === 'timeSeries' && (
+                    <>
+                        <label style={labelStyle}>Duration(min):
+                            <input type="number" min="1" value={durationMin} onChange={e => setDurationMin(parseFloat(e.target.value) || 15)} style={inputStyle} />
+                        </label>
+                        <label style={labelStyle}>Step(s):
+                            <input type="number" min="1" value={stepSec} onChange={e => setStepSec(parseFloat(e.target.value) || 30)} style={inputStyle} />
+                        </label>
+                    </>
+                )}
+            </div>
+
+            {/* === Swept Parameters === */}
+            <datalist id="sweep-param-keys">
+                {PARAM_SUGGESTIONS.map(k => <option key={k} value={k} />)}
+            </datalist>
+            {sweepParams.map((p, i) => (
+                <div key={i} style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '6px', flexWrap: 'wrap' }}>
+                    <input list="sweep-param-keys" value={p.key} onChange={e => updateParam(i, { key: e.target.value })} style={{ ...inputStyle, width: '130px' }} />
+                    <label style={labelStyle}>min:
+                        <input type="number" value={p.min} onChange={e => updateParam(i, { min: parseFloat(e.target.value) })} style={inputStyle} />
+                    </label>
+                    <label style={labelStyle}>max:
+                        <input type="number" value={p.max} onChange={e => updateParam(i, { max: parseFloat(e.target.value) })} style={inputStyle} />
+                    </label>
+                    {method === 'grid' && (
+                        <label style={labelStyle}>steps:
+                            <input type="number" min="1" value={p.steps} onChange={e => updateParam(i, { steps: parseInt(e.target.value) || 1 })} style={{ ...inputStyle, width: '45px' }} />
+                        </label>
+                    )}
+                    <select value={p.scale} onChange={e => updateParam(i, { scale: e.target.value })} style={{ ...inputStyle, width: 'auto' }}>
+                        <option value="linear">linear</option>
+                        <option value="log">log</option>
+                    </select>
+                    <label style={labelStyle} title="Round samples to integers (always on for fadingSeed)">
+                        <input type="checkbox" checked={p.integer} onChange={e => updateParam(i, { integer: e.target.checked })} /> int
+                    </label>
+                    <button onClick={() => setSweepParams(prev => prev.filter((_, k) => k !== i))} style={{ ...btn, borderColor: '#ff6b6b' }} disabled={sweepParams.length <= 1}>{'✕'}</button>
+                </div>
+            ))}
+
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', margin: '10px 0', flexWrap: 'wrap' }}>
+                <button onClick={() => setSweepParams(prev => [...prev, { key: 'gRx', min: 30, max: 45, steps: 4, scale: 'linear', integer: false }])} style={btn}>+ Parameter</button>
+                <button onClick={handleRun} disabled={progress !== null} style={{ ...btn, background: 'linear-gradient(135deg, #f7dc6f, #f39c12)', color: '#000' }}>{'▶️'} Run Sweep</button>
+                {progress !== null && (
+                    <>
+                        <div style={{ width: '140px', height: '8px', background: '#2c3e50', borderRadius: '4px', overflow: 'hidden' }}>
+                            <div style={{ width: (progress * 100) + '%', height: '100%', background: '#f7dc6f' }} />
+                        </div>
+                        <span style={{ fontSize: '0.8em', color: '#aaa' }}>{(progress * 100).toFixed(0)}%</span>
+                        <button onClick={() => workerRef.current && workerRef.current.cancel()} style={{ ...btn, background: '#c0392b' }}>{'⏹️'} Cancel</button>
+                    </>
+                )}
+                {result && (
+                    <>
+                        <button onClick={() => downloadFile(sweepToCSV(result), 'sweep_samples_' + stamp() + '.csv', 'text/csv')} style={btn}>{'📥'} Samples CSV</button>
+                        <button onClick={() => downloadFile(sweepSummaryToCSV(result), 'sweep_summary_' + stamp() + '.csv', 'text/csv')} style={btn}>{'📥'} Summary CSV</button>
+                        <button onClick={() => downloadFile(JSON.stringify({ ...result, base: baseParams, generatedAt: new Date().toISOString() }, null, 2), 'sweep_' + stamp() + '.json', 'application/json')} style={btn}>{'📥'} JSON</button>
+                    </>
+                )}
+            </div>
+            {statusMsg && <div style={{ fontSize: '0.85em', color: '#f7dc6f', marginBottom: '10px' }}>{statusMsg}</div>}
+
+            {/* === Results === */}
+            {result && (
+                <>
+                    <table style={{ borderCollapse: 'collapse', width: '100%', marginBottom: '12px' }}>
+                        <thead>
+                            <tr>
+                                {['Metric', 'Mean', 'Std', 'Min', ...SWEEP_PERCENTILES.map(p => 'P' + p), 'Max'].map(h => <th key={h} style={{ ...cellStyle, color: '#f7dc6f' }}>{h}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {result.metrics.map(m => {
+                                const s = result.summary[m];
+                                return (
+                                    <tr key={m} onClick={() => setMetric(m)} style={{ cursor: 'pointer', background: m === metric ? 'rgba(247,220,111,0.12)' : 'transparent' }}>
+                                        <td style={{ ...cellStyle, textAlign: 'left' }}>{METRIC_LABELS[m] || m}</td>
+                                        {[s.mean, s.std, s.min, ...SWEEP_PERCENTILES.map(p => s.percentiles['p' + p]), s.max].map((v, k) => <td key={k} style={cellStyle}>{Number.isFinite(v) ? v.toFixed(3) : '—'}</td>)}
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+
+                    <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '8px' }}>
+                        <label style={labelStyle}>Metric:
+                            <select value={metric} onChange={e => setMetric(e.target.value)} style={{ ...inputStyle, width: 'auto' }}>
+                                {result.metrics.map(m => <option key={m} value={m}>{METRIC_LABELS[m] || m}</option>)}
+                            </select>
+                        </label>
+                        <label style={labelStyle}>Scatter vs:
+                            <select value={scatterKey} onChange={e => setScatterKey(e.target.value)} style={{ ...inputStyle, width: 'auto' }}>
+                                {result.params.map(p => <option key={p.key} value={p.key}>{p.key}</option>)}
+                            </select>
+                        </label>
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+                        <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '6px', padding: '12px' }}>
+                            <Line data={cdfData} options={cdfOpts} />
+                        </div>
+                        <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '6px', padding: '12px' }}>
+                            {tornadoData && <Bar data={tornadoData} options={tornadoOpts} />}
+                        </div>
+                        <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '6px', padding: '12px', gridColumn: '1 / span 2' }}>
+                            <Scatter data={scatterData} options={scatterOpts} />
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { parseTLECatalog, searchTLECatalog } from './tleCatalog.js';
+
+const STATUS_BADGES = {
+    fresh: { label: '✅ FRESH', background: '#28a745', color: 'white' },
+    aging: { label: '⚠️ AGING', background: '#ffc107', color: '#333' },
+    stale: { label: '❌ STALE', background: '#dc3545', color: 'white' }
+};
+const MAX_ROWS = 50;
+
+/**
+ * Local TLE / 3LE / OMM Catalog
+ *
+ * Loads a whole multi-object text file (e.g. a CelesTrak group dump) for offline use,
+ * validates checksums, searches by name or NORAD ID and flags epoch age (relative to the simulation clock at load time).
+ * CCSDS OMM files (JSON / XML / KVN) load the same way; their rows carry the OMM record as line1.
+ * Picking a row calls onSelect({ name, noradId, line1, line2, provenance }), which drives the whole app.
+ */
+export default function TleCatalogPanel({ onSelect, selectedNoradId, clock }) {
+    const [catalog, setCatalog] = useState(null); // { file, entries, errors }
+    const [query, setQuery] = useState('');
+    const [validOnly, setValidOnly] = useState(false);
+
+    function handleFile(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            setCatalog({ file: file.name, ...parseTLECatalog(reader.result, { now: clock.now() }) });
+            setQuery('');
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    }
+
+    const pool = catalog ? (validOnly ? catalog.entries.filter(en => en.checksumOk) : catalog.entries) : [];
+    const matches = catalog ? searchTLECatalog(pool, query, { limit: MAX_ROWS }) : [];
+    const badChecksums = catalog ? catalog.entries.filter(en => !en.checksumOk).length : 0;
+    const cellStyle = { padding: '2px 6px', borderBottom: '1px solid #eee', fontSize: '0.85em', whiteSpace: 'nowrap' };
+
+    return (
+        <div style={{ padding: '8px', background: '#fff', border: '1px dashed #aaa', borderRadius: '5px' }}>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+                <strong>📚 TLE / OMM Catalog:</strong>
+                <label style={{ padding: '3px 10px', background: '#0056b3', color: 'white', borderRadius: '4px', fontWeight: 'bold', cursor: 'pointer', fontSize: '0.9em' }}>
+                    📂 Load TLE/3LE/OMM File
+                    <input type="file" accept=".tle,.txt,.3le,.json,.xml,.kvn,.omm" onChange={handleFile} style={{ display: 'none' }} />
+                </label>
+                {catalog && (
+                    <>
+                        <input type="text" value={query} onChange={e => setQuery(e.target.value)} placeholder="Search name or NORAD ID" style={{ width: '180px', padding: '3px 6px' }} />
+                        <label style={{ fontSize: '0.85em', cursor: 'pointer' }}>
+                            <input type="checkbox" checked={validOnly} onChange={e => setValidOnly(e.target.checked)} /> valid checksum only
+                        </label>
+                        <span style={{ fontSize: '0.85em', color: '#555' }}>
+                            {catalog.file}: {catalog.entries.length} objects
+                            {badChecksums > 0 && <span style={{ color: '#dc3545' }}> · {badChecksums} checksum error(s)</span>}
+                            {catalog.errors.length > 0 && <span style={{ color: '#dc3545' }} title={catalog.errors.slice(0, 10).map(er => (er.line != null ? 'line ' + er.line + ': ' : '') + er.message).join('\n')}> · {catalog.errors.length} malformed</span>}
+                        </span>
+                    </>
+                )}
+            </div>
+            {catalog && (
+                <div style={{ maxHeight: '200px', overflowY: 'auto', marginTop: '6px' }}>
+                    <table style={{ borderCollapse: 'collapse', width: '100%', textAlign: 'left' }}>
+                        <thead>
+                            <tr>{['Name', 'NORAD', 'Epoch (UTC)', 'Age', 'Checksum'].map(h => <th key={h} style={{ ...cellStyle, position: 'sticky', top: 0, background: '#f1f1f1' }}>{h}</th>)}</tr>
+                        </thead>
+                        <tbody>
+                            {matches.map((en, i) => {
+                                const badge = STATUS_BADGES[en.status];
+                                return (
+                                    <tr key={en.noradId + ':' + i} onClick={() => onSelect(en)} style={{ cursor: 'pointer', background: en.noradId === selectedNoradId ? '#e8f4fd' : 'transparent' }}>
+                                        <td style={cellStyle}>{en.name}</td>
+                                        <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{en.noradId}</td>
+                                        <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{en.epochDate ? en.epochDate.toISOString().slice(0, 16).replace('T', ' ') : '—'}</td>
+                                        <td style={cellStyle}>
+                                            {badge && <span style={{ background: badge.background, color: badge.color, padding: '1px 6px', borderRadius: '8px', fontSize: '0.8em', fontWeight: 'bold' }}>{badge.label}</span>}
+                                            {' '}{en.ageDays >= 0 ? en.ageDays.toFixed(1) + ' d' : ''}
+                                        </td>
+                                        <td style={{ ...cellStyle, color: en.checksumOk ? '#28a745' : '#dc3545' }}>{en.format !== 'tle' ? 'OMM' : en.checksumOk ? '✓' : '✗ mismatch'}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    {matches.length === 0 && <div style={{ fontSize: '0.85em', color: '#888', padding: '4px' }}>No match for "{query}"</div>}
+                    {matches.length === MAX_ROWS && <div style={{ fontSize: '0.8em', color: '#888', padding: '4px' }}>Showing first {MAX_ROWS} matches — refine the search</div>}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -108,6 +108,18 @@ export default function UserManual({ onClose }) {
                             style={{ color: '#4ecdc4' }}>CelesTrak</a> 或 <a href="https://space-track.org" target="_blank"
                                 rel="noreferrer" style={{ color: '#4ecdc4' }}>Space-Track</a> 获取。</p>
 
+                    <h3 style={h3Style}>本地 TLE 目录</h3>
+                    <p>离线或 CelesTrak 请求失败时，用 <span style={codeStyle}>📂 Load TLE/3LE/OMM File</span> 载入整组 TLE / 3LE 文本（如 CelesTrak 的 active、starlink 分组导出）。每条记录校验行长、两行 NORAD 编号一致与模 10 校验和：校验和不符的记录以 <span style={codeStyle}>✗ mismatch</span> 标出（可勾选 valid checksum only 隐藏），结构错误的行不进入目录并计入 malformed 数。目录可按名称（不区分大小写）或 NORAD 编号检索，每条记录按历元龄期标记 FRESH（≤ 7 天）/ AGING（≤ 30 天）/ STALE，与当前 TLE 的龄期徽标一致。点击一行即选用该卫星：名称、NORAD ID 与 TLE 两行同步更新，轨道跟踪、过境预测、信道仿真与扫描均随之切换。命令行等价于 <span style={codeStyle}>satchan catalog --tle active.txt --search starlink</span>，passes / simulate 可用 <span style={codeStyle}>--sat &lt;名称|NORAD&gt;</span> 从同一目录文件选星。</p>
+
+                    <h3 style={h3Style}>CCSDS OMM 轨道输入</h3>
+                    <p>5 位 NORAD 编号即将用尽，CelesTrak 与 Space-Track 正改用 CCSDS OMM（平根数消息）发布轨道。凡能载入 TLE 文件的地方（TLE / OMM 目录、星座切换面板、<span style={codeStyle}>satchan --tle</span>）都可直接载入 OMM，按内容自动识别 JSON（CelesTrak / Space-Track 格式）、XML（NDM 容器）与 KVN（<span style={codeStyle}>KEY = value [单位]</span>）三种编码。根数直接构造 SGP4 记录，不经 TLE 文本转换，6 位以上编号不丢失，历元精确到毫秒（微秒部分截断）；OMM 没有校验位，目录中校验和一栏显示 OMM，不合法的记录（缺少必填根数、偏心率越界、MEAN_ELEMENT_THEORY 不是 SGP4、REF_FRAME 不是 TEME、TIME_SYSTEM 不是 UTC 等）计入 malformed。选用 OMM 卫星后，轨道面板以摘要（NORAD 编号、历元、发布方与生成时间）代替 TLE 两行输入框，点击 <span style={codeStyle}>✏️ Enter TLE instead</span> 可改回手动输入。导出的 JSON 在 <span style={codeStyle}>metadata.orbit</span> 中保留轨道来源：OMM 的编码、发布方（ORIGINATOR）、生成时间（CREATION_DATE）、CCSDS 版本等；保存的场景文件以 <span style={codeStyle}>satellite.omm</span> 记录整条 OMM。</p>
+
+                    <h3 style={h3Style}>过境预测</h3>
+                    <p><span style={codeStyle}>🔍 Predict Passes</span> 从仿真时钟时刻起按 60 s 粗扫描，再以 Brent 法求仰角穿越 0° 的根，AOS / LOS 精确到 10 ms；粗采样之间的仰角局部极大用黄金分割细化，短于一个扫描步的过境也不会漏掉。表中给出 AOS / TCA / LOS 时刻与方位角、最大仰角、最小斜距与升降方向（↗ 北行 / ↘ 南行）。窗口起点已在视野内或终点仍在视野内的过境以 ⏵ 标记，AOS / LOS 取窗口边界；永不落下的 GEO 报告为覆盖整个窗口的一次过境。</p>
+
+                    <h3 style={h3Style}>仿真时钟</h3>
+                    <p>标题下方的 <span style={codeStyle}>🕒 Sim Clock</span> 是全局仿真时钟：地面轨迹 / 天空图、实时轨道跟踪、过境预测、历史回放、实时天气同步，以及信道仿真、参数扫描与星座切换面板的默认起始时刻都以它为“现在”，因此可以分析昨天的实测过境或规划下周的过境。可设置 UTC 历元（<span style={codeStyle}>📌 Set UTC</span>）、播放 / 暂停、倍速（−60× 倒放 … 3600×）与步进（10 s ~ 1 h）；偏离挂钟时显示偏移量 Δ，<span style={codeStyle}>🔴 Live</span> 回到实时 1×。暂停时闪烁等时变效应一并冻结；TLE 龄期按仿真时刻计算。历史回放播放时时钟以 10 s/帧 × 回放速度运行；回放结束、暂停、拖动进度条或重新生成时，时钟恢复回放前的倍速与播放 / 暂停状态，拖动进度条即把时钟拨到该帧。</p>
+
                     <h3 style={h3Style}>地面站</h3>
                     <table style={tableStyle}>
                         <thead><tr>
@@ -150,6 +162,14 @@ export default function UserManual({ onClose }) {
                             <tr><td style={tdStyle}>EIRP (dBW)</td><td style={tdStyle}>等效全向辐射功率</td><td style={tdStyle}>20 ~ 60</td></tr>
                             <tr><td style={tdStyle}>G/T (dB/K)</td><td style={tdStyle}>接收品质因数</td><td style={tdStyle}>10 ~ 45</td></tr>
                             <tr><td style={tdStyle}>Rain Rate (mm/h)</td><td style={tdStyle}>降雨率</td><td style={tdStyle}>0 ~ 100</td></tr>
+                            <tr><td style={tdStyle}>Exceedance p (%)</td><td style={tdStyle}>ITU-R P.618 年时间百分比；留空为瞬时降雨率，填写后 Rain Rate 视为 R0.01</td><td style={tdStyle}>0.001 ~ 5</td></tr>
+                            <tr><td style={tdStyle}>Site Climatology</td><td style={tdStyle}><strong>近似值</strong>：P.837-1 降雨气候区的降雨率表 + 手工读取的 10° 气候区图（双线性插值），不是 P.837-7 的 R0.01 数字地图，只作量级估计；勾选后作为 R0.01 参与 P.618 统计计算。链路设计请在 Rain Rate 中输入实测或 P.837-7 的 R0.01</td><td style={tdStyle}>—</td></tr>
+                            <tr><td style={tdStyle}>Cloud LWC (kg/m²)</td><td style={tdStyle}>ITU-R P.840 柱状液态水含量；留空时取 0.5（未内置 P.840-8 站点统计图，如需 p% 被超过值请按站点查出 L 后填入）</td><td style={tdStyle}>0 ~ 3</td></tr>
+                            <tr><td style={tdStyle}>Required SNR (dB)</td><td style={tdStyle}>链路可用度门限；由 P.618 §2.5 总衰减 CCDF (0.001% ~ 5%) 求年可用度，雨衰图可切换为 CCDF 视图</td><td style={tdStyle}>-3 ~ 20</td></tr>
+                            <tr><td style={tdStyle}>C/N₀ · Eb/N₀ · Margin</td><td style={tdStyle}>主界面、校准、时间序列与参数扫描共用同一端到端链路计算：C = EIRP + G − ΣL（绝对 FSPL + 全部衰减项），C/N₀ = C − k − T_sys，Es/N₀ 按符号率 B/(1+α) (α = 0.2)，Eb/N₀ 按 2 bit/符号，余量 = SNR − Required SNR；悬停 Effective SNR 查看逐项分解</td><td style={tdStyle}>—</td></tr>
+                            <tr><td style={tdStyle}>Fast Fading / Seed</td><td style={tdStyle}>Rician / Loo 快衰落包络，Jakes 或 Gaussian 多普勒谱 (f_d 可配)；各环境内置的 K 因子与 Loo (μ, σ, MP) 为示意值（非公开测量参数集），实测参数可通过链路参数 ricianK_dB / looMean_dB / looStd_dB / looMultipath_dB 传入；相同种子可复现同一实现，种子写入 JSON 导出元数据</td><td style={tdStyle}>f_d 0 ~ 100 Hz</td></tr>
+                            <tr><td style={tdStyle}>LMS (3-state Markov)</td><td style={tdStyle}>ITU-R P.681 / Pérez-Fontán 等 (IEEE TVT 2001) 三状态模型 (LOS / Shadowed / Blocked)，按终端行驶距离转移，状态内 Loo 衰落；内置参数按环境与 L/S/Ku 频段列表，为示意值（非公开测量参数集），实测参数可通过链路参数 lmsMarkov 传入</td><td style={tdStyle}>v 0 ~ 40 m/s</td></tr>
+                            <tr><td style={tdStyle}>CIR Profile (NTN)</td><td style={tdStyle}>3GPP TR 38.811 NTN-TDL/CDL-A~D，时延按 DS 缩放、C/D 按 K 因子调整；各抽头多普勒 = 卫星多普勒 (斜距变化率) + 终端运动分量</td><td style={tdStyle}>DS 10 ~ 1000 ns</td></tr>
                             <tr><td style={tdStyle}>TEC</td><td style={tdStyle}>总电子含量 (TECU)</td><td style={tdStyle}>10 ~ 100</td></tr>
                         </tbody>
                     </table>
@@ -165,10 +185,30 @@ export default function UserManual({ onClose }) {
                         <li><strong>设置地面站坐标和链路参数</strong>（频率、EIRP、增益等）</li>
                         <li>点击 <span style={codeStyle}>🔍 Search Passes</span> 搜索可用过境</li>
                         <li>从列表中选择一个 Pass 时段</li>
-                        <li>点击 <span style={codeStyle}>🚀 Generate Channel TimeSeries</span> 生成</li>
+                        <li>点击 <span style={codeStyle}>🚀 Generate Channel TimeSeries</span> 生成（过境搜索与生成均在后台 Web Worker 中运行，显示进度，可随时 <span style={codeStyle}>⏹️ Cancel</span>；长时间、细步长仿真不会卡住页面）</li>
                         <li>查看图表：Total Loss、C/N0、Elevation、CIR 等</li>
                     </ol>
 
+                    <h3 style={h3Style}>场景文件</h3>
+                    <p><span style={codeStyle}>💾 Save Scenario</span> 将 TLE、地面站、时间窗、链路 / 环境 / 衰落 / 校准设置以及主界面参数保存为版本化 JSON 场景文件；<span style={codeStyle}>📂 Load Scenario</span> 完整恢复面板与主界面参数。已选过境按绝对起止时间保存，保证可复现。同一文件可由命令行批量执行：<span style={codeStyle}>satchan run --scenario scenario.json --out run.csv</span>。字段不合法时提示出错字段路径（如 <span style={codeStyle}>/groundStation/lat</span>）。</p>
+
+                    <h3 style={h3Style}>上行链路与转发器</h3>
+                    <p>勾选 <span style={codeStyle}>⬆️ Uplink</span> 加入终端上行：上行频率 (雨衰、气体、闪烁按该频率重新计算)、终端 EIRP、卫星 G/T。<strong>Bent-pipe</strong>（透明转发）时上行噪声随信号转发，端到端 (C/N)⁻¹ = (C/N)<sub>up</sub>⁻¹ + (C/N)<sub>down</sub>⁻¹ + (C/IM)⁻¹；<strong>Regenerative</strong>（星上再生）时两跳独立解调，端到端取较差一跳。OBO（输出回退）使下行 EIRP 降低相应 dB，C/IM 为转发器互调载干比（留空表示单载波、无互调）。SNR 图同时绘出上行 / 下行 / 端到端 SNR，导出 CSV 增加 UplinkSNR_dB / DownlinkSNR_dB 列。</p>
+
+                    <h3 style={h3Style}>ACM（DVB-S2 / S2X）</h3>
+                    <p>生成时间序列后，输出区的 <span style={codeStyle}>📶 ACM</span> 图按 DVB-S2（EN 302 307-1，28 个 MODCOD）或 DVB-S2X（再加正常帧 S2X MODCOD，最高 256APSK 3/4）的理想 Es/N₀ 门限逐帧选择 MODCOD。Es/N₀ 按符号率 Rs = B/(1+α) 由 C/N₀ 换算；净比特率 = Rs × 频谱效率。<strong>Margin</strong> 为门限之上保留的余量；<strong>Hysteresis</strong> 为升级额外要求的 Es/N₀（降级不受迟滞限制，低于 当前门限 + 余量 立即降级），用于抑制门限附近的来回切换。图中绘出净比特率、频谱效率（阶梯）与 Es/N₀，切换帧打点；下方逐过境列出 MODCOD 切换次数、平均比特率、数据量与中断比例。修改 ACM 参数无需重新生成时间序列，CSV / JSON 导出同时包含逐帧 MODCOD 与吞吐。</p>
+
+                    <h3 style={h3Style}>误码率（BER / BLER）</h3>
+                    <p>输出区 <span style={codeStyle}>🎯 BER / BLER</span> 图逐帧给出：AWGN 未编码 BER（BPSK / QPSK 精确式，8PSK / 16APSK / 32APSK 按星座联合界）、按该帧衰落分布取平均的 BER（Fading 选 Rician / Loo 时为对应包络分布，Markov LMS 时为当前状态的 Loo 分布；帧中已采样的衰落先加回得到局部平均 Es/N₀，Smooth 模式同样按分布统计），以及中断概率 P(Es/N₀ &lt; 所需值)。选择 DVB-S2 MODCOD 时给出编码 BLER：缺省曲线为一条手绘的示意瀑布形状，平移到各 MODCOD 门限（门限处 BLER = 1e-7），不是 DVB-S2 公开的逐 MODCOD 性能曲线，图中与导出元数据 <span style={codeStyle}>errorRates.blerCurve</span> 均标注为 illustrative；公开或实测的逐 MODCOD 曲线可通过 <span style={codeStyle}>estimateErrorRates</span> 的 blerTables 选项或 CLI <span style={codeStyle}>--bler-tables</span> 传入。中断门限取 MODCOD 门限；未编码时取达到 Target BER 所需的 Es/N₀。选择已知卫星频段时按其 modulation 字段设置缺省值（QPSK → QPSK，BPSK(10) → BPSK，DVB-S2 / S2X → QPSK 3/4；CW 信标与 WCDMA 保持当前设置）。下方逐过境列出平均 BER / BLER 与中断概率，CSV / JSON 导出同时包含这些列。</p>
+
+                    <h3 style={h3Style}>蒙特卡洛 / 参数扫描</h3>
+                    <p>勾选主界面顶部 <span style={codeStyle}>🎲 Monte Carlo / Parameter Sweep</span> 打开扫描面板。以主界面当前参数为基准，对任意数值参数（rainRate、tec、fadingSeed、gRx 等）设置区间，选择抽样方法：<strong>grid</strong>（各维 steps 个等间隔点的笛卡尔积）、<strong>random</strong>（独立均匀抽样）或 <strong>lhs</strong>（拉丁超立方，同样样本数下分位数收敛更快）；可选对数刻度与整数取值，种子固定时结果可复现。</p>
+                    <p><em>Link budget</em> 模式按当前仰角计算单点 SNR / 接收功率 / 衰减 / XPD / 容量；<em>Time series</em> 模式对每个样本运行一次 SGP4 时间序列（从当前时刻起），统计可见帧的平均 / 最小 / P10 SNR、平均容量与中断比例 (SNR &lt; requiredSnr_dB)。结果给出 P1 ~ P99 分位数表、经验 CDF、龙卷风图（其余参数取基准值，逐个取 min / max 时的指标区间，按摆幅排序）与指标-参数散点图，可导出样本 CSV、汇总 CSV 与完整 JSON。扫描在后台线程运行，可随时取消。</p>
+
+                    <h3 style={h3Style}>星座可见性与切换</h3>
+                    <p>勾选 <span style={codeStyle}>🛰️ Constellation Visibility / Handover</span> 打开星座面板，用 <strong>📂 Load TLE Set</strong> 载入多星 TLE / 3LE 文件（如 CelesTrak 的 Starlink、OneWeb 分组；无名称行的 2 行 TLE 以 NORAD 编号命名）。从当前时刻起按步长对每颗卫星做 SGP4 外推，列出仰角高于 <strong>Mask</strong> 的可见卫星，再按切换策略逐步选择服务卫星：<strong>Highest elevation</strong>（仰角最高，候选仰角需超过当前服务星 Hysteresis，缺省 5°）、<strong>Best SNR</strong>（晴空 SNR 最高，缺省迟滞 1 dB）或 <strong>Longest remaining visibility</strong>（剩余可见时长最长，当前服务星保持到落下为止）。服务星落下时立即改选，无可见卫星即为中断；中断后重新捕获不计为切换。</p>
+                    <p>图中绘出服务卫星仰角（切换处打点）、晴空 SNR 与可见卫星数，下方列出切换事件与中断段。<strong>Stitched CSV / JSON</strong> 按服务段逐颗卫星运行信道时间序列并拼接（仿真时间从窗口起点连续计时，衰落种子按卫星名与段序号由 fadingSeed 派生，Markov LMS 状态链跨段延续），格式与信道仿真导出相同，另加 <span style={codeStyle}>Serving_Sat</span> / <span style={codeStyle}>Handover</span> 列；JSON 的 metadata.handover 记录策略、切换、中断与服务段。命令行等价于 <span style={codeStyle}>satchan handover</span>。</p>
+
                     <h3 style={h3Style}>CIR（信道脉冲响应）</h3>
                     <p>CIR 建模基于环境类型（rural / suburban / urban），包含直射径和多径散射分量：</p>
                     <table style={tableStyle}>
@@ -176,11 +216,13 @@ export default function UserManual({ onClose }) {
                             <th style={thStyle}>环境</th><th style={thStyle}>Tap 数</th><th style={thStyle}>说明</th>
                         </tr></thead>
                         <tbody>
-                            <tr><td style={tdStyle}>Rural</td><td style={tdStyle}>2</td><td style={tdStyle}>直射 + 地面反射</td></tr>
-                            <tr><td style={tdStyle}>Suburban</td><td style={tdStyle}>4</td><td style={tdStyle}>直射 + 地面反射 + 建筑散射 × 2</td></tr>
-                            <tr><td style={tdStyle}>Urban</td><td style={tdStyle}>6</td><td style={tdStyle}>直射 + 多重反射/散射</td></tr>
+                            <tr><td style={tdStyle}>Rural / Open</td><td style={tdStyle}>1</td><td style={tdStyle}>直射</td></tr>
+                            <tr><td style={tdStyle}>Maritime</td><td style={tdStyle}>2</td><td style={tdStyle}>直射 + 海面反射</td></tr>
+                            <tr><td style={tdStyle}>Suburban</td><td style={tdStyle}>3</td><td style={tdStyle}>直射 + 植被散射 × 2</td></tr>
+                            <tr><td style={tdStyle}>Urban</td><td style={tdStyle}>3</td><td style={tdStyle}>直射 + 建筑散射 × 2</td></tr>
                         </tbody>
                     </table>
+                    <p>电离层群时延 τ<sub>g</sub> = 40.3·TEC / (c·f²)（TEC 按 1/sin θ 折算为斜路径）并入各抽头的公共时延，不单列抽头；其随频率变化的色散部分只在传递函数 H(f) 的相位中体现。</p>
 
                     <h3 style={h3Style}>快衰落（闪烁）</h3>
                     <p>可通过 <span style={codeStyle}>Disable Fast Fading</span> 关闭闪烁效应，
@@ -212,6 +254,7 @@ export default function UserManual({ onClose }) {
                     <ol style={{ paddingLeft: '20px', fontSize: '0.9em' }}>
                         <li>点击 <span style={codeStyle}>🛠️ 展开校准面板</span></li>
                         <li><strong>导入测量数据</strong>：上传 JSON 文件（格式见第 8 节）</li>
+                        <li>（可选）测量点带 <span style={codeStyle}>timestamp</span> 时点击 <span style={codeStyle}>⏱️ 对齐时钟到测量</span>：仿真时钟暂停在首个测量时刻，仿真窗口设为测量时间范围，Generate 即精确复现该次过境</li>
                         <li><strong>选择参考卫星</strong>：从已知卫星库选择，或通过 JSON 的 metadata 自动填充</li>
                         <li>点击 <span style={codeStyle}>🎯 运行多参数校准</span></li>
                         <li>查看校准结果（各参数值 + RMS 残差）</li>
@@ -277,6 +320,7 @@ export default function UserManual({ onClose }) {
                         <strong>💡 提示：</strong>天气同步面板仅影响主面板的实时图表展示。
                         信道仿真面板（ChannelSimPanel）使用自身的 Rain Rate 参数，两者独立互不影响。
                     </div>
+                    <p>两种模式都跟随仿真时钟：时钟偏离挂钟时，Open-Meteo 模式取仿真时刻所在小时的逐时降水（约过去 3 个月至未来 16 天）；JSON Replay 在时钟暂停时停发，带 <span style={codeStyle}>timestamp</span> 的数据点等仿真时钟到达该时刻才发出。</p>
                 </div>
 
                 {/* 7. 数据导出 */}
@@ -287,12 +331,20 @@ export default function UserManual({ onClose }) {
                     <h3 style={h3Style}>CSV 导出</h3>
                     <p>包含每个时间步的完整链路指标和 CIR 各 tap 的详细数据：</p>
                     <div style={{ fontFamily: 'monospace', fontSize: '0.8em', background: 'rgba(0,0,0,0.3)', padding: '10px', borderRadius: '5px', overflowX: 'auto', color: '#aaa' }}>
-                        Time, Elevation, FSPL, RainAtten, GasAtten, TotalLoss, CN0, XPD, FaradayRot,<br />
+                        Time, Elevation, RangeRate, Doppler, DopplerRate, FSPL, RxPower, NoiseFloor, SNR, CN0, EsN0, EbN0, Margin, RainAtten, GasAtten, TotalLoss, XPD, FaradayRot,<br />
+                        ACM_MODCOD, ACM_SpectralEff, ACM_NetBitrate, ACM_Switch, BER_AWGN, BER_Fading, BLER, Outage_Prob,<br />
                         CIR_Tap1_Label, CIR_Tap1_ExcessDelay, CIR_Tap1_Amplitude, CIR_Tap1_Phase, ...
                     </div>
 
+                    <h3 style={h3Style}>H(f,t) 导出</h3>
+                    <p>逐帧信道传递函数 |H(f)| (dB)，覆盖配置的占用带宽 (64 个频点)，包含电离层色散相位；面板中以时频热图显示（相对带内平均功率）。</p>
+
+                    <h3 style={h3Style}>IQ 信道损伤</h3>
+                    <p>加载交织 float32 IQ 文件 (.cf32，小端) 并填写采样率 fs，按当前仿真时间序列逐帧施加 CIR 卷积、多普勒 (含变化率)、帧 SNR 对应的 AWGN 与 XPD 交叉极化泄漏，下载共极化与交叉极化两路损伤后的 IQ 文件。第 k 帧覆盖 [k·Δt, (k+1)·Δt) 的采样。</p>
+
                     <h3 style={h3Style}>JSON 导出</h3>
                     <p>包含完整的仿真参数和时间序列数据，可用于后续分析或回放。</p>
+                    <p>多普勒频移 (Hz) 与多普勒变化率 (Hz/s) 由 SGP4 速度在地固系中计算（计入地球自转），卫星接近时为正。</p>
                 </div>
 
                 {/* 8. 校准数据格式 */}
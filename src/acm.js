@@ -0,0 +1,226 @@
+/**
+ * DVB-S2 / S2X MODCOD 表与 ACM（自适应编码调制）时间序列仿真
+ *
+ * 门限为 ETSI EN 302 307-1 表 13 / EN 302 307-2 表 20a 的理想 AWGN Es/N0
+ * （正常帧 64800 bit，PER = 1e-5 ~ 1e-7，无导频）；频谱效率已计入 BCH/LDPC 码率与 PLHEADER 开销，
+ * 因此净比特率 = 符号率 × 频谱效率。S2X 的 VL-SNR 与短帧 MODCOD 未收录。
+ *
+ * ACM 在时间序列上逐帧选择 MODCOD：
+ *   - 降级：Es/N0 < 当前 MODCOD 门限 + 余量 时立即降到可用的最高 MODCOD；
+ *   - 升级：仅当 Es/N0 ≥ 目标门限 + 余量 + 迟滞 时升级，避免门限附近来回切换；
+ *   - 低于最低 MODCOD 门限 + 余量 时中断（modcod = null，比特率 0）。
+ * 仰角低于 minElevation_deg 的帧不可见，状态复位；连续可见帧构成一次过境，逐过境统计切换次数。
+ */
+
+// [name, modulation, codeRate, spectralEfficiency (bit/symbol), esN0_dB]
+const S2_ROWS = [
+  ['QPSK 1/4', 'QPSK', '1/4', 0.490243, -2.35],
+  ['QPSK 1/3', 'QPSK', '1/3', 0.656448, -1.24],
+  ['QPSK 2/5', 'QPSK', '2/5', 0.789412, -0.30],
+  ['QPSK 1/2', 'QPSK', '1/2', 0.988858, 1.00],
+  ['QPSK 3/5', 'QPSK', '3/5', 1.188304, 2.23],
+  ['QPSK 2/3', 'QPSK', '2/3', 1.322253, 3.10],
+  ['QPSK 3/4', 'QPSK', '3/4', 1.487473, 4.03],
+  ['QPSK 4/5', 'QPSK', '4/5', 1.587196, 4.68],
+  ['QPSK 5/6', 'QPSK', '5/6', 1.654663, 5.18],
+  ['QPSK 8/9', 'QPSK', '8/9', 1.766451, 6.20],
+  ['QPSK 9/10', 'QPSK', '9/10', 1.788612, 6.42],
+  ['8PSK 3/5', '8PSK', '3/5', 1.779991, 5.50],
+  ['8PSK 2/3', '8PSK', '2/3', 1.980636, 6.62],
+  ['8PSK 3/4', '8PSK', '3/4', 2.228124, 7.91],
+  ['8PSK 5/6', '8PSK', '5/6', 2.478562, 9.35],
+  ['8PSK 8/9', '8PSK', '8/9', 2.646012, 10.69],
+  ['8PSK 9/10', '8PSK', '9/10', 2.679207, 10.98],
+  ['16APSK 2/3', '16APSK', '2/3', 2.637201, 8.97],
+  ['16APSK 3/4', '16APSK', '3/4', 2.966728, 10.21],
+  ['16APSK 4/5', '16APSK', '4/5', 3.165623, 11.03],
+  ['16APSK 5/6', '16APSK', '5/6', 3.300184, 11.61],
+  ['16APSK 8/9', '16APSK', '8/9', 3.523143, 12.89],
+  ['16APSK 9/10', '16APSK', '9/10', 3.567342, 13.13],
+  ['32APSK 3/4', '32APSK', '3/4', 3.703295, 12.73],
+  ['32APSK 4/5', '32APSK', '4/5', 3.951571, 13.64],
+  ['32APSK 5/6', '32APSK', '5/6', 4.119540, 14.28],
+  ['32APSK 8/9', '32APSK', '8/9', 4.397854, 15.69],
+  ['32APSK 9/10', '32APSK', '9/10', 4.453027, 16.05]
+];
+
+// S2X 新增 MODCOD（正常帧）
+const S2X_ROWS = [
+  ['QPSK 13/45', 'QPSK', '13/45', 0.567805, -2.03],
+  ['QPSK 9/20', 'QPSK', '9/20', 0.889135, 0.22],
+  ['QPSK 11/20', 'QPSK', '11/20', 1.088581, 1.45],
+  ['8APSK 5/9-L', '8APSK', '5/9-L', 1.647211, 4.73],
+  ['8APSK 26/45-L', '8APSK', '26/45-L', 1.713601, 5.13],
+  ['8PSK 23/36', '8PSK', '23/36', 1.896173, 6.12],
+  ['8PSK 25/36', '8PSK', '25/36', 2.062148, 7.02],
+  ['8PSK 13/18', '8PSK', '13/18', 2.145136, 7.49],
+  ['16APSK 1/2-L', '16APSK', '1/2-L', 1.972253, 5.97],
+  ['16APSK 8/15-L', '16APSK', '8/15-L', 2.104850, 6.55],
+  ['16APSK 5/9-L', '16APSK', '5/9-L', 2.193247, 6.84],
+  ['16APSK 26/45', '16APSK', '26/45', 2.281645, 7.51],
+  ['16APSK 3/5', '16APSK', '3/5', 2.370043, 7.80],
+  ['16APSK 3/5-L', '16APSK', '3/5-L', 2.370043, 7.41],
+  ['16APSK 28/45', '16APSK', '28/45', 2.458441, 8.10],
+  ['16APSK 23/36', '16APSK', '23/36', 2.524739, 8.38],
+  ['16APSK 2/3-L', '16APSK', '2/3-L', 2.635236, 8.43],
+  ['16APSK 25/36', '16APSK', '25/36', 2.745734, 9.27],
+  ['16APSK 13/18', '16APSK', '13/18', 2.856231, 9.71],
+  ['16APSK 7/9', '16APSK', '7/9', 3.077225, 10.65],
+  ['16APSK 77/90', '16APSK', '77/90', 3.386618, 11.99],
+  ['32APSK 2/3-L', '32APSK', '2/3-L', 3.289502, 11.10],
+  ['32APSK 32/45', '32APSK', '32/45', 3.510192, 11.75],
+  ['32APSK 11/15', '32APSK', '11/15', 3.620536, 12.17],
+  ['32APSK 7/9', '32APSK', '7/9', 3.841226, 13.05],
+  ['64APSK 32/45-L', '64APSK', '32/45-L', 4.206428, 13.98],
+  ['64APSK 11/15', '64APSK', '11/15', 4.338659, 14.81],
+  ['64APSK 7/9', '64APSK', '7/9', 4.603122, 15.47],
+  ['64APSK 4/5', '64APSK', '4/5', 4.735354, 15.87],
+  ['64APSK 5/6', '64APSK', '5/6', 4.933701, 16.55],
+  ['128APSK 3/4', '128APSK', '3/4', 5.163248, 17.73],
+  ['128APSK 7/9', '128APSK', '7/9', 5.355556, 18.53],
+  ['256APSK 29/45-L', '256APSK', '29/45-L', 5.065690, 18.59],
+  ['256APSK 2/3-L', '256APSK', '2/3-L', 5.241514, 18.84],
+  ['256APSK 31/45-L', '256APSK', '31/45-L', 5.417338, 19.57],
+  ['256APSK 32/45', '256APSK', '32/45', 5.593162, 19.95],
+  ['256APSK 11/15-L', '256APSK', '11/15-L', 5.768987, 20.23],
+  ['256APSK 3/4', '256APSK', '3/4', 5.900855, 21.03]
+];
+
+const toModcod = standard => ([name, modulation, codeRate, spectralEfficiency, esN0_dB]) =>
+  Object.freeze({ name, standard, modulation, codeRate, spectralEfficiency, esN0_dB });
+
+/** DVB-S2 MODCOD（EN 302 307-1） */
+export const DVBS2_MODCODS = Object.freeze(S2_ROWS.map(toModcod('S2')));
+/** DVB-S2X 新增 MODCOD（EN 302 307-2，正常帧） */
+export const DVBS2X_MODCODS = Object.freeze(S2X_ROWS.map(toModcod('S2X')));
+
+export const ACM_STANDARDS = ['s2', 's2x'];
+
+/**
+ * ACM 可用的 MODCOD 阶梯：按门限升序，去掉被支配项（门限不低于某项而频谱效率不高于它），
+ * 使门限与频谱效率同时单调递增
+ * @param {'s2'|'s2x'} [standard='s2'] — s2x 为 S2 与 S2X MODCOD 的并集
+ * @returns {Array<{ name, standard, modulation, codeRate, spectralEfficiency, esN0_dB }>}
+ */
+export function modcodLadder(standard = 's2') {
+  if (!ACM_STANDARDS.includes(standard)) {
+    throw new Error(`Unknown ACM standard "${standard}" (expected ${ACM_STANDARDS.join(' | ')})`);
+  }
+  const all = standard === 's2x' ? [...DVBS2_MODCODS, ...DVBS2X_MODCODS] : [...DVBS2_MODCODS];
+  all.sort((a, b) => a.esN0_dB - b.esN0_dB || b.spectralEfficiency - a.spectralEfficiency);
+  const ladder = [];
+  for (const m of all) {
+    if (ladder.length === 0 || m.spectralEfficiency > ladder[ladder.length - 1].spectralEfficiency) ladder.push(m);
+  }
+  return ladder;
+}
+
+// 满足 门限 + offset ≤ Es/N0 的最高阶梯下标（无则 -1）
+function highestFeasible(ladder, esN0_dB, offset_dB) {
+  let idx = -1;
+  for (let i = 0; i < ladder.length; i++) {
+    if (ladder[i].esN0_dB + offset_dB <= esN0_dB) idx = i;
+  }
+  return idx;
+}
+
+/**
+ * 无迟滞的单点 MODCOD 选择（CCM 设计 / 链路预算用）
+ * @param {number} esN0_dB
+ * @param {object} [opts]
+ * @param {number} [opts.margin_dB=0] — 门限之上保留的余量
+ * @param {'s2'|'s2x'} [opts.standard='s2']
+ * @returns {object|null} — 可用的最高频谱效率 MODCOD；Es/N0 不足时为 null
+ */
+export function selectModcod(esN0_dB, { margin_dB = 0, standard = 's2' } = {}) {
+  const ladder = modcodLadder(standard);
+  const idx = highestFeasible(ladder, esN0_dB, margin_dB);
+  return idx >= 0 ? ladder[idx] : null;
+}
+
+/**
+ * 在信道时间序列上仿真 ACM
+ * @param {Array} timeline — generateChannelTimeSeries 的输出（使用 time / elevation / esN0_dB / cn0_dBHz / symbolRate_Mbaud）
+ * @param {object} [opts]
+ * @param {'s2'|'s2x'} [opts.standard='s2']
+ * @param {number} [opts.margin_dB=1] — 门限之上保留的余量
+ * @param {number} [opts.hysteresis_dB=0.5] — 升级额外要求的迟滞
+ * @param {number} [opts.symbolRate_Mbaud] — 覆盖帧符号率；给定时 Es/N0 由帧 C/N0 重新换算
+ * @param {number} [opts.minElevation_deg=0] — 可见仰角门限
+ * @returns {{
+ *   config: { standard, margin_dB, hysteresis_dB, symbolRate_Mbaud, minElevation_deg },
+ *   frames: Array<{ time, visible, esN0_dB, modcod, modulation, codeRate, spectralEfficiency, netBitrate_Mbps, switched }>,
+ *   passes: Array<{ start, end, frames, switches, outageFraction, meanBitrate_Mbps, dataVolume_Gbit }>,
+ *   totalSwitches: number
+ * }}
+ */
+export function simulateACM(timeline, { standard = 's2', margin_dB = 1, hysteresis_dB = 0.5, symbolRate_Mbaud = null, minElevation_deg = 0 } = {}) {
+  if (!(hysteresis_dB >= 0)) throw new Error(`hysteresis_dB must be >= 0, got ${hysteresis_dB}`);
+  const ladder = modcodLadder(standard);
+
+  const frames = [];
+  const passes = [];
+  let pass = null;
+  let current = -1; // 当前阶梯下标，-1 = 中断
+  timeline.forEach((f, i) => {
+    const rs = symbolRate_Mbaud || f.symbolRate_Mbaud;
+    const esN0_dB = symbolRate_Mbaud ? f.cn0_dBHz - 10 * Math.log10(symbolRate_Mbaud * 1e6) : f.esN0_dB;
+    // 帧持续时间：到下一帧的间隔（末帧沿用上一间隔）
+    const next = timeline[i + 1] || null, prev = timeline[i - 1] || null;
+    const dtSec = next ? (next.time - f.time) / 1000 : prev ? (f.time - prev.time) / 1000 : 0;
+
+    const visible = f.elevation > minElevation_deg;
+    if (!visible) {
+      pass = null;
+      current = -1;
+      frames.push({ time: f.time, visible, esN0_dB, modcod: null, modulation: null, codeRate: null, spectralEfficiency: 0, netBitrate_Mbps: 0, switched: false });
+      return;
+    }
+
+    let switched = false;
+    const target = highestFeasible(ladder, esN0_dB, margin_dB);
+    if (!pass) {
+      // 过境开始（AOS）：直接捕获可用的最高 MODCOD，不计为切换
+      pass = { start: f.time, end: f.time, frames: 0, switches: 0, outageFrames: 0, bitrateSum: 0, dataVolume_Gbit: 0 };
+      passes.push(pass);
+      current = target;
+    } else if (target < current) {
+      current = target;
+      switched = true;
+    } else if (target > current) {
+      const up = highestFeasible(ladder, esN0_dB, margin_dB + hysteresis_dB);
+      if (up > current) {
+        current = up;
+        switched = true;
+      }
+    }
+
+    const m = current >= 0 ? ladder[current] : null;
+    const spectralEfficiency = m ? m.spectralEfficiency : 0;
+    const netBitrate_Mbps = rs * spectralEfficiency;
+    frames.push({
+      time: f.time, visible, esN0_dB,
+      modcod: m ? m.name : null, modulation: m ? m.modulation : null, codeRate: m ? m.codeRate : null,
+      spectralEfficiency, netBitrate_Mbps, switched
+    });
+
+    pass.end = f.time;
+    pass.frames++;
+    if (switched) pass.switches++;
+    if (!m) pass.outageFrames++;
+    pass.bitrateSum += netBitrate_Mbps;
+    pass.dataVolume_Gbit += netBitrate_Mbps * dtSec / 1000;
+  });
+
+  return {
+    config: { standard, margin_dB, hysteresis_dB, symbolRate_Mbaud, minElevation_deg },
+    frames,
+    passes: passes.map(p => ({
+      start: p.start, end: p.end, frames: p.frames, switches: p.switches,
+      outageFraction: p.outageFrames / p.frames,
+      meanBitrate_Mbps: p.bitrateSum / p.frames,
+      dataVolume_Gbit: p.dataVolume_Gbit
+    })),
+    totalSwitches: passes.reduce((acc, p) => acc + p.switches, 0)
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * 信道时间序列导出 — ChannelSimPanel 与 satchan CLI 共用的 CSV / JSON 格式
+ *
+ * 两端必须输出同一格式，以便夜间批处理结果与面板导出可直接互换。
+ */
+
+/**
+ * 时间序列 → CSV（每帧一行，末尾按最大抽头数展开逐 tap 列）
+ * @param {Array} timeline — generateChannelTimeSeries 的输出
+ * @param {object} [extras]
+ * @param {object} [extras.handover] — simulateHandover 结果（timeline 即其拼接时间序列）；给定时在 CIR 列后追加服务卫星 / 切换列
+ * @param {object} [extras.acm] — 同一时间序列的 simulateACM 结果；给定时追加逐帧 MODCOD / 吞吐列
+ * @param {object} [extras.errorRates] — estimateErrorRates 结果；给定时追加逐帧 BER / BLER / 中断概率列
+ * @returns {string}
+ */
+export function timelineToCSV(timeline, { handover = null, acm = null, errorRates = null } = {}) {
+  // 找出所有帧中最大 tap 数量
+  const maxTaps = Math.max(0, ...timeline.map(f => f.cir.taps.length));
+  // 基础列头
+  let headers = 'Time,Elevation_deg,Azimuth_deg,SlantRange_km,RangeRate_kms,Doppler_Hz,DopplerRate_Hzs,AbsFSPL_dB,RxPower_dBm,NoiseFloor_dBm,SNR_dB,UplinkSNR_dB,DownlinkSNR_dB,CN0_dBHz,EsN0_dB,EbN0_dB,Margin_dB,AttRain_dB,AttGas_dB,AttCloud_dB,CloudLWC_kgm2,AtmTotal_dB,FadeLMS_dB,LMS_State,Faraday_dB,Pointing_dB,Scint_dB,FastFade_dB,TSky_K,XPD_dB,CapRank1_bpsHz,CapRank2_bpsHz,GroupDelay_ns,Dispersion_ns,CIR_NumTaps,CIR_RMSDelaySpread_ns,CIR_CoherenceBW_MHz';
+  if (handover) headers += ',Serving_Sat,Handover';
+  if (acm) headers += ',ACM_MODCOD,ACM_SpectralEff_bpsHz,ACM_NetBitrate_Mbps,ACM_Switch';
+  if (errorRates) headers += ',BER_AWGN,BER_Fading,BLER,Outage_Prob';
+  // 为每个 tap 添加详细列头
+  for (let i = 0; i < maxTaps; i++) {
+    headers += `,Tap${i}_Label,Tap${i}_ExcessDelay_ns,Tap${i}_Amplitude_dB,Tap${i}_Phase_rad`;
+  }
+  const rows = timeline.map((f, idx) => {
+    const base = [f.timeLabel, f.elevation.toFixed(2), f.azimuth.toFixed(1), f.slantRange.toFixed(1), f.rangeRate.toFixed(4), f.doppler_Hz.toFixed(1), f.dopplerRate_Hzs.toFixed(2), f.absoluteFspl.toFixed(2), f.rxPowerDbm.toFixed(2), f.noiseFloorDbm.toFixed(2), f.snrDb.toFixed(2), f.uplinkSnrDb != null ? f.uplinkSnrDb.toFixed(2) : '', f.downlinkSnrDb.toFixed(2), f.cn0_dBHz.toFixed(2), f.esN0_dB.toFixed(2), f.ebN0_dB.toFixed(2), f.margin_dB.toFixed(2), f.attRain.toFixed(3), f.attGas.toFixed(3), f.attCloud.toFixed(3), f.cloudLWC.toFixed(3), f.totalAtmosphericLoss.toFixed(3), f.fadeLMS.toFixed(2), f.lmsState || '', f.lossFaraday.toFixed(3), f.pointingLoss.toFixed(3), f.scintLoss.toFixed(3), f.fastFadeLoss.toFixed(3), f.tSky.toFixed(1), f.xpd.toFixed(2), f.capRank1.toFixed(3), f.capRank2.toFixed(3), f.groupDelayNs.toFixed(3), f.dispersionNs.toFixed(3), f.cir.taps.length, f.cir.rmsDelaySpread_ns.toFixed(3), f.cir.coherenceBandwidth_MHz.toFixed(3)];
+    if (handover) base.push(f.satellite, f.handover ? 1 : 0);
+    if (acm) {
+      const a = acm.frames[idx];
+      base.push(a.modcod || '', a.spectralEfficiency.toFixed(6), a.netBitrate_Mbps.toFixed(3), a.switched ? 1 : 0);
+    }
+    if (errorRates) {
+      const e = errorRates.frames[idx];
+      base.push(e.berAwgn.toExponential(3), e.ber.toExponential(3), e.bler != null ? e.bler.toExponential(3) : '', e.outageProbability.toExponential(3));
+    }
+    // 逐 tap 输出详细数据
+    for (let i = 0; i < maxTaps; i++) {
+      const tap = f.cir.taps[i];
+      if (tap) {
+        base.push(tap.label, tap.excessDelay_ns.toFixed(3), tap.amplitude_dB.toFixed(3), tap.phase_rad.toFixed(4));
+      } else {
+        base.push('', '', '', '');
+      }
+    }
+    return base.join(',');
+  });
+  return headers + '\n' + rows.join('\n');
+}
+
+// 去掉一个字段后的浅拷贝
+function without(obj, key) {
+  const copy = { ...obj };
+  delete copy[key];
+  return copy;
+}
+
+/**
+ * 时间序列 → JSON 导出对象
+ * @param {Array} timeline — generateChannelTimeSeries 的输出
+ * @param {object} meta
+ * @param {string} [meta.satellite='Unknown']
+ * @param {object} [meta.orbit] — 轨道来源（tleCatalog.orbitProvenance）；给定时写入 metadata.orbit，OMM 保留发布方 / 生成时间等
+ * @param {{ lat, lon, alt }} meta.groundStation
+ * @param {object} meta.linkConfig — 生成时使用的链路参数
+ * @param {number} meta.stepSec
+ * @param {object} [meta.fading] — 衰落配置（种子等），用于复现
+ * @param {object} [meta.handover] — simulateHandover 结果；给定时写入 metadata.handover（配置 + 切换 / 中断事件）与逐帧 serving
+ * @param {object} [meta.acm] — simulateACM 结果；给定时写入 metadata.acm（配置 + 逐过境统计）与逐帧 acm
+ * @param {object} [meta.errorRates] — estimateErrorRates 结果；给定时写入 metadata.errorRates 与逐帧 errorRates
+ * @returns {{ metadata, frames }}
+ */
+export function timelineToJSON(timeline, { satellite, orbit = null, groundStation, linkConfig, stepSec, fading = null, handover = null, acm = null, errorRates = null }) {
+  const json = {
+    metadata: {
+      satellite: satellite || 'Unknown',
+      ...(orbit ? { orbit } : {}),
+      groundStation,
+      linkConfig,
+      generatedAt: new Date().toISOString(),
+      totalFrames: timeline.length,
+      stepSec,
+      fading
+    },
+    frames: timeline.map((f, idx) => ({
+      time: f.time.toISOString(),
+      geometry: { elevation: f.elevation, azimuth: f.azimuth, slantRange: f.slantRange, rangeRate: f.rangeRate, apparentElevation: f.apparentElevation },
+      doppler: { shift_Hz: f.doppler_Hz, rate_Hzs: f.dopplerRate_Hzs },
+      linkBudget: { absoluteFspl: f.absoluteFspl, rxPowerDbm: f.rxPowerDbm, noiseFloorDbm: f.noiseFloorDbm, snrDb: f.snrDb, uplinkSnrDb: f.uplinkSnrDb, downlinkSnrDb: f.downlinkSnrDb, limitingLeg: f.limitingLeg, cn0_dBHz: f.cn0_dBHz, esN0_dB: f.esN0_dB, symbolRate_Mbaud: f.symbolRate_Mbaud, ebN0_dB: f.ebN0_dB, margin_dB: f.margin_dB },
+      attenuation: { rain: f.attRain, gas: f.attGas, cloud: f.attCloud, cloudLWC: f.cloudLWC, atmospheric: f.totalAtmosphericLoss, fadeLMS: f.fadeLMS, lmsState: f.lmsState, faraday: f.lossFaraday, pointing: f.pointingLoss, scintillation: f.scintLoss, fastFading: f.fastFadeLoss },
+      noise: { tSky: f.tSky },
+      polarization: { xpd: f.xpd },
+      mimo: { capRank1: f.capRank1, capRank2: f.capRank2 },
+      ionosphere: { groupDelayNs: f.groupDelayNs, dispersionNs: f.dispersionNs },
+      cir: f.cir,
+      ...(handover ? { serving: { satellite: f.satellite, satIndex: f.satIndex, handover: f.handover } } : {}),
+      ...(acm ? { acm: without(acm.frames[idx], 'time') } : {}),
+      ...(errorRates ? { errorRates: without(errorRates.frames[idx], 'time') } : {})
+    }))
+  };
+  if (handover) {
+    json.metadata.handover = {
+      ...handover.config,
+      summary: handover.summary,
+      handovers: handover.handovers.map(h => ({ ...h, time: h.time.toISOString() })),
+      outages: handover.outages.map(o => ({ ...o, start: o.start.toISOString(), end: o.end.toISOString() })),
+      segments: handover.segments.map(s => ({ ...s, start: s.start.toISOString(), end: s.end.toISOString() }))
+    };
+  }
+  if (acm) {
+    json.metadata.acm = {
+      ...acm.config,
+      totalSwitches: acm.totalSwitches,
+      passes: acm.passes.map(p => ({ ...p, start: p.start.toISOString(), end: p.end.toISOString() }))
+    };
+  }
+  if (errorRates) {
+    json.metadata.errorRates = {
+      ...errorRates.config,
+      summary: errorRates.summary,
+      passes: errorRates.passes.map(p => ({ ...p, start: p.start.toISOString(), end: p.end.toISOString() }))
+    };
+  }
+  return json;
+}
+
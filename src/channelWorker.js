@@ -0,0 +1,7 @@
+/**
+ * 信道仿真 Web Worker 入口 — 协议见 simJobs.js
+ */
+
+import { runSimJob } from './simJobs.js';
+
+self.onmessage = (e) => runSimJob(e.data, (msg, transfer) => self.postMessage(msg, transfer || []));
@@ -0,0 +1,264 @@
+/**
+ * 多星座可见性与切换仿真（Starlink / OneWeb / 千帆 等 LEO 星座）
+ *
+ * 1. 逐时间步对星座内每颗卫星做 SGP4 外推，列出仰角高于掩模角的可见卫星
+ *    （仰角 / 方位 / 斜距 / 晴空 SNR / 剩余可见时长）；
+ * 2. 按切换策略逐步选择服务卫星：
+ *    - 'highest-elevation'：仰角最高；候选仰角超过当前服务星 hysteresis（°）才切换；
+ *    - 'best-snr'：晴空 SNR 最高；候选 SNR 超过当前服务星 hysteresis（dB）才切换；
+ *    - 'longest-visibility'：剩余可见时长最长；当前服务星保持到其低于掩模角为止；
+ *    当前服务星落下时立即改选策略指标最优的可见卫星，无可见卫星即为中断；
+ * 3. 对每个服务段调用 generateChannelTimeSeries 并按时间拼接，得到服务卫星的连续信道时间序列。
+ *
+ * 剩余可见时长按仿真窗口内的逐步外推计数，窗口末尾截断。
+ * 切换仅指两颗服务卫星之间的直接交接；中断后重新捕获不计为切换（与 ACM 的 AOS 一致）。
+ */
+
+import * as satelliteModule from 'satellite.js';
+import { computeEndToEndPerformance, generateChannelTimeSeries, deriveSeed, createSatrec, createLmsMarkovChain } from './model.js';
+import { parseTLECatalog } from './tleCatalog.js';
+const satellite = satelliteModule.degreesToRadians ? satelliteModule : satelliteModule.default;
+
+export const HANDOVER_POLICIES = ['highest-elevation', 'longest-visibility', 'best-snr'];
+
+// 各策略的默认迟滞：仰角 (°) / 剩余时长（不使用）/ SNR (dB)
+const DEFAULT_HYSTERESIS = { 'highest-elevation': 5, 'longest-visibility': 0, 'best-snr': 1 };
+
+/**
+ * 解析多星 TLE / 3LE 文本或 OMM 文件（parseTLECatalog 的精简视图）
+ *
+ * 结构错误的记录被跳过；校验和不符的记录保留（见 tleCatalog.js）。
+ * OMM 记录的 line1 为记录对象、line2 为 null。
+ * @param {string} text
+ * @returns {Array<{ name: string, line1: string|object, line2: string|null }>}
+ */
+export function parseTLESet(text) {
+  return parseTLECatalog(text).entries.map(({ name, line1, line2 }) => ({ name, line1, line2 }));
+}
+
+/**
+ * 逐时间步计算星座可见性
+ * @param {Array<{ name, line1, line2 }>} satellites — parseTLESet 的输出
+ * @param {{ lat: number, lon: number, alt: number }} groundStation — alt 单位 m
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @param {number} stepSec
+ * @param {object} [opts]
+ * @param {number} [opts.minElevation_deg=10] — 掩模角
+ * @param {object} [opts.linkParams] — 计算晴空 SNR 的链路参数（忽略快衰落 / LMS）
+ * @param {(done: number, total: number) => void} [opts.onProgress]
+ * @returns {Array<{ time: Date, visible: Array<{ satIndex, name, elevation, azimuth, slantRange, snrDb, remainingSec }> }>}
+ *   visible 按仰角降序
+ */
+export function computeConstellationVisibility(satellites, groundStation, startTime, endTime, stepSec, { minElevation_deg = 10, linkParams = {}, onProgress } = {}) {
+  if (!(stepSec > 0)) throw new Error(`stepSec must be positive, got ${stepSec}`);
+  const satrecs = satellites.map(s => createSatrec(s.line1, s.line2));
+  const observerGd = {
+    longitude: satellite.degreesToRadians(groundStation.lon),
+    latitude: satellite.degreesToRadians(groundStation.lat),
+    height: (groundStation.alt || 0) / 1000.0
+  };
+  const clearSkyParams = { ...linkParams };
+  delete clearSkyParams.lmsModel;
+
+  const steps = [];
+  const totalSteps = Math.floor((endTime.getTime() - startTime.getTime()) / (stepSec * 1000)) + 1;
+  for (let k = 0; k < totalSteps; k++) {
+    if (onProgress) onProgress(k + 1, totalSteps);
+    const time = new Date(startTime.getTime() + k * stepSec * 1000);
+    const gmst = satellite.gstime(time);
+    const visible = [];
+    satrecs.forEach((satrec, satIndex) => {
+      const pv = satellite.propagate(satrec, time);
+      if (!pv || !pv.position) return;
+      const la = satellite.ecfToLookAngles(observerGd, satellite.eciToEcf(pv.position, gmst));
+      const elevation = satellite.radiansToDegrees(la.elevation);
+      if (elevation < minElevation_deg) return;
+      const perf = computeEndToEndPerformance({
+        stationLat: groundStation.lat,
+        stationLon: groundStation.lon,
+        stationAlt: groundStation.alt || 0,
+        ...clearSkyParams,
+        elevation: Math.max(0.1, elevation),
+        slantRange: la.rangeSat,
+        simTime: 0,
+        disableFastFading: true
+      });
+      visible.push({
+        satIndex,
+        name: satellites[satIndex].name,
+        elevation,
+        azimuth: satellite.radiansToDegrees(la.azimuth),
+        slantRange: la.rangeSat,
+        snrDb: perf.snrDb,
+        remainingSec: 0
+      });
+    });
+    visible.sort((a, b) => b.elevation - a.elevation);
+    steps.push({ time, visible });
+  }
+
+  // 倒序扫描：连续可见步数 × 步长 = 剩余可见时长
+  let runAhead = new Map();
+  for (let k = steps.length - 1; k >= 0; k--) {
+    const next = new Map();
+    for (const v of steps[k].visible) {
+      const remaining = runAhead.has(v.satIndex) ? runAhead.get(v.satIndex) + stepSec : 0;
+      v.remainingSec = remaining;
+      next.set(v.satIndex, remaining);
+    }
+    runAhead = next;
+  }
+  return steps;
+}
+
+// 策略指标：越大越好
+function policyScore(policy, v) {
+  if (policy === 'highest-elevation') return v.elevation;
+  if (policy === 'best-snr') return v.snrDb;
+  return v.remainingSec;
+}
+
+/**
+ * 按切换策略从可见性序列中选择服务卫星
+ * @param {Array} visibility — computeConstellationVisibility 的输出
+ * @param {object} [opts]
+ * @param {'highest-elevation'|'longest-visibility'|'best-snr'} [opts.policy='highest-elevation']
+ * @param {number} [opts.hysteresis] — 切换迟滞（° 或 dB），缺省按策略取 5° / 1 dB；longest-visibility 不使用
+ * @returns {Array<{ time: Date, visibleCount: number, serving: object|null }>} — serving 为 visible 中的条目
+ */
+export function selectServingSatellites(visibility, { policy = 'highest-elevation', hysteresis = null } = {}) {
+  if (!HANDOVER_POLICIES.includes(policy)) {
+    throw new Error(`Unknown handover policy "${policy}" (expected ${HANDOVER_POLICIES.join(' | ')})`);
+  }
+  const margin = hysteresis != null ? hysteresis : DEFAULT_HYSTERESIS[policy];
+  if (!(margin >= 0)) throw new Error(`hysteresis must be >= 0, got ${hysteresis}`);
+
+  let current = null;
+  return visibility.map(({ time, visible }) => {
+    let best = null;
+    for (const v of visible) {
+      if (!best || policyScore(policy, v) > policyScore(policy, best)) best = v;
+    }
+    const stillVisible = current != null ? visible.find(v => v.satIndex === current) : null;
+    let serving = best;
+    if (stillVisible) {
+      const keep = policy === 'longest-visibility'
+        || policyScore(policy, best) <= policyScore(policy, stillVisible) + margin;
+      if (keep) serving = stillVisible;
+    }
+    current = serving ? serving.satIndex : null;
+    return { time, visibleCount: visible.length, serving };
+  });
+}
+
+/**
+ * 星座切换仿真：可见性 → 服务卫星选择 → 切换 / 中断事件 → 拼接的信道时间序列
+ * @param {Array<{ name, line1, line2 }>} satellites
+ * @param {{ lat, lon, alt }} groundStation
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @param {number} stepSec
+ * @param {object} [opts]
+ * @param {string} [opts.policy='highest-elevation'] — 见 HANDOVER_POLICIES
+ * @param {number} [opts.minElevation_deg=10]
+ * @param {number} [opts.hysteresis] — 见 selectServingSatellites
+ * @param {object} [opts.linkParams] — generateChannelTimeSeries 的链路参数；各服务段的衰落种子由 fadingSeed 按卫星名与段序号派生
+ * @param {(done: number, total: number) => void} [opts.onProgress] — 可见性与时间序列各占一半
+ * @returns {{
+ *   config: { policy, minElevation_deg, hysteresis, stepSec, satellites },
+ *   steps: Array<{ time, visibleCount, serving, servingName, elevation, snrDb }>,
+ *   handovers: Array<{ time, from, to, fromName, toName }>,
+ *   outages: Array<{ start, end, durationSec }>,
+ *   segments: Array<{ satIndex, name, start, end, steps, handover }>,
+ *   timeline: Array,
+ *   summary: { handoverCount, outageCount, outageFraction, outageSec, meanVisible, maxVisible }
+ * }} — timeline 帧附加 satellite / satIndex / handover 字段，frameIndex 跨段连续；中断步不出帧
+ */
+export function simulateHandover(satellites, groundStation, startTime, endTime, stepSec, {
+  policy = 'highest-elevation', minElevation_deg = 10, hysteresis = null, linkParams = {}, onProgress
+} = {}) {
+  if (satellites.length === 0) throw new Error('Constellation has no satellites');
+  const visibility = computeConstellationVisibility(satellites, groundStation, startTime, endTime, stepSec, {
+    minElevation_deg, linkParams,
+    onProgress: onProgress ? (done, total) => onProgress(done, 2 * total) : undefined
+  });
+  const selection = selectServingSatellites(visibility, { policy, hysteresis });
+  const numSteps = selection.length;
+
+  const steps = selection.map(s => ({
+    time: s.time,
+    visibleCount: s.visibleCount,
+    serving: s.serving ? s.serving.satIndex : null,
+    servingName: s.serving ? s.serving.name : null,
+    elevation: s.serving ? s.serving.elevation : null,
+    snrDb: s.serving ? s.serving.snrDb : null
+  }));
+
+  // 服务段 / 切换 / 中断
+  const segments = [];
+  const handovers = [];
+  const outages = [];
+  steps.forEach((s, k) => {
+    const prev = k > 0 ? steps[k - 1].serving : undefined;
+    if (s.serving === null) {
+      if (prev !== null) outages.push({ start: s.time, end: s.time, durationSec: 0 });
+      const o = outages[outages.length - 1];
+      o.durationSec += stepSec;
+      o.end = k + 1 < numSteps ? steps[k + 1].time : s.time;
+      return;
+    }
+    if (s.serving !== prev) {
+      if (prev != null) handovers.push({ time: s.time, from: prev, to: s.serving, fromName: steps[k - 1].servingName, toName: s.servingName });
+      segments.push({ satIndex: s.serving, name: s.servingName, start: s.time, end: s.time, steps: 0, handover: prev != null });
+    }
+    const seg = segments[segments.length - 1];
+    seg.end = s.time;
+    seg.steps++;
+  });
+
+  // 逐段生成并拼接信道时间序列：仿真时间从窗口起点连续计时，终端的 LMS Markov 链跨段延续
+  // （中断期间按行驶距离推进），每段的衰落种子按段序号派生，同一颗星再次被选中时不重复
+  const timeline = [];
+  let stepsDone = 0;
+  const baseSeed = linkParams.fadingSeed != null ? linkParams.fadingSeed : 1;
+  const speed_mps = linkParams.speed_mps != null ? linkParams.speed_mps : 10;
+  const lmsChain = linkParams.lmsModel === 'markov'
+    ? createLmsMarkovChain({ env: linkParams.env, freq: linkParams.freq || 30, lmsMarkov: linkParams.lmsMarkov, seed: deriveSeed(baseSeed, 'lms-chain') })
+    : null;
+  segments.forEach((seg, k) => {
+    const sat = satellites[seg.satIndex];
+    const timeOffsetSec = (seg.start.getTime() - startTime.getTime()) / 1000;
+    if (lmsChain && k > 0) lmsChain.advance(speed_mps * (seg.start.getTime() - segments[k - 1].end.getTime()) / 1000);
+    const frames = generateChannelTimeSeries(
+      sat.line1, sat.line2, groundStation.lat, groundStation.lon, groundStation.alt || 0,
+      seg.start, seg.end, stepSec,
+      { ...linkParams, fadingSeed: deriveSeed(baseSeed, `${sat.name}#${k}`) },
+      { onProgress: onProgress ? done => onProgress(numSteps + stepsDone + done, 2 * numSteps) : undefined, timeOffsetSec, lmsChain }
+    );
+    frames.forEach((f, i) => {
+      timeline.push({ ...f, frameIndex: timeline.length, satellite: sat.name, satIndex: seg.satIndex, handover: i === 0 && seg.handover });
+    });
+    stepsDone += seg.steps;
+  });
+  if (onProgress && stepsDone < numSteps) onProgress(2 * numSteps, 2 * numSteps);
+
+  const outageSteps = steps.filter(s => s.serving === null).length;
+  const totalVisible = steps.reduce((n, s) => n + s.visibleCount, 0);
+  return {
+    config: { policy, minElevation_deg, hysteresis: hysteresis != null ? hysteresis : DEFAULT_HYSTERESIS[policy], stepSec, satellites: satellites.length },
+    steps,
+    handovers,
+    outages,
+    segments,
+    timeline,
+    summary: {
+      handoverCount: handovers.length,
+      outageCount: outages.length,
+      outageFraction: numSteps > 0 ? outageSteps / numSteps : 0,
+      outageSec: outageSteps * stepSec,
+      meanVisible: numSteps > 0 ? totalVisible / numSteps : 0,
+      maxVisible: Math.max(0, ...steps.map(s => s.visibleCount))
+    }
+  };
+}
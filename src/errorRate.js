@@ -0,0 +1,340 @@
+/**
+ * 误码率估计 — 未编码 BER（BPSK / QPSK / 8PSK / 16APSK / 32APSK）与 DVB-S2/S2X 编码 BLER
+ *
+ * AWGN：BPSK / QPSK 用精确式 Q(√(2Es/N0)) / Q(√(Es/N0))；8PSK 与 APSK 按星座点间距离的联合界计算 SER，
+ * Gray 映射近似 BER ≈ SER / log2 M。16APSK / 32APSK 采用 DVB-S2 4+12 / 4+12+16 环形星座（环半径比取 3/4 码率的值）。
+ *
+ * 衰落：对帧的局部平均 Es/N0 按该帧衰落分布（Rician K、Loo、Markov LMS 状态的 Loo 参数，见 fadingDistributionParams）
+ * 的功率增益取平均：BER = ∫ BER_AWGN(γ̄·x) p(x) dx。帧 Es/N0 中已采样的衰落值先加回，避免重复计入。
+ * 编码 BLER 缺省取 MODCOD 的 QEF 门限（acm.js）为锚点，平移同一条示意瀑布曲线（非 DVB-S2 公开的逐 MODCOD 曲线，
+ * 见 BLER_CURVE_SOURCE）；公开或实测的逐 MODCOD BLER 表通过 blerTables 传入。衰落下按块衰落取平均。
+ * 中断概率 = P(γ < γ_req)：未编码时 γ_req 为达到目标 BER 所需 Es/N0，编码时为 MODCOD 门限。
+ */
+
+import { fadingDistributionParams } from './model.js';
+import { DVBS2_MODCODS, DVBS2X_MODCODS } from './acm.js';
+
+export const BER_MODULATIONS = ['BPSK', 'QPSK', '8PSK', '16APSK', '32APSK'];
+
+// 缺省 BLER 曲线：[相对 QEF 门限的 Es/N0 偏移 (dB), log10 BLER]。手绘的示意形状（门限处 1e-7、约 1.5 dB 内升到 1），
+// 对所有 MODCOD 共用，不是某一 MODCOD 的仿真或实测曲线；需要可信 BLER 时通过 blerTables 传入。
+const ILLUSTRATIVE_WATERFALL = [
+  [-1.5, 0], [-1.0, -0.05], [-0.7, -0.3], [-0.5, -1.0], [-0.3, -2.5], [-0.15, -4.5], [0, -7]
+];
+const MIN_LOG_BLER = -12;
+
+export const BLER_CURVE_SOURCE = 'Illustrative: one hand-drawn waterfall shape shifted to each MODCOD\'s QEF threshold (not published DVB-S2 per-MODCOD curves)';
+
+// erfc — Numerical Recipes erfcc（Chebyshev 拟合，全域相对误差 < 1.2e-7）
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+const qFunction = (x) => 0.5 * erfc(x / Math.SQRT2);
+
+// e^{-x}·I0(x)，Abramowitz & Stegun 9.8.1 / 9.8.2
+function besselI0e(x) {
+  if (x <= 3.75) {
+    const t = (x / 3.75) * (x / 3.75);
+    return Math.exp(-x) * (1 + t * (3.5156229 + t * (3.0899424 + t * (1.2067492 + t * (0.2659732 + t * (0.0360768 + t * 0.0045813))))));
+  }
+  const t = 3.75 / x;
+  return (0.39894228 + t * (0.01328592 + t * (0.00225319 + t * (-0.00157565 + t * (0.00916281 +
+    t * (-0.02057706 + t * (0.02635537 + t * (-0.01647633 + t * 0.00392377)))))))) / Math.sqrt(x);
+}
+
+// 环形星座（单位平均能量）：rings = [[点数, 半径, 首点相位]]
+function ringConstellation(rings) {
+  const pts = [];
+  for (const [n, r, phase0] of rings) {
+    for (let k = 0; k < n; k++) pts.push([r * Math.cos(phase0 + 2 * Math.PI * k / n), r * Math.sin(phase0 + 2 * Math.PI * k / n)]);
+  }
+  const es = pts.reduce((acc, [x, y]) => acc + x * x + y * y, 0) / pts.length;
+  return pts.map(([x, y]) => [x / Math.sqrt(es), y / Math.sqrt(es)]);
+}
+
+// 星座点间距离的重数表 [{ d, count }]（count 已除以 M，即每点平均邻点数）
+function distanceSpectrum(pts) {
+  const table = new Map();
+  for (let i = 0; i < pts.length; i++) {
+    for (let j = 0; j < pts.length; j++) {
+      if (i === j) continue;
+      const d = Math.hypot(pts[i][0] - pts[j][0], pts[i][1] - pts[j][1]);
+      const key = d.toFixed(9);
+      table.set(key, { d, count: (table.has(key) ? table.get(key).count : 0) + 1 / pts.length });
+    }
+  }
+  return [...table.values()];
+}
+
+const SPECTRA = {
+  '8PSK': { bits: 3, spectrum: distanceSpectrum(ringConstellation([[8, 1, 0]])) },
+  '16APSK': { bits: 4, spectrum: distanceSpectrum(ringConstellation([[4, 1, Math.PI / 4], [12, 2.85, Math.PI / 12]])) },
+  '32APSK': { bits: 5, spectrum: distanceSpectrum(ringConstellation([[4, 1, Math.PI / 4], [12, 2.84, Math.PI / 12], [16, 5.27, 0]])) }
+};
+
+function checkModulation(modulation) {
+  if (!BER_MODULATIONS.includes(modulation)) {
+    throw new Error(`Unsupported modulation "${modulation}" (expected ${BER_MODULATIONS.join(' | ')})`);
+  }
+}
+
+// 线性 Es/N0 → 未编码 BER（不做参数校验，供内层循环使用）
+function berLinear(modulation, esN0) {
+  if (modulation === 'BPSK') return qFunction(Math.sqrt(2 * esN0));
+  if (modulation === 'QPSK') return qFunction(Math.sqrt(esN0));
+  const { bits, spectrum } = SPECTRA[modulation];
+  let ser = 0;
+  for (const { d, count } of spectrum) ser += count * qFunction(d * Math.sqrt(esN0 / 2));
+  return Math.min(0.5, ser / bits);
+}
+
+/**
+ * AWGN 下未编码 BER
+ * @param {'BPSK'|'QPSK'|'8PSK'|'16APSK'|'32APSK'} modulation
+ * @param {number} esN0_dB — 符号信噪比
+ * @returns {number}
+ */
+export function berAWGN(modulation, esN0_dB) {
+  checkModulation(modulation);
+  return berLinear(modulation, Math.pow(10, esN0_dB / 10));
+}
+
+/**
+ * 达到目标 BER 所需的 Es/N0（二分求解）
+ * @param {string} modulation
+ * @param {number} [targetBer=1e-5]
+ * @returns {number} — dB
+ */
+export function requiredEsN0(modulation, targetBer = 1e-5) {
+  checkModulation(modulation);
+  let lo = -20, hi = 50;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (berLinear(modulation, Math.pow(10, mid / 10)) > targetBer) lo = mid; else hi = mid;
+  }
+  return hi;
+}
+
+function findModcod(name) {
+  const m = DVBS2_MODCODS.find(x => x.name === name) || DVBS2X_MODCODS.find(x => x.name === name);
+  if (!m) throw new Error(`Unknown MODCOD "${name}"`);
+  return m;
+}
+
+// MODCOD → BLER 曲线 { points: [[Es/N0 dB, log10 BLER]], illustrative, source }
+// blerTables[modcod] = [[Es/N0 dB, BLER], ...]：Es/N0 严格递增，BLER ∈ (0, 1] 不增
+function blerCurve(modcod, blerTables) {
+  const table = blerTables ? blerTables[modcod.name] : undefined;
+  if (table === undefined) {
+    return { points: ILLUSTRATIVE_WATERFALL.map(([dx, y]) => [modcod.esN0_dB + dx, y]), illustrative: true, source: BLER_CURVE_SOURCE };
+  }
+  const valid = Array.isArray(table) && table.length >= 2 && table.every((pt, i) =>
+    Array.isArray(pt) && pt.length === 2 && Number.isFinite(pt[0]) && pt[1] > 0 && pt[1] <= 1 &&
+    (i === 0 || (pt[0] > table[i - 1][0] && pt[1] <= table[i - 1][1])));
+  if (!valid) {
+    throw new Error(`blerTables["${modcod.name}"] must list at least two [esN0_dB, BLER] points with increasing Es/N0 and non-increasing BLER in (0, 1]`);
+  }
+  return { points: table.map(([x, bler]) => [x, Math.log10(bler)]), illustrative: false, source: 'user-supplied' };
+}
+
+// Es/N0 (dB) → BLER（表内线性插值 log10 BLER；低于首点取首点值，高于末点按末段斜率外推）
+function blerFromCurve(points, esN0_dB) {
+  if (esN0_dB <= points[0][0]) return Math.pow(10, points[0][1]);
+  let i = 1;
+  while (i < points.length - 1 && esN0_dB > points[i][0]) i++;
+  const [x0, y0] = points[i - 1], [x1, y1] = points[i];
+  const logBler = y0 + (y1 - y0) * (esN0_dB - x0) / (x1 - x0);
+  return Math.pow(10, Math.max(MIN_LOG_BLER, Math.min(0, logBler)));
+}
+
+/**
+ * DVB-S2/S2X 编码 BLER（正常帧，AWGN）
+ * 未给出该 MODCOD 的表时为示意曲线（BLER_CURVE_SOURCE）。
+ * @param {string} modcod — MODCOD 名称，如 'QPSK 3/4'（见 acm.js）
+ * @param {number} esN0_dB
+ * @param {Object<string, Array<[number, number]>>|null} [blerTables=null] — MODCOD 名称 → 公开或实测的 [Es/N0 dB, BLER] 表
+ * @returns {number}
+ */
+export function codedBLER(modcod, esN0_dB, blerTables = null) {
+  return blerFromCurve(blerCurve(findModcod(modcod), blerTables).points, esN0_dB);
+}
+
+/**
+ * KNOWN_SATELLITES 频段的 modulation 字段 → 误码率配置
+ * 'BPSK(10)' 等扩频写法按其基带调制处理；'DVB-S2' / 'DVB-S2X' 缺省 QPSK 3/4；也可直接给 MODCOD 名称。
+ * @param {string} modulation
+ * @returns {{ modulation: string, modcod: string|null } | null} — CW 信标、WCDMA、OFDM 等无对应模型时为 null
+ */
+export function errorRateConfigFor(modulation) {
+  if (!modulation) return null;
+  const base = modulation.replace(/\(\d+\)$/, '').trim().toUpperCase();
+  if (BER_MODULATIONS.includes(base)) return { modulation: base, modcod: null };
+  if (base === 'DVB-S2' || base === 'DVB-S2X') return { modulation: 'QPSK', modcod: 'QPSK 3/4' };
+  const m = DVBS2_MODCODS.find(x => x.name === modulation) || DVBS2X_MODCODS.find(x => x.name === modulation);
+  if (m && BER_MODULATIONS.includes(m.modulation)) return { modulation: m.modulation, modcod: m.name };
+  return null;
+}
+
+// 功率增益对数网格：x ∈ [1e-8, 1e2]，步长 ≈ 0.17 dB
+const GRID_POINTS = 600;
+const GRID_U0 = Math.log(1e-8), GRID_U1 = Math.log(1e2);
+
+// Rician 功率增益 pdf（平均功率 omega）
+function ricianPowerPdf(x, K, omega) {
+  const y = x / omega;
+  const z = 2 * Math.sqrt(K * (K + 1) * y);
+  return (K + 1) / omega * Math.exp(-K - (K + 1) * y + z) * besselI0e(z);
+}
+
+// 衰落分布 → 功率增益求积节点 { x, w }（Σw = 1）；null 为无衰落
+function gainQuadrature(dist) {
+  if (!dist) return { x: [1], w: [1] };
+  let pdf;
+  if (dist.model === 'rician') {
+    const K = Math.pow(10, dist.K_dB / 10);
+    pdf = (x) => ricianPowerPdf(x, K, 1);
+  } else {
+    // Loo：对数正态 LOS 幅度 A（20·log10 A = μ + σz）条件下为 Rician(K = A²/b0, Ω = A² + b0)，对 z 数值积分
+    const b0 = Math.pow(10, dist.multipath_dB / 10);
+    const zs = [];
+    for (let i = 0; i <= 40; i++) {
+      const z = -5 + i * 0.25;
+      const A2 = Math.pow(10, (dist.mean_dB + dist.std_dB * z) / 10);
+      zs.push({ K: A2 / b0, omega: A2 + b0, w: Math.exp(-z * z / 2) });
+    }
+    const wSum = zs.reduce((acc, c) => acc + c.w, 0);
+    pdf = (x) => zs.reduce((acc, c) => acc + c.w * ricianPowerPdf(x, c.K, c.omega), 0) / wSum;
+  }
+  const du = (GRID_U1 - GRID_U0) / (GRID_POINTS - 1);
+  const x = [], w = [];
+  for (let i = 0; i < GRID_POINTS; i++) {
+    const xi = Math.exp(GRID_U0 + i * du);
+    x.push(xi);
+    w.push(pdf(xi) * xi * du);
+  }
+  const total = w.reduce((a, b) => a + b, 0);
+  return { x, w: w.map(v => v / total) };
+}
+
+// Σ w·f(γ̄·x)
+function average(quad, meanEsN0, f) {
+  let acc = 0;
+  for (let k = 0; k < quad.x.length; k++) {
+    if (quad.w[k] > 1e-15) acc += quad.w[k] * f(meanEsN0 * quad.x[k]);
+  }
+  return acc;
+}
+
+/**
+ * 衰落信道下的平均 BER / BLER 与中断概率
+ * @param {number} meanEsN0_dB — 局部平均 Es/N0（不含衰落）
+ * @param {object} opts
+ * @param {string} opts.modulation
+ * @param {string|null} [opts.modcod=null] — 给定时同时计算编码 BLER
+ * @param {object|null} [opts.fading=null] — fadingDistributionParams 的输出；null 为 AWGN
+ * @param {number} [opts.targetBer=1e-5] — 未编码中断判据
+ * @param {object|null} [opts.blerTables=null] — MODCOD 名称 → [Es/N0 dB, BLER] 表（见 codedBLER）
+ * @returns {{ ber, bler, outageProbability }}
+ */
+export function fadingErrorRates(meanEsN0_dB, { modulation, modcod = null, fading = null, targetBer = 1e-5, blerTables = null }) {
+  checkModulation(modulation);
+  const m = modcod ? findModcod(modcod) : null;
+  return errorRatesOver(gainQuadrature(fading), meanEsN0_dB, { modulation, modcod: m, curve: m ? blerCurve(m, blerTables) : null, targetBer });
+}
+
+function errorRatesOver(quad, meanEsN0_dB, { modulation, modcod, curve, targetBer, requiredEsN0_dB }) {
+  const meanEsN0 = Math.pow(10, meanEsN0_dB / 10);
+  const required = Math.pow(10, (requiredEsN0_dB != null ? requiredEsN0_dB
+    : modcod ? modcod.esN0_dB : requiredEsN0(modulation, targetBer)) / 10);
+  return {
+    ber: average(quad, meanEsN0, g => berLinear(modulation, g)),
+    bler: modcod ? average(quad, meanEsN0, g => blerFromCurve(curve.points, 10 * Math.log10(g))) : null,
+    outageProbability: average(quad, meanEsN0, g => (g < required ? 1 : 0))
+  };
+}
+
+/**
+ * 在信道时间序列上逐帧估计误码率
+ * @param {Array} timeline — generateChannelTimeSeries 的输出（使用 time / elevation / esN0_dB / fastFadeLoss / fadeLMS / lmsState）
+ * @param {object} linkParams — 生成时使用的链路参数（决定衰落分布）
+ * @param {object} opts
+ * @param {string} opts.modulation — BER_MODULATIONS 之一
+ * @param {string|null} [opts.modcod=null] — DVB-S2/S2X MODCOD 名称，给定时输出编码 BLER
+ * @param {number} [opts.targetBer=1e-5]
+ * @param {number} [opts.minElevation_deg=0]
+ * @param {object|null} [opts.blerTables=null] — MODCOD 名称 → [Es/N0 dB, BLER] 表；未给出时 BLER 为示意曲线
+ * @returns {{
+ *   config: { modulation, modcod, targetBer, requiredEsN0_dB, fadingModel, minElevation_deg, blerCurve: { illustrative, source } | null },
+ *   frames: Array<{ time, visible, esN0_dB, meanEsN0_dB, berAwgn, ber, bler, outageProbability }>,
+ *   passes: Array<{ start, end, frames, meanBer, meanBler, outageProbability }>,
+ *   summary: { meanBer, meanBler, outageProbability } | null
+ * }}
+ */
+export function estimateErrorRates(timeline, linkParams, { modulation, modcod = null, targetBer = 1e-5, minElevation_deg = 0, blerTables = null } = {}) {
+  checkModulation(modulation);
+  if (!(targetBer > 0 && targetBer < 0.5)) throw new Error(`targetBer must be in (0, 0.5), got ${targetBer}`);
+  const m = modcod ? findModcod(modcod) : null;
+  const curve = m ? blerCurve(m, blerTables) : null;
+  const requiredEsN0_dB = m ? m.esN0_dB : requiredEsN0(modulation, targetBer);
+
+  const quads = new Map(); // 分布参数 → 求积节点（各 LMS 状态各算一次）
+  const quadFor = (dist) => {
+    const key = JSON.stringify(dist);
+    if (!quads.has(key)) quads.set(key, gainQuadrature(dist));
+    return quads.get(key);
+  };
+
+  const frames = [];
+  const passes = [];
+  let pass = null;
+  for (const f of timeline) {
+    const visible = f.elevation > minElevation_deg;
+    // 加回帧内已采样的全部衰落（LMS 状态样本 + 包络），得到局部平均 Es/N0，再对该帧的衰落分布取平均；
+    // LMS 与 rician / loo 叠加时只按状态的 Loo 分布（已含多径）取平均。闪烁保留在局部均值中
+    const dist = fadingDistributionParams(linkParams, f.lmsState);
+    const sampledFade_dB = !dist ? 0 : (f.lmsState != null ? f.fadeLMS : 0) + (f.fastFadeLoss || 0);
+    const meanEsN0_dB = f.esN0_dB + sampledFade_dB;
+    const berAwgn = berLinear(modulation, Math.pow(10, f.esN0_dB / 10));
+    const { ber, bler, outageProbability } = errorRatesOver(quadFor(dist), meanEsN0_dB, { modulation, modcod: m, curve, requiredEsN0_dB });
+    frames.push({ time: f.time, visible, esN0_dB: f.esN0_dB, meanEsN0_dB, berAwgn, ber, bler, outageProbability });
+
+    if (!visible) {
+      pass = null;
+      continue;
+    }
+    if (!pass) {
+      pass = { start: f.time, end: f.time, frames: 0, berSum: 0, blerSum: 0, outageSum: 0 };
+      passes.push(pass);
+    }
+    pass.end = f.time;
+    pass.frames++;
+    pass.berSum += ber;
+    pass.blerSum += bler || 0;
+    pass.outageSum += outageProbability;
+  }
+
+  const visibleFrames = frames.filter(f => f.visible);
+  const mean = (vals) => vals.reduce((a, b) => a + b, 0) / vals.length;
+  return {
+    config: { modulation, modcod, targetBer, requiredEsN0_dB, fadingModel: linkParams.disableFastFading ? 'none' : linkParams.lmsModel === 'markov' ? 'lms-markov' : (linkParams.fadingModel || null), minElevation_deg,
+      blerCurve: curve ? { illustrative: curve.illustrative, source: curve.source } : null },
+    frames,
+    passes: passes.map(p => ({
+      start: p.start, end: p.end, frames: p.frames,
+      meanBer: p.berSum / p.frames,
+      meanBler: m ? p.blerSum / p.frames : null,
+      outageProbability: p.outageSum / p.frames
+    })),
+    summary: visibleFrames.length === 0 ? null : {
+      meanBer: mean(visibleFrames.map(f => f.ber)),
+      meanBler: m ? mean(visibleFrames.map(f => f.bler)) : null,
+      outageProbability: mean(visibleFrames.map(f => f.outageProbability))
+    }
+  };
+}
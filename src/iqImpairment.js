@@ -0,0 +1,168 @@
+/**
+ * 基带 IQ 信道损伤 — 将 generateChannelTimeSeries 的仿真信道施加到 IQ 采样
+ *
+ * 输入/输出为交织 float32 (I0, Q0, I1, Q1, ...，小端)，与常见 .cf32 / .bin 文件一致。
+ * 每个采样按其时刻落入的时间序列帧处理：
+ *   1. 与该帧 CIR 抽头卷积（抽头增益按总功率归一化，分数时延线性插值）；
+ *   2. 载波多普勒 f_D + Ḟ_D·(t − t_frame) 连续累积相位，抽头相对卫星多普勒的残余分量单独旋转；
+ *   3. Faraday/XPD 交叉极化泄漏：共极化信号以 10^(−XPD/20) 泄漏到正交极化口，反之亦然；
+ *   4. 按帧 SNR 叠加 AWGN（噪声功率以输入信号平均功率为参考）。
+ * 帧 SNR 已包含路径、大气、Faraday 与衰落损耗，因此信号幅度不再额外缩放。
+ */
+
+import { createRng, deriveSeed } from './model.js';
+
+/**
+ * 解析交织 float32 IQ 二进制（小端）
+ * @param {ArrayBuffer} buffer
+ * @returns {Float32Array} — 长度为 2 × 采样数
+ */
+export function parseInterleavedIQ(buffer) {
+  const count = Math.floor(buffer.byteLength / 4);
+  if (count % 2 !== 0) throw new Error(`IQ buffer holds an odd number of float32 values (${count})`);
+  const view = new DataView(buffer);
+  const iq = new Float32Array(count);
+  for (let i = 0; i < count; i++) iq[i] = view.getFloat32(i * 4, true);
+  return iq;
+}
+
+/**
+ * 序列化为交织 float32 IQ 二进制（小端）
+ * @param {Float32Array} iq
+ * @returns {ArrayBuffer}
+ */
+export function serializeInterleavedIQ(iq) {
+  const buffer = new ArrayBuffer(iq.length * 4);
+  const view = new DataView(buffer);
+  for (let i = 0; i < iq.length; i++) view.setFloat32(i * 4, iq[i], true);
+  return buffer;
+}
+
+// 时间序列帧 → 归一化抽头（分数采样时延 + 复增益 + 残余多普勒）
+function frameTaps(frame, sampleRate_Hz) {
+  const taps = frame.cir ? frame.cir.taps : [];
+  const power = taps.reduce((acc, t) => acc + t.amplitude_linear * t.amplitude_linear, 0);
+  if (!(power > 0)) return [{ delay: 0, re: 1, im: 0, doppler_Hz: 0 }];
+  const norm = 1 / Math.sqrt(power);
+  return taps.map(t => ({
+    delay: t.excessDelay_ns * 1e-9 * sampleRate_Hz,
+    re: t.amplitude_linear * norm * Math.cos(t.phase_rad),
+    im: t.amplitude_linear * norm * Math.sin(t.phase_rad),
+    doppler_Hz: t.doppler_Hz != null ? t.doppler_Hz - (frame.doppler_Hz || 0) : 0
+  }));
+}
+
+// 分数时延读取（线性插值，越界为 0）
+function sampleAt(iq, pos) {
+  const i0 = Math.floor(pos);
+  const frac = pos - i0;
+  const n = iq.length / 2;
+  let re = 0, im = 0;
+  if (i0 >= 0 && i0 < n) { re += (1 - frac) * iq[2 * i0]; im += (1 - frac) * iq[2 * i0 + 1]; }
+  if (frac > 0 && i0 + 1 >= 0 && i0 + 1 < n) { re += frac * iq[2 * i0 + 2]; im += frac * iq[2 * i0 + 3]; }
+  return { re, im };
+}
+
+/**
+ * 将仿真信道施加到 IQ 采样
+ *
+ * @param {Float32Array} iq — 交织 IQ（共极化发射信号）
+ * @param {Array} timeline — generateChannelTimeSeries 的输出
+ * @param {object} opts
+ * @param {number} opts.sampleRate_Hz — 采样率
+ * @param {number} [opts.stepSec] — 帧间隔 (s)，缺省由前两帧时间推断
+ * @param {number} [opts.startFrame=0] — 第一个采样对应的帧
+ * @param {number|string} [opts.seed=1] — AWGN 种子
+ * @param {Float32Array} [opts.crossIq] — 正交极化发射信号（双极化时）
+ * @param {boolean} [opts.applyDoppler=true]
+ * @param {boolean} [opts.applyXpd=true]
+ * @param {boolean} [opts.applyNoise=true]
+ * @returns {{ iq: Float32Array, crossIq: Float32Array, frames: Array<{ frameIndex, startSample, numSamples, snrDb, doppler_Hz, xpd }> }}
+ */
+export function applyChannelToIQ(iq, timeline, opts = {}) {
+  const { sampleRate_Hz, startFrame = 0, seed = 1, crossIq = null, applyDoppler = true, applyXpd = true, applyNoise = true } = opts;
+  if (!(sampleRate_Hz > 0)) throw new Error('applyChannelToIQ: sampleRate_Hz must be positive');
+  if (!timeline || timeline.length === 0) throw new Error('applyChannelToIQ: empty channel timeline');
+  if (crossIq && crossIq.length !== iq.length) throw new Error('applyChannelToIQ: crossIq length must match iq');
+
+  const stepSec = opts.stepSec
+    || (timeline.length > 1 ? (timeline[1].time.getTime() - timeline[0].time.getTime()) / 1000 : 1);
+  const numSamples = iq.length / 2;
+  const samplesPerFrame = stepSec * sampleRate_Hz;
+
+  // 输入平均功率作为 SNR 参考（双极化时取两路平均）
+  let inPower = 0;
+  for (let i = 0; i < iq.length; i++) inPower += iq[i] * iq[i];
+  if (crossIq) for (let i = 0; i < crossIq.length; i++) inPower += crossIq[i] * crossIq[i];
+  inPower /= numSamples * (crossIq ? 2 : 1);
+
+  const rng = createRng(deriveSeed(seed, 'iq-awgn'));
+  const outCo = new Float32Array(iq.length);
+  const outCross = new Float32Array(iq.length);
+  const frames = [];
+
+  let carrierPhase = 0;
+  const tapPhase = [];
+  let current = null;
+
+  for (let n = 0; n < numSamples; n++) {
+    const k = Math.min(timeline.length - 1, startFrame + Math.floor(n / samplesPerFrame));
+    if (!current || current.frameIndex !== k) {
+      const frame = timeline[k];
+      const leak = applyXpd && frame.xpd != null ? Math.pow(10, -frame.xpd / 20) : 0;
+      current = {
+        frameIndex: k,
+        frame,
+        taps: frameTaps(frame, sampleRate_Hz),
+        leak,
+        coScale: 1 / Math.sqrt(1 + leak * leak), // 泄漏后两口总功率守恒
+        noiseStd: applyNoise ? Math.sqrt(inPower * Math.pow(10, -frame.snrDb / 10) / 2) : 0,
+        t0: (k - startFrame) * stepSec
+      };
+      frames.push({ frameIndex: k, startSample: n, numSamples: 0, snrDb: frame.snrDb, doppler_Hz: frame.doppler_Hz || 0, xpd: frame.xpd });
+    }
+    frames[frames.length - 1].numSamples++;
+
+    const t = n / sampleRate_Hz;
+    const { taps, leak, coScale, noiseStd, frame } = current;
+
+    // 多径卷积（残余多普勒逐抽头旋转）
+    let coRe = 0, coIm = 0, xRe = 0, xIm = 0;
+    taps.forEach((tap, i) => {
+      if (applyDoppler) tapPhase[i] = (tapPhase[i] || 0) + 2 * Math.PI * tap.doppler_Hz / sampleRate_Hz;
+      const ph = applyDoppler ? tapPhase[i] : 0;
+      const gRe = tap.re * Math.cos(ph) - tap.im * Math.sin(ph);
+      const gIm = tap.re * Math.sin(ph) + tap.im * Math.cos(ph);
+      const s = sampleAt(iq, n - tap.delay);
+      coRe += gRe * s.re - gIm * s.im;
+      coIm += gRe * s.im + gIm * s.re;
+      if (crossIq) {
+        const c = sampleAt(crossIq, n - tap.delay);
+        xRe += gRe * c.re - gIm * c.im;
+        xIm += gRe * c.im + gIm * c.re;
+      }
+    });
+
+    // 交叉极化泄漏
+    const yCoRe = coScale * (coRe + leak * xRe);
+    const yCoIm = coScale * (coIm + leak * xIm);
+    const yXRe = coScale * (xRe + leak * coRe);
+    const yXIm = coScale * (xIm + leak * coIm);
+
+    // 载波多普勒：f_D 按多普勒变化率在帧内线性外推
+    let rotRe = 1, rotIm = 0;
+    if (applyDoppler) {
+      const fd = (frame.doppler_Hz || 0) + (frame.dopplerRate_Hzs || 0) * (t - current.t0);
+      carrierPhase += 2 * Math.PI * fd / sampleRate_Hz;
+      rotRe = Math.cos(carrierPhase);
+      rotIm = Math.sin(carrierPhase);
+    }
+
+    outCo[2 * n] = yCoRe * rotRe - yCoIm * rotIm + noiseStd * rng.gaussian();
+    outCo[2 * n + 1] = yCoRe * rotIm + yCoIm * rotRe + noiseStd * rng.gaussian();
+    outCross[2 * n] = yXRe * rotRe - yXIm * rotIm + noiseStd * rng.gaussian();
+    outCross[2 * n + 1] = yXRe * rotIm + yXIm * rotRe + noiseStd * rng.gaussian();
+  }
+
+  return { iq: outCo, crossIq: outCross, frames };
+}
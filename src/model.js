@@ -1,30 +1,1194 @@
 import * as satelliteModule from 'satellite.js';
 const satellite = satelliteModule.degreesToRadians ? satelliteModule : satelliteModule.default;
 import { create, all } from 'mathjs';
+import { isOMMRecord, detectOrbitFormat, parseOMM, ommToSatrec } from './omm.js';
 const math = create(all);
 
-const RAIN_COEFFS = {
-  2.2: { k: 0.0002, alpha: 0.95 },
-  12.0: { k: 0.018, alpha: 1.15 },
-  30.0: { k: 0.187, alpha: 1.021 }, // Ka-band vertical
-  40.0: { k: 0.35, alpha: 0.93 },
-  50.0: { k: 0.55, alpha: 0.88 }
+// === ITU-R P.838-3 雨衰比衰减系数 ===
+// log10(k) = Σ a_j·exp(-((log10 f - b_j)/c_j)²) + m·log10 f + c
+// α        = Σ a_j·exp(-((log10 f - b_j)/c_j)²) + m·log10 f + c
+const P838_COEFFS = {
+  kH: {
+    a: [-5.33980, -0.35351, -0.23789, -0.94158],
+    b: [-0.10008, 1.26970, 0.86036, 0.64552],
+    c: [1.13098, 0.45400, 0.15354, 0.16817],
+    m: -0.18961, ck: 0.71147
+  },
+  kV: {
+    a: [-3.80595, -3.44965, -0.39902, 0.50167],
+    b: [0.56934, -0.22911, 0.73042, 1.07319],
+    c: [0.81061, 0.51059, 0.11899, 0.27195],
+    m: -0.16398, ck: 0.63297
+  },
+  alphaH: {
+    a: [-0.14318, 0.29591, 0.32177, -5.37610, 16.1721],
+    b: [1.82442, 0.77564, 0.63773, -0.96230, -3.29980],
+    c: [-0.55187, 0.19822, 0.13164, 1.47828, 3.43990],
+    m: 0.67849, ck: -1.95537
+  },
+  alphaV: {
+    a: [-0.07771, 0.56727, -0.20238, -48.2991, 48.5833],
+    b: [2.33840, 0.95545, 1.14520, 0.791669, 0.791459],
+    c: [-0.76284, 0.54039, 0.26809, 0.116226, 0.116479],
+    m: -0.053739, ck: 0.83433
+  }
 };
 
-// Deterministic Sum-of-Sinusoids for pseudo-random fading without Math.random
-function getSoSFade(t_sec) {
-  if (t_sec === undefined || t_sec === 0) return 0;
-  const f = [0.11, 0.23, 0.37, 0.53, 0.79];
-  const phi = [0.1, 1.2, 2.3, 3.4, 4.5];
+function evalP838Fit(fit, logF) {
   let sum = 0;
-  for (let i = 0; i < 5; i++) {
-    sum += Math.cos(2.0 * Math.PI * f[i] * t_sec + phi[i]);
+  for (let j = 0; j < fit.a.length; j++) {
+    sum += fit.a[j] * Math.exp(-Math.pow((logF - fit.b[j]) / fit.c[j], 2));
   }
-  return sum / 1.581; // Normalized to ~1.0 std dev
+  return sum + fit.m * logF + fit.ck;
+}
+
+/**
+ * 极化方式 → 极化倾角 τ (°，相对水平面)
+ * @param {string|number} polarization — 'Linear-H' / 'Linear-V' / 'RHCP' / 'LHCP' / 'Circular'，或直接给出倾角
+ * @returns {number} τ (°)；未知极化按圆极化 45° 处理
+ */
+export function polarizationTiltDeg(polarization) {
+  if (typeof polarization === 'number' && isFinite(polarization)) return polarization;
+  const p = String(polarization || '').toUpperCase();
+  if (p === 'LINEAR-H' || p === 'H' || p === 'HORIZONTAL') return 0;
+  if (p === 'LINEAR-V' || p === 'V' || p === 'VERTICAL') return 90;
+  return 45;
+}
+
+/**
+ * ITU-R P.838-3 比衰减系数 — 在 log(f) 上连续求值 kH/kV/αH/αV，并按路径仰角与极化倾角合成
+ * @param {number} freq — 频率 (GHz)，有效范围 1 ~ 1000
+ * @param {number} [elevation=0] — 路径仰角 θ (°)
+ * @param {number} [tiltDeg=45] — 极化倾角 τ (°)，圆极化取 45°
+ * @returns {object} — { k, alpha, kH, kV, alphaH, alphaV }
+ */
+export function rainCoefficientsP838(freq, elevation = 0, tiltDeg = 45) {
+  const logF = Math.log10(Math.min(1000, Math.max(1, freq)));
+  const kH = Math.pow(10, evalP838Fit(P838_COEFFS.kH, logF));
+  const kV = Math.pow(10, evalP838Fit(P838_COEFFS.kV, logF));
+  const alphaH = evalP838Fit(P838_COEFFS.alphaH, logF);
+  const alphaV = evalP838Fit(P838_COEFFS.alphaV, logF);
+
+  const cosEl = Math.cos(elevation * Math.PI / 180);
+  const geom = cosEl * cosEl * Math.cos(2 * tiltDeg * Math.PI / 180);
+  const k = (kH + kV + (kH - kV) * geom) / 2;
+  const alpha = (kH * alphaH + kV * alphaV + (kH * alphaH - kV * alphaV) * geom) / (2 * k);
+
+  return { k, alpha, kH, kV, alphaH, alphaV };
+}
+
+// === 可复现随机衰落引擎 (种子 PRNG + 衰落过程) ===
+
+/**
+ * 将数字/字符串种子散列为 32 位无符号整数 (FNV-1a)
+ */
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * 可复现的伪随机数发生器 (mulberry32)
+ * @param {number|string} [seed=1] — 种子；相同种子产生相同序列
+ * @returns {{ seed, next: () => number, gaussian: () => number }}
+ *   next() 返回 [0, 1) 均匀分布，gaussian() 返回标准正态分布 (Box-Muller)
+ */
+export function createRng(seed = 1) {
+  let state = hashSeed(seed);
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  let spare = null;
+  const gaussian = () => {
+    if (spare !== null) {
+      const g = spare;
+      spare = null;
+      return g;
+    }
+    let u = next();
+    while (u <= 0) u = next();
+    const r = Math.sqrt(-2 * Math.log(u));
+    const v = 2 * Math.PI * next();
+    spare = r * Math.sin(v);
+    return r * Math.cos(v);
+  };
+  return { seed, next, gaussian };
+}
+
+/**
+ * 由主种子派生相互独立的子流种子（如各 CIR 抽头、闪烁过程）
+ */
+export function deriveSeed(seed, stream) {
+  return `${seed}/${stream}`;
+}
+
+/**
+ * 单位功率复高斯衰落过程 g(t) — Monte-Carlo 正弦和法 (MCM)
+ *
+ * I/Q 支路各由 N 个正弦叠加，多普勒频率按目标谱随机抽样、初相均匀分布：
+ * - 'jakes':    f_n = f_d·cos(α_n)，α_n ~ U(0, 2π)，对应 U 形 Clarke/Jakes 谱
+ * - 'gaussian': f_n ~ N(0, σ²)，σ = f_d / √(2 ln 2)，f_d 为 3 dB 半宽（航空/卫星信道）
+ * 过程在任意时刻 t 连续可求值，E|g|² = 1。
+ *
+ * @param {object} [opts]
+ * @param {number|string} [opts.seed=1] — 种子
+ * @param {number} [opts.dopplerSpread_Hz=1] — 多普勒扩展 f_d (Hz)
+ * @param {string} [opts.spectrum='jakes'] — 'jakes' | 'gaussian'
+ * @param {number} [opts.numSinusoids=32] — 每支路正弦数 N
+ * @returns {{ sample: (t: number) => { re: number, im: number } }} — 同一配置返回同一（冻结的）实例
+ */
+export function createFadingProcess({ seed = 1, dopplerSpread_Hz = 1, spectrum = 'jakes', numSinusoids = 32 } = {}) {
+  return cachedFading(fadingProcessCache, [seed, dopplerSpread_Hz, spectrum, numSinusoids],
+    () => buildFadingProcess(seed, dopplerSpread_Hz, spectrum, numSinusoids));
+}
+
+// 过程由种子与配置完全决定、求值无状态，因此按配置缓存并共享：calculateLinkBudget / computeCIR
+// 逐帧调用时不再重复抽样 2N 个正弦。缓存满时淘汰最早插入的条目
+const FADING_CACHE_SIZE = 1024;
+const fadingProcessCache = new Map();
+const linkFadingCache = new Map();
+
+function cachedFading(cache, keyParts, build) {
+  const key = JSON.stringify(keyParts);
+  let value = cache.get(key);
+  if (value === undefined) {
+    if (cache.size >= FADING_CACHE_SIZE) cache.delete(cache.keys().next().value);
+    value = Object.freeze(build());
+    cache.set(key, value);
+  }
+  return value;
+}
+
+function buildFadingProcess(seed, dopplerSpread_Hz, spectrum, numSinusoids) {
+  const rng = createRng(seed);
+  const sigma = dopplerSpread_Hz / Math.sqrt(2 * Math.LN2);
+  const drawFreq = () => (spectrum === 'gaussian'
+    ? sigma * rng.gaussian()
+    : dopplerSpread_Hz * Math.cos(2 * Math.PI * rng.next()));
+  const branch = () => Array.from({ length: numSinusoids }, () => ({ w: 2 * Math.PI * drawFreq(), phi: 2 * Math.PI * rng.next() }));
+  const inPhase = branch();
+  const quadrature = branch();
+  const norm = Math.sqrt(1 / numSinusoids);
+
+  const sum = (comps, t) => {
+    let acc = 0;
+    for (const c of comps) acc += Math.cos(c.w * t + c.phi);
+    return acc * norm;
+  };
+  return {
+    sample: (t) => ({ re: sum(inPhase, t), im: sum(quadrature, t) })
+  };
+}
+
+/**
+ * Rician 复增益 h(t) = √(K/(K+1)) + √(1/(K+1))·g(t)，E|h|² = 1
+ * @param {object} opts — { K_dB, seed, dopplerSpread_Hz, spectrum }
+ */
+export function createRicianProcess({ K_dB = 10, ...opts } = {}) {
+  const K = Math.pow(10, K_dB / 10);
+  const los = Math.sqrt(K / (K + 1));
+  const diffuse = Math.sqrt(1 / (K + 1));
+  const g = createFadingProcess(opts);
+  return {
+    sample: (t) => {
+      const d = g.sample(t);
+      return { re: los + diffuse * d.re, im: diffuse * d.im };
+    }
+  };
+}
+
+/**
+ * Loo 复增益：对数正态阴影的直射分量 + Rayleigh 漫射分量
+ * h(t) = A(t) + √(MP)·g(t)，20·log10 A(t) = μ + σ·x(t)
+ * 阴影过程 x(t) 为单位方差高斯谱过程，带宽 shadowBandwidth_Hz (缺省 f_d / 10)
+ * @param {object} opts — { mean_dB (μ), std_dB (σ), multipath_dB (MP), shadowBandwidth_Hz, seed, dopplerSpread_Hz, spectrum }
+ */
+export function createLooProcess({ mean_dB = -0.5, std_dB = 1.0, multipath_dB = -20, shadowBandwidth_Hz, ...opts } = {}) {
+  const { seed = 1, dopplerSpread_Hz = 1 } = opts;
+  const diffuse = Math.sqrt(Math.pow(10, multipath_dB / 10));
+  const g = createFadingProcess(opts);
+  const shadow = createFadingProcess({
+    seed: deriveSeed(seed, 'shadow'), spectrum: 'gaussian',
+    dopplerSpread_Hz: shadowBandwidth_Hz != null ? shadowBandwidth_Hz : dopplerSpread_Hz / 10
+  });
+  return {
+    sample: (t) => {
+      const x = Math.SQRT2 * shadow.sample(t).re;
+      const A = Math.pow(10, (mean_dB + std_dB * x) / 20);
+      const d = g.sample(t);
+      return { re: A + diffuse * d.re, im: diffuse * d.im };
+    }
+  };
+}
+
+// 各环境缺省快衰落参数：Rician K 因子 (dB)；Loo (μ, σ, MP) 按轻/中/重阴影的趋势手工设定。
+// 均为示意值，并非 Loo 或其他测量活动公开的参数集；实测参数通过链路参数 ricianK_dB / looMean_dB / looStd_dB / looMultipath_dB 传入
+export const FADING_DEFAULTS_SOURCE = 'Illustrative: hand-set per-environment Rician K and Loo (μ, σ, MP) defaults (not a published parameter set)';
+
+const FADING_ENV_DEFAULTS = {
+  open: { K_dB: 12, loo: { mean_dB: -0.5, std_dB: 1.0, multipath_dB: -20 } },
+  rural: { K_dB: 12, loo: { mean_dB: -0.5, std_dB: 1.0, multipath_dB: -20 } },
+  maritime: { K_dB: 8, loo: { mean_dB: -0.5, std_dB: 1.0, multipath_dB: -15 } },
+  suburban: { K_dB: 6, loo: { mean_dB: -3.0, std_dB: 2.0, multipath_dB: -15 } },
+  urban: { K_dB: 2, loo: { mean_dB: -8.0, std_dB: 3.5, multipath_dB: -18 } }
+};
+
+/** 传播环境（界面下拉与场景 schema 共用） */
+export const ENVIRONMENTS = Object.keys(FADING_ENV_DEFAULTS);
+
+/**
+ * 根据链路参数构造衰落过程（闪烁 + 可选 Rician/Loo 包络），全部由 fadingSeed 决定
+ * @param {object} params — 链路参数 { fadingSeed, fadingModel, ricianK_dB, loo*, dopplerSpread_Hz, dopplerSpectrum, scintBandwidth_Hz, env }
+ */
+function createLinkFading(params) {
+  const seed = params.fadingSeed != null ? params.fadingSeed : 1;
+  const dopplerSpread_Hz = params.dopplerSpread_Hz != null ? params.dopplerSpread_Hz : 5;
+  const spectrum = params.dopplerSpectrum || 'jakes';
+  return cachedFading(linkFadingCache, [
+    seed, dopplerSpread_Hz, spectrum, params.scintBandwidth_Hz, params.fadingModel, params.env,
+    params.ricianK_dB, params.looMean_dB, params.looStd_dB, params.looMultipath_dB
+  ], () => buildLinkFading(params, seed, dopplerSpread_Hz, spectrum));
+}
+
+function buildLinkFading(params, seed, dopplerSpread_Hz, spectrum) {
+  const envDefaults = FADING_ENV_DEFAULTS[params.env] || FADING_ENV_DEFAULTS.open;
+
+  // 对流层/电离层闪烁：低频高斯谱过程，Re{g}·√2 为单位方差
+  const scint = createFadingProcess({
+    seed: deriveSeed(seed, 'scint'), spectrum: 'gaussian',
+    dopplerSpread_Hz: params.scintBandwidth_Hz != null ? params.scintBandwidth_Hz : 0.3
+  });
+
+  let envelope = null;
+  const common = { seed: deriveSeed(seed, 'envelope'), dopplerSpread_Hz, spectrum };
+  if (params.fadingModel === 'rician') {
+    envelope = createRicianProcess({ ...common, K_dB: params.ricianK_dB != null ? params.ricianK_dB : envDefaults.K_dB });
+  } else if (params.fadingModel === 'loo') {
+    envelope = createLooProcess({
+      ...common,
+      mean_dB: params.looMean_dB != null ? params.looMean_dB : envDefaults.loo.mean_dB,
+      std_dB: params.looStd_dB != null ? params.looStd_dB : envDefaults.loo.std_dB,
+      multipath_dB: params.looMultipath_dB != null ? params.looMultipath_dB : envDefaults.loo.multipath_dB
+    });
+  }
+
+  return {
+    seed, dopplerSpread_Hz, spectrum,
+    scint: (t) => Math.SQRT2 * scint.sample(t).re,
+    envelope
+  };
+}
+
+/**
+ * 帧所处衰落过程的统计分布参数（误码率等需要对衰落取平均的计算使用），与 createLinkFading / lmsStateFade 的取值一致
+ *   - Markov LMS 状态给定时：该状态的 Loo 分布（含阴影均值）；
+ *   - fadingModel 为 rician / loo 时：对应包络分布；
+ *   - 否则为 null（无随机衰落，AWGN）；disableFastFading 时同样为 null（帧内不采样包络，LMS 只取状态均值）。
+ * 任一参数取自内置示意表时 illustrative 为 true，source 为 FADING_DEFAULTS_SOURCE（LMS 为 LMS_PARAMS_SOURCE）；
+ * 全部由链路参数给出时 illustrative 为 false，source 为 'user-supplied'。
+ * @param {object} params — 链路参数（同 calculateLinkBudget）
+ * @param {string|number|null} [lmsState] — 帧的 LMS 状态（标签或下标）
+ * @returns {{ model: 'rician', K_dB, illustrative, source } | { model: 'loo', mean_dB, std_dB, multipath_dB, illustrative, source } | null}
+ */
+export function fadingDistributionParams(params, lmsState = null) {
+  if (params.disableFastFading) return null;
+  if (lmsState != null) {
+    const lms = getLmsMarkovParams(params.env, params.freq || 30, params.lmsMarkov);
+    const index = typeof lmsState === 'string' ? LMS_STATES.indexOf(lmsState) : lmsState;
+    const st = lms.states[Math.max(0, Math.min(2, index))];
+    return { model: 'loo', mean_dB: st.mean_dB, std_dB: st.std_dB, multipath_dB: st.multipath_dB, illustrative: lms.illustrative, source: lms.source };
+  }
+  const envDefaults = FADING_ENV_DEFAULTS[params.env] || FADING_ENV_DEFAULTS.open;
+  const provenance = (given) => (given.every(v => v != null)
+    ? { illustrative: false, source: 'user-supplied' }
+    : { illustrative: true, source: FADING_DEFAULTS_SOURCE });
+  if (params.fadingModel === 'rician') {
+    return { model: 'rician', K_dB: params.ricianK_dB != null ? params.ricianK_dB : envDefaults.K_dB, ...provenance([params.ricianK_dB]) };
+  }
+  if (params.fadingModel === 'loo') {
+    return {
+      model: 'loo',
+      mean_dB: params.looMean_dB != null ? params.looMean_dB : envDefaults.loo.mean_dB,
+      std_dB: params.looStd_dB != null ? params.looStd_dB : envDefaults.loo.std_dB,
+      multipath_dB: params.looMultipath_dB != null ? params.looMultipath_dB : envDefaults.loo.multipath_dB,
+      ...provenance([params.looMean_dB, params.looStd_dB, params.looMultipath_dB])
+    };
+  }
+  return null;
+}
+
+// === ITU-R P.681 / Pérez-Fontán 三状态 Markov 陆地移动卫星 (LMS) 信道 ===
+
+export const LMS_STATES = ['LOS', 'Shadowed', 'Blocked'];
+
+// 模型结构（按行驶距离转移的三状态 Markov 链 + 状态内 Loo 分布）取自 F. Pérez-Fontán et al.,
+// "Statistical modeling of the LMS channel", IEEE Trans. Veh. Technol. 50(6), 2001（ITU-R P.681 采用的同类模型）。
+// 下表数值为按环境/频段趋势手工设定的示意值，并非该测量活动或 P.681 的公开参数集；
+// 需要实测参数时通过链路参数 lmsMarkov 传入（见 getLmsMarkovParams）。
+export const LMS_PARAMS_SOURCE = 'Illustrative: hand-set values in the three-state Markov/Loo structure of Pérez-Fontán et al. (IEEE TVT 2001) / ITU-R P.681 (not a published parameter set)';
+
+// transition — 每经过 frameLength_m 距离的一步状态转移矩阵 P[i][j]
+// loo — 各状态内 Loo 分布参数 [μ (dB), σ (dB), MP (dB)]，依次对应 LOS / Shadowed / Blocked
+const ILLUSTRATIVE_LMS_MARKOV_TABLE = {
+  L: {
+    open: { frameLength_m: 5, transition: [[0.97, 0.025, 0.005], [0.15, 0.80, 0.05], [0.10, 0.10, 0.80]], loo: [[-0.2, 0.5, -20], [-3.0, 1.5, -18], [-12.0, 3.0, -20]] },
+    suburban: { frameLength_m: 3, transition: [[0.85, 0.12, 0.03], [0.12, 0.80, 0.08], [0.08, 0.12, 0.80]], loo: [[-0.5, 1.0, -18], [-5.0, 2.5, -16], [-15.0, 4.0, -18]] },
+    urban: { frameLength_m: 2, transition: [[0.75, 0.10, 0.15], [0.15, 0.65, 0.20], [0.10, 0.10, 0.80]], loo: [[-1.0, 1.0, -15], [-7.0, 3.0, -15], [-18.0, 5.0, -17]] },
+    maritime: { frameLength_m: 10, transition: [[0.98, 0.02, 0.00], [0.30, 0.70, 0.00], [1.00, 0.00, 0.00]], loo: [[-0.2, 0.5, -12], [-2.0, 1.0, -12], [-2.0, 1.0, -12]] }
+  },
+  S: {
+    open: { frameLength_m: 5, transition: [[0.965, 0.03, 0.005], [0.15, 0.79, 0.06], [0.10, 0.10, 0.80]], loo: [[-0.3, 0.6, -21], [-3.5, 1.8, -19], [-14.0, 3.0, -21]] },
+    suburban: { frameLength_m: 3, transition: [[0.84, 0.12, 0.04], [0.12, 0.79, 0.09], [0.08, 0.12, 0.80]], loo: [[-0.5, 1.0, -19], [-6.0, 2.5, -17], [-17.0, 4.0, -19]] },
+    urban: { frameLength_m: 2, transition: [[0.73, 0.11, 0.16], [0.15, 0.64, 0.21], [0.10, 0.10, 0.80]], loo: [[-1.0, 1.2, -16], [-8.0, 3.0, -16], [-20.0, 5.0, -18]] },
+    maritime: { frameLength_m: 10, transition: [[0.98, 0.02, 0.00], [0.30, 0.70, 0.00], [1.00, 0.00, 0.00]], loo: [[-0.2, 0.5, -13], [-2.5, 1.0, -13], [-2.5, 1.0, -13]] }
+  },
+  Ku: {
+    open: { frameLength_m: 5, transition: [[0.97, 0.025, 0.005], [0.12, 0.83, 0.05], [0.08, 0.08, 0.84]], loo: [[-0.3, 0.5, -24], [-5.0, 2.0, -22], [-20.0, 3.0, -25]] },
+    suburban: { frameLength_m: 3, transition: [[0.86, 0.10, 0.04], [0.10, 0.80, 0.10], [0.06, 0.10, 0.84]], loo: [[-0.5, 1.0, -22], [-8.0, 3.0, -20], [-22.0, 4.0, -24]] },
+    urban: { frameLength_m: 2, transition: [[0.76, 0.08, 0.16], [0.12, 0.66, 0.22], [0.08, 0.08, 0.84]], loo: [[-1.0, 1.0, -20], [-10.0, 3.5, -18], [-28.0, 5.0, -22]] },
+    maritime: { frameLength_m: 10, transition: [[0.98, 0.02, 0.00], [0.30, 0.70, 0.00], [1.00, 0.00, 0.00]], loo: [[-0.2, 0.5, -16], [-3.0, 1.0, -16], [-3.0, 1.0, -16]] }
+  }
+};
+
+/**
+ * LMS 表格频段：< 2 GHz 为 L，2 ~ 4 GHz 为 S，更高频段 (Ku/Ka) 使用 Ku 表
+ */
+export function lmsBandForFrequency(freq) {
+  if (freq < 2) return 'L';
+  if (freq < 4) return 'S';
+  return 'Ku';
+}
+
+/**
+ * 查询三状态 LMS 模型参数（未列表的环境按 open 处理），附带稳态概率
+ *   缺省取内置示意表（illustrative: true，source 见 LMS_PARAMS_SOURCE）；
+ *   传入 custom（如 Pérez-Fontán 测量或 P.681 公开的参数集）时原样使用，source 取 custom.source
+ * @param {string} env — 环境
+ * @param {number} freq — 频率 (GHz)
+ * @param {object} [custom] — { frameLength_m, transition: 3×3, loo: 3×[μ, σ, MP], source? }
+ * @returns {object} — { band, env, frameLength_m, transition, states: [{ label, mean_dB, std_dB, multipath_dB }], stationary, illustrative, source }
+ */
+export function getLmsMarkovParams(env, freq, custom = null) {
+  const band = lmsBandForFrequency(freq);
+  const key = ILLUSTRATIVE_LMS_MARKOV_TABLE[band][env] ? env : 'open';
+  const entry = custom ? validateLmsMarkovSet(custom) : ILLUSTRATIVE_LMS_MARKOV_TABLE[band][key];
+
+  // 稳态分布 π = π·P（幂迭代）
+  let stationary = [1 / 3, 1 / 3, 1 / 3];
+  for (let it = 0; it < 500; it++) {
+    stationary = [0, 1, 2].map(j => stationary.reduce((acc, pi, i) => acc + pi * entry.transition[i][j], 0));
+  }
+
+  return {
+    band, env: custom ? env : key,
+    frameLength_m: entry.frameLength_m,
+    transition: entry.transition.map(row => row.slice()),
+    states: entry.loo.map(([mean_dB, std_dB, multipath_dB], i) => ({ label: LMS_STATES[i], mean_dB, std_dB, multipath_dB })),
+    stationary,
+    illustrative: !custom,
+    source: custom ? (custom.source || 'user-supplied') : LMS_PARAMS_SOURCE
+  };
+}
+
+function validateLmsMarkovSet(set) {
+  const { frameLength_m, transition, loo } = set;
+  const isRow = (row) => Array.isArray(row) && row.length === 3 && row.every(Number.isFinite);
+  if (!(Number.isFinite(frameLength_m) && frameLength_m > 0)) {
+    throw new Error('lmsMarkov.frameLength_m must be a positive number of metres');
+  }
+  if (!Array.isArray(transition) || transition.length !== 3 || !transition.every(isRow)
+      || transition.some(row => row.some(p => p < 0) || Math.abs(row.reduce((a, b) => a + b, 0) - 1) > 1e-6)) {
+    throw new Error('lmsMarkov.transition must be a 3×3 matrix of non-negative rows summing to 1');
+  }
+  if (!Array.isArray(loo) || loo.length !== 3 || !loo.every(isRow) || loo.some(([, std]) => std < 0)) {
+    throw new Error('lmsMarkov.loo must list [mean_dB, std_dB, multipath_dB] for LOS / Shadowed / Blocked');
+  }
+  return set;
+}
+
+/**
+ * 按行驶距离驱动的三状态 Markov 链；初始状态按稳态分布抽样
+ * @param {object} opts
+ * @param {string} opts.env — 环境
+ * @param {number} opts.freq — 频率 (GHz)
+ * @param {number|string} [opts.seed=1] — 种子
+ * @param {number} [opts.initialState] — 初始状态索引
+ * @param {object} [opts.lmsMarkov] — 自定义参数集（见 getLmsMarkovParams）
+ * @returns {{ params, state: () => number, advance: (distance_m: number) => number }}
+ */
+export function createLmsMarkovChain({ env, freq, seed = 1, initialState, lmsMarkov = null }) {
+  const params = getLmsMarkovParams(env, freq, lmsMarkov);
+  const rng = createRng(seed);
+  const draw = (probs) => {
+    const u = rng.next();
+    let acc = 0;
+    for (let i = 0; i < probs.length; i++) {
+      acc += probs[i];
+      if (u < acc) return i;
+    }
+    return probs.length - 1;
+  };
+
+  let state = initialState != null ? initialState : draw(params.stationary);
+  let residual_m = 0; // 尚未构成一个完整状态帧的距离
+  return {
+    params,
+    state: () => state,
+    advance: (distance_m) => {
+      residual_m += Math.max(0, distance_m);
+      while (residual_m >= params.frameLength_m) {
+        residual_m -= params.frameLength_m;
+        state = draw(params.transition[state]);
+      }
+      return state;
+    }
+  };
+}
+
+/**
+ * 生成等时间间隔的 LMS 状态序列（终端以 speed_mps 匀速行驶）
+ * @param {object} opts — { env, freq, seed, speed_mps = 10, stepSec = 1, numFrames, lmsMarkov }
+ * @returns {Array<{ index, label, distance_m }>}
+ */
+export function generateLmsStateSequence({ env, freq, seed = 1, speed_mps = 10, stepSec = 1, numFrames, lmsMarkov = null }) {
+  const chain = createLmsMarkovChain({ env, freq, seed, lmsMarkov });
+  const sequence = [];
+  for (let i = 0; i < numFrames; i++) {
+    const index = i === 0 ? chain.state() : chain.advance(speed_mps * stepSec);
+    sequence.push({ index, label: LMS_STATES[index], distance_m: i * speed_mps * stepSec });
+  }
+  return sequence;
+}
+
+/**
+ * 给定 LMS 状态的阴影衰落 (dB)：平滑模式取状态均值 −μ，否则采样该状态的 Loo 过程
+ */
+function lmsStateFade(params, stateIndex, simTime) {
+  const { states } = getLmsMarkovParams(params.env, params.freq, params.lmsMarkov);
+  const st = states[Math.max(0, Math.min(2, stateIndex))];
+  if (!simTime || params.disableFastFading) return -st.mean_dB;
+
+  const seed = params.fadingSeed != null ? params.fadingSeed : 1;
+  const h = createLooProcess({
+    mean_dB: st.mean_dB, std_dB: st.std_dB, multipath_dB: st.multipath_dB,
+    seed: deriveSeed(seed, `lms-${st.label}`),
+    dopplerSpread_Hz: params.dopplerSpread_Hz != null ? params.dopplerSpread_Hz : 5,
+    spectrum: params.dopplerSpectrum || 'jakes'
+  }).sample(simTime);
+  return -20 * Math.log10(Math.max(1e-3, Math.hypot(h.re, h.im)));
+}
+
+// === ITU-R P.618 雨衰预测链路 ===
+
+const EFFECTIVE_EARTH_RADIUS_KM = 8500; // P.618 等效地球半径 Re
+
+/**
+ * ITU-R P.839 雨顶高度 — 按地面站纬度估算 0°C 等温层高度 h0，hR = h0 + 0.36 km
+ * @param {number} lat — 地面站纬度 (°)
+ * @returns {number} 雨顶高度 hR (km)
+ */
+export function rainHeightP839(lat = 0) {
+  let h0;
+  if (lat > 23) h0 = 5.0 - 0.075 * (lat - 23);
+  else if (lat >= -21) h0 = 5.0;
+  else if (lat >= -71) h0 = 5.0 + 0.1 * (lat + 21);
+  else h0 = 0;
+  return Math.max(0, h0) + 0.36;
+}
+
+/**
+ * ITU-R P.618 §2.2.1.1 斜路径雨衰
+ *
+ * - 未给出 timePercent 时，以 rainRate 作为瞬时降雨率代入 R0.01 链路（水平/垂直缩减因子
+ *   按该降雨率计算），得到瞬时雨衰；
+ * - 给出 timePercent (0.001% ~ 5%) 时，以 r001 (缺省取 rainRate) 作为 R0.01，
+ *   按 step 10 换算为年均 p% 时间被超过的雨衰 A_p。
+ *
+ * @param {object} p
+ * @param {number} p.freq — 频率 (GHz)
+ * @param {number} p.elevation — 仰角 (°)
+ * @param {number} p.k — 比衰减系数 k
+ * @param {number} p.alpha — 比衰减系数 α
+ * @param {number} [p.rainRate=0] — 降雨率 (mm/h)
+ * @param {number} [p.r001] — 0.01% 时间被超过的降雨率 R0.01 (mm/h)
+ * @param {number} [p.timePercent] — 年时间百分比 p (%)
+ * @param {number} [p.stationLat=0] — 地面站纬度 (°)
+ * @param {number} [p.stationAlt=0] — 地面站海拔 (m)
+ * @param {number} [p.correctionFactor=1.0] — 校准修正系数（作用于 γR）
+ * @returns {object} — { attRain, attRain001, gammaR, rainHeight, slantPathLen, horizReduction, vertAdjustment, effPathLen }
+ */
+export function calculateRainAttenuationP618(p) {
+  const { freq, elevation, k, alpha, rainRate = 0, timePercent, stationLat = 0, stationAlt = 0, correctionFactor = 1.0 } = p;
+  const isStatistical = timePercent != null;
+  const R = isStatistical ? (p.r001 != null ? p.r001 : rainRate) : rainRate;
+
+  const hR = rainHeightP839(stationLat);
+  const hs = stationAlt / 1000.0;
+  const dh = hR - hs;
+  const result = {
+    attRain: 0, attRain001: 0, gammaR: 0, rainHeight: hR,
+    slantPathLen: 0, horizReduction: 1, vertAdjustment: 1, effPathLen: 0
+  };
+  if (!(R > 0) || dh <= 0) return result;
+
+  // Step 2: 斜路径长度 Ls (低仰角时计入地球曲率)
+  const theta = Math.max(0, elevation);
+  const thetaRad = theta * Math.PI / 180;
+  const sinT = Math.sin(thetaRad);
+  const cosT = Math.cos(thetaRad);
+  const Ls = theta >= 5
+    ? dh / sinT
+    : 2 * dh / (Math.sqrt(sinT * sinT + 2 * dh / EFFECTIVE_EARTH_RADIUS_KM) + sinT);
+
+  // Step 3: 水平投影 LG；Step 5: 比衰减 γR
+  const LG = Ls * cosT;
+  const gammaR = k * Math.pow(R, alpha) * correctionFactor;
+
+  // Step 6: 水平缩减因子 r0.01
+  const r001 = 1 / (1 + 0.78 * Math.sqrt(LG * gammaR / freq) - 0.38 * (1 - Math.exp(-2 * LG)));
+
+  // Step 7: 垂直调整因子 v0.01
+  const zeta = Math.atan2(dh, LG * r001) * 180 / Math.PI;
+  const LR = zeta > theta ? LG * r001 / cosT : dh / sinT;
+  const absLat = Math.abs(stationLat);
+  const chi = absLat < 36 ? 36 - absLat : 0;
+  const v001 = 1 / (1 + Math.sqrt(sinT) * (31 * (1 - Math.exp(-theta / (1 + chi))) * Math.sqrt(LR * gammaR) / (freq * freq) - 0.45));
+
+  // Step 8~9: 等效路径长度与 0.01% 雨衰
+  const LE = LR * v001;
+  const A001 = gammaR * LE;
+
+  let attRain = A001;
+  if (isStatistical) {
+    // Step 10: 换算到 p% 时间
+    const pct = Math.min(5, Math.max(0.001, timePercent));
+    let beta;
+    if (pct >= 1 || absLat >= 36) beta = 0;
+    else if (theta >= 25) beta = -0.005 * (absLat - 36);
+    else beta = -0.005 * (absLat - 36) + 1.8 - 4.25 * sinT;
+    const exponent = 0.655 + 0.033 * Math.log(pct) - 0.045 * Math.log(A001) - beta * (1 - pct) * sinT;
+    attRain = A001 * Math.pow(pct / 0.01, -exponent);
+  }
+
+  return {
+    attRain, attRain001: A001, gammaR, rainHeight: hR,
+    slantPathLen: Ls, horizReduction: r001, vertAdjustment: v001, effPathLen: LE
+  };
+}
+
+// === 近似降雨率气候统计 (ITU-R P.837-1 降雨气候区，离线粗网格) ===
+//
+// 气候区的降雨率分布取自 P.837-1 表 1；各地所属气候区是按 P.837-1 图 1 ~ 3 手工读取的 10° 粗网格，
+// 不是 P.837-7 的 R0.01 数字地图（0.75° 网格），也未做降采样。结果只作量级估计，
+// 链路设计应以实测或 P.837-7 的 R0.01 作为 Rain Rate 输入。
+
+/** 界面 / 导出中标注的数据来源 */
+export const RAIN_CLIMATOLOGY_SOURCE = 'Approximate: ITU-R P.837-1 rain-zone rates on a hand-read 10° zone map (not P.837-7 R0.01 data)';
+
+// 降雨气候区的降雨率分布 (mm/h)，列对应 RAIN_CLIMATE_PERCENTAGES (P.837-1 表 1)
+const RAIN_CLIMATE_PERCENTAGES = [1, 0.3, 0.1, 0.03, 0.01, 0.003, 0.001];
+const RAIN_CLIMATE_ZONES = {
+  A: [0.1, 0.8, 2, 5, 8, 14, 22],
+  B: [0.5, 2, 3, 6, 12, 21, 32],
+  C: [0.7, 2.8, 5, 9, 15, 26, 42],
+  D: [2.1, 4.5, 8, 13, 19, 29, 42],
+  E: [0.6, 2.4, 6, 12, 22, 41, 70],
+  F: [1.7, 4.5, 8, 15, 28, 54, 78],
+  G: [3, 7, 12, 20, 30, 45, 65],
+  H: [2, 4, 10, 18, 32, 55, 83],
+  J: [8, 13, 20, 28, 35, 45, 55],
+  K: [1.5, 4.2, 12, 23, 42, 70, 100],
+  L: [2, 7, 15, 33, 60, 105, 150],
+  M: [4, 11, 22, 40, 63, 95, 120],
+  N: [5, 15, 35, 65, 95, 140, 180],
+  P: [12, 34, 65, 105, 145, 200, 250],
+  Q: [24, 49, 72, 96, 115, 142, 170]
+};
+
+// 近似气候区图（按 P.837-1 图 1 ~ 3 手工读取）：10° × 10°，行为纬度 90°N → 90°S，列为经度 180°W → 180°E
+const APPROX_RAIN_ZONE_MAP = [
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA', // 90°N
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA', // 80°N
+  'AAAAAAAAAAAAAAAACCCCCAAAAAAAAAAAAAAAA', // 70°N
+  'CCCCCDDDDDDDCCCCCEEEEEEEECCCCCCCCCCCC', // 60°N
+  'CCCCCEDDDDKKKEEEEEEEEEEECCCCCCEKKEECC', // 50°N
+  'EEEEEEEFKMKKMKKEEHKKKKKFEEEBFKKKKEEEE', // 40°N
+  'EEEEEEEEKNNMKKEEEEAAAAACCEKEKMMMMKKEE', // 30°N
+  'EEKEEEEKNNNNNKEEEAAAAAEEENNPNNPNNKKKE', // 20°N
+  'NNNNNNNNNNPNNNKKNPNKKKKEENNNPPPNNNNNN', // 10°N
+  'NNKKKKKKKKNPPPNKKKNPPPKKKNNNPPPPPPNNN', // 0°
+  'NNKKKKKKEEENPNNKKKKKNNKNKKKKNNNNNNNNN', // 10°S
+  'NKKKKEEEEEEAKNNKEEECCKNNKEEEEECCKNKKN', // 20°S
+  'KEEEEEEEEEEDKNKEEEEEDKEEEEEEEECCEKEEK', // 30°S
+  'EEEEEEEEEEEDEEEEEEEEEEEEEEEEEEEEEEEEE', // 40°S
+  'CCCCCCCCCCCECCCCCCCCCCCCCCCCCCCCCCCCC', // 50°S
+  'CCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCC', // 60°S
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA', // 70°S
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA', // 80°S
+  'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'  // 90°S
+];
+
+/**
+ * 按地面站经纬度查询近似降雨率气候统计（10° 气候区图，网格节点分布双线性插值）
+ * @param {number} lat — 纬度 (°)
+ * @param {number} lon — 经度 (°)，可为 0 ~ 360 或 −180 ~ 180
+ * @returns {object} — { r001, zone, percentages, rates, approximate: true, source }
+ *   zone 为最近网格节点的 P.837-1 气候区；rates[i] 为 percentages[i] 时间被超过的降雨率 (mm/h)；source 见 RAIN_CLIMATOLOGY_SOURCE
+ */
+export function rainClimatologyP837(lat, lon) {
+  const latC = Math.max(-90, Math.min(90, lat));
+  const lonC = ((lon + 180) % 360 + 360) % 360 - 180;
+  const row = Math.min(17, Math.floor((90 - latC) / 10));
+  const col = Math.min(35, Math.floor((lonC + 180) / 10));
+  const ty = (90 - latC) / 10 - row;
+  const tx = (lonC + 180) / 10 - col;
+
+  const node = (r, c) => RAIN_CLIMATE_ZONES[APPROX_RAIN_ZONE_MAP[r][c]];
+  const z00 = node(row, col), z01 = node(row, col + 1), z10 = node(row + 1, col), z11 = node(row + 1, col + 1);
+  const rates = RAIN_CLIMATE_PERCENTAGES.map((_, i) =>
+    (1 - ty) * ((1 - tx) * z00[i] + tx * z01[i]) + ty * ((1 - tx) * z10[i] + tx * z11[i]));
+
+  const zone = APPROX_RAIN_ZONE_MAP[row + Math.round(ty)][col + Math.round(tx)];
+  return {
+    r001: rates[RAIN_CLIMATE_PERCENTAGES.indexOf(0.01)], zone, percentages: RAIN_CLIMATE_PERCENTAGES.slice(), rates,
+    approximate: true, source: RAIN_CLIMATOLOGY_SOURCE
+  };
+}
+
+/**
+ * 站点处 p% 时间被超过的降雨率 R_p — 在气候分布上做 log-log 插值
+ * @param {number} lat — 纬度 (°)
+ * @param {number} lon — 经度 (°)
+ * @param {number} timePercent — 年时间百分比 p (0.001% ~ 1%)
+ * @returns {number} R_p (mm/h)
+ */
+export function rainRateExceededP837(lat, lon, timePercent) {
+  const { percentages, rates } = rainClimatologyP837(lat, lon);
+  const p = Math.min(1, Math.max(0.001, timePercent));
+  let i = 1;
+  while (i < percentages.length - 1 && percentages[i] > p) i++;
+  const t = Math.log(p / percentages[i - 1]) / Math.log(percentages[i] / percentages[i - 1]);
+  return Math.exp(Math.log(rates[i - 1]) + t * (Math.log(rates[i]) - Math.log(rates[i - 1])));
+}
+
+/**
+ * 解析统计模式下的 R0.01：显式 r001 > 站点气候统计 (rainClimatology) > rainRate
+ */
+function resolveR001(params) {
+  if (params.r001 != null) return params.r001;
+  if (params.rainClimatology && params.stationLat != null && params.stationLon != null) {
+    return rainClimatologyP837(params.stationLat, params.stationLon).r001;
+  }
+  return params.rainRate;
+}
+
+// === ITU-R P.676 气体吸收 (Annex 2 近似算法，1 ~ 350 GHz) ===
+
+function p676Phi(rp, rt, a, b, c, d) {
+  return Math.pow(rp, a) * Math.pow(rt, b) * Math.exp(c * (1 - rp) + d * (1 - rt));
+}
+
+function p676LineShape(f, fi) {
+  return 1 + Math.pow((f - fi) / (f + fi), 2);
+}
+
+/**
+ * 干空气（氧气）比衰减 γo — 含 60 GHz 氧气吸收带与 118.75 GHz 谱线
+ * @param {number} f — 频率 (GHz)
+ * @param {number} pressure_hPa — 干空气压强 (hPa)
+ * @param {number} temperature_C — 温度 (°C)
+ * @returns {number} γo (dB/km)
+ */
+export function oxygenSpecificAttenuation(f, pressure_hPa = 1013.25, temperature_C = 15) {
+  const rp = pressure_hPa / 1013.0;
+  const rt = 288.0 / (273.0 + temperature_C);
+  const phi = (a, b, c, d) => p676Phi(rp, rt, a, b, c, d);
+
+  const xi1 = phi(0.0717, -1.8132, 0.0156, -1.6515);
+  const xi2 = phi(0.5146, -4.6368, -0.1921, -5.7416);
+  const xi3 = phi(0.3414, -6.5851, 0.2130, -8.5854);
+  const xi4 = phi(-0.0112, 0.0092, -0.1033, -0.0009);
+  const xi5 = phi(0.2705, -2.7192, -0.3016, -4.1033);
+  const xi6 = phi(0.2445, -5.9191, 0.0422, -8.0719);
+  const xi7 = phi(-0.1833, 6.5589, -0.2402, 6.131);
+
+  const g54 = 2.192 * phi(1.8286, -1.9487, 0.4051, -2.8509);
+  const g58 = 12.428 * phi(1.0045, 3.5610, 0.1588, 1.2834);
+  const g60 = 15.418 * phi(0.9003, 4.1335, 0.0427, 1.6088);
+  const g62 = 14.510 * phi(0.9886, 3.4176, 0.1827, 1.3429);
+  const g64 = 6.819 * phi(1.4320, 0.6258, 0.3177, -0.5914);
+  const g66 = 1.908 * phi(2.0717, -4.1404, 0.4910, -4.8718);
+  const delta = -0.00306 * phi(3.211, -14.94, 1.583, -16.37);
+
+  if (f <= 54) {
+    return (7.2 * Math.pow(rt, 2.8) / (f * f + 0.34 * rp * rp * Math.pow(rt, 1.6))
+      + 0.62 * xi3 / (Math.pow(54 - f, 1.16 * xi1) + 0.83 * xi2)) * f * f * rp * rp * 1e-3;
+  }
+  if (f <= 60) {
+    return Math.exp(Math.log(g54) / 24 * (f - 58) * (f - 60) - Math.log(g58) / 8 * (f - 54) * (f - 60) + Math.log(g60) / 12 * (f - 54) * (f - 58));
+  }
+  if (f <= 62) {
+    return g60 + (g62 - g60) * (f - 60) / 2;
+  }
+  if (f <= 66) {
+    return Math.exp(Math.log(g62) / 8 * (f - 64) * (f - 66) - Math.log(g64) / 4 * (f - 62) * (f - 66) + Math.log(g66) / 8 * (f - 62) * (f - 64));
+  }
+  if (f <= 120) {
+    return (3.02e-4 * Math.pow(rt, 3.5)
+      + 0.283 * Math.pow(rt, 3.8) / (Math.pow(f - 118.75, 2) + 2.91 * rp * rp * Math.pow(rt, 1.6))
+      + 0.502 * xi6 * (1 - 0.0163 * xi7 * (f - 66)) / (Math.pow(f - 66, 1.4346 * xi4) + 1.15 * xi5)) * f * f * rp * rp * 1e-3;
+  }
+  return (3.02e-4 / (1 + 1.9e-5 * Math.pow(f, 1.5))
+    + 0.283 * Math.pow(rt, 0.3) / (Math.pow(f - 118.75, 2) + 2.91 * rp * rp * Math.pow(rt, 1.6))) * f * f * rp * rp * Math.pow(rt, 3.5) * 1e-3 + delta;
+}
+
+/**
+ * 水汽比衰减 γw — 含 22.235 / 183.31 / 325.15 GHz 等水汽谱线
+ * @param {number} f — 频率 (GHz)
+ * @param {number} pressure_hPa — 压强 (hPa)
+ * @param {number} temperature_C — 温度 (°C)
+ * @param {number} waterVapour_gm3 — 水汽密度 ρ (g/m³)
+ * @returns {number} γw (dB/km)
+ */
+export function waterVapourSpecificAttenuation(f, pressure_hPa = 1013.25, temperature_C = 15, waterVapour_gm3 = 7.5) {
+  const rp = pressure_hPa / 1013.0;
+  const rt = 288.0 / (273.0 + temperature_C);
+  const rho = Math.max(0, waterVapour_gm3);
+  const eta1 = 0.955 * rp * Math.pow(rt, 0.68) + 0.006 * rho;
+  const eta2 = 0.735 * rp * Math.pow(rt, 0.5) + 0.0353 * Math.pow(rt, 4) * rho;
+  const e = (c) => Math.exp(c * (1 - rt));
+
+  const sum = 3.98 * eta1 * e(2.23) / (Math.pow(f - 22.235, 2) + 9.42 * eta1 * eta1) * p676LineShape(f, 22)
+    + 11.96 * eta1 * e(0.7) / (Math.pow(f - 183.31, 2) + 11.14 * eta1 * eta1)
+    + 0.081 * eta1 * e(6.44) / (Math.pow(f - 321.226, 2) + 6.29 * eta1 * eta1)
+    + 3.66 * eta1 * e(1.6) / (Math.pow(f - 325.153, 2) + 9.22 * eta1 * eta1)
+    + 25.37 * eta1 * e(1.09) / Math.pow(f - 380, 2)
+    + 17.4 * eta1 * e(1.46) / Math.pow(f - 448, 2)
+    + 844.6 * eta1 * e(0.17) / Math.pow(f - 557, 2) * p676LineShape(f, 557)
+    + 290 * eta1 * e(0.41) / Math.pow(f - 752, 2) * p676LineShape(f, 752)
+    + 8.3328e4 * eta2 * e(0.99) / Math.pow(f - 1780, 2) * p676LineShape(f, 1780);
+
+  return sum * f * f * Math.pow(rt, 2.5) * rho * 1e-4;
+}
+
+/**
+ * 地面站处的标准大气参数 (ITU-R P.835 平均年参考大气)，用于未给出实测地面气象值时
+ * @param {number} alt_km — 海拔 (km)
+ */
+function standardSurfaceAtmosphere(alt_km) {
+  const h = Math.max(0, Math.min(11, alt_km));
+  const T = 288.15 - 6.5 * h;
+  return {
+    pressure_hPa: 1013.25 * Math.pow(288.15 / T, -34.1632 / 6.5),
+    temperature_C: T - 273.15,
+    waterVapour_gm3: 7.5 * Math.exp(-h / 2.0)
+  };
+}
+
+/**
+ * 斜路径数值积分 (P.676 Annex 1 §2.2.1 分层射线追踪) — 用于低仰角
+ * 各层气压/温度/水汽按 P.835 剖面由地面值外推，折射率按 P.453 指数模型，计入射线弯曲
+ */
+function integrateSlantGasAttenuation(f, elevation, surface, alt_km) {
+  const Re = 6371.0;
+  const T0 = surface.temperature_C + 273.15;
+  const p0 = surface.pressure_hPa;
+  const rho0 = surface.waterVapour_gm3;
+  const refractivity = (h) => 1 + 315e-6 * Math.exp(-h / 7.35);
+
+  let h = alt_km;
+  let beta = (90 - elevation) * Math.PI / 180;
+  let total = 0;
+  for (let i = 1; i <= 922; i++) {
+    const delta = 0.0001 * Math.exp((i - 1) / 100);
+    const hMid = h + delta / 2 - alt_km;
+    // P.835 剖面（以地面实测值为基准）
+    const tropo = Math.min(hMid, 11);
+    const T = Math.max(216.65, T0 - 6.5 * tropo);
+    let p = p0 * Math.pow(T0 / (T0 - 6.5 * tropo), -34.1632 / 6.5);
+    if (hMid > 11) p *= Math.exp(-34.1632 * (hMid - 11) / T);
+    const rho = rho0 * Math.exp(-hMid / 2.0);
+    const gamma = oxygenSpecificAttenuation(f, p, T - 273.15) + waterVapourSpecificAttenuation(f, p, T - 273.15, rho);
+
+    const r = Re + h;
+    const cosB = Math.cos(beta);
+    const a = -r * cosB + 0.5 * Math.sqrt(4 * r * r * cosB * cosB + 8 * r * delta + 4 * delta * delta);
+    total += a * gamma;
+
+    const alpha = Math.PI - Math.acos(Math.max(-1, Math.min(1, (-a * a - 2 * r * delta - delta * delta) / (2 * a * r + 2 * a * delta))));
+    const nRatio = refractivity(h - alt_km + delta / 2) / refractivity(h - alt_km + delta * 1.5);
+    beta = Math.asin(Math.min(1, nRatio * Math.sin(alpha)));
+    h += delta;
+    if (h - alt_km > 100) break;
+  }
+  return total;
+}
+
+// 射线积分按仰角网格列表：每个 (频率, 地面 T/P/ρ, 站高) 的网格节点只积分一次，节点间线性插值
+const SLANT_GAS_STEP_DEG = 0.1;
+const SLANT_GAS_CACHE_SIZE = 4096;
+const slantGasCache = new Map();
+
+function slantGasNode(f, node, surface, alt_km) {
+  const key = `${f}|${surface.pressure_hPa}|${surface.temperature_C}|${surface.waterVapour_gm3}|${alt_km}|${node}`;
+  let value = slantGasCache.get(key);
+  if (value === undefined) {
+    if (slantGasCache.size >= SLANT_GAS_CACHE_SIZE) slantGasCache.delete(slantGasCache.keys().next().value);
+    value = integrateSlantGasAttenuation(f, node * SLANT_GAS_STEP_DEG, surface, alt_km);
+    slantGasCache.set(key, value);
+  }
+  return value;
+}
+
+function tabulatedSlantGasAttenuation(f, elevation, surface, alt_km) {
+  const x = Math.max(0, elevation) / SLANT_GAS_STEP_DEG;
+  const node = Math.floor(x);
+  const t = x - node;
+  const a0 = slantGasNode(f, node, surface, alt_km);
+  return t > 1e-9 ? a0 + t * (slantGasNode(f, node + 1, surface, alt_km) - a0) : a0;
+}
+
+// 射线积分与等效高度法之间的过渡区 (°)：区间内按仰角线性加权，两种算法在边界处连续衔接
+const SLANT_GAS_BLEND_DEG = [5, 10];
+
+/**
+ * ITU-R P.676 斜路径气体衰减
+ *
+ * θ ≥ 10° 时采用 Annex 2 等效高度法 A = (γo·ho + γw·hw) / sin θ；
+ * θ < 5° 时沿分层大气做射线积分（含地球曲率与折射弯曲，按 0.1° 仰角网格缓存并插值）；
+ * 5° ~ 10° 之间两者按仰角线性过渡，避免切换处的台阶。
+ *
+ * @param {object} p
+ * @param {number} p.freq — 频率 (GHz)
+ * @param {number} p.elevation — 仰角 (°)
+ * @param {number} [p.pressure_hPa] — 地面气压 (hPa)，缺省取站点高度处标准大气
+ * @param {number} [p.temperature_C] — 地面温度 (°C)
+ * @param {number} [p.waterVapour_gm3] — 地面水汽密度 (g/m³)
+ * @param {number} [p.stationAlt=0] — 地面站海拔 (m)
+ * @returns {object} — { attGas, attOxygen, attWaterVapour, zenithGas, gammaO, gammaW, hOxygen, hWater }
+ */
+export function calculateGasAttenuationP676(p) {
+  const { freq, elevation, stationAlt = 0 } = p;
+  const alt_km = Math.max(0, stationAlt / 1000.0);
+  const std = standardSurfaceAtmosphere(alt_km);
+  const surface = {
+    pressure_hPa: p.pressure_hPa != null ? p.pressure_hPa : std.pressure_hPa,
+    temperature_C: p.temperature_C != null ? p.temperature_C : std.temperature_C,
+    waterVapour_gm3: p.waterVapour_gm3 != null ? p.waterVapour_gm3 : std.waterVapour_gm3
+  };
+  const f = Math.min(350, Math.max(0.001, freq));
+  const rp = surface.pressure_hPa / 1013.0;
+
+  const gammaO = oxygenSpecificAttenuation(f, surface.pressure_hPa, surface.temperature_C);
+  const gammaW = waterVapourSpecificAttenuation(f, surface.pressure_hPa, surface.temperature_C, surface.waterVapour_gm3);
+
+  // 氧气等效高度 ho
+  const t1 = 4.64 / (1 + 0.066 * Math.pow(rp, -2.3)) * Math.exp(-Math.pow((f - 59.7) / (2.87 + 12.4 * Math.exp(-7.9 * rp)), 2));
+  const t2 = 0.14 * Math.exp(2.12 * rp) / (Math.pow(f - 118.75, 2) + 0.031 * Math.exp(2.2 * rp));
+  const t3 = 0.0114 / (1 + 0.14 * Math.pow(rp, -2.6)) * f * (-0.0247 + 0.0001 * f + 1.61e-6 * f * f)
+    / (1 - 0.0169 * f + 4.1e-5 * f * f + 3.2e-7 * f * f * f);
+  const hOxygen = 6.1 / (1 + 0.17 * Math.pow(rp, -1.1)) * (1 + t1 + t2 + t3);
+
+  // 水汽等效高度 hw
+  const sigmaW = 1.013 / (1 + Math.exp(-8.6 * (rp - 0.57)));
+  const hWater = 1.66 * (1 + 1.39 * sigmaW / (Math.pow(f - 22.235, 2) + 2.56 * sigmaW)
+    + 3.37 * sigmaW / (Math.pow(f - 183.31, 2) + 4.69 * sigmaW)
+    + 1.58 * sigmaW / (Math.pow(f - 325.1, 2) + 2.89 * sigmaW));
+
+  const zenithOxygen = gammaO * hOxygen;
+  const zenithWater = gammaW * hWater;
+  const zenithGas = zenithOxygen + zenithWater;
+
+  let attGas, attOxygen, attWaterVapour;
+  const [blendLow, blendHigh] = SLANT_GAS_BLEND_DEG;
+  if (elevation >= blendHigh) {
+    const sinEl = Math.sin(elevation * Math.PI / 180);
+    attOxygen = zenithOxygen / sinEl;
+    attWaterVapour = zenithWater / sinEl;
+    attGas = attOxygen + attWaterVapour;
+  } else {
+    attGas = tabulatedSlantGasAttenuation(f, elevation, surface, alt_km);
+    if (elevation > blendLow) {
+      const w = (elevation - blendLow) / (blendHigh - blendLow);
+      attGas = (1 - w) * attGas + w * zenithGas / Math.sin(elevation * Math.PI / 180);
+    }
+    // 按天顶比例拆分氧气/水汽分量（仅用于展示）
+    const share = zenithGas > 0 ? zenithOxygen / zenithGas : 1;
+    attOxygen = attGas * share;
+    attWaterVapour = attGas - attOxygen;
+  }
+
+  return { attGas, attOxygen, attWaterVapour, zenithGas, gammaO, gammaW, hOxygen, hWater };
+}
+
+// === ITU-R P.840 云/雾衰减 (Rayleigh 近似，≤ 200 GHz) ===
+
+// 柱状液态水含量 L 的对数正态近似 (P.840-8 §3.2)：L(p) = exp(m_L + σ_L·Q⁻¹(p / P_L))，p < P_L。
+// m_L / σ_L / P_L 是随站点变化的 P.840-8 数字地图值，本仓库不内置，需由 cloudStats 给出
+const CLOUD_LWC_DEFAULT = 0.5; // kg/m²，未给出 cloudLWC / cloudStats 时的固定值
+const CLOUD_LAYER_HEIGHT_KM = 2.0; // 低仰角路径修正所用的等效云层高度
+
+/**
+ * 标准正态互补累积分布的反函数 Q⁻¹(p)（Acklam 有理逼近，相对误差 < 1.2e-9）
+ * @param {number} p — 概率 (0, 1)
+ */
+function inverseGaussianQ(p) {
+  const q = Math.min(1 - 1e-15, Math.max(1e-15, 1 - p));
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const tail = (r) => (((((c[0] * r + c[1]) * r + c[2]) * r + c[3]) * r + c[4]) * r + c[5]) / ((((d[0] * r + d[1]) * r + d[2]) * r + d[3]) * r + 1);
+  if (q < 0.02425) return tail(Math.sqrt(-2 * Math.log(q)));
+  if (q > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - q)));
+  const r = q - 0.5, r2 = r * r;
+  return (((((a[0] * r2 + a[1]) * r2 + a[2]) * r2 + a[3]) * r2 + a[4]) * r2 + a[5]) * r
+    / (((((b[0] * r2 + b[1]) * r2 + b[2]) * r2 + b[3]) * r2 + b[4]) * r2 + 1);
+}
+
+/**
+ * 云/雾比衰减系数 Kl — 双 Debye 模型计算液态水复介电常数 ε'(f,T) / ε''(f,T)
+ * 雾的比衰减为 γ = Kl · M (M 为液态水密度 g/m³)
+ * @param {number} f — 频率 (GHz)
+ * @param {number} [temperature_C=0] — 液态水温度 (°C)，P.840 统计预测取 0°C
+ * @returns {number} Kl ((dB/km)/(g/m³))
+ */
+export function cloudSpecificAttenuationCoefficient(f, temperature_C = 0) {
+  const theta = 300 / (temperature_C + 273.15);
+  const eps0 = 77.66 + 103.3 * (theta - 1);
+  const eps1 = 0.0671 * eps0;
+  const eps2 = 3.52;
+  const fp = 20.20 - 146 * (theta - 1) + 316 * Math.pow(theta - 1, 2);
+  const fs = 39.8 * fp;
+
+  const epsImag = f * (eps0 - eps1) / (fp * (1 + Math.pow(f / fp, 2))) + f * (eps1 - eps2) / (fs * (1 + Math.pow(f / fs, 2)));
+  const epsReal = (eps0 - eps1) / (1 + Math.pow(f / fp, 2)) + (eps1 - eps2) / (1 + Math.pow(f / fs, 2)) + eps2;
+  const eta = (2 + epsReal) / epsImag;
+  return 0.819 * f / (epsImag * (1 + eta * eta));
+}
+
+/**
+ * p% 时间被超过的柱状液态水含量 L (kg/m²，数值上等于 mm)
+ * @param {number} timePercent — 年时间百分比 p (%)
+ * @param {object} stats — 站点的 P.840-8 对数正态参数 { logMean (m_L), logStd (σ_L), probability (P_L, %) }
+ * @returns {number} L (kg/m²)
+ * @throws {Error} — 缺少任一参数
+ */
+export function cloudLiquidWaterExceeded(timePercent, stats) {
+  const { logMean, logStd, probability } = stats || {};
+  if (![logMean, logStd, probability].every(Number.isFinite)) {
+    throw new Error('cloudLiquidWaterExceeded needs the site P.840-8 lognormal parameters { logMean, logStd, probability }');
+  }
+  if (!(timePercent > 0) || timePercent >= probability) return 0;
+  return Math.exp(logMean + logStd * inverseGaussianQ(timePercent / probability));
+}
+
+/**
+ * ITU-R P.840 斜路径云衰减 A = L · Kl / sin θ
+ *
+ * - 给出 cloudLWC 时直接作为柱状液态水含量；
+ * - 否则若同时给出 timePercent 与站点统计 cloudStats，按对数正态近似取 p% 时间被超过的 L；
+ * - 其余情况取 0.5 kg/m²。
+ * θ < 5° 时以等效云层高度计入地球曲率，避免 1/sin θ 发散。
+ *
+ * @param {object} p
+ * @param {number} p.freq — 频率 (GHz)
+ * @param {number} p.elevation — 仰角 (°)
+ * @param {number} [p.cloudLWC] — 柱状液态水含量 L (kg/m²)
+ * @param {number} [p.timePercent] — 年时间百分比 p (%)
+ * @param {number} [p.cloudTemperature_C=0] — 云水温度 (°C)
+ * @param {object} [p.cloudStats] — 站点的 P.840-8 对数正态参数 { logMean, logStd, probability }（见 cloudLiquidWaterExceeded）
+ * @returns {object} — { attCloud, lwc, kl, lwcSource }
+ */
+export function calculateCloudAttenuationP840(p) {
+  const { freq, elevation, timePercent, cloudTemperature_C = 0, cloudStats } = p;
+  let lwc, lwcSource;
+  if (p.cloudLWC != null) {
+    lwc = Math.max(0, p.cloudLWC);
+    lwcSource = 'configured';
+  } else if (timePercent != null && cloudStats) {
+    lwc = cloudLiquidWaterExceeded(Math.min(5, Math.max(0.001, timePercent)), cloudStats);
+    lwcSource = 'exceedance';
+  } else {
+    lwc = CLOUD_LWC_DEFAULT;
+    lwcSource = 'default';
+  }
+
+  const kl = cloudSpecificAttenuationCoefficient(Math.max(0.001, freq), cloudTemperature_C);
+  const theta = Math.max(0, elevation);
+  const sinT = Math.sin(theta * Math.PI / 180);
+  const hc = CLOUD_LAYER_HEIGHT_KM;
+  const airMass = theta >= 5
+    ? 1 / sinT
+    : 2 / (Math.sqrt(sinT * sinT + 2 * hc / EFFECTIVE_EARTH_RADIUS_KM) + sinT);
+
+  return { attCloud: lwc * kl * airMass, lwc, kl, lwcSource };
+}
+
+const C_M_S = 299792458; // 光速 (m/s)
+
+/**
+ * 电离层群时延 τ_g = 40.3·TEC_s / (c·f²) — calculateLinkBudget、computeCIR 与 computeTransferFunction 共用
+ * @param {number} tec — 天顶总电子含量 (TECU = 1e16 el/m²)
+ * @param {number} freq — 频率 (GHz)
+ * @param {number} [sinElev=1] — 仰角正弦，斜路径 TEC_s = TEC / sinθ
+ * @returns {number} 群时延 (ns)
+ */
+export function ionosphericGroupDelayNs(tec, freq, sinElev = 1) {
+  return 40.3 * tec * 1e16 / (C_M_S * Math.pow(freq * 1e9, 2) * sinElev) * 1e9;
+}
+
+/**
+ * 大气衰减分量（雨/气体/云）— calculateLinkBudget 与 computeCIR 共用
+ * @param {object} params — 链路参数
+ * @param {number} elevDeg — 计算所用仰角 (°)
+ */
+function computeAtmosphericAttenuation(params, elevDeg) {
+  const { freq, rainRate = 0, correctionFactor = 1.0 } = params;
+
+  const tilt = params.polTilt != null ? params.polTilt : polarizationTiltDeg(params.polarization);
+  const { k, alpha } = rainCoefficientsP838(freq, Math.max(0, elevDeg), tilt);
+
+  // Apply correction factor to the gamma calculation (Rain attenuation multiplier)
+  const r001 = resolveR001(params);
+  const rain = calculateRainAttenuationP618({
+    freq, elevation: elevDeg, k, alpha, rainRate,
+    r001, timePercent: params.timePercent,
+    stationLat: params.stationLat, stationAlt: params.stationAlt,
+    correctionFactor
+  });
+
+  const gas = calculateGasAttenuationP676({
+    freq, elevation: elevDeg, stationAlt: params.stationAlt,
+    pressure_hPa: params.pressure_hPa, temperature_C: params.temperature_C, waterVapour_gm3: params.waterVapour_gm3
+  });
+  const attGas = gas.attGas;
+
+  const cloud = calculateCloudAttenuationP840({
+    freq, elevation: elevDeg, cloudLWC: params.cloudLWC, timePercent: params.timePercent,
+    cloudTemperature_C: params.cloudTemperature_C, cloudStats: params.cloudStats
+  });
+
+  return { attRain: rain.attRain, attGas, attCloud: cloud.attCloud, rain: { ...rain, r001 }, gas, cloud };
+}
+
+// === ITU-R P.618 §2.5 总衰减统计 (CCDF) 与链路可用度 ===
+
+// 年平均时间百分比网格 (0.001% ~ 5%，对数等间隔)
+export const CCDF_PERCENTAGES = [0.001, 0.002, 0.003, 0.005, 0.01, 0.02, 0.03, 0.05, 0.1, 0.2, 0.3, 0.5, 1, 2, 3, 5];
+
+/**
+ * ITU-R P.618 §2.4.1 对流层闪烁强度 σ
+ * @param {object} p
+ * @param {number} p.freq — 频率 (GHz)
+ * @param {number} p.elevation — 仰角 (°)，< 5° 时按 5° 计算
+ * @param {number} [p.antennaDiameter_m] — 接收天线口径 (m)，缺省由 gRx 按 η = 0.5 反推
+ * @param {number} [p.gRx=42] — 接收天线增益 (dBi)
+ * @param {number} [p.temperature_C=15] — 地面温度 (°C)
+ * @param {number} [p.waterVapour_gm3=7.5] — 地面水汽密度 (g/m³)
+ * @returns {number} σ (dB)
+ */
+export function scintillationSigmaP618(p) {
+  const { freq, elevation, gRx = 42.0, temperature_C = 15, waterVapour_gm3 = 7.5 } = p;
+  const eta = 0.5;
+  const D = p.antennaDiameter_m != null
+    ? p.antennaDiameter_m
+    : (0.299792458 / freq) / Math.PI * Math.sqrt(Math.pow(10, gRx / 10) / eta);
+
+  // 湿折射率 N_wet (P.453)
+  const T = temperature_C + 273.15;
+  const e = waterVapour_gm3 * T / 216.7;
+  const nWet = 3.732e5 * e / (T * T);
+  const sigmaRef = 3.6e-3 + 1e-4 * nWet;
+
+  const sinT = Math.sin(Math.max(5, elevation) * Math.PI / 180);
+  const L = 2 * 1000 / (Math.sqrt(sinT * sinT + 2.35e-4) + sinT);
+  const x = 1.22 * eta * D * D * freq / L;
+  const g2 = 3.86 * Math.pow(x * x + 1, 11 / 12) * Math.sin(11 / 6 * Math.atan(1 / x)) - 7.08 * Math.pow(x, 5 / 6);
+  if (!(g2 > 0)) return 0;
+  return sigmaRef * Math.pow(freq, 7 / 12) * Math.sqrt(g2) / Math.pow(sinT, 1.2);
+}
+
+/**
+ * 总衰减的互补累积分布 A_T(p)
+ *
+ * 按 P.618 §2.5 组合：A_T(p) = A_G(p) + √((A_R(p) + A_C(p))² + A_S(p)²)，
+ * 其中 p < 1% 时 A_C、A_G 取 1% 值，闪烁因子 a(p) 在 p < 0.01% 时取 0.01% 值。
+ * 雨衰的 R0.01 依次取 r001、站点气候统计 (rainClimatology)、rainRate；云衰仅在给出站点 cloudStats 且未配置 cloudLWC 时按 p% 统计取值，
+ * 否则各百分比取同一 L（cloudLWC 或缺省 0.5 kg/m²）。
+ *
+ * @param {object} params — 链路参数（同 calculateLinkBudget）
+ * @param {number[]} [percentages=CCDF_PERCENTAGES] — 时间百分比 (%)
+ * @returns {Array<object>} — [{ p, attRain, attGas, attCloud, attScint, attTotal }]
+ */
+export function calculateAttenuationCCDF(params, percentages = CCDF_PERCENTAGES) {
+  const elevation = Math.max(0, params.elevation);
+  const base = { ...params, r001: resolveR001(params) };
+  const sigma = scintillationSigmaP618({ ...params, elevation });
+  const atm1 = computeAtmosphericAttenuation({ ...base, timePercent: 1 }, elevation);
+
+  return percentages.map(p => {
+    const atm = p === 1 ? atm1 : computeAtmosphericAttenuation({ ...base, timePercent: p }, elevation);
+    const lp = Math.log10(Math.max(0.01, Math.min(50, p)));
+    const aP = -0.061 * lp * lp * lp + 0.072 * lp * lp - 1.71 * lp + 3.0;
+    const attScint = aP * sigma;
+    const attRain = atm.attRain;
+    const attCloud = p < 1 ? atm1.attCloud : atm.attCloud;
+    const attGas = p < 1 ? atm1.attGas : atm.attGas;
+    const attTotal = attGas + Math.sqrt(Math.pow(attRain + attCloud, 2) + attScint * attScint);
+    return { p, attRain, attGas, attCloud, attScint, attTotal };
+  });
+}
+
+/**
+ * 给定所需 SNR 的年可用度 — 在 CCDF 上对数插值求 SNR(p) = SNR_req 的时间百分比
+ *
+ * 衰减同时抬高天空噪声：ΔT = 290·(1 − 10^(−A/10))，与 calculateLinkBudget 的 tSky 模型一致。
+ *
+ * @param {object} p
+ * @param {Array<object>} p.ccdf — calculateAttenuationCCDF 的输出
+ * @param {number} p.clearSkySnr_dB — 晴空 SNR (dB)，不含大气衰减与天空噪声
+ * @param {number} p.requiredSnr_dB — 所需 SNR (dB)
+ * @param {number} [p.tSys_K] — 晴空系统噪声温度 (K)，缺省不计噪声抬升
+ * @returns {object} — { availability, outagePercent, margin_dB, bound, snr }
+ *   bound: 'above' (可用度高于 CCDF 上限 100 − p_min)、'below' (低于 100 − p_max) 或 null
+ */
+export function calculateLinkAvailability({ ccdf, clearSkySnr_dB, requiredSnr_dB, tSys_K }) {
+  const snr = ccdf.map(c => {
+    const noiseRise = tSys_K > 0 ? 10 * Math.log10(1 + 290 * (1 - Math.pow(10, -c.attTotal / 10)) / tSys_K) : 0;
+    return clearSkySnr_dB - c.attTotal - noiseRise;
+  });
+  const margin_dB = clearSkySnr_dB - requiredSnr_dB;
+  const first = ccdf[0].p, last = ccdf[ccdf.length - 1].p;
+
+  let outagePercent, bound = null;
+  if (snr[0] >= requiredSnr_dB) {
+    outagePercent = first;
+    bound = 'above';
+  } else if (snr[snr.length - 1] < requiredSnr_dB) {
+    outagePercent = last;
+    bound = 'below';
+  } else {
+    // SNR(p) 随 p 单调增大，找到首个满足要求的区间
+    let i = 1;
+    while (snr[i] < requiredSnr_dB) i++;
+    const t = (requiredSnr_dB - snr[i - 1]) / (snr[i] - snr[i - 1]);
+    outagePercent = Math.pow(10, Math.log10(ccdf[i - 1].p) + t * (Math.log10(ccdf[i].p) - Math.log10(ccdf[i - 1].p)));
+  }
+
+  return { availability: 100 - outagePercent, outagePercent, margin_dB, bound, snr };
 }
 
 export function calculateLinkBudget(params) {
-  const { freq, rainRate, elevation, env, tec = 50.0, xpdAnt = 35.0, correctionFactor = 1.0, slantRange = 35786, hpbw = 2.0, simTime = 0 } = params;
+  const { freq, elevation, env, tec = 50.0, xpdAnt = 35.0, slantRange = 35786, hpbw = 2.0, simTime = 0 } = params;
 
   // === Elevation Pre-processing: Atmospheric Refraction (ITU-R) ===
   const trueElev = Math.max(0, elevation);
@@ -34,38 +1198,12 @@ export function calculateLinkBudget(params) {
   // Assuming Ephemeris-based open-loop tracking.
   const pointingLoss = hpbw > 0 ? 12.0 * Math.pow(refractionCorrection / hpbw, 2) : 0;
   const effElev = apparentElevation;
-
-  let k = 0.018, alpha = 1.15;
-  let minDiff = 100;
-  for (const [f, c] of Object.entries(RAIN_COEFFS)) {
-    const diff = Math.abs(parseFloat(f) - freq);
-    if (diff < minDiff) {
-      minDiff = diff;
-      k = c.k;
-      alpha = c.alpha;
-    }
-  }
-
-  // Apply correction factor to the gamma calculation (Rain attenuation multiplier)
-  const gamma = k * Math.pow(rainRate, alpha) * correctionFactor;
   const elevRad = (effElev * Math.PI) / 180;
-  const heightRain = 3.0; // km
-  const slantPath = heightRain / Math.sin(elevRad);
-  const rFactor = 1 / (1 + 0.045 * slantPath);
-  const lEff = slantPath * rFactor;
-  const attRain = gamma * lEff;
-
-  let attZenithGas = 0.05;
-  if (freq < 10) attZenithGas = 0.05;
-  else if (freq < 20) attZenithGas = 0.2;
-  else if (freq < 35) attZenithGas = 0.3;
-  else if (freq < 50) attZenithGas = 0.8;
-  else attZenithGas = 4.0;
-  const attGas = attZenithGas / Math.sin(elevRad);
-
-  const K_l = 0.0002 * Math.pow(freq, 1.95);
-  const L_content = 0.5; // mm
-  const attCloud = (L_content * K_l) / Math.sin(elevRad);
+
+  // === ITU-R P.618 rain chain + gas + cloud ===
+  // params.atmosphere: 同一链路/仰角已算好的大气衰减（上一次输出的 atmosphere），给出时直接复用
+  const atmosphere = params.atmosphere || computeAtmosphericAttenuation(params, effElev);
+  const { attRain, attGas, attCloud, rain, gas, cloud } = atmosphere;
 
   const totalAtmosphericLoss = attRain + attGas + attCloud + (params.gasAttenOffset_dB || 0);
 
@@ -107,7 +1245,11 @@ export function calculateLinkBudget(params) {
   xpd = Math.max(0, Math.min(40, xpd));
 
   let fadeLMS = 0;
-  if (env === 'urban') fadeLMS = 15.0 - effElev * 0.15;
+  if (params.lmsState != null) {
+    // 三状态 Markov LMS：状态由调用方的 Markov 链给出
+    const stateIndex = typeof params.lmsState === 'string' ? LMS_STATES.indexOf(params.lmsState) : params.lmsState;
+    fadeLMS = lmsStateFade(params, stateIndex, simTime);
+  } else if (env === 'urban') fadeLMS = 15.0 - effElev * 0.15;
   else if (env === 'suburban') fadeLMS = 6.0 - effElev * 0.05;
   else if (env === 'maritime') fadeLMS = 0.0; // Maritime has no trees/buildings, but strong multipath
   else fadeLMS = 0.5;
@@ -148,16 +1290,24 @@ export function calculateLinkBudget(params) {
   // === Milestones 18: Ionospheric Group Delay & Dispersion ===
   const tecVal = params.tec !== undefined ? params.tec : 50;
   const bwMHz = params.bandwidth !== undefined ? params.bandwidth : 400;
-  const groupDelayNs = (134.0 * tecVal) / (freq * freq * sinElev);
-  // Derivative of Delay wrt frequency * bandwidth
-  const dispersionNs = (2.0 * 134.0 * tecVal * (bwMHz / 1000.0)) / (Math.pow(freq, 3) * sinElev);
+  const groupDelayNs = ionosphericGroupDelayNs(tecVal, freq, sinElev);
+  // Derivative of Delay wrt frequency * bandwidth: |dτ/df|·B = 2·τ_g·B / f
+  const dispersionNs = 2.0 * groupDelayNs * (bwMHz / 1000.0) / freq;
   // Max Symbol Rate (MBaud) ~ 1 / (2 * dispersion) to avoid severe ISI
   const maxSymbolRateMbaud = dispersionNs > 0.001 ? (1000.0 / (2.0 * dispersionNs)) : 999999;
 
   // Get time-varying fade; bypass for smooth static charts where simTime remains 0
-  const scintLoss = (simTime && !params.disableFastFading) ? getSoSFade(simTime) * scintillationSigma : 0;
+  const fading = (simTime && !params.disableFastFading) ? createLinkFading(params) : null;
+  const scintLoss = fading ? fading.scint(simTime) * scintillationSigma : 0;
+
+  // Rician / Loo fast-fading envelope (seeded, reproducible)
+  let fastFadeLoss = 0;
+  if (fading && fading.envelope) {
+    const h = fading.envelope.sample(simTime);
+    fastFadeLoss = -20 * Math.log10(Math.max(1e-3, Math.hypot(h.re, h.im)));
+  }
 
-  const totalLoss = totalAtmosphericLoss + fadeLMS + lossFaraday + deltaFspl + pointingLoss + scanLoss + multipathLoss + scintLoss;
+  const totalLoss = totalAtmosphericLoss + fadeLMS + lossFaraday + deltaFspl + pointingLoss + scanLoss + multipathLoss + scintLoss + fastFadeLoss;
 
   // Sky Noise Temperature Model (Water vapor/Rain Blackbody)
   const tSky = 290.0 * (1.0 - Math.pow(10, -totalAtmosphericLoss / 10.0));
@@ -165,79 +1315,338 @@ export function calculateLinkBudget(params) {
   return {
     attRain, attGas, attCloud, fadeLMS, lossFaraday, omegaDeg,
     totalLoss, xpd, actualFspl, deltaFspl,
-    apparentElevation, refractionCorrection, pointingLoss, scanLoss, multipathLoss, tSky, totalAtmosphericLoss, scintLoss, scintillationSigma,
-    groupDelayNs, dispersionNs, maxSymbolRateMbaud
+    apparentElevation, refractionCorrection, pointingLoss, scanLoss, multipathLoss, tSky, totalAtmosphericLoss, scintLoss, scintillationSigma, fastFadeLoss,
+    groupDelayNs, dispersionNs, maxSymbolRateMbaud,
+    rainHeight: rain.rainHeight, attRain001: rain.attRain001, rainEffPathLen: rain.effPathLen, rainR001: rain.r001,
+    attOxygen: gas.attOxygen, attWaterVapour: gas.attWaterVapour, zenithGas: gas.zenithGas,
+    cloudLWC: cloud.lwc, cloudKl: cloud.kl,
+    atmosphere
+  };
+}
+
+const BOLTZMANN_DBW = 10 * Math.log10(1.380649e-23); // −228.6 dBW/K/Hz
+
+// 绝对 FSPL + calculateLinkBudget 的全部衰减项 (dB)，上下行共用
+function propagationLosses(params, lb) {
+  const losses = {
+    fspl: 20 * Math.log10(params.slantRange || 35786) + 20 * Math.log10(params.freq || 30) + 92.45,
+    atmospheric: lb.totalAtmosphericLoss,
+    shadowing: lb.fadeLMS,
+    faraday: lb.lossFaraday,
+    pointing: lb.pointingLoss,
+    scan: lb.scanLoss || 0,
+    multipath: lb.multipathLoss || 0,
+    scintillation: lb.scintLoss || 0,
+    fastFading: lb.fastFadeLoss || 0
+  };
+  losses.total = Object.values(losses).reduce((s, v) => s + v, 0);
+  return losses;
+}
+
+function lossBreakdown(losses) {
+  return [
+    { term: 'Free-space path loss', value: -losses.fspl, unit: 'dB' },
+    { term: 'Atmospheric (rain + gas + cloud)', value: -losses.atmospheric, unit: 'dB' },
+    { term: 'Ground shadowing (LMS)', value: -losses.shadowing, unit: 'dB' },
+    { term: 'Faraday rotation', value: -losses.faraday, unit: 'dB' },
+    { term: 'Pointing', value: -losses.pointing, unit: 'dB' },
+    { term: 'Scan roll-off', value: -losses.scan, unit: 'dB' },
+    { term: 'Maritime multipath', value: -losses.multipath, unit: 'dB' },
+    { term: 'Scintillation', value: -losses.scintillation, unit: 'dB' },
+    { term: 'Fast fading', value: -losses.fastFading, unit: 'dB' }
+  ];
+}
+
+// C/N0 → 带宽内 SNR、Es/N0、Eb/N0 与余量
+/** SNR 下限 (dB)：低于此值视为无信号。只在 carrierRatios 截断一次，主界面、扫描、时间序列、星座与校准共用 */
+export const SNR_FLOOR_dB = -30;
+
+function carrierRatios(cn0_dBHz, params) {
+  const bwMHz = params.bandwidth || 400.0;
+  const requiredSnr_dB = params.requiredSnr_dB != null ? params.requiredSnr_dB : 5.0;
+  const symbolRate_Mbaud = params.symbolRate_Mbaud || bwMHz / (1 + (params.rollOff != null ? params.rollOff : 0.2));
+  const spectralEfficiency = params.spectralEfficiency || 2;
+  const snrDb = Math.max(SNR_FLOOR_dB, cn0_dBHz - 10 * Math.log10(bwMHz * 1e6));
+  const esN0_dB = cn0_dBHz - 10 * Math.log10(symbolRate_Mbaud * 1e6);
+  return {
+    cn0_dBHz, esN0_dB, ebN0_dB: esN0_dB - 10 * Math.log10(spectralEfficiency), snrDb,
+    requiredSnr_dB, margin_dB: snrDb - requiredSnr_dB, symbolRate_Mbaud, bitRate_Mbps: symbolRate_Mbaud * spectralEfficiency
+  };
+}
+
+function ratioBreakdown(r, bwMHz) {
+  return [
+    { term: 'C/N0', value: r.cn0_dBHz, unit: 'dBHz' },
+    { term: 'Noise bandwidth', value: -10 * Math.log10(bwMHz * 1e6), unit: 'dBHz' },
+    { term: 'SNR (C/N)', value: r.snrDb, unit: 'dB' },
+    { term: 'Required SNR', value: -r.requiredSnr_dB, unit: 'dB' },
+    { term: 'Margin', value: r.margin_dB, unit: 'dB' }
+  ];
+}
+
+/**
+ * 端到端链路性能（下行）— 绝对接收功率、噪声与各类载噪比的唯一实现
+ *
+ * 主界面、校准 (simulateForMeasurement)、时间序列 (generateChannelTimeSeries) 与参数扫描共用，
+ * 保证同一组参数在各处得到相同的 SNR。
+ *
+ *   C      = EIRP + G_rx − L_total（L_total 含绝对 FSPL 与 calculateLinkBudget 的全部衰减项）
+ *   T_sys  = T_rx + T_sky + 3 K（宇宙背景）
+ *   C/N0   = C − 10·log10(k·T_sys)
+ *   Es/N0  = C/N0 − 10·log10(R_s)，Eb/N0 = Es/N0 − 10·log10(η)
+ *   SNR    = C/N0 − 10·log10(B)，margin = SNR − requiredSnr_dB
+ *
+ * @param {object} params — calculateLinkBudget 参数，另含：
+ *   eirp (dBW, 60) / gRx (dBi, 42) / tRx (K, 150) / bandwidth (MHz, 400) / requiredSnr_dB (dB, 5)
+ *   symbolRate_Mbaud（缺省 bandwidth / (1 + rollOff)）/ rollOff (0.2) / spectralEfficiency（信息比特/符号，2）
+ * @param {object} [lb] — 已算好的 calculateLinkBudget(params) 结果，避免重复计算
+ * @returns {{
+ *   eirp_dBW, gRx_dBi, tSys_K, gOverT_dBK, losses: object, rxPowerDbm, noiseFloorDbm,
+ *   cn0_dBHz, esN0_dB, ebN0_dB, snrDb, requiredSnr_dB, margin_dB, symbolRate_Mbaud, bitRate_Mbps,
+ *   breakdown: Array<{ term: string, value: number, unit: string }>
+ * }} — snrDb / margin_dB 以 SNR_FLOOR_dB 为下限；C/N0、Es/N0、Eb/N0 不截断
+ */
+export function computeLinkPerformance(params, lb = calculateLinkBudget(params)) {
+  const eirp_dBW = params.eirp != null ? params.eirp : 60.0;
+  const gRx_dBi = params.gRx != null ? params.gRx : 42.0;
+  const tRx = params.tRx != null ? params.tRx : 150.0;
+  const bwMHz = params.bandwidth || 400.0;
+
+  const losses = propagationLosses(params, lb);
+  const tSys_K = tRx + lb.tSky + 3.0;
+  const gOverT_dBK = gRx_dBi - 10 * Math.log10(tSys_K);
+  const rxPowerDbm = eirp_dBW + 30 - losses.total + gRx_dBi;
+  const noiseFloorDbm = BOLTZMANN_DBW + 10 * Math.log10(tSys_K * bwMHz * 1e6) + 30;
+  const ratios = carrierRatios(rxPowerDbm - 30 - BOLTZMANN_DBW - 10 * Math.log10(tSys_K), params);
+
+  const breakdown = [
+    { term: 'EIRP', value: eirp_dBW, unit: 'dBW' },
+    ...lossBreakdown(losses),
+    { term: 'Rx antenna gain', value: gRx_dBi, unit: 'dBi' },
+    { term: 'Received power', value: rxPowerDbm - 30, unit: 'dBW' },
+    { term: 'Boltzmann constant', value: -BOLTZMANN_DBW, unit: 'dBW/K/Hz' },
+    { term: 'System noise temperature', value: -10 * Math.log10(tSys_K), unit: 'dBK' },
+    ...ratioBreakdown(ratios, bwMHz)
+  ];
+
+  return { eirp_dBW, gRx_dBi, tSys_K, gOverT_dBK, losses, rxPowerDbm, noiseFloorDbm, ...ratios, breakdown };
+}
+
+/**
+ * 上行链路参数：地面终端发射、卫星接收，传播衰减按上行频率重新计算
+ *
+ * 降雨、LMS 遮蔽与几何与下行相同；快衰落 / 闪烁按 fadingSeed 派生的独立序列（上下行频率相距较远，近似不相关）。
+ * @param {object} params — 链路参数，uplinkFreq (GHz) 必填
+ * @returns {object} — 可直接传给 calculateLinkBudget
+ */
+export function uplinkLegParams(params) {
+  return {
+    ...params,
+    freq: params.uplinkFreq,
+    fadingSeed: deriveSeed(params.fadingSeed != null ? params.fadingSeed : 1, 'uplink'),
+    atmosphere: undefined // 下行频率的大气衰减不适用于上行
   };
 }
 
+/**
+ * 上行链路性能
+ *
+ *   C/N0_up = EIRP_terminal − L_up + (G/T)_sat − 10·log10(k)
+ *
+ * 卫星接收噪声已计入 G/T（对地 ≈ 290 K），不再叠加天空噪声。
+ * @param {object} params — 链路参数，另含 uplinkFreq (GHz) / uplinkEirp (终端 EIRP, dBW, 50) / satGOverT_dBK (卫星 G/T, dB/K, 0)；
+ *   带宽、符号率、要求 SNR 与下行共用（透明转发同一载波）
+ * @param {object} [lb] — 已算好的 calculateLinkBudget(uplinkLegParams(params)) 结果
+ * @returns {{ eirp_dBW, gOverT_dBK, losses, cn0_dBHz, esN0_dB, ebN0_dB, snrDb, requiredSnr_dB, margin_dB, symbolRate_Mbaud, bitRate_Mbps, breakdown }}
+ */
+export function computeUplinkPerformance(params, lb = calculateLinkBudget(uplinkLegParams(params))) {
+  const eirp_dBW = params.uplinkEirp != null ? params.uplinkEirp : 50.0;
+  const gOverT_dBK = params.satGOverT_dBK != null ? params.satGOverT_dBK : 0.0;
+  const losses = propagationLosses(uplinkLegParams(params), lb);
+  const ratios = carrierRatios(eirp_dBW - losses.total + gOverT_dBK - BOLTZMANN_DBW, params);
+
+  const breakdown = [
+    { term: 'Terminal EIRP', value: eirp_dBW, unit: 'dBW' },
+    ...lossBreakdown(losses),
+    { term: 'Satellite G/T', value: gOverT_dBK, unit: 'dB/K' },
+    { term: 'Boltzmann constant', value: -BOLTZMANN_DBW, unit: 'dBW/K/Hz' },
+    ...ratioBreakdown(ratios, params.bandwidth || 400.0)
+  ];
+
+  return { eirp_dBW, gOverT_dBK, losses, ...ratios, breakdown };
+}
+
+export const PAYLOAD_TYPES = ['transparent', 'regenerative'];
+
+// 各噪声 / 干扰分量按功率相加：(C/N0)⁻¹ = Σ (C/N0)_i⁻¹
+const combineCn0 = (...cn0s) => -10 * Math.log10(cn0s.reduce((s, v) => s + Math.pow(10, -v / 10), 0));
+
+/**
+ * 端到端性能：上行 + 转发器 + 下行
+ *
+ * 未设置 uplinkFreq 时只有下行（与 computeLinkPerformance 相同，仅扣除输出回退）。
+ *   transparent（弯管）：上行噪声被转发到下行，(C/N)_t⁻¹ = (C/N)_up⁻¹ + (C/N)_dn⁻¹ + (C/IM)⁻¹
+ *   regenerative（星上再生）：两跳独立解调，端到端 C/N 取较差一跳（下行含 C/IM）
+ * 输出回退 OBO 使下行 EIRP = eirp − OBO（eirp 为饱和 EIRP）；C/IM 为转发器互调载干比（缺省不计）。
+ *
+ * @param {object} params — computeLinkPerformance / computeUplinkPerformance 参数，另含：
+ *   payload ('transparent' | 'regenerative', 缺省 transparent) / outputBackoff_dB (0) / cim_dB (dB, null = 无互调)
+ * @param {{ downlinkLb?: object, uplinkLb?: object }} [lbs] — 已算好的两跳 calculateLinkBudget 结果
+ * @returns {{
+ *   payload: string|null, uplink: object|null, downlink: object, cim_dB: number|null, outputBackoff_dB: number,
+ *   limitingLeg: 'uplink'|'downlink'|'intermod',
+ *   cn0_dBHz, esN0_dB, ebN0_dB, snrDb, requiredSnr_dB, margin_dB, symbolRate_Mbaud, bitRate_Mbps
+ * }} — 顶层载噪比为端到端值
+ */
+export function computeEndToEndPerformance(params, { downlinkLb, uplinkLb } = {}) {
+  const outputBackoff_dB = params.outputBackoff_dB || 0;
+  const downlink = computeLinkPerformance({ ...params, eirp: (params.eirp != null ? params.eirp : 60.0) - outputBackoff_dB }, downlinkLb);
+  if (params.uplinkFreq == null) {
+    return {
+      payload: null, uplink: null, downlink, cim_dB: null, outputBackoff_dB, limitingLeg: 'downlink',
+      ...carrierRatios(downlink.cn0_dBHz, params)
+    };
+  }
+
+  const payload = params.payload || 'transparent';
+  if (!PAYLOAD_TYPES.includes(payload)) throw new Error(`Unknown payload "${payload}" (expected ${PAYLOAD_TYPES.join(', ')})`);
+  const uplink = computeUplinkPerformance(params, uplinkLb);
+  const cim_dB = params.cim_dB != null ? params.cim_dB : null;
+  // C/IM 换算为 C/IM0 (dBHz)，与 C/N0 同口径相加
+  const cim0 = cim_dB != null ? cim_dB + 10 * Math.log10((params.bandwidth || 400.0) * 1e6) : Infinity;
+
+  let cn0, limitingLeg;
+  if (payload === 'regenerative') {
+    const downlinkCn0 = combineCn0(downlink.cn0_dBHz, cim0);
+    cn0 = Math.min(uplink.cn0_dBHz, downlinkCn0);
+    limitingLeg = uplink.cn0_dBHz < downlinkCn0 ? 'uplink' : (cim0 < downlink.cn0_dBHz ? 'intermod' : 'downlink');
+  } else {
+    cn0 = combineCn0(uplink.cn0_dBHz, downlink.cn0_dBHz, cim0);
+    const worst = Math.min(uplink.cn0_dBHz, downlink.cn0_dBHz, cim0);
+    limitingLeg = worst === uplink.cn0_dBHz ? 'uplink' : worst === downlink.cn0_dBHz ? 'downlink' : 'intermod';
+  }
+
+  return { payload, uplink, downlink, cim_dB, outputBackoff_dB, limitingLeg, ...carrierRatios(cn0, params) };
+}
+
+// === 轨道输入：两行 TLE 或 CCSDS OMM ===
+// 所有接收 (tleLine1, tleLine2) 的函数都经此构造 satrec：
+// tleLine1 可为 OMM 记录对象（parseOMM(...).records[i]）或整段 OMM 文本（JSON / XML / KVN，取第一条），此时 tleLine2 忽略
+export function createSatrec(tleLine1, tleLine2) {
+  if (isOMMRecord(tleLine1)) return ommToSatrec(tleLine1);
+  if (typeof tleLine1 === 'string' && detectOrbitFormat(tleLine1) !== 'tle') return ommToSatrec(parseOMM(tleLine1).records[0]);
+  return satellite.twoline2satrec(tleLine1, tleLine2);
+}
+
+// 轨道输入是否齐全：TLE 需要两行，OMM 只需 tleLine1
+export function hasOrbitInput(tleLine1, tleLine2) {
+  if (!tleLine1) return false;
+  if (isOMMRecord(tleLine1) || (typeof tleLine1 === 'string' && detectOrbitFormat(tleLine1) !== 'tle')) return true;
+  return !!tleLine2;
+}
+
 // === Milestone 21: Pass Prediction Algorithm ===
-export function predictPasses(tleLine1, tleLine2, observerLat, observerLon, observerAlt = 0, hoursAhead = 24, minElev = 0) {
+// 粗扫描（stepSec，缺省 60 s）找出仰角穿越 minElev 的区间，Brent 法求 AOS / LOS（容差 10 ms）；
+// 两个粗采样之间升起又落下的短过境由采样局部极大 + 黄金分割求峰值发现。TCA 与最小斜距在粗采样极值 ±1 步内黄金分割细化。
+// 窗口起点已在视野内：aos = startTime、inViewAtStart；窗口终点仍在视野内（包括永不落下的 GEO）：los = 窗口终点、inViewAtEnd。
+// startTime 缺省为当前时刻；批处理/回放可指定历史或未来起点
+// onProgress(done, total) 按粗扫描步回调（Web Worker 进度上报）
+// 返回 [{ aos, tca, los, maxElev, durationSec, aosAzimuth, tcaAzimuth, losAzimuth (°，北起顺时针),
+//        minRange_km, direction: 'ascending' | 'descending'（TCA 时刻北行 / 南行）, inViewAtStart, inViewAtEnd }]
+export function predictPasses(tleLine1, tleLine2, observerLat, observerLon, observerAlt = 0, hoursAhead = 24, minElev = 0, startTime = new Date(), { onProgress, stepSec = 60 } = {}) {
   try {
-    const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+    const satrec = createSatrec(tleLine1, tleLine2);
     const observerGd = {
       longitude: satellite.degreesToRadians(observerLon),
       latitude: satellite.degreesToRadians(observerLat),
       height: observerAlt / 1000.0
     };
 
-    const passes = [];
-    const now = new Date();
-    const endTime = new Date(now.getTime() + hoursAhead * 3600000);
-    const stepMs = 60000; // 1-minute coarse scan
-    const fineStepMs = 5000; // 5-second fine scan for TCA
-
-    let inPass = false;
-    let aosTime = null;
-    let maxElev = -90;
-    let tcaTime = null;
-
-    function getElev(date) {
+    // 观测几何；传播失败（再入等）视为不可见
+    function look(t) {
+      const date = new Date(t);
       const pv = satellite.propagate(satrec, date);
-      if (!pv.position) return -999;
+      if (!pv.position) return { elev: -90, az: 0, range: Infinity, vz: 0 };
       const gmst = satellite.gstime(date);
-      const ecf = satellite.eciToEcf(pv.position, gmst);
-      const la = satellite.ecfToLookAngles(observerGd, ecf);
-      return satellite.radiansToDegrees(la.elevation);
+      const la = satellite.ecfToLookAngles(observerGd, satellite.eciToEcf(pv.position, gmst));
+      return { elev: satellite.radiansToDegrees(la.elevation), az: satellite.radiansToDegrees(la.azimuth), range: la.rangeSat, vz: pv.velocity.z };
+    }
+    const aboveMask = t => look(t).elev - minElev;
+
+    const t0 = startTime.getTime();
+    const tEnd = t0 + hoursAhead * 3600000;
+    const stepMs = stepSec * 1000;
+    const times = [];
+    for (let t = t0; t < tEnd; t += stepMs) times.push(t);
+    times.push(tEnd);
+
+    // 粗采样极值附近细化（限制在 [a, b]，端点也参与比较）
+    function refine(key, a, b) {
+      let lo = a, hi = b;
+      const inner = samples.filter(sm => sm.t > a && sm.t < b);
+      if (inner.length > 0) {
+        const best = inner.reduce((x, y) => (key(y) > key(x) ? y : x));
+        lo = Math.max(a, best.t - stepMs);
+        hi = Math.min(b, best.t + stepMs);
+      }
+      const peak = goldenMax(t => key(look(t)), lo, hi);
+      return [peak.t, lo, hi].map(Math.round).reduce((x, y) => (key(look(y)) > key(look(x)) ? y : x));
     }
 
-    for (let t = now.getTime(); t <= endTime.getTime(); t += stepMs) {
-      const date = new Date(t);
-      const elev = getElev(date);
-      if (elev === -999) continue;
-
-      if (elev > minElev && !inPass) {
-        // AOS detected - refine backwards
-        inPass = true;
-        let refineT = t - stepMs;
-        for (let rt = refineT; rt <= t; rt += fineStepMs) {
-          if (getElev(new Date(rt)) > minElev) { aosTime = new Date(rt); break; }
-        }
-        if (!aosTime) aosTime = date;
-        maxElev = elev;
-        tcaTime = date;
-      } else if (elev > maxElev && inPass) {
-        maxElev = elev;
-        tcaTime = date;
-      } else if (elev <= minElev && inPass) {
-        // LOS detected - refine
-        inPass = false;
-        let losTime = date;
-        for (let rt = t - stepMs; rt <= t; rt += fineStepMs) {
-          if (getElev(new Date(rt)) <= minElev) { losTime = new Date(rt); break; }
-        }
-        const durationSec = (losTime.getTime() - aosTime.getTime()) / 1000;
-        if (maxElev >= 1.0 && durationSec >= 30) {
-          passes.push({
-            aos: aosTime,
-            tca: tcaTime,
-            los: losTime,
-            maxElev: maxElev,
-            durationSec: durationSec
-          });
+    function makePass(aosT, losT, inViewAtStart, inViewAtEnd) {
+      const aos = Math.round(aosT), los = Math.round(losT);
+      const tca = refine(l => l.elev, aos, los);
+      const atTca = look(tca);
+      return {
+        aos: new Date(aos),
+        tca: new Date(tca),
+        los: new Date(los),
+        maxElev: atTca.elev,
+        durationSec: (los - aos) / 1000,
+        aosAzimuth: look(aos).az,
+        tcaAzimuth: atTca.az,
+        losAzimuth: look(los).az,
+        minRange_km: look(refine(l => -l.range, aos, los)).range,
+        direction: atTca.vz >= 0 ? 'ascending' : 'descending',
+        inViewAtStart,
+        inViewAtEnd
+      };
+    }
+
+    const samples = [];
+    const passes = [];
+    let open = null; // { aos, inViewAtStart } 当前在视野内的过境
+    for (let k = 0; k < times.length; k++) {
+      if (onProgress) onProgress(k + 1, times.length);
+      const cur = { t: times[k], ...look(times[k]) };
+      samples.push(cur);
+      const f = cur.elev - minElev;
+      if (k === 0) {
+        if (f > 0) open = { aos: cur.t, inViewAtStart: true };
+        continue;
+      }
+      const prev = samples[k - 1];
+      const fPrev = prev.elev - minElev;
+      if (!open && f > 0) {
+        open = { aos: brentRoot(aboveMask, prev.t, cur.t, fPrev, f), inViewAtStart: false };
+      } else if (open && f <= 0) {
+        passes.push(makePass(open.aos, brentRoot(aboveMask, prev.t, cur.t, fPrev, f), open.inViewAtStart, false));
+        open = null;
+      } else if (!open && k >= 2) {
+        // 三个采样都在门限下、中间为局部极大：峰值可能在采样之间短暂越过门限
+        const prev2 = samples[k - 2];
+        const fPrev2 = prev2.elev - minElev;
+        if (fPrev > fPrev2 && fPrev >= f) {
+          const peak = goldenMax(aboveMask, prev2.t, cur.t);
+          if (peak.value > 0) {
+            passes.push(makePass(brentRoot(aboveMask, prev2.t, peak.t, fPrev2, peak.value), brentRoot(aboveMask, peak.t, cur.t, peak.value, f), false, false));
+          }
         }
-        aosTime = null; maxElev = -90; tcaTime = null;
       }
     }
+    if (open) passes.push(makePass(open.aos, tEnd, open.inViewAtStart, true));
+
+    // 不按时长 / 峰值过滤：掠过门限的短过境照报
     return passes;
   } catch (e) {
     console.error('Pass Prediction Error:', e);
@@ -245,10 +1654,124 @@ export function predictPasses(tleLine1, tleLine2, observerLat, observerLon, obse
   }
 }
 
+const PASS_TIME_TOL_MS = 10; // 过境时刻求解容差
+
+// Brent 法求 f 在 [a, b] 上的根（f(a)、f(b) 异号或为 0；Numerical Recipes zbrent）
+function brentRoot(f, a, b, fa, fb, tol = PASS_TIME_TOL_MS) {
+  if (fa === 0) return a;
+  if (fb === 0) return b;
+  let c = b, fc = fb, d = 0, e = 0;
+  for (let iter = 0; iter < 100; iter++) {
+    if ((fb > 0 && fc > 0) || (fb < 0 && fc < 0)) {
+      c = a; fc = fa; d = b - a; e = d;
+    }
+    if (Math.abs(fc) < Math.abs(fb)) {
+      a = b; b = c; c = a;
+      fa = fb; fb = fc; fc = fa;
+    }
+    const tol1 = 0.5 * tol;
+    const xm = 0.5 * (c - b);
+    if (Math.abs(xm) <= tol1 || fb === 0) return b;
+    if (Math.abs(e) >= tol1 && Math.abs(fa) > Math.abs(fb)) {
+      // 逆二次插值 / 割线
+      const s = fb / fa;
+      let p, q;
+      if (a === c) {
+        p = 2 * xm * s;
+        q = 1 - s;
+      } else {
+        const qa = fa / fc, r = fb / fc;
+        p = s * (2 * xm * qa * (qa - r) - (b - a) * (r - 1));
+        q = (qa - 1) * (r - 1) * (s - 1);
+      }
+      if (p > 0) q = -q;
+      p = Math.abs(p);
+      if (2 * p < Math.min(3 * xm * q - Math.abs(tol1 * q), Math.abs(e * q))) {
+        e = d; d = p / q;
+      } else {
+        d = xm; e = d;
+      }
+    } else {
+      d = xm; e = d; // 二分
+    }
+    a = b; fa = fb;
+    b += Math.abs(d) > tol1 ? d : (xm > 0 ? tol1 : -tol1);
+    fb = f(b);
+  }
+  return b;
+}
+
+// 黄金分割求 f 在 [a, b] 上的极大（单峰假设）
+function goldenMax(f, a, b, tol = PASS_TIME_TOL_MS) {
+  const R = (Math.sqrt(5) - 1) / 2;
+  let x1 = b - R * (b - a), x2 = a + R * (b - a);
+  let f1 = f(x1), f2 = f(x2);
+  while (b - a > tol) {
+    if (f1 < f2) {
+      a = x1; x1 = x2; f1 = f2;
+      x2 = a + R * (b - a); f2 = f(x2);
+    } else {
+      b = x2; x2 = x1; f2 = f1;
+      x1 = b - R * (b - a); f1 = f(x1);
+    }
+  }
+  return f1 > f2 ? { t: x1, value: f1 } : { t: x2, value: f2 };
+}
+
+// === 多普勒运动学：斜距变化率 / 多普勒频移 / 多普勒变化率 ===
+const EARTH_ROTATION_RAD_S = 7.2921158553e-5; // 地球自转角速度 (rad/s)
+const EARTH_MU_KM3_S2 = 398600.4418;          // 地心引力常数 (km³/s²)
+
+/**
+ * 由 SGP4 位置/速度计算地面站视角的多普勒运动学（地固系，计入地球自转）
+ *
+ * 地固系中地面站静止：v_ecf = R(θ)·v_eci − ω×r_ecf；
+ * 卫星加速度取二体引力并加上科里奥利/离心项，斜距二阶导数
+ * R̈ = (|v|² + ρ·a − Ṙ²) / R。
+ *
+ * @param {{ position, velocity }} pv — satellite.propagate 的结果 (ECI, km, km/s)
+ * @param {{ longitude, latitude, height }} observerGd — 地面站大地坐标 (rad, km)
+ * @param {number} gmst — 格林尼治恒星时 (rad)
+ * @param {number} freq — 载波频率 (GHz)
+ * @returns {{ rangeRate_kms, rangeAccel_kms2, doppler_Hz, dopplerRate_Hzs }}
+ *   多普勒在卫星接近时为正：f_D = −Ṙ·f/c
+ */
+export function computeDopplerKinematics(pv, observerGd, gmst, freq) {
+  const c = Math.cos(gmst), s = Math.sin(gmst);
+  const rot = (v) => ({ x: v.x * c + v.y * s, y: -v.x * s + v.y * c, z: v.z });
+  const w = EARTH_ROTATION_RAD_S;
+
+  const r = rot(pv.position);
+  const vr = rot(pv.velocity);
+  const v = { x: vr.x + w * r.y, y: vr.y - w * r.x, z: vr.z };
+  const rMag = Math.hypot(r.x, r.y, r.z);
+  const g = -EARTH_MU_KM3_S2 / (rMag * rMag * rMag);
+  const a = {
+    x: g * r.x + 2 * w * v.y + w * w * r.x,
+    y: g * r.y - 2 * w * v.x + w * w * r.y,
+    z: g * r.z
+  };
+
+  const obs = satellite.geodeticToEcf(observerGd);
+  const rho = { x: r.x - obs.x, y: r.y - obs.y, z: r.z - obs.z };
+  const range = Math.hypot(rho.x, rho.y, rho.z);
+  const rangeRate_kms = (rho.x * v.x + rho.y * v.y + rho.z * v.z) / range;
+  const rangeAccel_kms2 = (v.x * v.x + v.y * v.y + v.z * v.z
+    + rho.x * a.x + rho.y * a.y + rho.z * a.z - rangeRate_kms * rangeRate_kms) / range;
+
+  const hzPerKms = freq * 1e9 * 1e3 / 299792458;
+  return {
+    rangeRate_kms,
+    rangeAccel_kms2,
+    doppler_Hz: -rangeRate_kms * hzPerKms,
+    dopplerRate_Hzs: -rangeAccel_kms2 * hzPerKms
+  };
+}
+
 // === Milestone 23: Generate Replay Timeline for a Pass ===
 export function generatePassReplay(tleLine1, tleLine2, observerLat, observerLon, observerAlt = 0, startTime, endTime, stepSec = 10, linkParams = {}) {
   try {
-    const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+    const satrec = createSatrec(tleLine1, tleLine2);
     const observerGd = {
       longitude: satellite.degreesToRadians(observerLon),
       latitude: satellite.degreesToRadians(observerLat),
@@ -265,14 +1788,18 @@ export function generatePassReplay(tleLine1, tleLine2, observerLat, observerLon,
       const elev = satellite.radiansToDegrees(la.elevation);
       const az = satellite.radiansToDegrees(la.azimuth);
       const range = la.rangeSat;
+      const kin = computeDopplerKinematics(pv, observerGd, gmst, linkParams.freq || 30);
       // Compute link budget at this geometry
-      const lb = calculateLinkBudget({ ...linkParams, elevation: Math.max(0.1, elev), slantRange: range });
+      const lb = calculateLinkBudget({ stationLat: observerLat, stationLon: observerLon, stationAlt: observerAlt, ...linkParams, elevation: Math.max(0.1, elev), slantRange: range });
       timeline.push({
         time: date,
         timeLabel: date.toLocaleTimeString(),
         elevation: elev,
         azimuth: az,
         slantRange: range,
+        rangeRate: kin.rangeRate_kms,
+        doppler_Hz: kin.doppler_Hz,
+        dopplerRate_Hzs: kin.dopplerRate_Hzs,
         totalLoss: lb.totalLoss,
         tSky: lb.tSky,
         deltaFspl: lb.deltaFspl,
@@ -288,11 +1815,11 @@ export function generatePassReplay(tleLine1, tleLine2, observerLat, observerLon,
 }
 
 // === Milestone 22: Ground Track & Sky Track Computation ===
-export function computeGroundTrack(tleLine1, tleLine2, minutesAhead = 100) {
+// now: 轨迹中心时刻（isCurrent 点），缺省为当前挂钟；界面传入仿真时钟时刻
+export function computeGroundTrack(tleLine1, tleLine2, minutesAhead = 100, now = new Date()) {
   try {
-    const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+    const satrec = createSatrec(tleLine1, tleLine2);
     const points = [];
-    const now = new Date();
     const stepMin = 1;
     for (let m = -10; m <= minutesAhead; m += stepMin) {
       const date = new Date(now.getTime() + m * 60000);
@@ -314,16 +1841,15 @@ export function computeGroundTrack(tleLine1, tleLine2, minutesAhead = 100) {
   }
 }
 
-export function computeSkyTrack(tleLine1, tleLine2, observerLat, observerLon, observerAlt = 0, minutesAhead = 100) {
+export function computeSkyTrack(tleLine1, tleLine2, observerLat, observerLon, observerAlt = 0, minutesAhead = 100, now = new Date()) {
   try {
-    const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+    const satrec = createSatrec(tleLine1, tleLine2);
     const observerGd = {
       longitude: satellite.degreesToRadians(observerLon),
       latitude: satellite.degreesToRadians(observerLat),
       height: observerAlt / 1000.0
     };
     const points = [];
-    const now = new Date();
     for (let m = -10; m <= minutesAhead; m += 1) {
       const date = new Date(now.getTime() + m * 60000);
       const pv = satellite.propagate(satrec, date);
@@ -344,7 +1870,7 @@ export function computeSkyTrack(tleLine1, tleLine2, observerLat, observerLon, ob
 
 export function calculateDynamicOrbit(tleLine1, tleLine2, observerLat, observerLon, observerAlt, date = new Date()) {
   try {
-    const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+    const satrec = createSatrec(tleLine1, tleLine2);
     const positionAndVelocity = satellite.propagate(satrec, date);
     const positionEci = positionAndVelocity.position;
 
@@ -472,28 +1998,10 @@ function simulateForMeasurement(linkParams, measurement) {
     rainRate: measurement.rainRate != null ? measurement.rainRate : (linkParams.rainRate || 0)
   };
   const lb = calculateLinkBudget(testParams);
-
-  const freq = linkParams.freq || 30;
-  const eirp = linkParams.eirp || 60.0;
-  const gRx = linkParams.gRx || 42.0;
-  const tRx = linkParams.tRx || 150.0;
-  const bwMHz = linkParams.bandwidth || 400.0;
-  const slantRange = linkParams.slantRange || 35786;
-
-  const absoluteFspl = 20 * Math.log10(slantRange) + 20 * Math.log10(freq) + 92.45;
-  const absoluteLoss = lb.totalAtmosphericLoss + lb.fadeLMS + lb.lossFaraday
-    + lb.pointingLoss + (lb.scanLoss || 0) + (lb.multipathLoss || 0) + absoluteFspl;
-  const rxPowerDbm = eirp + 30 - absoluteLoss + gRx;
-
-  const k_boltzmann = 1.380649e-23;
-  const tSys = tRx + lb.tSky + 3.0;
-  const noisePowerW = k_boltzmann * tSys * (bwMHz * 1e6);
-  const noiseFloorDbm = 10 * Math.log10(noisePowerW) + 30;
-  const cn0 = Math.max(-30, rxPowerDbm - noiseFloorDbm);
-
+  const perf = computeLinkPerformance(testParams, lb);
   return {
-    predictedCN0: cn0,
-    predictedRSSI: rxPowerDbm,
+    predictedCN0: perf.snrDb,
+    predictedRSSI: perf.rxPowerDbm,
     predictedXPD: lb.xpd,
     predictedAtten: lb.totalAtmosphericLoss,
     totalLoss: lb.totalLoss
@@ -552,7 +2060,7 @@ export function calibrateModel(measurements, linkParams, refSatellite = null) {
 
   // 合并已知卫星参数
   const effectiveParams = refSatellite
-    ? { ...linkParams, freq: refSatellite.freq, eirp: refSatellite.eirp }
+    ? { ...linkParams, freq: refSatellite.freq, eirp: refSatellite.eirp, polarization: refSatellite.polarization || linkParams.polarization }
     : { ...linkParams };
 
   // 初始化校准参数
@@ -683,45 +2191,140 @@ export function getCalibParamDefs() {
   return CALIB_PARAM_DEFS;
 }
 
-// === 信道冲激响应 (CIR) — 抽头延迟线 (TDL) 模型 ===
-const C_M_S = 299792458; // 光速 (m/s)
+// === 3GPP TR 38.811 NTN 信道剖面 (TDL / CDL) ===
 
-export function computeCIR(params) {
-  const { freq, elevation, slantRange, env, tec = 50, rainRate = 0, correctionFactor = 1.0, hpbw = 2.0, simTime = 0 } = params;
+// NTN-TDL 归一化抽头：[归一化时延, 功率 (dB), 衰落类型]，TR 38.811 表 6.9.2-1 ~ 6.9.2-4
+const NTN_TDL_PROFILES = {
+  'NTN-TDL-A': { taps: [[0, 0, 'Rayleigh'], [1.0811, -4.675, 'Rayleigh'], [2.8416, -6.482, 'Rayleigh']] },
+  'NTN-TDL-B': { taps: [[0, 0, 'Rayleigh'], [0.7249, -1.973, 'Rayleigh'], [0.7410, -4.332, 'Rayleigh'], [5.7392, -11.914, 'Rayleigh']] },
+  'NTN-TDL-C': { kFactor_dB: 10.224, taps: [[0, -0.394, 'LOS'], [0, -10.618, 'Rayleigh'], [14.8124, -23.373, 'Rayleigh']] },
+  'NTN-TDL-D': { kFactor_dB: 11.707, taps: [[0, -0.284, 'LOS'], [0, -11.991, 'Rayleigh'], [0.5596, -9.887, 'Rayleigh'], [7.3340, -16.771, 'Rayleigh']] }
+};
+
+// NTN-CDL 簇：时延/功率与对应 TDL 相同，附加簇到达角 AoA (°) 与簇内角度扩展 C_ASA (°)
+// （单天线终端只用到方位到达角，用于推导各簇多普勒）
+const NTN_CDL_CLUSTERS = {
+  'NTN-CDL-A': { tdl: 'NTN-TDL-A', aoa: [-60.7, 59.8, 178.1], cAsa: 11 },
+  'NTN-CDL-B': { tdl: 'NTN-TDL-B', aoa: [-13.1, 22.7, -49.9, 95.1], cAsa: 11 },
+  'NTN-CDL-C': { tdl: 'NTN-TDL-C', aoa: [-180, -180, 129.4], cAsa: 7 },
+  'NTN-CDL-D': { tdl: 'NTN-TDL-D', aoa: [-180, -180, 76.1, -44.5], cAsa: 7 }
+};
+
+// TR 38.901 表 7.5-3 簇内 20 条射线的归一化角度偏移
+const CDL_RAY_OFFSETS = [0.0447, -0.0447, 0.1413, -0.1413, 0.2492, -0.2492, 0.3715, -0.3715, 0.5129, -0.5129,
+  0.6797, -0.6797, 0.8844, -0.8844, 1.1481, -1.1481, 1.5195, -1.5195, 2.1551, -2.1551];
+
+export const NTN_CHANNEL_PROFILES = [...Object.keys(NTN_TDL_PROFILES), ...Object.keys(NTN_CDL_CLUSTERS)];
+
+/**
+ * NTN 剖面的缩放抽头 — 时延按目标时延扩展缩放，含 LOS 的剖面按目标 K 因子调整
+ *
+ * K 因子缩放 (TR 38.901 §7.7.6)：所有 Rayleigh 抽头功率平移 K_model − K_desired (dB)，
+ * 随后整体归一化为单位总功率。
+ *
+ * @param {object} p
+ * @param {string} p.profile — 'NTN-TDL-A' ~ 'NTN-TDL-D' | 'NTN-CDL-A' ~ 'NTN-CDL-D'
+ * @param {number} [p.delaySpread_ns=100] — 目标 RMS 时延扩展 DS (ns)
+ * @param {number} [p.kFactor_dB] — 目标 K 因子 (dB)，缺省保持剖面原值；仅对 C/D 有效
+ * @returns {Array<{ delay_ns, power, type, aoa_deg }>} — power 为线性值，总和为 1
+ */
+export function ntnProfileTaps({ profile, delaySpread_ns = 100, kFactor_dB }) {
+  const cdl = NTN_CDL_CLUSTERS[profile];
+  const tdl = NTN_TDL_PROFILES[cdl ? cdl.tdl : profile];
+  if (!tdl) throw new Error(`Unknown NTN channel profile: ${profile}`);
+
+  const kShift = tdl.kFactor_dB != null && kFactor_dB != null ? tdl.kFactor_dB - kFactor_dB : 0;
+  const taps = tdl.taps.map(([delay, power_dB, type], i) => ({
+    delay_ns: delay * delaySpread_ns,
+    power: Math.pow(10, (type === 'LOS' ? power_dB : power_dB + kShift) / 10),
+    type,
+    aoa_deg: cdl ? cdl.aoa[i] : null
+  }));
+  const total = taps.reduce((acc, t) => acc + t.power, 0);
+  taps.forEach(t => { t.power /= total; });
+  return taps;
+}
+
+/**
+ * 由卫星运动推导的 NTN 抽头/簇复增益与多普勒
+ *
+ * - 卫星多普勒 f_sat = −(dR/dt)·f/c 为所有路径共有；
+ * - 终端运动引起的多普勒 f_d：TDL Rayleigh 抽头为 Jakes 谱，CDL 簇由 20 条射线按 AoA 叠加，
+ *   LOS 路径取 f_d·cos(AoA_LOS − 航向)。
+ */
+function ntnCIRTaps(params, losDelay_ns, losAmplitude_dB, fSat) {
+  const { cirProfile, simTime = 0, fadingSeed = 1, dopplerSpread_Hz = 5, ueHeading_deg = 0 } = params;
+  const cdl = NTN_CDL_CLUSTERS[cirProfile];
+  const scaled = ntnProfileTaps({ profile: cirProfile, delaySpread_ns: params.ntnDelaySpread_ns, kFactor_dB: params.ntnKFactor_dB });
+  const heading = ueHeading_deg * Math.PI / 180;
+  const wrap = (x) => Math.atan2(Math.sin(x), Math.cos(x));
+
+  return scaled.map((tap, i) => {
+    const seed = deriveSeed(fadingSeed, `${cirProfile}/${i}`);
+    let gain = { re: 1, im: 0 };
+    let tapDoppler = fSat;
+    if (tap.type === 'LOS') {
+      const aoa = cdl ? tap.aoa_deg * Math.PI / 180 : 0;
+      tapDoppler = fSat + dopplerSpread_Hz * Math.cos(aoa - heading);
+      const ph = 2 * Math.PI * tapDoppler * simTime;
+      gain = { re: Math.cos(ph), im: Math.sin(ph) };
+    } else if (cdl) {
+      // 簇内射线叠加，各射线初相由种子决定
+      const rng = createRng(seed);
+      const cAsa = cdl.cAsa * Math.PI / 180;
+      let re = 0, im = 0, meanDoppler = 0;
+      for (const offset of CDL_RAY_OFFSETS) {
+        const ray = tap.aoa_deg * Math.PI / 180 + cAsa * offset;
+        const fRay = fSat + dopplerSpread_Hz * Math.cos(ray - heading);
+        const ph = 2 * Math.PI * rng.next() + 2 * Math.PI * fRay * simTime;
+        re += Math.cos(ph);
+        im += Math.sin(ph);
+        meanDoppler += fRay / CDL_RAY_OFFSETS.length;
+      }
+      const norm = Math.sqrt(1 / CDL_RAY_OFFSETS.length);
+      gain = { re: re * norm, im: im * norm };
+      tapDoppler = meanDoppler;
+    } else if (simTime > 0) {
+      const g = createFadingProcess({ seed, dopplerSpread_Hz, spectrum: 'jakes' }).sample(simTime);
+      const ph = 2 * Math.PI * fSat * simTime;
+      gain = { re: g.re * Math.cos(ph) - g.im * Math.sin(ph), im: g.re * Math.sin(ph) + g.im * Math.cos(ph) };
+    } else {
+      // 平滑模式：取平均功率，初相由种子决定
+      const ph = 2 * Math.PI * createRng(seed).next();
+      gain = { re: Math.cos(ph), im: Math.sin(ph) };
+    }
 
+    const amplitude_dB = losAmplitude_dB + 10 * Math.log10(tap.power) + 20 * Math.log10(Math.max(1e-3, Math.hypot(gain.re, gain.im)));
+    return {
+      index: i,
+      label: `${cirProfile} #${i + 1}${tap.type === 'LOS' ? ' (LOS)' : ''}`,
+      delay_ns: losDelay_ns + tap.delay_ns,
+      excessDelay_ns: tap.delay_ns,
+      amplitude_linear: Math.pow(10, amplitude_dB / 20),
+      amplitude_dB,
+      phase_rad: wrap(Math.atan2(gain.im, gain.re)),
+      doppler_Hz: tapDoppler
+    };
+  });
+}
+
+// === 信道冲激响应 (CIR) — 抽头延迟线 (TDL) 模型 ===
+export function computeCIR(params) {
+  const { freq, elevation, slantRange, env, tec = 50, simTime = 0, fadingSeed = 1, dopplerSpread_Hz = 5, rangeRate_kms = 0 } = params;
 
   const elevRad = Math.max(0.1, elevation) * Math.PI / 180;
   const sinElev = Math.sin(elevRad);
 
   // --- Tap 0: LOS 直射路径 ---
-  const losDelay_ns = (slantRange * 1e3 / C_M_S) * 1e9;
+  // 电离层群时延是所有路径共有的附加时延，并入公共传播时延（不单列抽头）；
+  // 其频率相关部分（色散）由 computeTransferFunction 的相位 ψ 表示
+  const ionoGroupDelay_ns = ionosphericGroupDelayNs(tec, freq, sinElev);
+  const losDelay_ns = (slantRange * 1e3 / C_M_S) * 1e9 + ionoGroupDelay_ns;
   // 绝对 FSPL (dB)
   const absoluteFspl = 20 * Math.log10(slantRange) + 20 * Math.log10(freq) + 92.45;
 
-  // 大气总衰减 (复用 calculateLinkBudget 中的逻辑)
-  let k_coeff = 0.018, alpha_coeff = 1.15;
-  let minDiff = 100;
-  for (const [f, c] of Object.entries(RAIN_COEFFS)) {
-    const diff = Math.abs(parseFloat(f) - freq);
-    if (diff < minDiff) { minDiff = diff; k_coeff = c.k; alpha_coeff = c.alpha; }
-  }
-  const gamma = k_coeff * Math.pow(rainRate, alpha_coeff) * correctionFactor;
-  const heightRain = 3.0;
-  const slantPath = heightRain / sinElev;
-  const rFactor = 1 / (1 + 0.045 * slantPath);
-  const attRain = gamma * slantPath * rFactor;
-
-  let attZenithGas = 0.05;
-  if (freq < 10) attZenithGas = 0.05;
-  else if (freq < 20) attZenithGas = 0.2;
-  else if (freq < 35) attZenithGas = 0.3;
-  else if (freq < 50) attZenithGas = 0.8;
-  else attZenithGas = 4.0;
-  const attGas = attZenithGas / sinElev;
-
-  const K_l = 0.0002 * Math.pow(freq, 1.95);
-  const L_content = 0.5;
-  const attCloud = (L_content * K_l) / sinElev;
+  // 大气总衰减 (P.618 链路)：时间序列传入同一帧 calculateLinkBudget 的 atmosphere，不重复计算
+  const { attRain, attGas, attCloud } = params.atmosphere || computeAtmosphericAttenuation(params, Math.max(0.1, elevation));
 
   const totalAtmLoss = attRain + attGas + attCloud;
 
@@ -729,7 +2332,11 @@ export function computeCIR(params) {
   const losAmplitude = Math.pow(10, -(absoluteFspl + totalAtmLoss) / 20);
   const losAmplitude_dB = -(absoluteFspl + totalAtmLoss);
 
-  const taps = [{
+  // 3GPP NTN 剖面替换 LOS/反射/散射抽头
+  // 卫星多普勒 (Hz)：f_sat = −(dR/dt)·f/c，卫星接近时为正
+  const satDoppler_Hz = -rangeRate_kms * 1e3 * freq * 1e9 / C_M_S;
+  const ntnProfile = NTN_CHANNEL_PROFILES.includes(params.cirProfile);
+  const taps = ntnProfile ? ntnCIRTaps(params, losDelay_ns, losAmplitude_dB, satDoppler_Hz) : [{
     index: 0,
     label: 'LOS (直射)',
     delay_ns: losDelay_ns,
@@ -740,7 +2347,7 @@ export function computeCIR(params) {
   }];
 
   // --- Tap 1: 地面/海面反射 (仅 maritime 环境) ---
-  if (env === 'maritime') {
+  if (!ntnProfile && env === 'maritime') {
     const h_rx = 15.0; // 天线高度 (m)
     const pathDiff_m = 2 * h_rx * sinElev;
     const excessDelay_ns = (pathDiff_m / C_M_S) * 1e9;
@@ -760,7 +2367,7 @@ export function computeCIR(params) {
   }
 
   // --- Tap 2~3: 建筑/植被散射 (urban/suburban) ---
-  if (env === 'urban' || env === 'suburban') {
+  if (!ntnProfile && (env === 'urban' || env === 'suburban')) {
     // Lutz-LMS 散射多径分量
     const scatterParams = env === 'urban'
       ? [{ delay: 100, power: -15, label: '建筑散射-近' }, { delay: 300, power: -22, label: '建筑散射-远' }]
@@ -770,10 +2377,17 @@ export function computeCIR(params) {
     const elevFactor = Math.max(0.1, 1.0 - elevation / 90.0);
 
     scatterParams.forEach((sp, i) => {
-      const scatterPower_dB = losAmplitude_dB + sp.power * elevFactor;
+      let scatterPower_dB = losAmplitude_dB + sp.power * elevFactor;
+      let phase = (i + 1) * 1.7;
+      // 漫散射抽头为 Rayleigh 过程：各抽头使用独立的种子子流
+      if (simTime > 0) {
+        const g = createFadingProcess({
+          seed: deriveSeed(fadingSeed, `tap${i}`), dopplerSpread_Hz, spectrum: params.dopplerSpectrum || 'jakes'
+        }).sample(simTime);
+        scatterPower_dB += 20 * Math.log10(Math.max(1e-3, Math.hypot(g.re, g.im)));
+        phase = Math.atan2(g.im, g.re);
+      }
       const scatterAmplitude = Math.pow(10, scatterPower_dB / 20);
-      // 散射相位随时间准确定性变化 (SoS)
-      const phase = simTime > 0 ? getSoSFade(simTime + i * 7.3) * Math.PI : (i + 1) * 1.7;
 
       taps.push({
         index: taps.length,
@@ -787,23 +2401,8 @@ export function computeCIR(params) {
     });
   }
 
-  // --- Tap N: 电离层色散分量 ---
-  const tecVal = tec || 50;
-  const dispersionNs = (2.0 * 134.0 * tecVal * 0.4) / (Math.pow(freq, 3) * sinElev);
-  if (dispersionNs > 0.01) {
-    const ionoPower_dB = losAmplitude_dB - 30 - 10 * Math.log10(freq); // 电离层散射功率随频率递减
-    const ionoAmplitude = Math.pow(10, ionoPower_dB / 20);
-    taps.push({
-      index: taps.length,
-      label: '电离层色散',
-      delay_ns: losDelay_ns + dispersionNs,
-      excessDelay_ns: dispersionNs,
-      amplitude_linear: ionoAmplitude,
-      amplitude_dB: ionoPower_dB,
-      phase_rad: simTime > 0 ? getSoSFade(simTime * 0.3) * Math.PI * 0.5 : 0.5
-    });
-  }
-
+  // 未单独建模终端运动的抽头只承载卫星多普勒
+  taps.forEach(t => { if (t.doppler_Hz == null) t.doppler_Hz = satDoppler_Hz; });
 
   // --- 统计量计算 ---
   // RMS 时延扩展 (ns)
@@ -819,31 +2418,122 @@ export function computeCIR(params) {
     taps,
     rmsDelaySpread_ns,
     coherenceBandwidth_MHz,
+    ionoGroupDelay_ns,
     absoluteFspl,
-    totalAtmLoss
+    totalAtmLoss,
+    profile: ntnProfile ? params.cirProfile : 'legacy'
   };
 }
 
+// === 信道传递函数 H(f,t) ===
+
+/**
+ * 由 CIR 抽头计算占用带宽内的信道传递函数 H(f)
+ *
+ * H(f₀+Δf) = Σ a_k·e^{jφ_k}·e^{−j2πΔf·τ_k} · e^{jψ(Δf)}
+ * τ_k 取超额时延（公共传播时延只贡献线性相位）；ψ 为电离层色散相位，
+ * 与 calculateLinkBudget / computeCIR 的群时延 τ_g(f) = 40.3·TEC / (c·f²·sinθ) 一致，
+ * 扣除中心频点的常数相位与线性（群时延）项后只保留二次及以上的色散项。
+ *
+ * @param {{ taps }} cir — computeCIR 的输出
+ * @param {object} p
+ * @param {number} p.freq — 中心频率 (GHz)
+ * @param {number} [p.bandwidth=400] — 占用带宽 (MHz)
+ * @param {number} [p.tec=50] — 总电子含量 (TECU)
+ * @param {number} p.elevation — 仰角 (°)
+ * @param {number} [p.numBins=64] — 频点数
+ * @returns {{ freqOffsets_MHz, gain_dB, relative_dB, phase_rad, dispersionPhase_rad }}
+ *   relative_dB 以带内平均功率归一化，用于观察频率选择性
+ */
+export function computeTransferFunction(cir, { freq, bandwidth = 400, tec = 50, elevation, numBins = 64 }) {
+  const sinElev = Math.sin(Math.max(0.1, elevation) * Math.PI / 180);
+  const ionoK = ionosphericGroupDelayNs(tec, 1, sinElev); // τ_g·f² (ns·GHz²)
+  const f0 = freq;
+
+  const freqOffsets_MHz = [];
+  const gain_dB = [];
+  const phase_rad = [];
+  const dispersionPhase_rad = [];
+  const power = [];
+  for (let n = 0; n < numBins; n++) {
+    const df_MHz = numBins > 1 ? -bandwidth / 2 + bandwidth * n / (numBins - 1) : 0;
+    const df = df_MHz / 1000; // GHz；GHz × ns = 周
+    const psi = 2 * Math.PI * ionoK * (1 / (f0 + df) - 1 / f0 + df / (f0 * f0));
+
+    let re = 0, im = 0;
+    for (const tap of cir.taps) {
+      const ph = tap.phase_rad - 2 * Math.PI * df * tap.excessDelay_ns;
+      re += tap.amplitude_linear * Math.cos(ph);
+      im += tap.amplitude_linear * Math.sin(ph);
+    }
+    const hRe = re * Math.cos(psi) - im * Math.sin(psi);
+    const hIm = re * Math.sin(psi) + im * Math.cos(psi);
+    const p2 = hRe * hRe + hIm * hIm;
+
+    freqOffsets_MHz.push(df_MHz);
+    power.push(p2);
+    gain_dB.push(10 * Math.log10(Math.max(1e-300, p2)));
+    phase_rad.push(Math.atan2(hIm, hRe));
+    dispersionPhase_rad.push(psi);
+  }
+
+  const meanPower = power.reduce((acc, v) => acc + v, 0) / power.length;
+  const relative_dB = power.map(v => 10 * Math.log10(Math.max(1e-30, v / meanPower)));
+  return { freqOffsets_MHz, gain_dB, relative_dB, phase_rad, dispersionPhase_rad };
+}
+
+/**
+ * 时间序列逐帧的 H(f,t)（时频热图数据）
+ * @param {Array} timeline — generateChannelTimeSeries 的输出
+ * @param {object} opts — 同 computeTransferFunction（freq / bandwidth / tec / numBins）
+ * @returns {{ freqOffsets_MHz, frames: Array<{ time, elevation, gain_dB, relative_dB, phase_rad }> }}
+ */
+export function computeTimeFrequencyResponse(timeline, opts) {
+  const frames = timeline.map(f => {
+    const h = computeTransferFunction(f.cir, { ...opts, elevation: f.elevation });
+    return { time: f.time, elevation: f.elevation, gain_dB: h.gain_dB, relative_dB: h.relative_dB, phase_rad: h.phase_rad };
+  });
+  const numBins = opts.numBins || 64;
+  const bw = opts.bandwidth || 400;
+  const freqOffsets_MHz = Array.from({ length: numBins }, (_, n) => numBins > 1 ? -bw / 2 + bw * n / (numBins - 1) : 0);
+  return { freqOffsets_MHz, frames };
+}
+
 // === 信道传播时间序列生成器 ===
+// onProgress(done, total) 逐帧回调（Web Worker 进度上报）
+// linkParams.uplinkFreq 设置时按 computeEndToEndPerformance 合成上行 + 转发器 + 下行，snrDb 为端到端值
+// 分段拼接（星座切换）时：timeOffsetSec 为首帧的仿真时间，lmsChain 传入上一段的 Markov 链（首帧沿用其当前状态）
 export function generateChannelTimeSeries(
   tleLine1, tleLine2,
   observerLat, observerLon, observerAlt,
   startTime, endTime, stepSec,
-  linkParams = {}
+  linkParams = {},
+  { onProgress, timeOffsetSec = 0, lmsChain: continuedLmsChain = null } = {}
 ) {
   try {
-    const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+    const satrec = createSatrec(tleLine1, tleLine2);
     const observerGd = {
       longitude: satellite.degreesToRadians(observerLon),
       latitude: satellite.degreesToRadians(observerLat),
       height: observerAlt / 1000.0
     };
 
-    const k_boltzmann = 1.380649e-23;
     const timeline = [];
     let frameIndex = 0;
 
+    // 三状态 Markov LMS：状态随终端行驶距离 (speed_mps × stepSec) 转移
+    const lmsChain = linkParams.lmsModel !== 'markov' ? null
+      : continuedLmsChain || createLmsMarkovChain({
+        env: linkParams.env, freq: linkParams.freq || 30, lmsMarkov: linkParams.lmsMarkov,
+        seed: deriveSeed(linkParams.fadingSeed != null ? linkParams.fadingSeed : 1, 'lms-chain')
+      });
+    const speed_mps = linkParams.speed_mps != null ? linkParams.speed_mps : 10;
+    const horizonAtmosphere = {};
+
+    const totalSteps = Math.floor((endTime.getTime() - startTime.getTime()) / (stepSec * 1000)) + 1;
+    let step = 0;
     for (let t = startTime.getTime(); t <= endTime.getTime(); t += stepSec * 1000) {
+      if (onProgress) onProgress(++step, totalSteps);
       const date = new Date(t);
       const pv = satellite.propagate(satrec, date);
       if (!pv.position) continue;
@@ -855,36 +2545,44 @@ export function generateChannelTimeSeries(
       const az = satellite.radiansToDegrees(la.azimuth);
       const range = la.rangeSat;
 
-      // 仿真时间（秒），用于 SoS 确定性衰落
-      const simTimeSec = frameIndex * stepSec;
+      // SGP4 速度 → 斜距变化率 / 多普勒 (计入地球自转)，同时驱动 NTN 剖面的卫星多普勒
+      const kin = computeDopplerKinematics(pv, observerGd, gmst, linkParams.freq || 30);
 
-      // 完整链路预算（使用绝对 FSPL）
+      // 仿真时间（秒），驱动由 fadingSeed 决定的衰落过程
+      const simTimeSec = timeOffsetSec + frameIndex * stepSec;
+      let lmsStateIndex = null;
+      if (lmsChain) {
+        lmsStateIndex = frameIndex === 0 ? lmsChain.state() : lmsChain.advance(speed_mps * stepSec);
+      }
+
+      // 完整链路预算（使用绝对 FSPL）；地平线以下的帧按 0.1° 计算，其大气衰减与帧无关，只算一次后复用
+      const belowHorizon = elev < 0.1;
       const lbParams = {
+        stationLat: observerLat,
+        stationLon: observerLon,
+        stationAlt: observerAlt,
         ...linkParams,
         elevation: Math.max(0.1, elev),
         slantRange: range,
-        simTime: linkParams.disableFastFading ? 0 : simTimeSec
+        simTime: linkParams.disableFastFading ? 0 : simTimeSec,
+        ...(lmsChain ? { lmsState: lmsStateIndex } : {})
       };
-      const lb = calculateLinkBudget(lbParams);
-
-      // 绝对 FSPL（不依赖 GEO 参考）
-      const absoluteFspl = 20 * Math.log10(range) + 20 * Math.log10(linkParams.freq || 30) + 92.45;
-
-      // 绝对接收功率 & 噪底 & SNR
-      const eirp = linkParams.eirp || 60.0;
-      const gRx = linkParams.gRx || 42.0;
-      const tRx = linkParams.tRx || 150.0;
-      const bwMHz = linkParams.bandwidth || 400.0;
-
-      const absoluteLoss = lb.totalAtmosphericLoss + lb.fadeLMS + lb.lossFaraday
-        + lb.pointingLoss + (lb.scanLoss || 0) + (lb.multipathLoss || 0)
-        + (lb.scintLoss || 0) + absoluteFspl;
-      const rxPowerDbm = eirp + 30 - absoluteLoss + gRx;
+      const lb = calculateLinkBudget(belowHorizon ? { ...lbParams, atmosphere: horizonAtmosphere.down } : lbParams);
+
+      // 上行（设置 uplinkFreq 时）按上行频率单独计算衰减
+      const lbUp = linkParams.uplinkFreq != null
+        ? calculateLinkBudget(belowHorizon ? { ...uplinkLegParams(lbParams), atmosphere: horizonAtmosphere.up } : uplinkLegParams(lbParams))
+        : undefined;
+      if (belowHorizon) {
+        horizonAtmosphere.down = lb.atmosphere;
+        if (lbUp) horizonAtmosphere.up = lbUp.atmosphere;
+      }
 
-      const tSys = tRx + lb.tSky + 3.0;
-      const noisePowerW = k_boltzmann * tSys * (bwMHz * 1e6);
-      const noiseFloorDbm = 10 * Math.log10(noisePowerW) + 30;
-      const snrDb = Math.max(-30, rxPowerDbm - noiseFloorDbm);
+      // 绝对接收功率 & 噪底 & SNR（绝对 FSPL，不依赖 GEO 参考）；snrDb 为经转发器合成的端到端值
+      const perf = computeEndToEndPerformance(lbParams, { downlinkLb: lb, uplinkLb: lbUp });
+      const absoluteFspl = perf.downlink.losses.fspl;
+      const { rxPowerDbm, noiseFloorDbm } = perf.downlink;
+      const { snrDb } = perf;
 
       // MIMO 容量
       const { capRank2, capRank1 } = calculateMIMOCapacity(snrDb, lb.xpd);
@@ -893,6 +2591,8 @@ export function generateChannelTimeSeries(
       const cir = computeCIR({
         ...lbParams,
         freq: linkParams.freq || 30,
+        rangeRate_kms: kin.rangeRate_kms,
+        atmosphere: lb.atmosphere
       });
 
       timeline.push({
@@ -903,23 +2603,39 @@ export function generateChannelTimeSeries(
         elevation: elev,
         azimuth: az,
         slantRange: range,
+        rangeRate: kin.rangeRate_kms,
+        doppler_Hz: kin.doppler_Hz,
+        dopplerRate_Hzs: kin.dopplerRate_Hzs,
         apparentElevation: lb.apparentElevation,
         // 链路预算（绝对值）
         absoluteFspl,
         rxPowerDbm,
         noiseFloorDbm,
         snrDb,
+        cn0_dBHz: perf.cn0_dBHz,
+        esN0_dB: perf.esN0_dB,
+        ebN0_dB: perf.ebN0_dB,
+        symbolRate_Mbaud: perf.symbolRate_Mbaud,
+        margin_dB: perf.margin_dB,
+        // 分段：上行 / 下行 SNR（仅下行时 uplinkSnrDb 为 null）
+        uplinkSnrDb: perf.uplink ? perf.uplink.snrDb : null,
+        downlinkSnrDb: perf.downlink.snrDb,
+        uplinkAttRain: lbUp ? lbUp.attRain : null,
+        limitingLeg: perf.limitingLeg,
         // 衰减分解
         attRain: lb.attRain,
         attGas: lb.attGas,
         attCloud: lb.attCloud,
+        cloudLWC: lb.cloudLWC,
         totalAtmosphericLoss: lb.totalAtmosphericLoss,
         fadeLMS: lb.fadeLMS,
+        lmsState: lmsChain ? LMS_STATES[lmsStateIndex] : null,
         lossFaraday: lb.lossFaraday,
         pointingLoss: lb.pointingLoss,
         scanLoss: lb.scanLoss || 0,
         multipathLoss: lb.multipathLoss || 0,
         scintLoss: lb.scintLoss || 0,
+        fastFadeLoss: lb.fastFadeLoss || 0,
         tSky: lb.tSky,
         // 极化 & MIMO
         xpd: lb.xpd,
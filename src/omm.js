@@ -0,0 +1,333 @@
+/**
+ * CCSDS OMM (Orbit Mean-Elements Message, CCSDS 502.0-B) 轨道输入 — 与两行 TLE 并列
+ *
+ * 5 位 NORAD 编号即将用尽，CelesTrak / Space-Track 正转向 OMM 发布 GP 根数。支持三种编码：
+ *   - JSON：CelesTrak `FORMAT=json` / Space-Track `gp` 的扁平对象（或其数组），数值可为字符串
+ *   - XML ：`<ndm><omm id="CCSDS_OMM_VERS" version="2.0">…</omm></ndm>` 或单个 `<omm>`
+ *   - KVN ：`KEY = value [unit]` 文本，每条消息以 CCSDS_OMM_VERS 开头
+ *
+ * 三种编码都归一为 CelesTrak JSON 的字段名（EPOCH、MEAN_MOTION、NORAD_CAT_ID …），
+ * 直接由 satellite.json2satrec 构造 SGP4 satrec，不经 TLE 文本中转，因此支持 6 位以上编号。
+ * json2satrec 以 JS Date 解析历元，微秒部分截断为毫秒（TLE 8 位小数日约 0.86 ms，精度相当）。
+ * 只接受 SGP4 平根数（MEAN_ELEMENT_THEORY = SGP4、REF_FRAME = TEME、TIME_SYSTEM = UTC）。
+ * 头部溯源字段（ORIGINATOR、CREATION_DATE、MESSAGE_ID …）原样保留，供导出元数据使用。
+ *
+ * 校验错误与场景文件一致，以 { path, message } 给出，path 形如 "/0/ECCENTRICITY"（记录序号 / 字段）。
+ */
+
+import * as satelliteModule from 'satellite.js';
+const satellite = satelliteModule.json2satrec ? satelliteModule : satelliteModule.default;
+
+/** SGP4 必需的平根数字段（MEAN_MOTION_DOT / DDOT 缺省为 0） */
+export const OMM_REQUIRED_FIELDS = ['EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY', 'NORAD_CAT_ID', 'BSTAR'];
+
+const NUMERIC_FIELDS = new Set([
+  'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY',
+  'BSTAR', 'MEAN_MOTION_DOT', 'MEAN_MOTION_DDOT', 'NORAD_CAT_ID', 'ELEMENT_SET_NO', 'REV_AT_EPOCH',
+  'EPHEMERIS_TYPE', 'SEMI_MAJOR_AXIS', 'GM'
+]);
+
+/**
+ * OMM 解析 / 校验失败
+ * @property {Array<{ path: string, message: string }>} errors
+ */
+export class OMMError extends Error {
+  constructor(errors) {
+    super('Invalid OMM:\n' + errors.map(e => `  ${e.path || '/'}: ${e.message}`).join('\n'));
+    this.name = 'OMMError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * 判断轨道文本的编码
+ * @param {string} text
+ * @returns {'json'|'xml'|'kvn'|'tle'}
+ */
+export function detectOrbitFormat(text) {
+  const t = String(text).trimStart();
+  if (t.startsWith('{') || t.startsWith('[')) return 'json';
+  if (t.startsWith('<')) return 'xml';
+  if (/^\s*CCSDS_OMM_VERS\s*=/m.test(t)) return 'kvn';
+  return 'tle';
+}
+
+/**
+ * 是否为（归一后的）OMM 记录对象
+ * @param {*} v
+ * @returns {boolean}
+ */
+export function isOMMRecord(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v) && 'EPOCH' in v && 'MEAN_MOTION' in v;
+}
+
+// CCSDS 允许年积日历元 "2024-001T12:00:00"，json2satrec 只认日历日期
+function normalizeEpoch(epoch) {
+  const s = String(epoch).trim();
+  const doy = /^(\d{4})-(\d{3})T(.*)$/.exec(s);
+  if (!doy) return s;
+  const d = new Date(Date.UTC(Number(doy[1]), 0, Number(doy[2])));
+  return `${d.toISOString().slice(0, 10)}T${doy[3]}`;
+}
+
+/**
+ * 历元 → Date（无时区后缀按 UTC）
+ * @param {object} record — 归一后的 OMM 记录
+ * @returns {Date|null} — 无法解析时为 null
+ */
+export function ommEpochDate(record) {
+  if (!record || typeof record.EPOCH !== 'string') return null;
+  const s = normalizeEpoch(record.EPOCH);
+  const d = new Date(/(Z|[+-]\d\d:?\d\d)$/.test(s) ? s : s + 'Z');
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * 统一字段名与类型：键转大写、数值字段转 number、丢弃 null / 空串，年积日历元转日历日期
+ * @param {object} raw
+ * @returns {object}
+ */
+export function normalizeOMM(raw) {
+  const record = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (v === null || v === undefined || v === '') continue;
+    const key = k.toUpperCase();
+    if (NUMERIC_FIELDS.has(key)) {
+      const n = typeof v === 'number' ? v : Number(String(v).trim());
+      record[key] = Number.isFinite(n) ? n : v;
+    } else {
+      record[key] = typeof v === 'string' ? v.trim() : v;
+    }
+  }
+  if (typeof record.EPOCH === 'string') record.EPOCH = normalizeEpoch(record.EPOCH);
+  return record;
+}
+
+/**
+ * 校验单条 OMM 记录能否用于 SGP4
+ * @param {object} record — normalizeOMM 的输出
+ * @param {string} [path=''] — 错误路径前缀
+ * @returns {Array<{ path: string, message: string }>} — 空数组表示合法
+ */
+export function validateOMM(record, path = '') {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return [{ path, message: 'must be an object' }];
+  }
+  const errors = [];
+  for (const key of OMM_REQUIRED_FIELDS) {
+    if (record[key] === undefined) errors.push({ path: `${path}/${key}`, message: 'is required' });
+  }
+  for (const key of Object.keys(record)) {
+    if (NUMERIC_FIELDS.has(key) && (typeof record[key] !== 'number' || !Number.isFinite(record[key]))) {
+      errors.push({ path: `${path}/${key}`, message: `must be a number, got ${JSON.stringify(record[key])}` });
+    }
+  }
+  if (record.EPOCH !== undefined && !ommEpochDate(record)) {
+    errors.push({ path: `${path}/EPOCH`, message: `must be an ISO 8601 UTC date, got ${JSON.stringify(record.EPOCH)}` });
+  }
+  if (typeof record.ECCENTRICITY === 'number' && !(record.ECCENTRICITY >= 0 && record.ECCENTRICITY < 1)) {
+    errors.push({ path: `${path}/ECCENTRICITY`, message: `must be in [0, 1), got ${record.ECCENTRICITY}` });
+  }
+  if (typeof record.MEAN_MOTION === 'number' && !(record.MEAN_MOTION > 0)) {
+    errors.push({ path: `${path}/MEAN_MOTION`, message: `must be > 0 rev/day, got ${record.MEAN_MOTION}` });
+  }
+  if (typeof record.INCLINATION === 'number' && !(record.INCLINATION >= 0 && record.INCLINATION <= 180)) {
+    errors.push({ path: `${path}/INCLINATION`, message: `must be between 0 and 180 deg, got ${record.INCLINATION}` });
+  }
+  if (typeof record.NORAD_CAT_ID === 'number' && !(Number.isInteger(record.NORAD_CAT_ID) && record.NORAD_CAT_ID >= 0)) {
+    errors.push({ path: `${path}/NORAD_CAT_ID`, message: `must be a non-negative integer, got ${record.NORAD_CAT_ID}` });
+  }
+  // SGP4-XP 等其他平根数理论的根数不能直接代入 SGP4
+  if (record.MEAN_ELEMENT_THEORY !== undefined && String(record.MEAN_ELEMENT_THEORY).toUpperCase() !== 'SGP4') {
+    errors.push({ path: `${path}/MEAN_ELEMENT_THEORY`, message: `must be "SGP4", got ${JSON.stringify(record.MEAN_ELEMENT_THEORY)}` });
+  }
+  // SGP4 输出 TEME 坐标、以 UTC 计时；其他参考系 / 时间系统的根数同样不能直接代入
+  if (record.REF_FRAME !== undefined && String(record.REF_FRAME).toUpperCase() !== 'TEME') {
+    errors.push({ path: `${path}/REF_FRAME`, message: `must be "TEME", got ${JSON.stringify(record.REF_FRAME)}` });
+  }
+  if (record.TIME_SYSTEM !== undefined && String(record.TIME_SYSTEM).toUpperCase() !== 'UTC') {
+    errors.push({ path: `${path}/TIME_SYSTEM`, message: `must be "UTC", got ${JSON.stringify(record.TIME_SYSTEM)}` });
+  }
+  return errors;
+}
+
+function checkRecords(records) {
+  const errors = records.flatMap((r, i) => validateOMM(r, `/${i}`));
+  if (errors.length > 0) throw new OMMError(errors);
+  return records;
+}
+
+function readOMMJSON(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      throw new OMMError([{ path: '', message: `invalid JSON: ${e.message}` }]);
+    }
+  }
+  const list = Array.isArray(data) ? data : [data];
+  if (list.length === 0) throw new OMMError([{ path: '', message: 'contains no OMM records' }]);
+  const bad = list.findIndex(r => r === null || typeof r !== 'object' || Array.isArray(r));
+  if (bad >= 0) throw new OMMError([{ path: `/${bad}`, message: 'must be an object' }]);
+  return list.map(normalizeOMM);
+}
+
+/**
+ * 解析 OMM JSON（单个对象或数组）
+ * @param {string|object|Array} input
+ * @returns {Array<object>} — 归一后的记录
+ * @throws {OMMError}
+ */
+export function parseOMMJSON(input) {
+  return checkRecords(readOMMJSON(input));
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const decodeXml = (s) => s.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (m, e) =>
+  e[0] === '#' ? String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10)) : XML_ENTITIES[e.toLowerCase()]);
+
+// OMM 的数据元素都是无嵌套的叶子节点，按名称收集即可；units 等属性忽略
+function readOMMXML(text) {
+  const blocks = [...String(text).matchAll(/<omm\b([^>]*)>([\s\S]*?)<\/omm>/g)];
+  if (blocks.length === 0) throw new OMMError([{ path: '', message: 'no <omm> element found' }]);
+  const records = blocks.map(([, attrs, body]) => {
+    const raw = {};
+    const version = /\bversion\s*=\s*"([^"]*)"/.exec(attrs);
+    if (version) raw.CCSDS_OMM_VERS = version[1];
+    for (const [, tag, value] of body.matchAll(/<([A-Za-z_][\w]*)(?:\s[^>]*)?>([^<]*)<\/\1>/g)) {
+      const key = tag.toUpperCase();
+      const v = decodeXml(value).trim();
+      if (key === 'COMMENT') raw.COMMENT = raw.COMMENT ? `${raw.COMMENT}\n${v}` : v;
+      else raw[key] = v;
+    }
+    return normalizeOMM(raw);
+  });
+  return records;
+}
+
+/**
+ * 解析 OMM XML（NDM 容器中的多个 <omm>，或单个 <omm>）
+ *
+ * 多个 <COMMENT> 以换行拼接。
+ * @param {string} text
+ * @returns {Array<object>}
+ * @throws {OMMError}
+ */
+export function parseOMMXML(text) {
+  return checkRecords(readOMMXML(text));
+}
+
+function readOMMKVN(text) {
+  const raws = [];
+  const errors = [];
+  let cur = null;
+  String(text).split(/\r?\n/).forEach((rawLine, i) => {
+    const l = rawLine.trim();
+    if (!l) return;
+    const comment = /^COMMENT(?:\s+(.*))?$/.exec(l);
+    const kv = /^([A-Za-z_][\w]*)\s*=\s*(.*?)\s*(?:\[[^\]]*\])?$/.exec(l);
+    if (!comment && !kv) {
+      errors.push({ path: `line ${i + 1}`, message: `expected "KEY = value", got ${JSON.stringify(l)}` });
+      return;
+    }
+    const key = comment ? 'COMMENT' : kv[1].toUpperCase();
+    if (key === 'CCSDS_OMM_VERS') {
+      cur = {};
+      raws.push(cur);
+    } else if (!cur) {
+      errors.push({ path: `line ${i + 1}`, message: `${key} before CCSDS_OMM_VERS` });
+      return;
+    }
+    if (comment) cur.COMMENT = cur.COMMENT ? `${cur.COMMENT}\n${comment[1] || ''}` : (comment[1] || '');
+    else cur[key] = kv[2];
+  });
+  if (errors.length > 0) throw new OMMError(errors);
+  if (raws.length === 0) throw new OMMError([{ path: '', message: 'no CCSDS_OMM_VERS header found' }]);
+  return raws.map(normalizeOMM);
+}
+
+/**
+ * 解析 OMM KVN（可含多条消息，每条以 CCSDS_OMM_VERS 开头）
+ *
+ * 行尾方括号单位（如 "[rev/day]"）被去掉；COMMENT 行以换行拼接。
+ * @param {string} text
+ * @returns {Array<object>}
+ * @throws {OMMError}
+ */
+export function parseOMMKVN(text) {
+  return checkRecords(readOMMKVN(text));
+}
+
+const READERS = { json: readOMMJSON, xml: readOMMXML, kvn: readOMMKVN };
+
+/**
+ * 自动识别编码并解析 OMM 文本
+ *
+ * 缺省任何一条记录不合法即抛出；strict = false 时跳过不合法记录并在 errors 中返回
+ * （多星目录导入用，与 TLE 目录跳过结构错误一致）。语法错误总是抛出。
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {boolean} [opts.strict=true]
+ * @returns {{ format: 'json'|'xml'|'kvn', records: Array<object>, errors: Array<{ path: string, message: string }> }}
+ * @throws {OMMError} — 非 OMM 文本、语法错误，或 strict 时记录不合法
+ */
+export function parseOMM(text, { strict = true } = {}) {
+  const format = detectOrbitFormat(text);
+  if (format === 'tle') throw new OMMError([{ path: '', message: 'not an OMM message (expected JSON, XML or KVN)' }]);
+  const all = READERS[format](text);
+  if (strict) return { format, records: checkRecords(all), errors: [] };
+  const records = [];
+  const errors = [];
+  all.forEach((r, i) => {
+    const errs = validateOMM(r, `/${i}`);
+    if (errs.length > 0) errors.push(...errs);
+    else records.push(r);
+  });
+  return { format, records, errors };
+}
+
+/**
+ * OMM 记录 → SGP4 satrec
+ * @param {object} record — 归一后的记录（未归一的 JSON 对象也可，会先归一）
+ * @returns {object} satrec
+ * @throws {OMMError} — 记录不合法或 SGP4 初始化失败
+ */
+export function ommToSatrec(record) {
+  const r = normalizeOMM(record);
+  r.MEAN_MOTION_DOT ??= 0;
+  r.MEAN_MOTION_DDOT ??= 0;
+  const errors = validateOMM(r);
+  if (errors.length > 0) throw new OMMError(errors);
+  // 年积日 / 带时区的历元先转为 UTC ISO 字符串（毫秒精度，json2satrec 内部同样按毫秒解析）
+  const satrec = satellite.json2satrec({ ...r, EPOCH: ommEpochDate(r).toISOString() });
+  if (satrec.error) {
+    throw new OMMError([{ path: '', message: `SGP4 initialisation failed for ${r.OBJECT_NAME || r.NORAD_CAT_ID} (error ${satrec.error})` }]);
+  }
+  return satrec;
+}
+
+/**
+ * 导出元数据用的溯源信息
+ * @param {object} record — 归一后的 OMM 记录
+ * @param {'json'|'xml'|'kvn'|null} [format=null] — 源编码
+ * @returns {{ format, ccsdsOmmVersion, originator, creationDate, messageId, objectName, objectId, noradId, epoch, meanElementTheory, refFrame, timeSystem, comment }}
+ */
+export function ommProvenance(record, format = null) {
+  const epoch = ommEpochDate(record);
+  return {
+    format: format ? `omm-${format}` : 'omm',
+    ccsdsOmmVersion: record.CCSDS_OMM_VERS ?? null,
+    originator: record.ORIGINATOR ?? null,
+    creationDate: record.CREATION_DATE ?? null,
+    messageId: record.MESSAGE_ID ?? null,
+    objectName: record.OBJECT_NAME ?? null,
+    objectId: record.OBJECT_ID ?? null,
+    noradId: record.NORAD_CAT_ID ?? null,
+    epoch: epoch ? epoch.toISOString() : null,
+    meanElementTheory: record.MEAN_ELEMENT_THEORY ?? null,
+    refFrame: record.REF_FRAME ?? null,
+    timeSystem: record.TIME_SYSTEM ?? null,
+    comment: record.COMMENT ?? null
+  };
+}
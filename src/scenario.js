@@ -0,0 +1,401 @@
+/**
+ * 仿真场景文件 — 一次完整信道仿真的声明式描述（版本化 JSON）
+ *
+ * ChannelSimPanel 保存/加载、satchan CLI (`satchan run --scenario`) 批处理共用同一格式：
+ *
+ *   {
+ *     "schema": "satchan-scenario", "version": 1, "name": "...",
+ *     "satellite":     { "name", "tle1", "tle2" } | { "name", "omm" },       // omm: CCSDS OMM 记录（CelesTrak JSON 字段名，见 omm.js）
+ *     "groundStation": { "lat", "lon", "alt" },              // alt: m
+ *     "timeWindow":    { "start", "end" } | { "pass", "searchStart", "searchHours" } | { "durationMin" },  + "stepSec"
+ *     "link":          { freq, eirp, gRx, tRx, bandwidth, tec, polarization },
+ *     "environment":   { env, rainRate, rainClimatology, timePercent, pressure_hPa, temperature_C, waterVapour_gm3, cloudLWC, cloudTemperature_C },
+ *     "fading":        { enabled, fadingModel, fadingSeed, dopplerSpread_Hz, dopplerSpectrum, lmsModel, speed_mps, cirProfile, ntnDelaySpread_ns, ntnKFactor_dB },
+ *     "uplink":        { enabled, freq, eirp, satGOverT_dBK, payload, outputBackoff_dB, cim_dB },   // 终端上行 + 转发器
+ *     "calibration":   { enabled, profile, satellite, band } | null,
+ *     "app":           { params } | null                     // 主界面 App 参数，原样恢复
+ *   }
+ *
+ * 校验错误以 JSON Pointer 指向出错字段（如 "/groundStation/lat"），未知字段同样报错以便发现拼写错误。
+ */
+
+import { generateChannelTimeSeries, predictPasses, applyCalibration, NTN_CHANNEL_PROFILES, PAYLOAD_TYPES, ENVIRONMENTS } from './model.js';
+import { normalizeOMM, validateOMM } from './omm.js';
+
+export const SCENARIO_SCHEMA = 'satchan-scenario';
+export const SCENARIO_VERSION = 1;
+
+// 缺省值与 ChannelSimPanel 初始状态一致
+const DEFAULTS = {
+  link: { freq: 12.0, eirp: 60.0, gRx: 42.0, tRx: 150.0, bandwidth: 400.0, tec: 50.0, polarization: 'RHCP' },
+  environment: {
+    env: 'suburban', rainRate: 5.0, rainClimatology: false, timePercent: 0.01,
+    pressure_hPa: 1013.25, temperature_C: 15.0, waterVapour_gm3: 7.5, cloudLWC: 0.5, cloudTemperature_C: 0
+  },
+  fading: {
+    enabled: false, fadingModel: 'rician', fadingSeed: 1, dopplerSpread_Hz: 5.0, dopplerSpectrum: 'jakes',
+    lmsModel: 'deterministic', speed_mps: 10.0, cirProfile: 'legacy', ntnDelaySpread_ns: 100, ntnKFactor_dB: null
+  },
+  uplink: { enabled: false, freq: 14.0, eirp: 50.0, satGOverT_dBK: 5.0, payload: 'transparent', outputBackoff_dB: 0, cim_dB: null }
+};
+const TOP_LEVEL_FIELDS = ['schema', 'version', 'name', 'satellite', 'groundStation', 'timeWindow', 'link', 'environment', 'fading', 'uplink', 'calibration', 'app'];
+
+/**
+ * 场景校验失败
+ * @property {Array<{ path: string, message: string }>} errors — path 为 JSON Pointer
+ */
+export class ScenarioError extends Error {
+  constructor(errors) {
+    super('Invalid scenario:\n' + errors.map(e => `  ${e.path || '/'}: ${e.message}`).join('\n'));
+    this.name = 'ScenarioError';
+    this.errors = errors;
+  }
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// 逐字段校验器：均返回 true 表示通过，失败时把错误追加到 errors
+function checkObject(errors, value, path, allowed) {
+  if (!isObject(value)) {
+    errors.push({ path, message: 'must be an object' });
+    return false;
+  }
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) errors.push({ path: `${path}/${key}`, message: 'unknown field' });
+  }
+  return true;
+}
+
+function checkNumber(errors, obj, key, path, { min = -Infinity, max = Infinity, integer = false, nullable = false, required = false } = {}) {
+  const v = obj[key];
+  if (v === undefined) {
+    if (required) errors.push({ path: `${path}/${key}`, message: 'is required' });
+    return;
+  }
+  if (v === null && nullable) return;
+  if (typeof v !== 'number' || !Number.isFinite(v)) {
+    errors.push({ path: `${path}/${key}`, message: `must be a number${nullable ? ' or null' : ''}, got ${JSON.stringify(v)}` });
+  } else if (integer && !Number.isInteger(v)) {
+    errors.push({ path: `${path}/${key}`, message: `must be an integer, got ${v}` });
+  } else if (v < min || v > max) {
+    const range = max === Infinity ? `>= ${min}` : min === -Infinity ? `<= ${max}` : `between ${min} and ${max}`;
+    errors.push({ path: `${path}/${key}`, message: `must be ${range}, got ${v}` });
+  }
+}
+
+function checkEnum(errors, obj, key, path, values) {
+  if (obj[key] !== undefined && !values.includes(obj[key])) {
+    errors.push({ path: `${path}/${key}`, message: `must be one of ${values.join(', ')}, got ${JSON.stringify(obj[key])}` });
+  }
+}
+
+function checkType(errors, obj, key, path, type, { nullable = false } = {}) {
+  const v = obj[key];
+  if (v === undefined || (v === null && nullable)) return;
+  if (typeof v !== type) errors.push({ path: `${path}/${key}`, message: `must be a ${type}, got ${JSON.stringify(v)}` });
+}
+
+function checkDate(errors, obj, key, path) {
+  const v = obj[key];
+  if (v === undefined || v === null) return;
+  if (typeof v !== 'string' || isNaN(new Date(v).getTime())) {
+    errors.push({ path: `${path}/${key}`, message: `must be an ISO 8601 date string, got ${JSON.stringify(v)}` });
+  }
+}
+
+function checkTLELine(errors, obj, key, path, lineNo) {
+  const v = obj[key];
+  if (v === undefined) {
+    errors.push({ path: `${path}/${key}`, message: 'is required' });
+  } else if (typeof v !== 'string' || !v.startsWith(`${lineNo} `) || v.trimEnd().length !== 69) {
+    errors.push({ path: `${path}/${key}`, message: `must be a 69-character TLE line starting with "${lineNo} "` });
+  }
+}
+
+/**
+ * 校验场景对象
+ * @param {object} scenario
+ * @returns {Array<{ path: string, message: string }>} — 空数组表示合法
+ */
+export function validateScenario(scenario) {
+  const errors = [];
+  if (!checkObject(errors, scenario, '', TOP_LEVEL_FIELDS)) return errors;
+
+  if (scenario.schema !== SCENARIO_SCHEMA) {
+    errors.push({ path: '/schema', message: `must be "${SCENARIO_SCHEMA}"` });
+  }
+  if (scenario.version === undefined) {
+    errors.push({ path: '/version', message: 'is required' });
+  } else if (!Number.isInteger(scenario.version) || scenario.version < 1) {
+    errors.push({ path: '/version', message: `must be a positive integer, got ${JSON.stringify(scenario.version)}` });
+  } else if (scenario.version > SCENARIO_VERSION) {
+    errors.push({ path: '/version', message: `scenario version ${scenario.version} is newer than supported (${SCENARIO_VERSION})` });
+  }
+  checkType(errors, scenario, 'name', '', 'string', { nullable: true });
+
+  // 卫星
+  if (scenario.satellite === undefined) {
+    errors.push({ path: '/satellite', message: 'is required' });
+  } else if (checkObject(errors, scenario.satellite, '/satellite', ['name', 'tle1', 'tle2', 'omm'])) {
+    const sat = scenario.satellite;
+    checkType(errors, sat, 'name', '/satellite', 'string', { nullable: true });
+    if (sat.omm === undefined) {
+      checkTLELine(errors, sat, 'tle1', '/satellite', 1);
+      checkTLELine(errors, sat, 'tle2', '/satellite', 2);
+    } else if (sat.tle1 !== undefined || sat.tle2 !== undefined) {
+      errors.push({ path: '/satellite/omm', message: 'cannot be combined with tle1 / tle2' });
+    } else if (!isObject(sat.omm)) {
+      errors.push({ path: '/satellite/omm', message: 'must be an OMM object' });
+    } else {
+      errors.push(...validateOMM(normalizeOMM(sat.omm), '/satellite/omm'));
+    }
+  }
+
+  // 地面站
+  if (scenario.groundStation === undefined) {
+    errors.push({ path: '/groundStation', message: 'is required' });
+  } else if (checkObject(errors, scenario.groundStation, '/groundStation', ['lat', 'lon', 'alt'])) {
+    checkNumber(errors, scenario.groundStation, 'lat', '/groundStation', { min: -90, max: 90, required: true });
+    checkNumber(errors, scenario.groundStation, 'lon', '/groundStation', { min: -180, max: 360, required: true });
+    checkNumber(errors, scenario.groundStation, 'alt', '/groundStation', { min: -500, max: 10000 });
+  }
+
+  // 时间窗：绝对起止 / 第 N 次过境 / 从当前时刻起若干分钟，三选一
+  const tw = scenario.timeWindow;
+  if (tw === undefined) {
+    errors.push({ path: '/timeWindow', message: 'is required' });
+  } else if (checkObject(errors, tw, '/timeWindow', ['start', 'end', 'pass', 'searchStart', 'searchHours', 'durationMin', 'stepSec'])) {
+    checkNumber(errors, tw, 'stepSec', '/timeWindow', { min: 0.001 });
+    checkDate(errors, tw, 'start', '/timeWindow');
+    checkDate(errors, tw, 'end', '/timeWindow');
+    checkDate(errors, tw, 'searchStart', '/timeWindow');
+    checkNumber(errors, tw, 'pass', '/timeWindow', { min: 1, integer: true });
+    checkNumber(errors, tw, 'searchHours', '/timeWindow', { min: 0.001 });
+    checkNumber(errors, tw, 'durationMin', '/timeWindow', { min: 0.001 });
+    const modes = ['start', 'pass', 'durationMin'].filter(k => tw[k] != null);
+    if (modes.length > 1) {
+      errors.push({ path: '/timeWindow', message: `use only one of start/end, pass or durationMin (got ${modes.join(', ')})` });
+    } else if (tw.start != null && tw.end == null) {
+      errors.push({ path: '/timeWindow/end', message: 'is required when start is given' });
+    } else if (tw.end != null && tw.start == null) {
+      errors.push({ path: '/timeWindow/start', message: 'is required when end is given' });
+    } else if (tw.start != null && new Date(tw.end) <= new Date(tw.start)) {
+      errors.push({ path: '/timeWindow/end', message: 'must be after start' });
+    }
+    if (tw.pass == null) {
+      for (const key of ['searchStart', 'searchHours']) {
+        if (tw[key] != null) errors.push({ path: `/timeWindow/${key}`, message: 'only applies together with pass' });
+      }
+    }
+  }
+
+  // 链路 / 环境 / 衰落：全部可选，缺省取 DEFAULTS
+  if (scenario.link !== undefined && checkObject(errors, scenario.link, '/link', Object.keys(DEFAULTS.link))) {
+    const l = scenario.link;
+    checkNumber(errors, l, 'freq', '/link', { min: 0.1, max: 1000 });
+    checkNumber(errors, l, 'eirp', '/link');
+    checkNumber(errors, l, 'gRx', '/link');
+    checkNumber(errors, l, 'tRx', '/link', { min: 0 });
+    checkNumber(errors, l, 'bandwidth', '/link', { min: 1e-6 });
+    checkNumber(errors, l, 'tec', '/link', { min: 0 });
+    checkEnum(errors, l, 'polarization', '/link', ['RHCP', 'LHCP', 'Linear-H', 'Linear-V']);
+  }
+
+  if (scenario.environment !== undefined && checkObject(errors, scenario.environment, '/environment', Object.keys(DEFAULTS.environment))) {
+    const e = scenario.environment;
+    checkEnum(errors, e, 'env', '/environment', ENVIRONMENTS);
+    checkNumber(errors, e, 'rainRate', '/environment', { min: 0 });
+    checkType(errors, e, 'rainClimatology', '/environment', 'boolean');
+    checkNumber(errors, e, 'timePercent', '/environment', { min: 0.001, max: 5 });
+    checkNumber(errors, e, 'pressure_hPa', '/environment', { min: 0 });
+    checkNumber(errors, e, 'temperature_C', '/environment', { min: -100, max: 100 });
+    checkNumber(errors, e, 'waterVapour_gm3', '/environment', { min: 0 });
+    checkNumber(errors, e, 'cloudLWC', '/environment', { min: 0, nullable: true });
+    checkNumber(errors, e, 'cloudTemperature_C', '/environment', { min: -100, max: 100 });
+  }
+
+  if (scenario.fading !== undefined && checkObject(errors, scenario.fading, '/fading', Object.keys(DEFAULTS.fading))) {
+    const f = scenario.fading;
+    checkType(errors, f, 'enabled', '/fading', 'boolean');
+    checkEnum(errors, f, 'fadingModel', '/fading', ['none', 'rician', 'loo']);
+    checkNumber(errors, f, 'fadingSeed', '/fading', { min: 0, integer: true });
+    checkNumber(errors, f, 'dopplerSpread_Hz', '/fading', { min: 0 });
+    checkEnum(errors, f, 'dopplerSpectrum', '/fading', ['jakes', 'gaussian']);
+    checkEnum(errors, f, 'lmsModel', '/fading', ['deterministic', 'markov']);
+    checkNumber(errors, f, 'speed_mps', '/fading', { min: 0 });
+    checkEnum(errors, f, 'cirProfile', '/fading', ['legacy', ...NTN_CHANNEL_PROFILES]);
+    checkNumber(errors, f, 'ntnDelaySpread_ns', '/fading', { min: 0 });
+    checkNumber(errors, f, 'ntnKFactor_dB', '/fading', { nullable: true });
+  }
+
+  if (scenario.uplink !== undefined && checkObject(errors, scenario.uplink, '/uplink', Object.keys(DEFAULTS.uplink))) {
+    const u = scenario.uplink;
+    checkType(errors, u, 'enabled', '/uplink', 'boolean');
+    checkNumber(errors, u, 'freq', '/uplink', { min: 0.1, max: 1000 });
+    checkNumber(errors, u, 'eirp', '/uplink');
+    checkNumber(errors, u, 'satGOverT_dBK', '/uplink');
+    checkEnum(errors, u, 'payload', '/uplink', PAYLOAD_TYPES);
+    checkNumber(errors, u, 'outputBackoff_dB', '/uplink', { min: 0 });
+    checkNumber(errors, u, 'cim_dB', '/uplink', { nullable: true });
+  }
+
+  // 校准：保存的是 calibrateModel 的输出，不在此重新拟合
+  const cal = scenario.calibration;
+  if (cal != null && checkObject(errors, cal, '/calibration', ['enabled', 'profile', 'satellite', 'band'])) {
+    checkType(errors, cal, 'enabled', '/calibration', 'boolean');
+    checkType(errors, cal, 'satellite', '/calibration', 'string', { nullable: true });
+    checkType(errors, cal, 'band', '/calibration', 'string', { nullable: true });
+    if (cal.profile === undefined) {
+      errors.push({ path: '/calibration/profile', message: 'is required' });
+    } else if (!isObject(cal.profile)) {
+      errors.push({ path: '/calibration/profile', message: 'must be an object' });
+    } else {
+      checkType(errors, cal.profile, 'calibrated', '/calibration/profile', 'boolean');
+      if (!isObject(cal.profile.params)) {
+        errors.push({ path: '/calibration/profile/params', message: 'must be an object' });
+      } else {
+        for (const key of Object.keys(cal.profile.params)) checkNumber(errors, cal.profile.params, key, '/calibration/profile/params');
+      }
+    }
+  }
+
+  if (scenario.app != null && checkObject(errors, scenario.app, '/app', ['params'])) {
+    if (scenario.app.params !== undefined && !isObject(scenario.app.params)) {
+      errors.push({ path: '/app/params', message: 'must be an object' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 解析并校验场景，补齐缺省值
+ * @param {string|object} input — JSON 文本或已解析对象
+ * @returns {object} — 归一化后的场景（新对象，不修改输入）
+ * @throws {ScenarioError}
+ */
+export function parseScenario(input) {
+  let scenario = input;
+  if (typeof input === 'string') {
+    try {
+      scenario = JSON.parse(input);
+    } catch (e) {
+      throw new ScenarioError([{ path: '', message: `invalid JSON: ${e.message}` }]);
+    }
+  }
+  const errors = validateScenario(scenario);
+  if (errors.length > 0) throw new ScenarioError(errors);
+
+  const copy = JSON.parse(JSON.stringify(scenario));
+  const tw = copy.timeWindow;
+  return {
+    schema: SCENARIO_SCHEMA,
+    version: SCENARIO_VERSION,
+    name: copy.name ?? null,
+    satellite: copy.satellite.omm
+      ? { name: copy.satellite.name ?? copy.satellite.omm.OBJECT_NAME ?? null, omm: normalizeOMM(copy.satellite.omm) }
+      : { name: copy.satellite.name ?? null, tle1: copy.satellite.tle1.trimEnd(), tle2: copy.satellite.tle2.trimEnd() },
+    groundStation: { lat: copy.groundStation.lat, lon: copy.groundStation.lon, alt: copy.groundStation.alt ?? 0 },
+    timeWindow: tw.start != null
+      ? { start: new Date(tw.start).toISOString(), end: new Date(tw.end).toISOString(), stepSec: tw.stepSec ?? 10 }
+      : tw.pass != null
+        ? { pass: tw.pass, searchStart: tw.searchStart != null ? new Date(tw.searchStart).toISOString() : null, searchHours: tw.searchHours ?? 24, stepSec: tw.stepSec ?? 10 }
+        : { durationMin: tw.durationMin ?? 30, stepSec: tw.stepSec ?? 10 },
+    link: { ...DEFAULTS.link, ...copy.link },
+    environment: { ...DEFAULTS.environment, ...copy.environment },
+    fading: { ...DEFAULTS.fading, ...copy.fading },
+    uplink: { ...DEFAULTS.uplink, ...copy.uplink },
+    calibration: copy.calibration
+      ? { enabled: copy.calibration.enabled ?? true, profile: copy.calibration.profile, satellite: copy.calibration.satellite ?? null, band: copy.calibration.band ?? null }
+      : null,
+    app: copy.app ? { params: copy.app.params || {} } : null
+  };
+}
+
+/**
+ * 由各部分组装场景（补齐 schema/version 并校验）
+ * @param {object} parts — satellite / groundStation / timeWindow / link / environment / fading / uplink / calibration / app / name
+ * @returns {object} — 归一化后的场景
+ * @throws {ScenarioError}
+ */
+export function createScenario(parts) {
+  return parseScenario({ ...parts, schema: SCENARIO_SCHEMA, version: SCENARIO_VERSION });
+}
+
+/**
+ * 场景 → generateChannelTimeSeries 的链路参数（与 ChannelSimPanel 生成时的组装方式一致，含校准修正）
+ * @param {object} scenario — parseScenario 的输出
+ * @returns {object}
+ */
+export function scenarioLinkParams(scenario) {
+  const { link, environment: e, fading: f, uplink: u, calibration } = scenario;
+  const linkParams = {
+    ...link,
+    env: e.env,
+    rainRate: e.rainRate,
+    pressure_hPa: e.pressure_hPa,
+    temperature_C: e.temperature_C,
+    waterVapour_gm3: e.waterVapour_gm3,
+    cloudLWC: e.cloudLWC,
+    cloudTemperature_C: e.cloudTemperature_C,
+    ...(e.rainClimatology ? { rainClimatology: true, timePercent: e.timePercent } : {}),
+    disableFastFading: !f.enabled,
+    fadingModel: f.fadingModel,
+    fadingSeed: f.fadingSeed,
+    dopplerSpread_Hz: f.dopplerSpread_Hz,
+    dopplerSpectrum: f.dopplerSpectrum,
+    lmsModel: f.lmsModel,
+    speed_mps: f.speed_mps,
+    cirProfile: f.cirProfile,
+    ntnDelaySpread_ns: f.ntnDelaySpread_ns,
+    ntnKFactor_dB: f.ntnKFactor_dB,
+    ...(u.enabled
+      ? { uplinkFreq: u.freq, uplinkEirp: u.eirp, satGOverT_dBK: u.satGOverT_dBK, payload: u.payload, outputBackoff_dB: u.outputBackoff_dB, cim_dB: u.cim_dB }
+      : {})
+  };
+  return calibration && calibration.enabled ? applyCalibration(linkParams, calibration.profile) : linkParams;
+}
+
+// 场景卫星 → model.js 的 (tleLine1, tleLine2)：OMM 记录作 tleLine1 传入
+function scenarioOrbit(sat) {
+  return sat.omm ? [sat.omm, null] : [sat.tle1, sat.tle2];
+}
+
+/**
+ * 解析场景的仿真时间窗（过境模式前后各留 2 分钟，与面板和 CLI 一致）
+ * @param {object} scenario — parseScenario 的输出
+ * @param {Date} [now=new Date()] — durationMin 模式及未指定 searchStart 时的参考时刻
+ * @returns {{ startTime: Date, endTime: Date, stepSec: number, pass: object|null }}
+ * @throws {ScenarioError} — 搜索范围内过境次数不足
+ */
+export function resolveScenarioWindow(scenario, now = new Date()) {
+  const { timeWindow: tw, satellite: sat, groundStation: gs } = scenario;
+  if (tw.start != null) {
+    return { startTime: new Date(tw.start), endTime: new Date(tw.end), stepSec: tw.stepSec, pass: null };
+  }
+  if (tw.pass != null) {
+    const searchStart = tw.searchStart ? new Date(tw.searchStart) : now;
+    const passes = predictPasses(...scenarioOrbit(sat), gs.lat, gs.lon, gs.alt, tw.searchHours, 0, searchStart);
+    const pass = passes[tw.pass - 1];
+    if (!pass) {
+      throw new ScenarioError([{ path: '/timeWindow/pass', message: `only ${passes.length} pass(es) within ${tw.searchHours} h of ${searchStart.toISOString()}` }]);
+    }
+    return { startTime: new Date(pass.aos.getTime() - 2 * 60000), endTime: new Date(pass.los.getTime() + 2 * 60000), stepSec: tw.stepSec, pass };
+  }
+  return { startTime: new Date(now.getTime()), endTime: new Date(now.getTime() + tw.durationMin * 60000), stepSec: tw.stepSec, pass: null };
+}
+
+/**
+ * 执行场景
+ * @param {object} scenario — parseScenario 的输出
+ * @param {object} [opts]
+ * @param {Date} [opts.now=new Date()]
+ * @returns {{ timeline: Array, linkParams: object, startTime: Date, endTime: Date, stepSec: number }}
+ */
+export function runScenario(scenario, { now = new Date() } = {}) {
+  const { startTime, endTime, stepSec } = resolveScenarioWindow(scenario, now);
+  const linkParams = scenarioLinkParams(scenario);
+  const { satellite: sat, groundStation: gs } = scenario;
+  const timeline = generateChannelTimeSeries(...scenarioOrbit(sat), gs.lat, gs.lon, gs.alt, startTime, endTime, stepSec, linkParams);
+  return { timeline, linkParams, startTime, endTime, stepSec };
+}
@@ -0,0 +1,147 @@
+/**
+ * 全局仿真时钟 — 与挂钟解耦的仿真时刻
+ *
+ * 轨道跟踪、地面轨迹 / 天空图、过境预测、回放与实时链路刷新都从同一个时钟读取“现在”，
+ * 因此可以把历元拨到昨天的实测过境（如 sample_calib_CSS_TIANHE_S.json 的时间戳）精确复现，
+ * 或拨到下周规划，且暂停、倍速、步进对所有视图同时生效。
+ *
+ * 仿真时刻 = 锚点仿真时刻 + (挂钟 − 锚点挂钟) × rate（播放时）；每次改变状态都重设锚点，
+ * 因此暂停 / 改倍速不会跳变。rate 可为负（倒放），不能为 0（暂停用 pause()）。
+ */
+
+/** 倍速预设（界面下拉） */
+export const CLOCK_RATES = [-60, -10, 1, 10, 60, 600, 3600];
+
+/** 步进预设 (s) */
+export const CLOCK_STEPS_SEC = [10, 60, 600, 3600];
+
+/**
+ * 时刻输入 → 毫秒时间戳
+ * @param {Date|number|string} value — Date、毫秒时间戳或 ISO 8601 字符串（无时区后缀按 UTC）
+ * @returns {number}
+ * @throws {Error} — 无法解析
+ */
+export function parseClockTime(value) {
+  let ms;
+  if (value instanceof Date) ms = value.getTime();
+  else if (typeof value === 'number') ms = value;
+  else if (typeof value === 'string') {
+    const s = value.trim();
+    ms = new Date(/T\d\d:\d\d(:\d\d(\.\d+)?)?$/.test(s) ? s + 'Z' : s).getTime();
+  }
+  if (!Number.isFinite(ms)) throw new Error(`Invalid clock time: ${JSON.stringify(value)}`);
+  return ms;
+}
+
+/**
+ * 实测数据的时间范围（用于把时钟 / 仿真窗口对齐到实测过境）
+ * @param {Array<{ timestamp?: string }>} measurements
+ * @returns {{ start: Date, end: Date }|null} — 没有可解析的 timestamp 时为 null
+ */
+export function measurementTimeRange(measurements) {
+  const times = (measurements || [])
+    .map(m => (m && m.timestamp != null ? new Date(m.timestamp).getTime() : NaN))
+    .filter(Number.isFinite);
+  if (times.length === 0) return null;
+  return { start: new Date(Math.min(...times)), end: new Date(Math.max(...times)) };
+}
+
+/**
+ * 创建仿真时钟
+ * @param {object} [opts]
+ * @param {Date|number|string} [opts.epoch] — 初始仿真时刻，缺省为当前挂钟
+ * @param {number} [opts.rate=1] — 倍速（仿真秒 / 挂钟秒）
+ * @param {boolean} [opts.playing=true]
+ * @param {() => number} [opts.wallClock=Date.now] — 挂钟（测试时可注入）
+ * @returns {{
+ *   now: () => Date,
+ *   nowMs: () => number,
+ *   setTime: (time: Date|number|string) => void,
+ *   play: () => void,
+ *   pause: () => void,
+ *   setRate: (rate: number) => void,
+ *   step: (seconds: number) => void,
+ *   syncToWallClock: () => void,
+ *   isRealTime: (toleranceMs?: number) => boolean,
+ *   getState: () => { time: Date, rate: number, playing: boolean, offsetMs: number },
+ *   subscribe: (listener: (state: object) => void) => () => void,
+ *   readonly rate: number,
+ *   readonly playing: boolean
+ * }} — offsetMs 为仿真时刻相对挂钟的偏移；setTime / play / pause / setRate / step / syncToWallClock 后通知订阅者
+ */
+export function createSimClock({ epoch, rate = 1, playing = true, wallClock = () => Date.now() } = {}) {
+  checkRate(rate);
+  let anchorSim = epoch === undefined ? wallClock() : parseClockTime(epoch);
+  let anchorWall = wallClock();
+  let curRate = rate;
+  let isPlaying = playing;
+  const listeners = new Set();
+
+  function nowMs() {
+    return isPlaying ? anchorSim + (wallClock() - anchorWall) * curRate : anchorSim;
+  }
+  function rebase(simMs = nowMs()) {
+    anchorSim = simMs;
+    anchorWall = wallClock();
+  }
+  function getState() {
+    const t = nowMs();
+    return { time: new Date(t), rate: curRate, playing: isPlaying, offsetMs: t - wallClock() };
+  }
+  function notify() {
+    const state = getState();
+    for (const listener of listeners) listener(state);
+  }
+
+  return {
+    now: () => new Date(nowMs()),
+    nowMs,
+    setTime(time) {
+      rebase(parseClockTime(time));
+      notify();
+    },
+    play() {
+      rebase();
+      isPlaying = true;
+      notify();
+    },
+    pause() {
+      rebase();
+      isPlaying = false;
+      notify();
+    },
+    setRate(r) {
+      checkRate(r);
+      rebase();
+      curRate = r;
+      notify();
+    },
+    step(seconds) {
+      if (!Number.isFinite(seconds)) throw new Error(`step must be a finite number of seconds, got ${seconds}`);
+      rebase(nowMs() + seconds * 1000);
+      notify();
+    },
+    syncToWallClock() {
+      rebase(wallClock());
+      curRate = 1;
+      isPlaying = true;
+      notify();
+    },
+    isRealTime(toleranceMs = 1000) {
+      return isPlaying && curRate === 1 && Math.abs(nowMs() - wallClock()) <= toleranceMs;
+    },
+    getState,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    get rate() { return curRate; },
+    get playing() { return isPlaying; }
+  };
+}
+
+function checkRate(rate) {
+  if (typeof rate !== 'number' || !Number.isFinite(rate) || rate === 0) {
+    throw new Error(`rate must be a non-zero finite number, got ${rate}`);
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * 仿真后台任务 — Web Worker 与主线程之间的消息协议
+ *
+ * 主线程 → Worker:  { id, type: 'generate' | 'passes' | 'sweep' | 'handover', args }
+ * Worker → 主线程:  { id, type: 'progress', done, total }
+ *                   { id, type: 'result', result }     (generate 的 result 为 packTimeline 的输出，随消息转移 ArrayBuffer；
+ *                                                       handover 的 result.timeline 同样打包)
+ *                   { id, type: 'error', message }
+ *
+ * 时间序列按列打包：数值字段 → Float64Array，Date → 毫秒 Float64Array，
+ * CIR 抽头展平为按帧偏移索引的列，其余（字符串 / null）保持普通数组。
+ * 长时间、细步长的仿真可达数十万帧，逐对象结构化克隆的开销远大于转移几个 ArrayBuffer。
+ */
+
+import { generateChannelTimeSeries, predictPasses } from './model.js';
+import { runSweep } from './sweep.js';
+import { simulateHandover } from './constellation.js';
+
+// 值数组 → { kind, values }，同一列全为数值 / Date 时才打包为类型数组
+function packColumn(values) {
+  if (values.every(v => typeof v === 'number')) return { kind: 'number', values: Float64Array.from(values) };
+  if (values.every(v => v instanceof Date)) return { kind: 'date', values: Float64Array.from(values, d => d.getTime()) };
+  return { kind: 'plain', values };
+}
+
+function unpackValue(column, i) {
+  if (column.kind === 'date') return new Date(column.values[i]);
+  return column.values[i];
+}
+
+// 去掉一个嵌套字段后的浅拷贝
+function without(obj, key) {
+  const copy = { ...obj };
+  delete copy[key];
+  return copy;
+}
+
+function packRecords(records, transfer) {
+  const keys = records.length > 0 ? Object.keys(records[0]) : [];
+  const columns = {};
+  for (const key of keys) {
+    columns[key] = packColumn(records.map(r => r[key]));
+    if (columns[key].kind !== 'plain') transfer.push(columns[key].values.buffer);
+  }
+  return columns;
+}
+
+/**
+ * 时间序列 → 列式类型数组
+ * @param {Array} timeline — generateChannelTimeSeries 的输出
+ * @returns {{ packed: object, transfer: ArrayBuffer[] }} — transfer 用作 postMessage 的转移列表
+ */
+export function packTimeline(timeline) {
+  const transfer = [];
+  const frames = timeline.map(f => without(f, 'cir'));
+  const cirs = timeline.map(f => f.cir);
+  const tapOffsets = new Int32Array(timeline.length + 1);
+  cirs.forEach((c, i) => { tapOffsets[i + 1] = tapOffsets[i] + c.taps.length; });
+  transfer.push(tapOffsets.buffer);
+  const packed = {
+    length: timeline.length,
+    frames: packRecords(frames, transfer),
+    cir: packRecords(cirs.map(c => without(c, 'taps')), transfer),
+    tapOffsets,
+    taps: packRecords(cirs.flatMap(c => c.taps), transfer)
+  };
+  return { packed, transfer };
+}
+
+function unpackRecords(columns, start, end) {
+  const keys = Object.keys(columns);
+  const records = [];
+  for (let i = start; i < end; i++) {
+    const r = {};
+    for (const key of keys) r[key] = unpackValue(columns[key], i);
+    records.push(r);
+  }
+  return records;
+}
+
+/**
+ * packTimeline 的逆变换
+ * @param {object} packed
+ * @returns {Array} — 与原时间序列逐字段相同
+ */
+export function unpackTimeline(packed) {
+  const frames = unpackRecords(packed.frames, 0, packed.length);
+  const cirs = unpackRecords(packed.cir, 0, packed.length);
+  return frames.map((frame, i) => ({
+    ...frame,
+    cir: { taps: unpackRecords(packed.taps, packed.tapOffsets[i], packed.tapOffsets[i + 1]), ...cirs[i] }
+  }));
+}
+
+/**
+ * 执行一个后台任务（Worker 入口与测试共用）
+ *
+ * 进度按整百分比节流上报，避免消息风暴。
+ * @param {{ id, type, args }} job
+ *   generate: args = { tleLine1, tleLine2, lat, lon, alt, startTime, endTime, stepSec, linkParams }
+ *   passes:   args = { tleLine1, tleLine2, lat, lon, alt, hoursAhead, minElev, startTime }
+ *   sweep:    args = runSweep 的参数（不含 onProgress）
+ *   handover: args = { satellites, lat, lon, alt, startTime, endTime, stepSec, policy, minElevation_deg, hysteresis, linkParams }
+ * @param {(msg: object, transfer?: ArrayBuffer[]) => void} post
+ */
+export function runSimJob(job, post) {
+  const { id, type, args } = job;
+  let lastPercent = -1;
+  const onProgress = (done, total) => {
+    const percent = Math.floor(100 * done / total);
+    if (percent !== lastPercent) {
+      lastPercent = percent;
+      post({ id, type: 'progress', done, total });
+    }
+  };
+  try {
+    if (type === 'generate') {
+      const { tleLine1, tleLine2, lat, lon, alt, startTime, endTime, stepSec, linkParams } = args;
+      const timeline = generateChannelTimeSeries(tleLine1, tleLine2, lat, lon, alt, startTime, endTime, stepSec, linkParams, { onProgress });
+      const { packed, transfer } = packTimeline(timeline);
+      post({ id, type: 'result', result: packed }, transfer);
+    } else if (type === 'passes') {
+      const { tleLine1, tleLine2, lat, lon, alt, hoursAhead, minElev, startTime } = args;
+      post({ id, type: 'result', result: predictPasses(tleLine1, tleLine2, lat, lon, alt, hoursAhead, minElev, startTime, { onProgress }) });
+    } else if (type === 'sweep') {
+      post({ id, type: 'result', result: runSweep({ ...args, onProgress }) });
+    } else if (type === 'handover') {
+      const { satellites, lat, lon, alt, startTime, endTime, stepSec, policy, minElevation_deg, hysteresis, linkParams } = args;
+      const result = simulateHandover(satellites, { lat, lon, alt }, startTime, endTime, stepSec, { policy, minElevation_deg, hysteresis, linkParams, onProgress });
+      const { packed, transfer } = packTimeline(result.timeline);
+      post({ id, type: 'result', result: { ...result, timeline: packed } }, transfer);
+    } else {
+      throw new Error(`Unknown simulation job "${type}"`);
+    }
+  } catch (e) {
+    post({ id, type: 'error', message: e.message });
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * 信道仿真 Worker 客户端 — ChannelSimPanel / SweepPanel / ConstellationPanel 通过它在后台线程运行时间序列生成、过境搜索、参数扫描与星座切换仿真
+ *
+ * Worker 内的计算是同步循环，无法在中途处理取消消息，因此 cancel() 直接终止 Worker，
+ * 挂起的请求以 SimCancelledError 拒绝；下一次请求时按需重新创建 Worker。
+ */
+
+import { unpackTimeline } from './simJobs.js';
+
+/** 请求被 cancel() 中止 */
+export class SimCancelledError extends Error {
+  constructor() {
+    super('Simulation cancelled');
+    this.name = 'SimCancelledError';
+  }
+}
+
+const defaultCreateWorker = () => new Worker(new URL('./channelWorker.js', import.meta.url), { type: 'module' });
+
+/**
+ * 创建 Worker 客户端
+ * @param {() => Worker} [createWorker] — Worker 工厂（测试时可注入）
+ * @returns {{
+ *   generateTimeline: (args: object, opts?: { onProgress?: (fraction: number) => void }) => Promise<Array>,
+ *   findPasses: (args: object, opts?: { onProgress?: (fraction: number) => void }) => Promise<Array>,
+ *   runSweep: (args: object, opts?: { onProgress?: (fraction: number) => void }) => Promise<object>,
+ *   runHandover: (args: object, opts?: { onProgress?: (fraction: number) => void }) => Promise<object>,
+ *   cancel: () => void,
+ *   dispose: () => void,
+ *   readonly busy: boolean
+ * }} — args 见 simJobs.runSimJob
+ */
+export function createSimWorkerClient(createWorker = defaultCreateWorker) {
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map(); // id → { resolve, reject, onProgress }
+
+  function rejectAll(err) {
+    for (const p of pending.values()) p.reject(err);
+    pending.clear();
+  }
+
+  function ensureWorker() {
+    if (worker) return worker;
+    const w = createWorker();
+    w.onmessage = (e) => {
+      if (w !== worker) return; // 已终止的 Worker 残留消息
+      const { id, type } = e.data;
+      const p = pending.get(id);
+      if (!p) return;
+      if (type === 'progress') {
+        if (p.onProgress) p.onProgress(e.data.done / e.data.total);
+      } else if (type === 'result') {
+        pending.delete(id);
+        p.resolve(e.data.result);
+      } else if (type === 'error') {
+        pending.delete(id);
+        p.reject(new Error(e.data.message));
+      }
+    };
+    w.onerror = (e) => {
+      if (w !== worker) return;
+      worker = null;
+      w.terminate();
+      rejectAll(new Error(e.message || 'Simulation worker failed'));
+    };
+    worker = w;
+    return w;
+  }
+
+  function request(type, args, { onProgress } = {}) {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+      ensureWorker().postMessage({ id, type, args });
+    });
+  }
+
+  function cancel() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    rejectAll(new SimCancelledError());
+  }
+
+  return {
+    generateTimeline: (args, opts) => request('generate', args, opts).then(unpackTimeline),
+    findPasses: (args, opts) => request('passes', args, opts),
+    runSweep: (args, opts) => request('sweep', args, opts),
+    runHandover: (args, opts) => request('handover', args, opts).then(r => ({ ...r, timeline: unpackTimeline(r.timeline) })),
+    cancel,
+    dispose: cancel,
+    get busy() { return pending.size > 0; }
+  };
+}
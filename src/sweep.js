@@ -0,0 +1,328 @@
+/**
+ * 参数扫描 / 蒙特卡洛引擎
+ *
+ * 对任意链路参数（calculateLinkBudget / generateChannelTimeSeries 接受的数值字段）抽样：
+ *   grid   — 各维等间隔取值的笛卡尔积（如 "容量随天线增益 30 ~ 45 dBi"）
+ *   random — 独立均匀抽样
+ *   lhs    — 拉丁超立方：每维等分 N 层、每层恰取一个样本，同样样本数下分位数收敛更快
+ * 每个样本求一组指标，汇总为均值 / 标准差 / 分位数、经验 CDF，
+ * 以及龙卷风图所需的单因素敏感度（其余参数取基准值，逐个取 min / max）与 Spearman 秩相关。
+ *
+ * 两种评估模式：
+ *   linkBudget — 单点链路预算（与主界面相同的 SNR / 容量计算），快速；
+ *   timeSeries — 每个样本运行一次 generateChannelTimeSeries，统计可见帧（仰角 > 0°）。
+ */
+
+import { calculateLinkBudget, computeEndToEndPerformance, calculateMIMOCapacity, generateChannelTimeSeries, createRng, hasOrbitInput } from './model.js';
+
+export const SWEEP_METHODS = ['grid', 'random', 'lhs'];
+export const LINK_BUDGET_METRICS = ['snrDb', 'rxPowerDbm', 'totalAtmosphericLoss', 'attRain', 'xpd', 'capRank1', 'capRank2'];
+export const TIME_SERIES_METRICS = ['meanSnrDb', 'minSnrDb', 'p10SnrDb', 'meanCapRank1', 'meanCapRank2', 'outageFraction'];
+export const SWEEP_PERCENTILES = [1, 5, 10, 50, 90, 95, 99];
+const MAX_GRID_POINTS = 100000;
+
+function checkParamSpec(p) {
+  if (!p || typeof p.key !== 'string' || !p.key) throw new Error('sweep parameter needs a "key"');
+  if (p.values !== undefined) {
+    if (!Array.isArray(p.values) || p.values.length === 0 || !p.values.every(Number.isFinite)) {
+      throw new Error(`sweep parameter "${p.key}": values must be a non-empty array of numbers`);
+    }
+    return;
+  }
+  if (!Number.isFinite(p.min) || !Number.isFinite(p.max) || p.min > p.max) {
+    throw new Error(`sweep parameter "${p.key}": needs finite min <= max`);
+  }
+  if (p.scale === 'log' && !(p.min > 0)) throw new Error(`sweep parameter "${p.key}": log scale needs min > 0`);
+}
+
+// 单位区间 u ∈ [0, 1] → 参数取值
+function valueAt(p, u) {
+  if (p.values) return p.values[Math.min(p.values.length - 1, Math.floor(u * p.values.length))];
+  const v = p.scale === 'log'
+    ? Math.exp(Math.log(p.min) + u * (Math.log(p.max) - Math.log(p.min)))
+    : p.min + u * (p.max - p.min);
+  return p.integer ? Math.round(v) : v;
+}
+
+function gridValues(p) {
+  if (p.values) return p.values.slice();
+  const steps = Math.max(1, Math.round(p.steps || 5));
+  const out = [];
+  for (let i = 0; i < steps; i++) out.push(valueAt({ ...p, values: undefined }, steps > 1 ? i / (steps - 1) : 0.5));
+  return p.integer ? [...new Set(out)] : out;
+}
+
+/**
+ * 生成参数样本
+ * @param {Array<{ key: string, min?: number, max?: number, steps?: number, values?: number[], scale?: 'linear'|'log', integer?: boolean }>} params
+ * @param {object} [opts]
+ * @param {'grid'|'random'|'lhs'} [opts.method='lhs']
+ * @param {number} [opts.samples=100] — random / lhs 样本数（grid 由各维 steps 决定）
+ * @param {number|string} [opts.seed=1]
+ * @returns {Array<object>} — 每个样本为 { [key]: value }
+ */
+export function sampleParameters(params, { method = 'lhs', samples = 100, seed = 1 } = {}) {
+  if (!Array.isArray(params) || params.length === 0) throw new Error('sweep needs at least one parameter');
+  params.forEach(checkParamSpec);
+  const keys = params.map(p => p.key);
+  const dup = keys.find((k, i) => keys.indexOf(k) !== i);
+  if (dup) throw new Error(`sweep parameter "${dup}" listed twice`);
+
+  if (method === 'grid') {
+    const axes = params.map(gridValues);
+    const total = axes.reduce((n, a) => n * a.length, 1);
+    if (total > MAX_GRID_POINTS) throw new Error(`grid has ${total} points (limit ${MAX_GRID_POINTS}); reduce steps`);
+    let out = [{}];
+    params.forEach((p, d) => {
+      out = out.flatMap(s => axes[d].map(v => ({ ...s, [p.key]: v })));
+    });
+    return out;
+  }
+
+  const n = Math.max(1, Math.round(samples));
+  const rng = createRng(seed);
+  if (method === 'random') {
+    return Array.from({ length: n }, () => Object.fromEntries(params.map(p => [p.key, valueAt(p, rng.next())])));
+  }
+  if (method === 'lhs') {
+    // 每维独立打乱 N 个分层，层内随机取点
+    const strata = params.map(() => {
+      const perm = Array.from({ length: n }, (_, i) => i);
+      for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(rng.next() * (i + 1));
+        [perm[i], perm[j]] = [perm[j], perm[i]];
+      }
+      return perm;
+    });
+    return Array.from({ length: n }, (_, i) =>
+      Object.fromEntries(params.map((p, d) => [p.key, valueAt(p, (strata[d][i] + rng.next()) / n)])));
+  }
+  throw new Error(`Unknown sweep method "${method}" (expected ${SWEEP_METHODS.join(', ')})`);
+}
+
+/**
+ * 已排序数组的分位数（线性插值，与 numpy 默认一致）
+ * @param {number[]} sorted — 升序
+ * @param {number} p — 百分位 (0 ~ 100)
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const h = (sorted.length - 1) * p / 100;
+  const lo = Math.floor(h);
+  const hi = Math.min(sorted.length - 1, lo + 1);
+  return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+}
+
+/**
+ * 样本统计（忽略非有限值）
+ * @param {number[]} values
+ * @returns {{ count, mean, std, min, max, percentiles: { p1, p5, p10, p50, p90, p95, p99 } }}
+ */
+export function summarize(values) {
+  const v = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const count = v.length;
+  const mean = count ? v.reduce((s, x) => s + x, 0) / count : NaN;
+  const std = count > 1 ? Math.sqrt(v.reduce((s, x) => s + (x - mean) * (x - mean), 0) / (count - 1)) : 0;
+  const percentiles = {};
+  for (const p of SWEEP_PERCENTILES) percentiles[`p${p}`] = percentile(v, p);
+  return { count, mean, std, min: count ? v[0] : NaN, max: count ? v[count - 1] : NaN, percentiles };
+}
+
+/**
+ * 经验 CDF，超过 maxPoints 时等间隔抽取（保留首尾）
+ * @param {number[]} values
+ * @param {number} [maxPoints=200]
+ * @returns {Array<{ x: number, p: number }>} — P(X ≤ x)
+ */
+export function empiricalCDF(values, maxPoints = 200) {
+  const v = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const n = v.length;
+  const idx = n <= maxPoints ? v.map((_, i) => i) : Array.from({ length: maxPoints }, (_, k) => Math.round(k * (n - 1) / (maxPoints - 1)));
+  return idx.map(i => ({ x: v[i], p: (i + 1) / n }));
+}
+
+function ranks(values) {
+  const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const r = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    for (let k = i; k <= j; k++) r[order[k][1]] = (i + j) / 2 + 1; // 并列取平均秩
+    i = j + 1;
+  }
+  return r;
+}
+
+/**
+ * Spearman 秩相关系数
+ * @param {number[]} xs
+ * @param {number[]} ys
+ * @returns {number} — [−1, 1]，任一变量无变化时为 0
+ */
+export function rankCorrelation(xs, ys) {
+  const pairs = xs.map((x, i) => [x, ys[i]]).filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+  if (pairs.length < 2) return 0;
+  const rx = ranks(pairs.map(p => p[0]));
+  const ry = ranks(pairs.map(p => p[1]));
+  const mean = (rx.length + 1) / 2;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < rx.length; i++) {
+    sxy += (rx[i] - mean) * (ry[i] - mean);
+    sxx += (rx[i] - mean) * (rx[i] - mean);
+    syy += (ry[i] - mean) * (ry[i] - mean);
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+/**
+ * 单点链路预算指标（与主界面 SNR / MIMO 容量计算一致）
+ * @param {object} params — computeEndToEndPerformance 参数（设置 uplinkFreq 时 SNR 为上行 + 转发器 + 下行合成值）
+ * @returns {{ snrDb, rxPowerDbm, totalAtmosphericLoss, attRain, xpd, capRank1, capRank2 }}
+ */
+export function evaluateLinkBudgetMetrics(params) {
+  const lb = calculateLinkBudget(params);
+  const perf = computeEndToEndPerformance(params, { downlinkLb: lb });
+  const { snrDb } = perf;
+  const { capRank1, capRank2 } = calculateMIMOCapacity(snrDb, lb.xpd);
+  return { snrDb, rxPowerDbm: perf.downlink.rxPowerDbm, totalAtmosphericLoss: lb.totalAtmosphericLoss, attRain: lb.attRain, xpd: lb.xpd, capRank1, capRank2 };
+}
+
+/**
+ * 时间序列指标（只统计仰角 > 0° 的帧；无可见帧时为 NaN）
+ * @param {object} params — generateChannelTimeSeries 的链路参数，requiredSnr_dB 用于中断比例
+ * @param {{ tleLine1, tleLine2, lat, lon, alt, startTime, endTime, stepSec }} window
+ * @returns {{ meanSnrDb, minSnrDb, p10SnrDb, meanCapRank1, meanCapRank2, outageFraction }}
+ */
+export function evaluateTimeSeriesMetrics(params, window) {
+  const { tleLine1, tleLine2, lat, lon, alt = 0, startTime, endTime, stepSec = 10 } = window;
+  const frames = generateChannelTimeSeries(tleLine1, tleLine2, lat, lon, alt, new Date(startTime), new Date(endTime), stepSec, params)
+    .filter(f => f.elevation > 0);
+  if (frames.length === 0) {
+    return Object.fromEntries(TIME_SERIES_METRICS.map(m => [m, NaN]));
+  }
+  const snr = frames.map(f => f.snrDb);
+  const mean = (arr) => arr.reduce((s, x) => s + x, 0) / arr.length;
+  const required = params.requiredSnr_dB != null ? params.requiredSnr_dB : 5.0;
+  return {
+    meanSnrDb: mean(snr),
+    minSnrDb: Math.min(...snr),
+    p10SnrDb: percentile(snr.slice().sort((a, b) => a - b), 10),
+    meanCapRank1: mean(frames.map(f => f.capRank1)),
+    meanCapRank2: mean(frames.map(f => f.capRank2)),
+    outageFraction: snr.filter(s => s < required).length / snr.length
+  };
+}
+
+/**
+ * 执行参数扫描 / 蒙特卡洛
+ *
+ * @param {object} opts
+ * @param {object} opts.base — 基准链路参数（未扫描的字段原样使用）
+ * @param {Array} opts.params — 扫描参数，见 sampleParameters
+ * @param {'grid'|'random'|'lhs'} [opts.method='lhs']
+ * @param {number} [opts.samples=100]
+ * @param {number|string} [opts.seed=1]
+ * @param {'linkBudget'|'timeSeries'} [opts.mode='linkBudget']
+ * @param {object} [opts.window] — timeSeries 模式的卫星与时间窗，见 evaluateTimeSeriesMetrics
+ * @param {boolean} [opts.tornado=true] — 是否计算单因素龙卷风敏感度（额外 2 × 参数个数次评估）
+ * @param {(done: number, total: number) => void} [opts.onProgress]
+ * @returns {{
+ *   method, mode, params, metrics: string[],
+ *   samples: Array<{ inputs: object, outputs: object }>,
+ *   summary: Object<string, object>,
+ *   cdf: Object<string, Array<{ x, p }>>,
+ *   sensitivity: Object<string, Array<{ key, lowValue, highValue, low, high, swing, rankCorrelation }>>,
+ *   baseline: object
+ * }} — sensitivity 每个指标按 |swing| 降序
+ */
+export function runSweep({ base = {}, params, method = 'lhs', samples = 100, seed = 1, mode = 'linkBudget', window = null, tornado = true, onProgress } = {}) {
+  let evaluate, metrics;
+  if (mode === 'linkBudget') {
+    evaluate = evaluateLinkBudgetMetrics;
+    metrics = LINK_BUDGET_METRICS;
+  } else if (mode === 'timeSeries') {
+    if (!window || !hasOrbitInput(window.tleLine1, window.tleLine2)) throw new Error('timeSeries sweep needs window.tleLine1 / tleLine2 (or an OMM record as tleLine1)');
+    evaluate = (p) => evaluateTimeSeriesMetrics(p, window);
+    metrics = TIME_SERIES_METRICS;
+  } else {
+    throw new Error(`Unknown sweep mode "${mode}" (expected linkBudget or timeSeries)`);
+  }
+
+  const inputs = sampleParameters(params, { method, samples, seed });
+  const total = inputs.length + (tornado ? 2 * params.length + 1 : 0);
+  let done = 0;
+  const step = () => { if (onProgress) onProgress(++done, total); };
+
+  const results = inputs.map(inp => {
+    const outputs = evaluate({ ...base, ...inp });
+    step();
+    return { inputs: inp, outputs };
+  });
+
+  const summary = {}, cdf = {};
+  for (const m of metrics) {
+    const values = results.map(r => r.outputs[m]);
+    summary[m] = summarize(values);
+    cdf[m] = empiricalCDF(values);
+  }
+
+  // 龙卷风：其余参数取基准值（基准缺失时取区间中点），逐个取下限 / 上限
+  let baseline = null;
+  const sensitivity = Object.fromEntries(metrics.map(m => [m, []]));
+  if (tornado) {
+    const center = { ...base };
+    for (const p of params) {
+      if (!Number.isFinite(center[p.key])) center[p.key] = p.values ? p.values[Math.floor(p.values.length / 2)] : valueAt(p, 0.5);
+    }
+    baseline = evaluate(center);
+    step();
+    for (const p of params) {
+      const lowVal = p.values ? Math.min(...p.values) : p.min;
+      const highVal = p.values ? Math.max(...p.values) : p.max;
+      const low = evaluate({ ...center, [p.key]: lowVal });
+      step();
+      const high = evaluate({ ...center, [p.key]: highVal });
+      step();
+      const xs = results.map(r => r.inputs[p.key]);
+      for (const m of metrics) {
+        sensitivity[m].push({
+          key: p.key, lowValue: lowVal, highValue: highVal,
+          low: low[m], high: high[m], swing: high[m] - low[m],
+          rankCorrelation: rankCorrelation(xs, results.map(r => r.outputs[m]))
+        });
+      }
+    }
+    for (const m of metrics) {
+      sensitivity[m].sort((a, b) => (Math.abs(b.swing) || 0) - (Math.abs(a.swing) || 0));
+    }
+  }
+
+  return { method, mode, params, metrics, samples: results, summary, cdf, sensitivity, baseline };
+}
+
+/**
+ * 样本表 → CSV（每个样本一行：扫描参数 + 全部指标）
+ * @param {object} result — runSweep 的输出
+ * @returns {string}
+ */
+export function sweepToCSV(result) {
+  const keys = result.params.map(p => p.key);
+  const header = ['Sample', ...keys, ...result.metrics].join(',');
+  const rows = result.samples.map((s, i) => [i, ...keys.map(k => s.inputs[k]), ...result.metrics.map(m => s.outputs[m])].join(','));
+  return header + '\n' + rows.join('\n');
+}
+
+/**
+ * 统计汇总 → CSV（每个指标一行：均值 / 标准差 / 极值 / 分位数）
+ * @param {object} result — runSweep 的输出
+ * @returns {string}
+ */
+export function sweepSummaryToCSV(result) {
+  const header = ['Metric', 'Count', 'Mean', 'Std', 'Min', 'Max', ...SWEEP_PERCENTILES.map(p => `P${p}`)].join(',');
+  const rows = result.metrics.map(m => {
+    const s = result.summary[m];
+    return [m, s.count, s.mean, s.std, s.min, s.max, ...SWEEP_PERCENTILES.map(p => s.percentiles[`p${p}`])].join(',');
+  });
+  return header + '\n' + rows.join('\n');
+}
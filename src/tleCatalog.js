@@ -0,0 +1,212 @@
+/**
+ * 本地 TLE / 3LE 目录 — 整组 CelesTrak 文本（如 starlink.txt、active.txt）导入、校验与检索
+ *
+ * 每条记录校验：行长 69、行号、两行 NORAD 编号一致、NORAD 模 10 校验和（数字求和，'-' 计 1）。
+ * 校验和不符的记录仍保留并标记（checksumOk = false），由调用方决定是否使用；
+ * 结构错误（缺行 / 编号不一致）的记录不进入目录，记入 errors。
+ * 历元新鲜度与轨道面板徽标一致：≤ 7 天 fresh，≤ 30 天 aging，其余 stale。
+ *
+ * CCSDS OMM 文件（JSON / XML / KVN，见 omm.js）按内容自动识别：每条记录成为一个目录项，
+ * line1 为归一后的 OMM 记录对象、line2 为 null（model.js 各函数可直接使用），
+ * 无校验位（checksumOk 恒为 true），不合法的记录记入 errors。
+ */
+
+import { detectOrbitFormat, isOMMRecord, ommEpochDate, ommProvenance, parseOMM } from './omm.js';
+
+const TLE_LINE_LENGTH = 69;
+
+/** 历元龄期分档阈值 (天) */
+export const TLE_AGE_THRESHOLDS = { aging: 7, stale: 30 };
+
+/**
+ * TLE 行校验位（前 68 个字符的数字之和 + '-' 个数，模 10）
+ * @param {string} line
+ * @returns {number}
+ */
+export function tleChecksum(line) {
+  let sum = 0;
+  for (const c of line.slice(0, TLE_LINE_LENGTH - 1)) {
+    if (c >= '0' && c <= '9') sum += c.charCodeAt(0) - 48;
+    else if (c === '-') sum += 1;
+  }
+  return sum % 10;
+}
+
+/**
+ * 校验位是否与行尾一致
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function verifyTLEChecksum(line) {
+  return line.length >= TLE_LINE_LENGTH && Number(line[TLE_LINE_LENGTH - 1]) === tleChecksum(line);
+}
+
+/**
+ * 解析 TLE 第 1 行（或 OMM 记录的 EPOCH）的历元并计算距 now 的龄期
+ * @param {string|object} tle1 — TLE 第 1 行或 OMM 记录
+ * @param {Date} [now=new Date()]
+ * @returns {{ epochDate: Date|null, ageDays: number }} — 无法解析时 { null, -1 }
+ */
+export function parseTLEEpochAgeDays(tle1, now = new Date()) {
+  if (isOMMRecord(tle1)) {
+    const epochDate = ommEpochDate(tle1);
+    return epochDate ? { epochDate, ageDays: (now.getTime() - epochDate.getTime()) / 86400000 } : { epochDate: null, ageDays: -1 };
+  }
+  const year2d = parseInt(String(tle1).substring(18, 20), 10);
+  const dayOfYear = parseFloat(String(tle1).substring(20, 32));
+  if (!Number.isFinite(year2d) || !Number.isFinite(dayOfYear)) return { epochDate: null, ageDays: -1 };
+  const fullYear = year2d >= 57 ? 1900 + year2d : 2000 + year2d;
+  const epochDate = new Date(Date.UTC(fullYear, 0, 1) + (dayOfYear - 1) * 86400000);
+  return { epochDate, ageDays: (now.getTime() - epochDate.getTime()) / 86400000 };
+}
+
+/**
+ * 历元龄期 → 'fresh' | 'aging' | 'stale'（无法解析时为 null）
+ * @param {number} ageDays
+ */
+export function tleEpochStatus(ageDays) {
+  if (!(ageDays >= 0)) return null;
+  if (ageDays > TLE_AGE_THRESHOLDS.stale) return 'stale';
+  if (ageDays > TLE_AGE_THRESHOLDS.aging) return 'aging';
+  return 'fresh';
+}
+
+/**
+ * 导出元数据中的轨道来源
+ *
+ * OMM 记录给出 ommProvenance（发布方 / 生成时间 / CCSDS 版本 …），TLE 给出编号与历元。
+ * @param {string|object} line1 — TLE 第 1 行或 OMM 记录
+ * @param {'json'|'xml'|'kvn'|null} [ommFormat=null] — OMM 源编码
+ * @returns {object}
+ */
+export function orbitProvenance(line1, ommFormat = null) {
+  if (isOMMRecord(line1)) return ommProvenance(line1, ommFormat);
+  const { epochDate } = parseTLEEpochAgeDays(line1);
+  return { format: 'tle', noradId: String(line1).substring(2, 7).trim(), epoch: epochDate ? epochDate.toISOString() : null };
+}
+
+// OMM 文件 → 目录；语法错误时目录为空
+function parseOMMCatalog(text, now) {
+  let parsed;
+  try {
+    parsed = parseOMM(text, { strict: false });
+  } catch (e) {
+    if (!e.errors) throw e;
+    return { entries: [], errors: e.errors.map(catalogError) };
+  }
+  const entries = parsed.records.map(record => {
+    const noradId = String(record.NORAD_CAT_ID);
+    const { epochDate, ageDays } = parseTLEEpochAgeDays(record, now);
+    return {
+      name: record.OBJECT_NAME || `NORAD ${noradId}`,
+      noradId,
+      line1: record,
+      line2: null,
+      format: `omm-${parsed.format}`,
+      checksumOk: true,
+      epochDate,
+      ageDays,
+      status: tleEpochStatus(ageDays),
+      provenance: ommProvenance(record, parsed.format)
+    };
+  });
+  return { entries, errors: parsed.errors.map(catalogError) };
+}
+
+// OMMError 条目 → 目录错误（KVN 语法错误带行号，其余以 JSON Pointer 标明记录 / 字段）
+function catalogError({ path, message }) {
+  const m = /^line (\d+)$/.exec(path);
+  return m ? { line: Number(m[1]), message } : { line: null, message: `${path || '/'}: ${message}` };
+}
+
+/**
+ * 解析多星 TLE / 3LE 文本（或 OMM 文件）为目录
+ *
+ * 3LE 名称行的 "0 " 前缀会被去掉；2 行 TLE 无名称时以 "NORAD <编号>" 命名。
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {Date} [opts.now=new Date()] — 计算历元龄期的参考时刻
+ * @returns {{
+ *   entries: Array<{ name, noradId, line1, line2, format, checksumOk, epochDate, ageDays, status, provenance }>,
+ *   errors: Array<{ line: number|null, message: string }>
+ * }} — format 为 'tle' | 'omm-json' | 'omm-xml' | 'omm-kvn'；errors 的 line 为 1 起的行号（JSON / XML 的 OMM 错误为 null）
+ */
+export function parseTLECatalog(text, { now = new Date() } = {}) {
+  if (detectOrbitFormat(text) !== 'tle') return parseOMMCatalog(text, now);
+  const lines = String(text).split(/\r?\n/).map((l, i) => ({ text: l.trim(), line: i + 1 })).filter(l => l.text);
+  const entries = [];
+  const errors = [];
+  let name = null;
+  for (let i = 0; i < lines.length; i++) {
+    const { text: l, line } = lines[i];
+    if (l.startsWith('2 ')) {
+      errors.push({ line, message: 'TLE line 2 without a preceding line 1' });
+      name = null;
+      continue;
+    }
+    if (!l.startsWith('1 ')) {
+      name = l.replace(/^0 /, '');
+      continue;
+    }
+    const next = lines[i + 1];
+    if (!next || !next.text.startsWith('2 ')) {
+      errors.push({ line, message: 'TLE line 1 without a following line 2' });
+      name = null;
+      continue;
+    }
+    i++;
+    const line1 = l, line2 = next.text;
+    const noradId = line1.substring(2, 7).trim();
+    if (line1.length !== TLE_LINE_LENGTH || line2.length !== TLE_LINE_LENGTH) {
+      errors.push({ line, message: `${name || noradId}: TLE lines must be ${TLE_LINE_LENGTH} characters` });
+    } else if (line2.substring(2, 7).trim() !== noradId) {
+      errors.push({ line, message: `${name || noradId}: NORAD ID ${noradId} on line 1 but ${line2.substring(2, 7).trim()} on line 2` });
+    } else {
+      const { epochDate, ageDays } = parseTLEEpochAgeDays(line1, now);
+      entries.push({
+        name: name || `NORAD ${noradId}`,
+        noradId,
+        line1,
+        line2,
+        format: 'tle',
+        checksumOk: verifyTLEChecksum(line1) && verifyTLEChecksum(line2),
+        epochDate,
+        ageDays,
+        status: tleEpochStatus(ageDays),
+        provenance: { format: 'tle', noradId, epoch: epochDate ? epochDate.toISOString() : null }
+      });
+    }
+    name = null;
+  }
+  return { entries, errors };
+}
+
+/**
+ * 按名称或 NORAD 编号检索目录
+ *
+ * 纯数字查询按 NORAD 编号前缀匹配（前导零不敏感），否则按名称子串匹配（不区分大小写）；
+ * 排序：编号完全相同 > 名称前缀 > 其余，同档保持目录顺序。
+ * @param {Array} entries — parseTLECatalog(...).entries
+ * @param {string} query — 空查询返回前 limit 条
+ * @param {object} [opts]
+ * @param {number} [opts.limit=100]
+ * @returns {Array}
+ */
+export function searchTLECatalog(entries, query, { limit = 100 } = {}) {
+  const q = String(query || '').trim().toUpperCase();
+  if (!q) return entries.slice(0, limit);
+  const numeric = /^\d+$/.test(q);
+  const id = numeric ? String(parseInt(q, 10)) : null;
+  const ranked = [];
+  entries.forEach((e, i) => {
+    const name = e.name.toUpperCase();
+    let rank = -1;
+    if (numeric && String(parseInt(e.noradId, 10)) === id) rank = 0;
+    else if (numeric && e.noradId.replace(/^0+/, '').startsWith(id)) rank = 2;
+    else if (name.startsWith(q)) rank = 1;
+    else if (name.includes(q)) rank = 2;
+    if (rank >= 0) ranked.push({ e, rank, i });
+  });
+  ranked.sort((a, b) => a.rank - b.rank || a.i - b.i);
+  return ranked.slice(0, limit).map(r => r.e);
+}
@@ -0,0 +1,164 @@
+import { DVBS2_MODCODS, DVBS2X_MODCODS, modcodLadder, selectModcod, simulateACM } from './src/acm.js';
+import { generateChannelTimeSeries } from './src/model.js';
+import { timelineToCSV, timelineToJSON } from './src/channelExport.js';
+import assert from 'assert';
+
+console.log("=== DVB-S2/S2X MODCOD 与 ACM 测试 ===\n");
+
+const t0 = new Date('2023-09-06T16:50:00Z');
+// 合成帧：仅 ACM 用到的字段
+const frameOf = (i, esN0_dB, elevation = 30, symbolRate_Mbaud = 30) => ({
+  time: new Date(t0.getTime() + i * 10000), elevation, esN0_dB, symbolRate_Mbaud,
+  cn0_dBHz: esN0_dB + 10 * Math.log10(symbolRate_Mbaud * 1e6)
+});
+const close = (a, b, tol = 1e-9) => Math.abs(a - b) < tol;
+
+// ============================================================
+// 1. MODCOD 表
+// ============================================================
+
+console.log("--- 1. MODCOD 表 ---");
+
+assert.strictEqual(DVBS2_MODCODS.length, 28, "DVB-S2 正常帧 28 个 MODCOD");
+assert.deepStrictEqual(DVBS2_MODCODS[0], { name: 'QPSK 1/4', standard: 'S2', modulation: 'QPSK', codeRate: '1/4', spectralEfficiency: 0.490243, esN0_dB: -2.35 });
+assert.strictEqual(DVBS2_MODCODS.find(m => m.name === '32APSK 9/10').esN0_dB, 16.05);
+assert(DVBS2X_MODCODS.every(m => m.standard === 'S2X'));
+assert(Object.isFrozen(DVBS2_MODCODS) && Object.isFrozen(DVBS2_MODCODS[0]), "表不可变");
+
+for (const standard of ['s2', 's2x']) {
+  const ladder = modcodLadder(standard);
+  for (let i = 1; i < ladder.length; i++) {
+    assert(ladder[i].esN0_dB >= ladder[i - 1].esN0_dB && ladder[i].spectralEfficiency > ladder[i - 1].spectralEfficiency, `${standard} 阶梯单调: ${ladder[i].name}`);
+  }
+  console.log(`[1.1] ${standard}: ${ladder.length} 级, ${ladder[0].name} (${ladder[0].esN0_dB} dB) → ${ladder[ladder.length - 1].name} (${ladder[ladder.length - 1].esN0_dB} dB)`);
+}
+const s2Names = modcodLadder('s2').map(m => m.name);
+assert(!s2Names.includes('QPSK 8/9'), "QPSK 8/9 被 8PSK 3/5 支配（门限更高、效率更低）");
+assert(s2Names.includes('8PSK 3/5'));
+assert(modcodLadder('s2x').some(m => m.name === '256APSK 3/4'), "S2X 阶梯包含 256APSK");
+assert(modcodLadder('s2x')[0].esN0_dB === -2.35 && modcodLadder('s2x').some(m => m.standard === 'S2'), "S2X 阶梯为 S2 ∪ S2X");
+assert.throws(() => modcodLadder('s3'), /Unknown ACM standard "s3"/);
+console.log("[1.2] 被支配项剔除 / S2X 并集 / 非法标准 ✓");
+
+// ============================================================
+// 2. 单点 MODCOD 选择
+// ============================================================
+
+console.log("\n--- 2. selectModcod ---");
+
+assert.strictEqual(selectModcod(1.00).name, 'QPSK 1/2', "恰好达到门限");
+assert.strictEqual(selectModcod(0.99).name, 'QPSK 2/5');
+assert.strictEqual(selectModcod(2.00, { margin_dB: 1 }).name, 'QPSK 1/2', "余量抬高门限");
+assert.strictEqual(selectModcod(-3), null, "低于最低门限 → null");
+assert.strictEqual(selectModcod(-2.0, { standard: 's2x' }).name, 'QPSK 13/45');
+assert.strictEqual(selectModcod(30).name, '32APSK 9/10');
+assert.strictEqual(selectModcod(30, { standard: 's2x' }).name, '256APSK 3/4');
+console.log("[2.1] 门限 / 余量 / 中断 / 顶级 MODCOD ✓");
+
+// ============================================================
+// 3. ACM 时间序列：迟滞、过境分段、吞吐
+// ============================================================
+
+console.log("\n--- 3. simulateACM ---");
+
+// QPSK 1/2 门限 1.00 dB, QPSK 3/5 门限 2.23 dB；余量 0
+const esSeq = [1.5, 2.3, 2.5, 2.2, 2.4, 2.6, 3.0, 3.5, 2.0];
+const noHyst = simulateACM(esSeq.map((es, i) => frameOf(i, es)), { margin_dB: 0, hysteresis_dB: 0 });
+const withHyst = simulateACM(esSeq.map((es, i) => frameOf(i, es)), { margin_dB: 0, hysteresis_dB: 0.5 });
+console.log(`[3.1] 无迟滞: ${noHyst.frames.map(f => f.modcod).join(' → ')} (${noHyst.totalSwitches} 次切换)`);
+console.log(`      0.5 dB 迟滞: ${withHyst.frames.map(f => f.modcod).join(' → ')} (${withHyst.totalSwitches} 次切换)`);
+assert.strictEqual(noHyst.frames[1].modcod, 'QPSK 3/5', "无迟滞时越过门限立即升级");
+assert.strictEqual(noHyst.frames[3].modcod, 'QPSK 1/2', "低于当前门限立即降级");
+assert.strictEqual(withHyst.frames[1].modcod, 'QPSK 1/2', "迟滞内不升级");
+assert.strictEqual(withHyst.frames[5].modcod, 'QPSK 1/2', "2.6 dB < 2.23 + 0.5 dB，仍不升级");
+assert.strictEqual(withHyst.frames[6].modcod, 'QPSK 3/5', "Es/N0 ≥ 门限 + 迟滞 才升级");
+assert.strictEqual(withHyst.frames[8].modcod, 'QPSK 1/2', "降级不受迟滞影响");
+assert(withHyst.totalSwitches < noHyst.totalSwitches, "迟滞减少切换");
+assert.strictEqual(noHyst.frames[0].switched, false, "AOS 捕获不计为切换");
+assert.strictEqual(noHyst.totalSwitches, noHyst.frames.filter(f => f.switched).length);
+
+// 多级升级：一步升到迟滞允许的最高 MODCOD
+const jump = simulateACM([frameOf(0, 1.2), frameOf(1, 8.0)], { margin_dB: 0, hysteresis_dB: 0.5 });
+assert.strictEqual(jump.frames[1].modcod, '8PSK 2/3', "跳级升级到 门限 + 迟滞 ≤ Es/N0 的最高 MODCOD");
+
+// 中断 与 过境分段
+const tl = [
+  frameOf(0, 5, -5), frameOf(1, 4.5, 2), frameOf(2, -4, 5), frameOf(3, 4.2, 8), frameOf(4, 6, -1),
+  frameOf(5, 3.2, 3), frameOf(6, 3.2, 10), frameOf(7, 3.2, -2)
+];
+const acm = simulateACM(tl, { margin_dB: 1, hysteresis_dB: 0.5 });
+assert.strictEqual(acm.frames.length, tl.length, "逐帧输出");
+assert(acm.frames[0].visible === false && acm.frames[0].modcod === null && acm.frames[0].netBitrate_Mbps === 0, "不可见帧无 MODCOD");
+assert.strictEqual(acm.frames[2].modcod, null, "Es/N0 不足 → 中断");
+assert.strictEqual(acm.frames[2].netBitrate_Mbps, 0);
+assert.strictEqual(acm.passes.length, 2, "不可见帧分隔为两次过境");
+assert.deepStrictEqual(acm.passes.map(p => p.frames), [3, 2]);
+assert.deepStrictEqual(acm.passes.map(p => p.switches), [2, 0], "过境 1: 降到中断再恢复；过境 2 无切换");
+assert.strictEqual(acm.totalSwitches, 2);
+assert(close(acm.passes[0].outageFraction, 1 / 3));
+assert.strictEqual(acm.passes[0].start.getTime(), tl[1].time.getTime());
+assert.strictEqual(acm.passes[0].end.getTime(), tl[3].time.getTime());
+// 净比特率 = 符号率 × 频谱效率；数据量 = Σ 比特率 × 帧间隔
+const m = selectModcod(3.2, { margin_dB: 1 });
+assert(close(acm.frames[5].netBitrate_Mbps, 30 * m.spectralEfficiency));
+assert(close(acm.passes[1].meanBitrate_Mbps, 30 * m.spectralEfficiency));
+assert(close(acm.passes[1].dataVolume_Gbit, 2 * 10 * 30 * m.spectralEfficiency / 1000));
+console.log(`[3.2] 过境: ${acm.passes.map(p => `${p.frames} 帧 / ${p.switches} 次切换 / 中断 ${(p.outageFraction * 100).toFixed(0)}% / ${p.dataVolume_Gbit.toFixed(3)} Gbit`).join(' | ')}`);
+
+// 符号率覆盖：由 C/N0 重新换算 Es/N0
+const wide = simulateACM(esSeq.map((es, i) => frameOf(i, es)), { margin_dB: 0, hysteresis_dB: 0, symbolRate_Mbaud: 60 });
+assert(close(wide.frames[0].esN0_dB, 1.5 - 10 * Math.log10(2)), "符号率加倍 → Es/N0 降 3 dB");
+assert.strictEqual(wide.frames[0].modcod, 'QPSK 1/4');
+assert(close(wide.frames[0].netBitrate_Mbps, 60 * 0.490243));
+assert.throws(() => simulateACM([], { hysteresis_dB: -1 }), /hysteresis_dB must be >= 0/);
+assert.throws(() => simulateACM([], { standard: 'dvb-t' }), /Unknown ACM standard/);
+console.log("[3.3] 符号率覆盖 / 参数校验 ✓");
+
+// ============================================================
+// 4. 真实过境 + 导出
+// ============================================================
+
+console.log("\n--- 4. ISS 过境 ACM + 导出 ---");
+
+const ISS_TLE1 = '1 25544U 98067A   23249.52157811  .00018042  00000-0  32479-3 0  9997';
+const ISS_TLE2 = '2 25544  51.6420 330.1245 0005273  19.5398  65.7335 15.49841804414341';
+const timeline = generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0,
+  new Date('2023-09-06T16:50:00Z'), new Date('2023-09-06T17:02:00Z'), 10,
+  { freq: 2.2, eirp: 40, gRx: 20, tRx: 150, bandwidth: 36, env: 'rural', rainRate: 0, disableFastFading: true });
+assert(timeline.length > 0);
+const rs = 36 / 1.2;
+for (const f of timeline) {
+  assert(close(f.symbolRate_Mbaud, rs), "帧符号率 = B / (1 + roll-off)");
+  assert(close(f.esN0_dB, f.cn0_dBHz - 10 * Math.log10(rs * 1e6), 1e-9), "帧 Es/N0 与 C/N0 一致");
+}
+const issAcm = simulateACM(timeline, { standard: 's2x', margin_dB: 1, hysteresis_dB: 0.5 });
+for (let i = 0; i < timeline.length; i++) {
+  const a = issAcm.frames[i];
+  // Shannon 上界：η ≤ log2(1 + Es/N0)
+  if (a.modcod) assert(a.spectralEfficiency <= Math.log2(1 + Math.pow(10, a.esN0_dB / 10)), `${a.modcod} 不超过 Shannon 容量`);
+}
+const peak = Math.max(...issAcm.frames.map(f => f.netBitrate_Mbps));
+console.log(`[4.1] ${issAcm.passes.length} 次过境, ${issAcm.totalSwitches} 次 MODCOD 切换, 峰值净比特率 ${peak.toFixed(1)} Mbps, 数据量 ${issAcm.passes[0].dataVolume_Gbit.toFixed(2)} Gbit`);
+assert(issAcm.passes.length >= 1 && peak > 0);
+assert(issAcm.totalSwitches > 0, "过境中仰角变化引起 MODCOD 切换");
+
+const csv = timelineToCSV(timeline, { acm: issAcm }).split('\n');
+const header = csv[0].split(',');
+const col = name => header.indexOf(name);
+assert(col('EsN0_dB') > col('CN0_dBHz') && col('ACM_MODCOD') > col('CIR_CoherenceBW_MHz'), "ACM 列位于 CIR 列之后、tap 列之前");
+const peakIdx = issAcm.frames.findIndex(f => f.netBitrate_Mbps === peak);
+const peakRow = csv[peakIdx + 1].split(',');
+assert.strictEqual(peakRow[col('ACM_MODCOD')], issAcm.frames[peakIdx].modcod);
+assert.strictEqual(Number(peakRow[col('ACM_NetBitrate_Mbps')]), Number(peak.toFixed(3)));
+assert(!timelineToCSV(timeline).split('\n')[0].includes('ACM_'), "未给定 ACM 时不输出 ACM 列");
+
+const json = timelineToJSON(timeline, { satellite: 'ISS', groundStation: { lat: 22.54, lon: 114.05, alt: 0 }, linkConfig: {}, stepSec: 10, acm: issAcm });
+assert.strictEqual(json.metadata.acm.standard, 's2x');
+assert.strictEqual(json.metadata.acm.totalSwitches, issAcm.totalSwitches);
+assert.strictEqual(typeof json.metadata.acm.passes[0].start, 'string');
+assert.deepStrictEqual(Object.keys(json.frames[peakIdx].acm), ['visible', 'esN0_dB', 'modcod', 'modulation', 'codeRate', 'spectralEfficiency', 'netBitrate_Mbps', 'switched']);
+assert.strictEqual(json.frames[peakIdx].linkBudget.esN0_dB, timeline[peakIdx].esN0_dB);
+assert(!('acm' in timelineToJSON(timeline, { stepSec: 10 }).metadata));
+console.log(`[4.2] CSV ${header.length} 列 / JSON metadata.acm ${json.metadata.acm.passes.length} 次过境 ✓`);
+
+console.log("\n✅ [DVB-S2/S2X ACM 测试通过]");
@@ -1,4 +1,5 @@
-import { computeCIR, generateChannelTimeSeries } from './src/model.js';
+import { ionosphericGroupDelayNs, computeCIR, generateChannelTimeSeries, generatePassReplay, computeTransferFunction, computeTimeFrequencyResponse, computeLinkPerformance, computeUplinkPerformance, computeEndToEndPerformance, uplinkLegParams, calculateLinkBudget, SNR_FLOOR_dB } from './src/model.js';
+import { evaluateLinkBudgetMetrics } from './src/sweep.js';
 import assert from 'assert';
 
 console.log("=== 信道传播仿真测试 (CIR + TimeSeries) ===\n");
@@ -73,11 +74,31 @@ console.log(`[4.2] Urban: ${cirUrb.taps.length} taps — ${cirUrb.taps.map(t =>
 const hasScatter = cirUrb.taps.some(t => t.label.includes('建筑散射'));
 assert(hasScatter, "Urban 环境必须有建筑散射 taps");
 
-// Rural: 应仅有 LOS + 可能的电离层
+// Rural: 应仅有 LOS
 const cirRur = computeCIR({ freq: 30, elevation: 45, slantRange: 550, env: 'rural', tec: 50 });
 console.log(`[4.3] Rural: ${cirRur.taps.length} taps — ${cirRur.taps.map(t => t.label).join(', ')}`);
 assert(!cirRur.taps.some(t => t.label.includes('散射')), "Rural 环境不应有散射 taps");
 assert(!cirRur.taps.some(t => t.label.includes('反射')), "Rural 环境不应有反射 taps");
+assert.strictEqual(cirRur.taps.length, 1);
+
+// 电离层群时延 τ_g = 40.3·TEC / (c·f²)：只计一次，并入所有抽头的公共时延
+const C = 299792458;
+for (const [freq, tec, elevation] of [[1.5, 50, 90], [0.4, 80, 90], [2.2, 30, 30]]) {
+  const slantTEC = tec * 1e16 / Math.sin(elevation * Math.PI / 180); // el/m²
+  const expected_ns = 40.3 * slantTEC / (C * (freq * 1e9) ** 2) * 1e9;
+  const geometric_ns = 800e3 / C * 1e9;
+  const cir = computeCIR({ freq, elevation, slantRange: 800, env: 'urban', tec });
+  assert(Math.abs(cir.ionoGroupDelay_ns / expected_ns - 1) < 1e-12, "CIR 群时延 = 40.3·TEC/(c·f²)");
+  assert(Math.abs(ionosphericGroupDelayNs(tec, freq, Math.sin(elevation * Math.PI / 180)) / expected_ns - 1) < 1e-12);
+  assert(Math.abs(cir.taps[0].delay_ns - geometric_ns - expected_ns) < 1e-6, "LOS 时延 = 几何时延 + 群时延");
+  assert(cir.taps.every(t => Math.abs(t.delay_ns - t.excessDelay_ns - cir.taps[0].delay_ns) < 1e-6), "群时延为各抽头公共时延，不改变超额时延");
+  assert(!cir.taps.some(t => t.label.includes('电离层')), "不再单列电离层抽头");
+  const lb = calculateLinkBudget({ freq, elevation, tec, rainRate: 0 });
+  assert(Math.abs(lb.groupDelayNs / expected_ns - 1) < 1e-3, "链路预算群时延与 CIR 一致");
+}
+const noIono = computeCIR({ freq: 1.5, elevation: 90, slantRange: 800, env: 'urban', tec: 0 });
+assert.strictEqual(noIono.ionoGroupDelay_ns, 0);
+console.log(`[4.4] 群时延 @1.5 GHz, 50 TECU: ${computeCIR({ freq: 1.5, elevation: 90, slantRange: 800, env: 'rural', tec: 50 }).ionoGroupDelay_ns.toFixed(3)} ns = 40.3·TEC/(c·f²) ✓`);
 
 // ============================================================
 // 5. 时间序列生成验证
@@ -88,7 +109,8 @@ console.log("\n--- 5. 时间序列验证 ---");
 const ISS_TLE1 = '1 25544U 98067A   23249.52157811  .00018042  00000-0  32479-3 0  9997';
 const ISS_TLE2 = '2 25544  51.6420 330.1245 0005273  19.5398  65.7335 15.49841804414341';
 
-const now = new Date();
+// 固定在 TLE 历元附近，避免 TLE 过期后 SGP4 外推失败
+const now = new Date('2023-09-06T13:00:00Z');
 const end = new Date(now.getTime() + 10 * 60 * 1000); // 10 分钟
 
 const ts = generateChannelTimeSeries(
@@ -131,4 +153,229 @@ assert(isFinite(f0.capRank1) && f0.capRank1 >= 0, "capRank1 须为非负有限
 assert(isFinite(f0.capRank2) && f0.capRank2 >= 0, "capRank2 须为非负有限数");
 console.log(`[5.4] MIMO: Rank1=${f0.capRank1.toFixed(2)} bps/Hz, Rank2=${f0.capRank2.toFixed(2)} bps/Hz`);
 
+// 大气衰减每帧只算一次：CIR 复用链路预算的结果；地平线以下的帧按 0.1° 计算且与帧无关
+const tsParams = { freq: 12, rainRate: 5, env: 'suburban', eirp: 60, gRx: 42, tRx: 150, bandwidth: 400, tec: 50, uplinkFreq: 30, uplinkEirp: 70, satGOverT_dBK: 5 };
+const tsUp = generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, now, end, 30, tsParams);
+assert(tsUp.every(f => f.cir.totalAtmLoss === f.attRain + f.attGas + f.attCloud), "CIR 大气衰减 = 同帧链路预算");
+const hidden = tsUp.filter(f => f.elevation < 0.1);
+const horizonLb = calculateLinkBudget({ stationLat: 22.54, stationLon: 114.05, stationAlt: 0, ...tsParams, elevation: 0.1 });
+const horizonUp = calculateLinkBudget({ stationLat: 22.54, stationLon: 114.05, stationAlt: 0, ...tsParams, freq: 30, elevation: 0.1 });
+assert(hidden.length > 1 && hidden.every(f => f.attGas === horizonLb.attGas && f.attRain === horizonLb.attRain && f.uplinkAttRain === horizonUp.attRain), "地平线以下各帧共用 0.1° 大气衰减（上下行各自按频率）");
+assert(horizonUp.attRain > horizonLb.attRain);
+console.log(`[5.5] ${hidden.length} 帧位于地平线以下：下行雨衰 ${horizonLb.attRain.toFixed(2)} dB / 上行 ${horizonUp.attRain.toFixed(2)} dB`);
+
+// ============================================================
+// 6. 多普勒频移 / 多普勒变化率
+// ============================================================
+
+console.log("\n--- 6. 多普勒验证 ---");
+
+// 解析斜距变化率应与斜距的中心差分一致（覆盖 16:56 UTC 的一次 ~44° 过境）
+const passStart = new Date('2023-09-06T16:48:00Z');
+const dts = generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, passStart, new Date(passStart.getTime() + 16 * 60 * 1000), 1, { freq: 2, env: 'open' });
+const c = 299792458;
+const hzPerKms = 2e9 * 1e3 / c;
+let maxRrErr = 0, maxAccErr = 0, maxAcc = 0;
+for (let i = 1; i < dts.length - 1; i++) {
+    const rr = (dts[i + 1].slantRange - dts[i - 1].slantRange) / 2;
+    const acc = (dts[i + 1].rangeRate - dts[i - 1].rangeRate) / 2;
+    maxRrErr = Math.max(maxRrErr, Math.abs(rr - dts[i].rangeRate));
+    maxAccErr = Math.max(maxAccErr, Math.abs(acc + dts[i].dopplerRate_Hzs / hzPerKms));
+    maxAcc = Math.max(maxAcc, Math.abs(acc));
+}
+console.log(`[6.1] 斜距变化率误差 ≤ ${(maxRrErr * 1e3).toFixed(2)} m/s, 斜距加速度误差 ≤ ${(maxAccErr * 1e3).toFixed(3)} m/s² (峰值 ${(maxAcc * 1e3).toFixed(1)} m/s²)`);
+assert(maxRrErr < 1e-3, "斜距变化率须与差分一致 (<1 m/s)");
+assert(maxAccErr < 0.01 * maxAcc, "多普勒变化率须与斜距变化率差分一致 (<1%)");
+
+// f_D = −Ṙ·f/c
+const df = dts[600];
+assert(Math.abs(df.doppler_Hz + df.rangeRate * hzPerKms) < 1e-6, "多普勒频移 = −Ṙ·f/c");
+const peak = dts.reduce((a, f) => Math.abs(f.doppler_Hz) > Math.abs(a.doppler_Hz) ? f : a);
+console.log(`[6.2] 2 GHz 最大多普勒 ${(peak.doppler_Hz / 1e3).toFixed(1)} kHz, 最大变化率 ${Math.max(...dts.map(f => Math.abs(f.dopplerRate_Hzs))).toFixed(1)} Hz/s`);
+assert(Math.abs(peak.doppler_Hz) > 30e3 && Math.abs(peak.doppler_Hz) < 52e3, "LEO 2 GHz 多普勒量级 ±30~52 kHz");
+assert(dts.some(f => f.elevation > 40), "窗口应覆盖过境");
+assert(dts.every(f => f.dopplerRate_Hzs < 0 || f.elevation < 0), "可见弧段内多普勒单调下降");
+
+// 回放时间线同样输出多普勒
+const replay = generatePassReplay(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, passStart, new Date(passStart.getTime() + 60 * 1000), 10, { freq: 2 });
+assert.strictEqual(replay[0].doppler_Hz, dts[0].doppler_Hz, "回放与时间序列多普勒一致");
+
+// ============================================================
+// 7. 信道传递函数 H(f,t)
+// ============================================================
+
+console.log("\n--- 7. 传递函数 H(f,t) ---");
+
+// 单抽头：幅度平坦，色散只体现在相位 ψ ≈ 2π·K·Δf²/f₀³
+const flat = computeTransferFunction({ taps: [{ excessDelay_ns: 0, amplitude_linear: 1e-9, phase_rad: 0 }] }, { freq: 1.5, bandwidth: 40, tec: 50, elevation: 90, numBins: 33 });
+const K = 40.3 * 50e16 / 299792458 / 1e18 * 1e9; // τ_g·f² (ns·GHz²)
+const psiEdge = 2 * Math.PI * K * 0.02 ** 2 / 1.5 ** 3;
+console.log(`[7.1] 单抽头: 带内起伏 ${(Math.max(...flat.relative_dB) - Math.min(...flat.relative_dB)).toFixed(4)} dB, 边缘色散相位 ${flat.dispersionPhase_rad[32].toFixed(3)} rad (近似 ${psiEdge.toFixed(3)})`);
+assert(flat.relative_dB.every(v => Math.abs(v) < 1e-9), "单抽头幅频响应应平坦");
+assert(Math.abs(flat.gain_dB[16] + 180) < 1e-9, "绝对增益 = 20log10|a|");
+assert.strictEqual(flat.dispersionPhase_rad[16], 0, "中心频点无色散相位");
+assert(Math.abs(flat.dispersionPhase_rad[32] / psiEdge - 1) < 0.05, "色散相位符合二次近似");
+
+// 两抽头等幅反相：陷波间隔 = 1/τ
+const notch = computeTransferFunction({ taps: [{ excessDelay_ns: 0, amplitude_linear: 1, phase_rad: 0 }, { excessDelay_ns: 50, amplitude_linear: 0.9, phase_rad: 0 }] }, { freq: 12, bandwidth: 100, tec: 0, elevation: 45, numBins: 101 });
+const minima = notch.relative_dB.map((v, i, a) => (i > 0 && i < a.length - 1 && v < a[i - 1] && v < a[i + 1]) ? notch.freqOffsets_MHz[i] : null).filter(v => v !== null);
+console.log(`[7.2] τ=50 ns 陷波位置: ${minima.map(v => v.toFixed(0)).join(', ')} MHz`);
+assert.deepStrictEqual(minima.map(v => Math.round(v)), [-30, -10, 10, 30], "陷波位于 (n+½)/τ");
+
+// 时频响应逐帧输出
+const hft = computeTimeFrequencyResponse(ts, { freq: 12, bandwidth: 400, tec: 50, numBins: 16 });
+assert.strictEqual(hft.frames.length, ts.length, "每帧一条 H(f)");
+assert(hft.frames.every(fr => fr.gain_dB.length === 16 && fr.gain_dB.every(isFinite)), "H(f,t) 数值有限");
+assert.strictEqual(hft.freqOffsets_MHz[0], -200);
+
+// ============================================================
+// 8. 端到端链路性能 computeLinkPerformance
+// ============================================================
+
+console.log("\n--- 8. 端到端链路性能 ---");
+
+// Ku 频段 GEO 接收站：EIRP 50 dBW, G 40 dBi, T_rx 100 K, B 36 MHz
+const perfParams = { freq: 12, elevation: 30, env: 'rural', rainRate: 0, eirp: 50, gRx: 40, tRx: 100, bandwidth: 36, slantRange: 37000, tec: 50, stationLat: 22.54, stationLon: 114.05, stationAlt: 0 };
+const perf = computeLinkPerformance(perfParams);
+console.log(`[8.1] FSPL ${perf.losses.fspl.toFixed(2)} dB, C ${perf.rxPowerDbm.toFixed(2)} dBm, T_sys ${perf.tSys_K.toFixed(1)} K, G/T ${perf.gOverT_dBK.toFixed(2)} dB/K`);
+console.log(`      C/N0 ${perf.cn0_dBHz.toFixed(2)} dBHz, Es/N0 ${perf.esN0_dB.toFixed(2)} dB, Eb/N0 ${perf.ebN0_dB.toFixed(2)} dB, SNR ${perf.snrDb.toFixed(2)} dB, margin ${perf.margin_dB.toFixed(2)} dB`);
+const pin = (actual, expected, name) => assert(Math.abs(actual - expected) < 1e-6, `${name}: 期望 ${expected}, 实际 ${actual}`);
+pin(perf.losses.fspl, 20 * Math.log10(37000) + 20 * Math.log10(12) + 92.45, "绝对 FSPL");
+pin(perf.losses.fspl, 205.397659, "FSPL");
+pin(perf.losses.total, 217.857717, "总损耗");
+pin(perf.rxPowerDbm, -97.857717, "接收功率");
+pin(perf.tSys_K, 119.515042, "T_sys");
+pin(perf.gOverT_dBK, 19.225774, "G/T");
+pin(perf.cn0_dBHz, 79.967224, "C/N0");
+pin(perf.noiseFloorDbm, -102.261916, "噪底");
+pin(perf.snrDb, 4.404199, "SNR");
+pin(perf.esN0_dB, 5.196012, "Es/N0 (R_s = 36 / 1.2 = 30 Mbaud)");
+pin(perf.ebN0_dB, 2.185712, "Eb/N0 (η = 2)");
+pin(perf.margin_dB, -0.595801, "余量 (要求 5 dB)");
+
+// 恒等式：C/N0 = C − k − T_sys；SNR = C/N0 − B = C − N
+pin(perf.cn0_dBHz, perf.rxPowerDbm - 30 + 228.599167 - 10 * Math.log10(perf.tSys_K), "C/N0 = C − k − T");
+pin(perf.snrDb, perf.rxPowerDbm - perf.noiseFloorDbm, "SNR = C − N");
+pin(perf.esN0_dB - perf.snrDb, 10 * Math.log10(36 / 30), "Es/N0 − SNR = 10log(B/R_s)");
+assert.strictEqual(perf.bitRate_Mbps, 60);
+
+// 逐项分解：EIRP + Σ(−L) + G = C
+const bd = Object.fromEntries(perf.breakdown.map(b => [b.term, b.value]));
+const lossTerms = perf.breakdown.slice(1, perf.breakdown.findIndex(b => b.term === 'Rx antenna gain'));
+pin(bd['EIRP'] + lossTerms.reduce((acc, b) => acc + b.value, 0) + bd['Rx antenna gain'], bd['Received power'], "分解项之和 = 接收功率");
+pin(bd['Received power'] + bd['Boltzmann constant'] + bd['System noise temperature'], bd['C/N0'], "分解 C/N0");
+pin(bd['C/N0'] + bd['Noise bandwidth'] + bd['Required SNR'], bd['Margin'], "分解余量");
+console.log(`[8.2] 分解 ${perf.breakdown.length} 项，各段求和与结果一致`);
+
+// 覆盖参数：符号率 / 频谱效率 / 要求 SNR
+const perfMod = computeLinkPerformance({ ...perfParams, symbolRate_Mbaud: 27.5, spectralEfficiency: 3, requiredSnr_dB: 2 });
+pin(perfMod.esN0_dB, perf.cn0_dBHz - 10 * Math.log10(27.5e6), "指定符号率");
+pin(perfMod.ebN0_dB, perfMod.esN0_dB - 10 * Math.log10(3), "指定频谱效率");
+pin(perfMod.margin_dB, perf.snrDb - 2, "指定要求 SNR");
+pin(computeLinkPerformance({ ...perfParams, eirp: 0 }).rxPowerDbm, perf.rxPowerDbm - 50, "EIRP = 0 dBW 不被缺省值替换");
+
+// 闪烁 / 快衰落计入总损耗（校准预测曾遗漏闪烁）
+const fadingParams = { ...perfParams, fadingModel: 'rician', fadingSeed: 3, simTime: 7.3 };
+const lbFading = calculateLinkBudget(fadingParams);
+const perfFading = computeLinkPerformance(fadingParams, lbFading);
+assert(lbFading.scintLoss !== 0 && lbFading.fastFadeLoss !== 0);
+pin(perfFading.losses.scintillation + perfFading.losses.fastFading, lbFading.scintLoss + lbFading.fastFadeLoss, "闪烁 + 快衰落");
+pin(perf.rxPowerDbm - perfFading.rxPowerDbm, lbFading.scintLoss + lbFading.fastFadeLoss + (lbFading.totalAtmosphericLoss - perf.losses.atmospheric), "衰落直接降低接收功率");
+
+// 各调用方一致：参数扫描 (= 主界面) 与时间序列逐帧 SNR
+pin(evaluateLinkBudgetMetrics(perfParams).snrDb, perf.snrDb, "扫描指标 SNR");
+const perfLink = { freq: 2.2, eirp: 30, env: 'suburban', disableFastFading: true };
+const perfTs = generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, new Date('2023-09-06T16:52:00Z'), new Date('2023-09-06T16:58:00Z'), 60, perfLink);
+for (const f of perfTs.filter(fr => fr.snrDb > -30)) {
+  const p = computeLinkPerformance({ stationLat: 22.54, stationLon: 114.05, stationAlt: 0, ...perfLink, elevation: Math.max(0.1, f.elevation), slantRange: f.slantRange, simTime: 0 });
+  pin(f.snrDb, p.snrDb, "时间序列帧 SNR");
+  pin(f.cn0_dBHz, p.cn0_dBHz, "时间序列帧 C/N0");
+  pin(f.absoluteFspl, p.losses.fspl, "时间序列帧 FSPL");
+}
+console.log(`[8.3] 扫描 / 时间序列 (${perfTs.length} 帧) 与 computeLinkPerformance 一致`);
+
+// SNR 下限只在 computeLinkPerformance 截断一次：各调用方得到同一个下限，C/N0 不截断
+const deep = { ...perfParams, eirp: -60 };
+const perfDeep = computeLinkPerformance(deep);
+assert(perfDeep.cn0_dBHz - 10 * Math.log10(deep.bandwidth * 1e6) < SNR_FLOOR_dB - 10, "深衰落：未截断 SNR 远低于下限");
+assert.strictEqual(perfDeep.snrDb, SNR_FLOOR_dB);
+assert.strictEqual(perfDeep.margin_dB, SNR_FLOOR_dB - perfDeep.requiredSnr_dB);
+assert.strictEqual(evaluateLinkBudgetMetrics(deep).snrDb, SNR_FLOOR_dB, "扫描 / 主界面同一下限");
+const deepTs = generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, new Date('2023-09-06T16:52:00Z'), new Date('2023-09-06T16:58:00Z'), 60, { ...perfLink, eirp: -60 });
+assert(deepTs.every(f => f.snrDb === SNR_FLOOR_dB && f.downlinkSnrDb === SNR_FLOOR_dB), "时间序列同一下限");
+console.log(`[8.4] SNR 下限 ${SNR_FLOOR_dB} dB（C/N0 ${perfDeep.cn0_dBHz.toFixed(1)} dBHz 不截断）✓`);
+
+// ============================================================
+// 9. 上行链路与转发器（透明 / 再生）
+// ============================================================
+
+console.log("\n--- 9. 上行 + 转发器 ---");
+
+// Ku 上行 14 GHz：信关站 EIRP 65 dBW, 卫星 G/T 5 dB/K, 小雨
+const upParams = { ...perfParams, rainRate: 2, uplinkFreq: 14, uplinkEirp: 65, satGOverT_dBK: 5 };
+const up = computeUplinkPerformance(upParams);
+const lbUp = calculateLinkBudget(uplinkLegParams(upParams));
+const lbDown = calculateLinkBudget(upParams);
+console.log(`[9.1] 上行: FSPL ${up.losses.fspl.toFixed(2)} dB, 雨衰 ${lbUp.attRain.toFixed(2)} dB (下行 ${lbDown.attRain.toFixed(2)} dB), C/N0 ${up.cn0_dBHz.toFixed(2)} dBHz, SNR ${up.snrDb.toFixed(2)} dB`);
+pin(up.losses.fspl, 20 * Math.log10(37000) + 20 * Math.log10(14) + 92.45, "上行 FSPL 按上行频率");
+assert(lbUp.attRain > lbDown.attRain, "上行频率更高 → 雨衰更大");
+pin(up.cn0_dBHz, 65 - up.losses.total + 5 + 228.599167, "C/N0_up = EIRP − L + G/T − k");
+pin(up.snrDb, up.cn0_dBHz - 10 * Math.log10(36e6), "上行 SNR 与下行同一载波带宽");
+pin(up.losses.atmospheric, lbUp.totalAtmosphericLoss, "上行大气衰减");
+const upBd = Object.fromEntries(up.breakdown.map(b => [b.term, b.value]));
+pin(up.breakdown.slice(0, up.breakdown.findIndex(b => b.term === 'C/N0')).reduce((acc, b) => acc + b.value, 0), upBd['C/N0'], "上行分解求和 = C/N0");
+
+// 仅下行：与 computeLinkPerformance 一致
+const dnOnly = computeEndToEndPerformance(perfParams);
+assert.strictEqual(dnOnly.uplink, null);
+assert.strictEqual(dnOnly.payload, null);
+pin(dnOnly.snrDb, perf.snrDb, "无上行时端到端 = 下行");
+
+// 透明转发：(C/N)_t⁻¹ = Σ (C/N)_i⁻¹
+const bp = computeEndToEndPerformance(upParams);
+const inv = (db) => Math.pow(10, -db / 10);
+pin(bp.snrDb, -10 * Math.log10(inv(bp.uplink.snrDb) + inv(bp.downlink.snrDb)), "弯管 C/N 合成");
+assert(bp.snrDb < Math.min(bp.uplink.snrDb, bp.downlink.snrDb), "端到端劣于任一跳");
+pin(bp.downlink.snrDb, computeLinkPerformance(upParams).snrDb, "OBO = 0 时下行不变");
+console.log(`[9.2] 弯管: 上行 ${bp.uplink.snrDb.toFixed(2)} dB ⊕ 下行 ${bp.downlink.snrDb.toFixed(2)} dB → ${bp.snrDb.toFixed(2)} dB (受限于 ${bp.limitingLeg})`);
+
+// 两跳相等 → 合成损失 3.01 dB
+const equalUp = computeEndToEndPerformance({ ...upParams, uplinkEirp: 65 + bp.downlink.snrDb - bp.uplink.snrDb });
+pin(equalUp.uplink.snrDb, equalUp.downlink.snrDb, "两跳等 SNR");
+pin(equalUp.snrDb, equalUp.downlink.snrDb - 10 * Math.log10(2), "等 SNR 合成 −3.01 dB");
+
+// 回退与互调
+const backed = computeEndToEndPerformance({ ...upParams, outputBackoff_dB: 3, cim_dB: 15 });
+pin(backed.downlink.snrDb, bp.downlink.snrDb - 3, "OBO 3 dB → 下行 SNR −3 dB");
+pin(backed.downlink.eirp_dBW, 47, "下行 EIRP = 饱和 EIRP − OBO");
+pin(backed.snrDb, -10 * Math.log10(inv(backed.uplink.snrDb) + inv(backed.downlink.snrDb) + inv(15)), "C/IM 计入合成");
+const imLimited = computeEndToEndPerformance({ ...upParams, uplinkEirp: 80, cim_dB: -5 });
+assert.strictEqual(imLimited.limitingLeg, 'intermod', "C/IM 最差时互调受限");
+assert(imLimited.snrDb < -5, "端到端不优于 C/IM");
+console.log(`[9.3] OBO 3 dB + C/IM 15 dB → ${backed.snrDb.toFixed(2)} dB`);
+
+// 再生转发：两跳独立，端到端取较差一跳
+const regen = computeEndToEndPerformance({ ...upParams, payload: 'regenerative' });
+pin(regen.snrDb, Math.min(regen.uplink.snrDb, regen.downlink.snrDb), "再生: 取较差一跳");
+assert(regen.snrDb > bp.snrDb, "再生转发不累积上行噪声");
+assert.strictEqual(regen.limitingLeg, regen.uplink.snrDb < regen.downlink.snrDb ? 'uplink' : 'downlink');
+const regenIm = computeEndToEndPerformance({ ...upParams, payload: 'regenerative', cim_dB: 10 });
+pin(regenIm.snrDb, Math.min(regenIm.uplink.snrDb, -10 * Math.log10(inv(regenIm.downlink.snrDb) + inv(10))), "再生: C/IM 只影响下行");
+assert.throws(() => computeEndToEndPerformance({ ...upParams, payload: 'hybrid' }), /Unknown payload "hybrid"/);
+console.log(`[9.4] 再生: ${regen.snrDb.toFixed(2)} dB vs 弯管 ${bp.snrDb.toFixed(2)} dB`);
+
+// 时间序列逐帧输出分段与端到端 SNR
+const upLink = { ...perfLink, uplinkFreq: 2.0, uplinkEirp: 30, satGOverT_dBK: -5 };
+const upTs = generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, new Date('2023-09-06T16:52:00Z'), new Date('2023-09-06T16:58:00Z'), 60, upLink);
+assert.strictEqual(upTs.length, perfTs.length);
+for (const [i, f] of upTs.entries()) {
+  pin(f.downlinkSnrDb, perfTs[i].downlinkSnrDb, "下行分段与仅下行一致");
+  assert(typeof f.uplinkSnrDb === 'number' && f.limitingLeg !== undefined);
+  if (f.snrDb > -30) pin(f.snrDb, -10 * Math.log10(inv(f.uplinkSnrDb) + inv(f.downlinkSnrDb)), "帧端到端 SNR");
+  assert(f.uplinkAttRain >= 0);
+}
+assert(perfTs.every(f => f.uplinkSnrDb === null && f.uplinkAttRain === null && f.snrDb === Math.max(-30, f.downlinkSnrDb)), "仅下行时 uplinkSnrDb 为 null");
+const mid = upTs[Math.floor(upTs.length / 2)];
+console.log(`[9.5] 时间序列 (S 上行 2.0 GHz): 中间帧 上行 ${mid.uplinkSnrDb.toFixed(2)} / 下行 ${mid.downlinkSnrDb.toFixed(2)} / 端到端 ${mid.snrDb.toFixed(2)} dB`);
+
 console.log("\n✅ [所有信道传播仿真测试通过]");
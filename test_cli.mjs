@@ -0,0 +1,259 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generateChannelTimeSeries, predictPasses, calculateLinkBudget } from './src/model.js';
+import { timelineToCSV, timelineToJSON } from './src/channelExport.js';
+import { simulateACM } from './src/acm.js';
+import { estimateErrorRates, BLER_CURVE_SOURCE } from './src/errorRate.js';
+import { parseTLESet, simulateHandover } from './src/constellation.js';
+import { orbitProvenance } from './src/tleCatalog.js';
+import assert from 'assert';
+
+console.log("=== satchan CLI 测试 (passes / simulate / calibrate / run / handover / catalog) ===\n");
+
+const ISS_TLE1 = '1 25544U 98067A   23249.52157811  .00018042  00000-0  32479-3 0  9997';
+const ISS_TLE2 = '2 25544  51.6420 330.1245 0005273  19.5398  65.7335 15.49841804414341';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'satchan-'));
+const tleFile = path.join(dir, 'iss.tle');
+fs.writeFileSync(tleFile, `ISS (ZARYA)\n${ISS_TLE1}\n${ISS_TLE2}\n`);
+const GS = ['--gs', '22.54,114.05,0'];
+
+const satchan = (...args) => spawnSync(process.execPath, ['bin/satchan.js', ...args], { encoding: 'utf8', timeout: 120000 });
+
+try {
+  // ============================================================
+  // 1. 过境预测
+  // ============================================================
+
+  console.log("--- 1. passes ---");
+
+  const start = new Date('2023-09-06T00:00:00Z');
+  const p = satchan('passes', '--tle', tleFile, ...GS, '--start', start.toISOString(), '--min-elev', '10');
+  assert.strictEqual(p.status, 0, p.stderr);
+  const passes = JSON.parse(p.stdout);
+  const expected = JSON.parse(JSON.stringify(predictPasses(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, 24, 10, start)));
+  console.log(`[1.1] ${passes.length} 次过境, 首次 AOS ${passes[0].aos}`);
+  assert.deepStrictEqual(passes, expected, "CLI 与 predictPasses 结果一致");
+
+  // ============================================================
+  // 2. 时间序列：与面板导出格式一致
+  // ============================================================
+
+  console.log("\n--- 2. simulate ---");
+
+  const t0 = new Date('2023-09-06T16:50:00Z'), t1 = new Date('2023-09-06T17:02:00Z');
+  const jsonOut = path.join(dir, 'run.json'), csvOut = path.join(dir, 'run.csv');
+  const window = ['--start', t0.toISOString(), '--end', t1.toISOString(), '--step', '30', '--freq', '2.2', '--eirp', '30', '--env', 'urban'];
+  assert.strictEqual(satchan('simulate', '--tle', tleFile, ...GS, ...window, '--out', jsonOut).status, 0);
+  assert.strictEqual(satchan('simulate', '--tle', tleFile, ...GS, ...window, '--out', csvOut).status, 0);
+
+  const linkParams = { freq: 2.2, eirp: 30, gRx: 42, tRx: 150, bandwidth: 400, tec: 50, env: 'urban', rainRate: 5, polarization: 'RHCP', disableFastFading: true };
+  const timeline = generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, t0, t1, 30, linkParams);
+  const run = JSON.parse(fs.readFileSync(jsonOut, 'utf8'));
+  const reference = JSON.parse(JSON.stringify(timelineToJSON(timeline, { satellite: 'ISS (ZARYA)', orbit: orbitProvenance(ISS_TLE1), groundStation: { lat: 22.54, lon: 114.05, alt: 0 }, linkConfig: linkParams, stepSec: 30 })));
+  console.log(`[2.1] JSON: ${run.metadata.totalFrames} 帧, 卫星 "${run.metadata.satellite}", 峰值 SNR ${Math.max(...run.frames.map(f => f.linkBudget.snrDb)).toFixed(1)} dB`);
+  assert.deepStrictEqual(Object.keys(run.metadata), Object.keys(reference.metadata), "metadata 字段与面板导出一致");
+  assert.deepStrictEqual(run.metadata.linkConfig, linkParams);
+  assert.deepStrictEqual(run.frames, reference.frames, "frames 与 timelineToJSON 一致");
+  assert.strictEqual(fs.readFileSync(csvOut, 'utf8'), timelineToCSV(timeline), "CSV 与 timelineToCSV 一致");
+  console.log(`[2.2] CSV: ${fs.readFileSync(csvOut, 'utf8').split('\n').length - 1} 行数据`);
+
+  // --acm：与面板导出相同的 simulateACM 结果
+  const acmRun = satchan('simulate', '--tle', tleFile, ...GS, ...window, '--acm', 's2x', '--acm-margin', '2', '--format', 'csv');
+  assert.strictEqual(acmRun.status, 0, acmRun.stderr);
+  const acm = simulateACM(timeline, { standard: 's2x', margin_dB: 2, hysteresis_dB: 0.5 });
+  assert.strictEqual(acmRun.stdout, timelineToCSV(timeline, { acm }) + '\n', "--acm CSV 与 timelineToCSV(timeline, { acm }) 一致");
+  console.log(`[2.3] --acm s2x: ${acm.totalSwitches} 次 MODCOD 切换`);
+
+  // --ber：KNOWN_SATELLITES 的 modulation 写法（DVB-S2 → QPSK 3/4）
+  const berRun = satchan('simulate', '--tle', tleFile, ...GS, ...window, '--ber', 'DVB-S2', '--ber-target', '1e-6');
+  assert.strictEqual(berRun.status, 0, berRun.stderr);
+  const berJson = JSON.parse(berRun.stdout);
+  const errorRates = estimateErrorRates(timeline, linkParams, { modulation: 'QPSK', modcod: 'QPSK 3/4', targetBer: 1e-6 });
+  assert.deepStrictEqual(berJson.frames.map(f => f.errorRates.ber), errorRates.frames.map(f => f.ber), "--ber 与 estimateErrorRates 一致");
+  assert.strictEqual(berJson.metadata.errorRates.modcod, 'QPSK 3/4');
+  console.log(`[2.4] --ber DVB-S2: 过境平均 BLER ${berJson.metadata.errorRates.summary.meanBler.toExponential(2)}`);
+  assert.deepStrictEqual(berJson.metadata.errorRates.blerCurve, { illustrative: true, source: BLER_CURVE_SOURCE }, "缺省 BLER 曲线标注为示意");
+
+  // --bler-tables：用户给出的 MODCOD 曲线替代示意曲线
+  const blerFile = path.join(dir, 'bler.json');
+  const blerTables = { 'QPSK 3/4': [[3, 0.5], [4, 1e-3], [5, 1e-6]] };
+  fs.writeFileSync(blerFile, JSON.stringify(blerTables));
+  const tableRun = satchan('simulate', '--tle', tleFile, ...GS, ...window, '--ber', 'DVB-S2', '--bler-tables', blerFile);
+  assert.strictEqual(tableRun.status, 0, tableRun.stderr);
+  const tableJson = JSON.parse(tableRun.stdout);
+  const tableRates = estimateErrorRates(timeline, linkParams, { modulation: 'QPSK', modcod: 'QPSK 3/4', blerTables });
+  assert.deepStrictEqual(tableJson.frames.map(f => f.errorRates.bler), tableRates.frames.map(f => f.bler), "--bler-tables 与 estimateErrorRates 一致");
+  assert.deepStrictEqual(tableJson.metadata.errorRates.blerCurve, { illustrative: false, source: 'user-supplied' });
+  fs.writeFileSync(blerFile, JSON.stringify({ 'QPSK 3/4': [[4, 1e-3], [3, 0.5]] }));
+  const badTable = satchan('simulate', '--tle', tleFile, ...GS, ...window, '--ber', 'DVB-S2', '--bler-tables', blerFile);
+  assert.strictEqual(badTable.status, 2);
+  assert.match(badTable.stderr, /bler\.json: blerTables\["QPSK 3\/4"\] must list/);
+  console.log(`[2.5] --bler-tables: 过境平均 BLER ${tableJson.metadata.errorRates.summary.meanBler.toExponential(2)}`);
+
+  // --pass：第 N 次过境 ± 2 分钟
+  const byPass = satchan('simulate', '--tle', tleFile, ...GS, '--start', start.toISOString(), '--pass', '2', '--step', '60', '--format', 'json');
+  assert.strictEqual(byPass.status, 0, byPass.stderr);
+  const passRun = JSON.parse(byPass.stdout);
+  const pass2 = predictPasses(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, 24, 0, start)[1];
+  assert.strictEqual(passRun.frames[0].time, new Date(pass2.aos.getTime() - 120000).toISOString(), "--pass 窗口起点 = AOS − 2 min");
+
+  // ============================================================
+  // 3. 校准 + 参数文件
+  // ============================================================
+
+  console.log("\n--- 3. calibrate ---");
+
+  const calibFile = path.join(dir, 'meas.json'), paramsFile = path.join(dir, 'link.json');
+  // 实测大气衰减比模型高 0.5 dB → 气体衰减偏移应收敛到 +0.5 dB
+  const refSat = { name: 'test', freq: 12, eirp: 50, polarization: 'RHCP', bandwidth: 36 };
+  const measurements = [10, 20, 30, 45, 60].map(el => ({
+    elevation: el, rainRate: 0,
+    measuredAttenuation_dB: calculateLinkBudget({ ...linkParams, ...refSat, env: 'urban', stationLat: 22.54, stationLon: 114.05, stationAlt: 0, elevation: el, rainRate: 0 }).totalAtmosphericLoss + 0.5
+  }));
+  fs.writeFileSync(calibFile, JSON.stringify({ metadata: { satellite: refSat }, measurements }));
+  fs.writeFileSync(paramsFile, JSON.stringify({ bandwidth: 36, gRx: 35 }));
+  const calib = satchan('simulate', '--tle', tleFile, ...GS, ...window, '--params', paramsFile, '--calib', calibFile);
+  assert.strictEqual(calib.status, 0, calib.stderr);
+  const calibRun = JSON.parse(calib.stdout);
+  console.log(`[3.1] 校准: ${calibRun.metadata.calibration.measurements} 点, RMS 残差 ${calibRun.metadata.calibration.residualRMS.toFixed(3)}`);
+  assert(calibRun.metadata.calibration.calibrated, "校准结果写入 metadata");
+  assert(Math.abs(calibRun.metadata.calibration.params.gasAttenOffset_dB - 0.5) < 0.05, "拟合出 +0.5 dB 偏移");
+  assert.strictEqual(calibRun.metadata.linkConfig.gasAttenOffset_dB, calibRun.metadata.calibration.params.gasAttenOffset_dB, "校准结果应用到链路参数");
+  assert.strictEqual(calibRun.metadata.linkConfig.gRx, 35, "--params 文件生效");
+  assert.strictEqual(calibRun.metadata.linkConfig.freq, 2.2, "命令行参数覆盖参数文件");
+
+  // ============================================================
+  // 4. 参数错误
+  // ============================================================
+
+  console.log("\n--- 4. 参数错误 ---");
+
+  const errors = [
+    [['simulate', '--tle', tleFile, '--start', t0.toISOString(), '--end', t1.toISOString()], /--gs/],
+    [['simulate', '--tle', tleFile, ...GS, '--start', 'yesterday', '--end', t1.toISOString()], /not a valid date/],
+    [['simulate', '--tle', tleFile, ...GS, '--start', t1.toISOString(), '--end', t0.toISOString()], /--end must be after/],
+    [['simulate', '--tle', tleFile, ...GS, ...window, '--freq', 'ku'], /--freq must be a number/],
+    [['simulate', '--tle', tleFile, ...GS, ...window, '--acm', 's3'], /--acm must be one of s2, s2x/],
+    [['simulate', '--tle', tleFile, ...GS, ...window, '--ber', 'CW'], /--ber: no error-rate model for "CW"/],
+    [['handover', '--tle', tleFile, ...GS, ...window, '--policy', 'nearest'], /--policy must be one of highest-elevation, longest-visibility, best-snr/],
+    [['launch'], /Unknown command/],
+    [['simulate', '--tle', path.join(dir, 'missing.tle'), ...GS, ...window], /missing\.tle: ENOENT: no such file or directory/],
+    [['catalog', '--tle', path.join(dir, 'missing.tle')], /missing\.tle: ENOENT: no such file or directory/]
+  ];
+  for (const [args, pattern] of errors) {
+    const r = satchan(...args);
+    assert.strictEqual(r.status, 2, `退出码 2: ${args.join(' ')}`);
+    assert.match(r.stderr, pattern);
+    assert.doesNotMatch(r.stderr, /\n\s+at /, "不输出堆栈");
+  }
+  console.log(`[4.1] ${errors.length} 种错误参数均以退出码 2 拒绝`);
+
+  // ============================================================
+  // 5. 场景文件
+  // ============================================================
+
+  console.log("\n--- 5. run --scenario ---");
+
+  const scenarioFile = path.join(dir, 'scenario.json');
+  const scenario = {
+    schema: 'satchan-scenario', version: 1, name: 'cli',
+    satellite: { name: 'ISS (ZARYA)', tle1: ISS_TLE1, tle2: ISS_TLE2 },
+    groundStation: { lat: 22.54, lon: 114.05, alt: 0 },
+    timeWindow: { start: t0.toISOString(), end: t1.toISOString(), stepSec: 30 },
+    link: { freq: 2.2, eirp: 30, gRx: 42, tRx: 150, bandwidth: 400, tec: 50, polarization: 'RHCP' },
+    environment: { env: 'urban', rainRate: 5 }
+  };
+  fs.writeFileSync(scenarioFile, JSON.stringify(scenario));
+  const sc = satchan('run', '--scenario', scenarioFile);
+  assert.strictEqual(sc.status, 0, sc.stderr);
+  const scRun = JSON.parse(sc.stdout);
+  console.log(`[5.1] 场景 "${scRun.metadata.scenario.name}" v${scRun.metadata.scenario.version}: ${scRun.metadata.totalFrames} 帧`);
+  assert.deepStrictEqual(scRun.frames.map(f => f.time), run.frames.map(f => f.time), "与 simulate 同一时间窗");
+  assert.deepStrictEqual(scRun.frames.map(f => f.geometry), run.frames.map(f => f.geometry));
+  assert.strictEqual(scRun.metadata.linkConfig.pressure_hPa, 1013.25, "场景缺省值写入 linkConfig");
+
+  fs.writeFileSync(scenarioFile, JSON.stringify({ ...scenario, groundStation: { lat: 95, lon: 114.05 }, link: { frq: 2.2 } }));
+  const bad = satchan('run', '--scenario', scenarioFile);
+  assert.strictEqual(bad.status, 2);
+  assert.match(bad.stderr, /\/groundStation\/lat: must be between -90 and 90/);
+  assert.match(bad.stderr, /\/link\/frq: unknown field/);
+  console.log(`[5.2] 非法场景退出码 2: ${bad.stderr.split('\n').slice(1, 3).map(l => l.trim()).join(' | ')}`);
+
+  // ============================================================
+  // 6. 星座切换
+  // ============================================================
+
+  console.log("\n--- 6. handover ---");
+
+  // ISS 与同轨道面相位落后约 3 分钟的复制星
+  const setFile = path.join(dir, 'set.tle');
+  fs.writeFileSync(setFile, `ISS (ZARYA)\n${ISS_TLE1}\n${ISS_TLE2}\nISS-B\n${ISS_TLE1}\n${ISS_TLE2.replace(' 65.7335 ', ' 53.7335 ')}\n`);
+  const ho = satchan('handover', '--tle', setFile, ...GS, ...window, '--min-elev', '5', '--policy', 'highest-elevation', '--hysteresis', '0', '--format', 'csv');
+  assert.strictEqual(ho.status, 0, ho.stderr);
+  const handover = simulateHandover(parseTLESet(fs.readFileSync(setFile, 'utf8')), { lat: 22.54, lon: 114.05, alt: 0 }, t0, t1, 30,
+    { policy: 'highest-elevation', minElevation_deg: 5, hysteresis: 0, linkParams });
+  assert(handover.summary.handoverCount > 0, "两星交替过顶产生切换");
+  assert.strictEqual(ho.stdout, timelineToCSV(handover.timeline, { handover }) + '\n', "handover CSV 与 timelineToCSV(timeline, { handover }) 一致");
+  assert.match(ho.stderr, new RegExp(`2 satellites, ${handover.summary.handoverCount} handover`));
+  console.log(`[6.1] ${ho.stderr.trim().split('\n').pop()}`);
+
+  // ============================================================
+  // 7. TLE 目录
+  // ============================================================
+
+  console.log("\n--- 7. catalog / --sat ---");
+
+  const cat = satchan('catalog', '--tle', setFile, '--search', 'iss-b');
+  assert.strictEqual(cat.status, 0, cat.stderr);
+  const catalog = JSON.parse(cat.stdout);
+  assert.strictEqual(catalog.total, 2);
+  assert.strictEqual(catalog.checksumFailures, 2, "测试用 ISS 根数的校验位与内容不符");
+  assert.deepStrictEqual(catalog.entries.map(e => e.name), ['ISS-B']);
+  assert.strictEqual(catalog.entries[0].epochDate, '2023-09-06T12:31:04.348Z');
+
+  const picked = satchan('simulate', '--tle', setFile, '--sat', 'ISS-B', ...GS, ...window, '--format', 'json');
+  assert.strictEqual(picked.status, 0, picked.stderr);
+  assert.strictEqual(JSON.parse(picked.stdout).metadata.satellite, 'ISS-B', "--sat 从目录选取卫星");
+  assert.match(picked.stderr, /warning: .*checksum mismatch in 1 TLE\(s\): ISS-B/);
+  const missing = satchan('passes', '--tle', setFile, '--sat', '99999', ...GS);
+  assert.strictEqual(missing.status, 2);
+  assert.match(missing.stderr, /--sat: no satellite matching "99999"/);
+  console.log(`[7.1] 目录 ${catalog.total} 颗, 检索 / --sat 选取 / 校验和警告 ✓`);
+
+  // ============================================================
+  // 8. CCSDS OMM 轨道输入
+  // ============================================================
+
+  console.log("\n--- 8. OMM (--tle omm.kvn) ---");
+
+  const ommFile = path.join(dir, 'iss.kvn');
+  fs.writeFileSync(ommFile, [
+    'CCSDS_OMM_VERS = 2.0', 'CREATION_DATE = 2023-09-06T18:16:09', 'ORIGINATOR = 18 SPCS',
+    'OBJECT_NAME = ISS (ZARYA)', 'OBJECT_ID = 1998-067A', 'MEAN_ELEMENT_THEORY = SGP4',
+    'EPOCH = 2023-09-06T12:31:04.348704', 'MEAN_MOTION = 15.49841804 [rev/day]', 'ECCENTRICITY = .0005273',
+    'INCLINATION = 51.6420', 'RA_OF_ASC_NODE = 330.1245', 'ARG_OF_PERICENTER = 19.5398', 'MEAN_ANOMALY = 65.7335',
+    'NORAD_CAT_ID = 25544', 'BSTAR = .32479E-3', 'MEAN_MOTION_DOT = .00018042', 'MEAN_MOTION_DDOT = 0'
+  ].join('\n'));
+  const omm = satchan('simulate', '--tle', ommFile, ...GS, ...window, '--format', 'json');
+  assert.strictEqual(omm.status, 0, omm.stderr);
+  assert.doesNotMatch(omm.stderr, /checksum/, "OMM 无校验位，不告警");
+  const ommRun = JSON.parse(omm.stdout);
+  assert.strictEqual(ommRun.metadata.satellite, 'ISS (ZARYA)');
+  assert.strictEqual(ommRun.metadata.orbit.format, 'omm-kvn');
+  assert.strictEqual(ommRun.metadata.orbit.originator, '18 SPCS');
+  assert.strictEqual(ommRun.metadata.orbit.creationDate, '2023-09-06T18:16:09');
+  assert.strictEqual(ommRun.frames.length, run.frames.length);
+  assert(ommRun.frames.every((f, i) => Math.abs(f.geometry.elevation - run.frames[i].geometry.elevation) < 0.01), "几何与等价 TLE 一致");
+  const badOmm = path.join(dir, 'bad.kvn');
+  fs.writeFileSync(badOmm, fs.readFileSync(ommFile, 'utf8').replace('ECCENTRICITY = .0005273', 'ECCENTRICITY = 1.2'));
+  const rejected = satchan('passes', '--tle', badOmm, ...GS);
+  assert.strictEqual(rejected.status, 2);
+  assert.match(rejected.stderr, /bad\.kvn: \/0\/ECCENTRICITY: must be in \[0, 1\)/);
+  console.log(`[8.1] OMM KVN: ${ommRun.frames.length} 帧与 TLE 一致, metadata.orbit 来自 ${ommRun.metadata.orbit.originator} ✓`);
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log("\n✅ [satchan CLI 测试通过]");
@@ -0,0 +1,220 @@
+import { parseTLESet, computeConstellationVisibility, selectServingSatellites, simulateHandover, HANDOVER_POLICIES } from './src/constellation.js';
+import { generateChannelTimeSeries, deriveSeed, createLmsMarkovChain, LMS_STATES } from './src/model.js';
+import { timelineToCSV, timelineToJSON } from './src/channelExport.js';
+import { runSimJob, unpackTimeline } from './src/simJobs.js';
+import assert from 'assert';
+
+console.log("=== 星座可见性与切换仿真测试 ===\n");
+
+const ISS_TLE1 = '1 25544U 98067A   23249.52157811  .00018042  00000-0  32479-3 0  9997';
+const ISS_TLE2 = '2 25544  51.6420 330.1245 0005273  19.5398  65.7335 15.49841804414341';
+const GS = { lat: 22.54, lon: 114.05, alt: 0 };
+const t0 = new Date('2023-09-06T16:40:00Z'), t1 = new Date('2023-09-06T17:40:00Z');
+const linkParams = { freq: 12, eirp: 60, gRx: 42, tRx: 150, bandwidth: 400, env: 'suburban', rainRate: 5, disableFastFading: false, fadingModel: 'rician', fadingSeed: 3 };
+
+// 以 ISS 根数为母本的合成星座：planes 个轨道面（RAAN 偏移），每面 n 颗均布平近点角
+const checksum = line => line + [...line].reduce((s, c) => s + (c === '-' ? 1 : Number(c) || 0), 0) % 10;
+function syntheticConstellation(n, raanOffsets) {
+  const lines = [];
+  let id = 90001;
+  for (const dRaan of raanOffsets) {
+    for (let k = 0; k < n; k++, id++) {
+      const raan = ((330.1245 + dRaan + 360) % 360).toFixed(4).padStart(8);
+      const ma = ((65.7335 + 360 * k / n) % 360).toFixed(4).padStart(8);
+      lines.push(`SAT-${id}`,
+        checksum(`1 ${id}${ISS_TLE1.slice(7, 68)}`),
+        checksum(`2 ${id}${ISS_TLE2.slice(7, 17)}${raan}${ISS_TLE2.slice(25, 43)}${ma}${ISS_TLE2.slice(51, 68)}`));
+    }
+  }
+  return lines.join('\n');
+}
+
+// ============================================================
+// 1. 多星 TLE 解析
+// ============================================================
+
+console.log("--- 1. parseTLESet ---");
+
+const text = syntheticConstellation(16, [0, -10, -20]);
+const sats = parseTLESet(text);
+assert.strictEqual(sats.length, 48);
+assert.strictEqual(sats[0].name, 'SAT-90001');
+assert.strictEqual(sats[0].line1.length, 69, "合成 TLE 行长 69");
+assert.strictEqual(checksum(sats[0].line1.slice(0, 68)), sats[0].line1, "校验和");
+
+const mixed = parseTLESet(`0 ISS (ZARYA)\r\n${ISS_TLE1}\r\n${ISS_TLE2}\n\n${ISS_TLE1.replace('25544', '25545')}\n${ISS_TLE2.replace('25544', '25545')}\ngarbage\n1 incomplete`);
+assert.deepStrictEqual(mixed.map(s => s.name), ['ISS (ZARYA)', 'NORAD 25545'], "3LE 去掉 0 前缀 / 2LE 以 NORAD 编号命名");
+assert.strictEqual(mixed[0].line2, ISS_TLE2);
+assert.deepStrictEqual(parseTLESet(''), []);
+console.log(`[1.1] 合成星座 ${sats.length} 颗 (3 面 × 16), 3LE / 2LE 混合与残缺行 ✓`);
+
+// ============================================================
+// 2. 逐步可见性
+// ============================================================
+
+console.log("\n--- 2. computeConstellationVisibility ---");
+
+const vis = computeConstellationVisibility(sats, GS, t0, t1, 30, { minElevation_deg: 10, linkParams });
+assert.strictEqual(vis.length, 121);
+assert(vis.every(s => s.visible.every(v => v.elevation >= 10)), "掩模角");
+assert(vis.every(s => s.visible.every((v, i) => i === 0 || v.elevation <= s.visible[i - 1].elevation)), "按仰角降序");
+const maxVisible = Math.max(...vis.map(s => s.visible.length));
+assert(maxVisible >= 2, "存在多星同时可见");
+
+// 剩余可见时长：下一步仍可见则多 stepSec，否则为 0
+vis.forEach((s, k) => s.visible.forEach(v => {
+  const next = k + 1 < vis.length ? vis[k + 1].visible.find(w => w.satIndex === v.satIndex) : null;
+  assert.strictEqual(v.remainingSec, next ? next.remainingSec + 30 : 0);
+}));
+
+// 单星几何与 generateChannelTimeSeries 一致
+const single = generateChannelTimeSeries(sats[0].line1, sats[0].line2, GS.lat, GS.lon, GS.alt, t0, t1, 30, linkParams);
+vis.forEach((s, k) => {
+  const v = s.visible.find(w => w.satIndex === 0);
+  if (v) assert(Math.abs(v.elevation - single[k].elevation) < 1e-9 && Math.abs(v.slantRange - single[k].slantRange) < 1e-9);
+  else assert(single[k].elevation < 10);
+});
+const low = computeConstellationVisibility(sats, GS, t0, t1, 30, { minElevation_deg: 0, linkParams });
+assert(low.every((s, k) => s.visible.length >= vis[k].visible.length), "降低掩模角可见数不减");
+assert.throws(() => computeConstellationVisibility(sats, GS, t0, t1, 0), /stepSec must be positive/);
+console.log(`[2.1] 121 步, 最多同时可见 ${maxVisible} 颗, 平均 ${(vis.reduce((n, s) => n + s.visible.length, 0) / vis.length).toFixed(2)} 颗 (10° 掩模)`);
+
+// ============================================================
+// 3. 切换策略
+// ============================================================
+
+console.log("\n--- 3. selectServingSatellites ---");
+
+// 合成可见性：A 仰角递减，B 仰角递增，C 剩余时间最长但仰角低
+const T = i => new Date(t0.getTime() + i * 10000);
+const entry = (satIndex, elevation, snrDb, remainingSec) => ({ satIndex, name: 'ABC'[satIndex], elevation, azimuth: 0, slantRange: 1000, snrDb, remainingSec });
+const synth = [
+  { time: T(0), visible: [entry(0, 60, 12, 20), entry(1, 20, 8, 300), entry(2, 15, 7, 600)] },
+  { time: T(1), visible: [entry(0, 40, 10, 10), entry(1, 43, 10.5, 290), entry(2, 16, 7, 590)] },
+  { time: T(2), visible: [entry(1, 50, 11.5, 280), entry(0, 30, 9, 0), entry(2, 17, 7, 580)] },
+  { time: T(3), visible: [entry(1, 55, 12, 270), entry(2, 18, 7, 570)] },
+  { time: T(4), visible: [] },
+  { time: T(5), visible: [entry(2, 20, 7, 550)] }
+];
+const names = (sel) => sel.map(s => s.serving ? s.serving.name : '-').join('');
+
+assert.strictEqual(names(selectServingSatellites(synth, { policy: 'highest-elevation' })), 'AABB-C', "仰角迟滞 5°：43 < 40 + 5 保持 A");
+assert.strictEqual(names(selectServingSatellites(synth, { policy: 'highest-elevation', hysteresis: 0 })), 'ABBB-C', "无迟滞：立即切换到最高仰角");
+assert.strictEqual(names(selectServingSatellites(synth, { policy: 'best-snr' })), 'AABB-C', "SNR 迟滞 1 dB：10.5 < 10 + 1 保持 A");
+assert.strictEqual(names(selectServingSatellites(synth, { policy: 'best-snr', hysteresis: 0.2 })), 'ABBB-C');
+assert.strictEqual(names(selectServingSatellites(synth, { policy: 'longest-visibility' })), 'CCCC-C', "剩余时长最长的 C 一直服务到落下");
+assert.strictEqual(selectServingSatellites(synth)[0].visibleCount, 3);
+assert.throws(() => selectServingSatellites(synth, { policy: 'nearest' }), /Unknown handover policy "nearest"/);
+assert.throws(() => selectServingSatellites(synth, { hysteresis: -1 }), /hysteresis must be >= 0/);
+console.log("[3.1] 三种策略 / 迟滞 / 中断后重新捕获 ✓");
+
+// ============================================================
+// 4. 切换仿真与拼接时间序列
+// ============================================================
+
+console.log("\n--- 4. simulateHandover ---");
+
+const results = {};
+for (const policy of HANDOVER_POLICIES) {
+  const progress = [];
+  const r = simulateHandover(sats, GS, t0, t1, 30, { policy, minElevation_deg: 10, linkParams, onProgress: (d, n) => progress.push([d, n]) });
+  results[policy] = r;
+
+  assert.strictEqual(r.steps.length, 121);
+  assert(progress.every(([d, n], i) => n === 242 && (i === 0 || d > progress[i - 1][0])), "进度单调，总量 2 × 步数");
+  assert.deepStrictEqual(progress[progress.length - 1], [242, 242]);
+
+  // 切换事件 = 相邻两步服务卫星不同且均非空
+  const expected = r.steps.filter((s, k) => k > 0 && s.serving !== null && r.steps[k - 1].serving !== null && s.serving !== r.steps[k - 1].serving);
+  assert.deepStrictEqual(r.handovers.map(h => h.time), expected.map(s => s.time));
+  assert(r.handovers.every(h => h.from !== h.to && h.toName === sats[h.to].name));
+
+  // 中断段覆盖所有无服务步
+  const outageSteps = r.steps.filter(s => s.serving === null).length;
+  assert.strictEqual(r.outages.reduce((n, o) => n + o.durationSec, 0), outageSteps * 30);
+  assert(r.outages.every(o => o.end > o.start || o.end.getTime() === t1.getTime()));
+  assert.strictEqual(r.summary.outageFraction, outageSteps / 121);
+  assert.strictEqual(r.segments.reduce((n, s) => n + s.steps, 0) + outageSteps, 121, "服务段 + 中断 = 全部步");
+
+  // 拼接：服务步逐帧出帧，卫星标记与 steps 一致
+  const served = r.steps.filter(s => s.serving !== null);
+  assert.strictEqual(r.timeline.length, served.length);
+  assert(r.timeline.every((f, i) => f.frameIndex === i && f.time.getTime() === served[i].time.getTime() && f.satIndex === served[i].serving));
+  assert(r.timeline.every((f, i) => Math.abs(f.elevation - served[i].elevation) < 1e-9), "帧几何即服务卫星几何");
+  assert.strictEqual(r.timeline.filter(f => f.handover).length, r.handovers.length, "每次切换标记一帧");
+  console.log(`[4.1] ${policy.padEnd(18)}: ${r.summary.handoverCount} 次切换, ${r.summary.outageCount} 段中断 (${(100 * r.summary.outageFraction).toFixed(1)}%), 平均可见 ${r.summary.meanVisible.toFixed(2)} 颗`);
+}
+
+const he = results['highest-elevation'], lv = results['longest-visibility'], snr = results['best-snr'];
+assert(he.summary.handoverCount > 0, "合成星座存在切换");
+assert(lv.summary.handoverCount <= he.summary.handoverCount, "longest-visibility 切换最少");
+assert(snr.summary.handoverCount !== he.summary.handoverCount || snr.handovers.some((h, i) => h.to !== he.handovers[i].to), "策略结果不同");
+assert.strictEqual(he.summary.outageFraction, lv.summary.outageFraction, "中断仅取决于可见性，与策略无关");
+
+// 服务段与单星时间序列逐帧相同（衰落种子按卫星名 + 段序号派生，仿真时间从窗口起点连续计时）
+const segFramesOf = (r, k, seed = deriveSeed(3, `${r.segments[k].name}#${k}`)) => {
+  const sg = r.segments[k];
+  return generateChannelTimeSeries(sats[sg.satIndex].line1, sats[sg.satIndex].line2, GS.lat, GS.lon, GS.alt, sg.start, sg.end, 30,
+    { ...linkParams, fadingSeed: seed }, { timeOffsetSec: (sg.start - t0) / 1000 });
+};
+const stitchedOf = (r, k) => r.timeline.filter(f => f.time >= r.segments[k].start && f.time <= r.segments[k].end);
+const segIdx = he.segments.findIndex(s => s.steps > 1 && s.handover);
+const seg = he.segments[segIdx];
+const stitched = stitchedOf(he, segIdx);
+const segFrames = segFramesOf(he, segIdx);
+assert.deepStrictEqual(stitched.map(f => f.snrDb), segFrames.map(f => f.snrDb), "服务段即该卫星的 generateChannelTimeSeries");
+assert.deepStrictEqual(stitched.map(f => f.fastFadeLoss), segFrames.map(f => f.fastFadeLoss));
+assert(he.timeline.filter(f => f.handover).every(f => f.fastFadeLoss !== 0), "切换后首帧仍有快衰落（仿真时间不归零）");
+
+// 同一颗星再次被选中：新段换用新种子
+const again = Object.values(results).flatMap(r => r.segments.map((sg, k) => ({ r, k, first: r.segments.findIndex(x => x.satIndex === sg.satIndex) })))
+  .find(({ k, first }) => first < k);
+assert(again, "合成星座中存在被再次选中的卫星");
+const { r: rAgain, k: kAgain, first } = again;
+const reused = segFramesOf(rAgain, kAgain, deriveSeed(3, `${rAgain.segments[first].name}#${first}`));
+assert.notDeepStrictEqual(stitchedOf(rAgain, kAgain).map(f => f.fastFadeLoss), reused.map(f => f.fastFadeLoss), "不复用前一段的衰落种子");
+assert.throws(() => simulateHandover([], GS, t0, t1, 30), /no satellites/);
+console.log(`[4.2] 服务段 ${seg.name} (${seg.steps} 步) 与单星仿真逐帧一致；${rAgain.segments[kAgain].name} 第 ${kAgain + 1} 段重新取种 ✓`);
+
+// Markov LMS：终端的状态链跨切换 / 中断延续（按行驶距离推进），不在每段重置
+const lmsParams = { ...linkParams, lmsModel: 'markov', speed_mps: 20 };
+const lmsRun = simulateHandover(sats, GS, t0, t1, 30, { minElevation_deg: 10, linkParams: lmsParams });
+const chain = createLmsMarkovChain({ env: 'suburban', freq: 12, seed: deriveSeed(3, 'lms-chain') });
+const expectedStates = lmsRun.timeline.map((f, i) => LMS_STATES[i === 0 ? chain.state() : chain.advance(20 * (f.time - lmsRun.timeline[i - 1].time) / 1000)]);
+assert.deepStrictEqual(lmsRun.timeline.map(f => f.lmsState), expectedStates, "LMS 状态 = 单条链按全程距离推进");
+assert(lmsRun.outages.length > 0 && lmsRun.summary.handoverCount > 0);
+console.log(`[4.3] LMS 状态链跨 ${lmsRun.summary.handoverCount} 次切换 / ${lmsRun.outages.length} 段中断延续 ✓`);
+
+// ============================================================
+// 5. 导出与后台任务
+// ============================================================
+
+console.log("\n--- 5. 导出 / Worker ---");
+
+const csv = timelineToCSV(he.timeline, { handover: he }).split('\n');
+const header = csv[0].split(',');
+assert(header.indexOf('Serving_Sat') > header.indexOf('CIR_CoherenceBW_MHz'));
+const hoIdx = he.timeline.findIndex(f => f.handover);
+assert.strictEqual(csv[hoIdx + 1].split(',')[header.indexOf('Serving_Sat')], he.timeline[hoIdx].satellite);
+assert.strictEqual(csv[hoIdx + 1].split(',')[header.indexOf('Handover')], '1');
+assert(!timelineToCSV(he.timeline).includes('Serving_Sat'), "未给定 handover 时不输出切换列");
+
+const json = timelineToJSON(he.timeline, { satellite: 'Synthetic', groundStation: GS, linkConfig: linkParams, stepSec: 30, handover: he });
+assert.strictEqual(json.metadata.handover.policy, 'highest-elevation');
+assert.strictEqual(json.metadata.handover.hysteresis, 5);
+assert.strictEqual(json.metadata.handover.handovers.length, he.handovers.length);
+assert.strictEqual(typeof json.metadata.handover.outages[0].start, 'string');
+assert.deepStrictEqual(json.frames[hoIdx].serving, { satellite: he.timeline[hoIdx].satellite, satIndex: he.timeline[hoIdx].satIndex, handover: true });
+
+const messages = [];
+runSimJob({ id: 1, type: 'handover', args: { satellites: sats, ...GS, startTime: t0, endTime: t1, stepSec: 30, policy: 'best-snr', minElevation_deg: 10, hysteresis: null, linkParams } }, (msg, tr) => messages.push({ msg, tr }));
+const done = messages[messages.length - 1];
+assert.strictEqual(done.msg.type, 'result');
+assert(done.tr.length > 0, "拼接时间序列随消息转移 ArrayBuffer");
+assert(messages.length - 1 <= 101, "进度按百分比节流");
+const { timeline: packed, ...rest } = done.msg.result;
+assert.deepStrictEqual(unpackTimeline(packed), snr.timeline, "Worker 结果与主线程一致");
+assert.deepStrictEqual(rest.handovers, snr.handovers);
+console.log(`[5.1] CSV ${header.length} 列 / JSON metadata.handover / Worker handover 任务 (${messages.length - 1} 条进度) ✓`);
+
+console.log("\n✅ [星座切换仿真测试通过]");
@@ -0,0 +1,187 @@
+import { BER_MODULATIONS, berAWGN, requiredEsN0, codedBLER, fadingErrorRates, errorRateConfigFor, estimateErrorRates, BLER_CURVE_SOURCE } from './src/errorRate.js';
+import { generateChannelTimeSeries, fadingDistributionParams, getLmsMarkovParams, FADING_DEFAULTS_SOURCE, LMS_PARAMS_SOURCE } from './src/model.js';
+import { KNOWN_SATELLITES } from './src/knownSatellites.js';
+import { timelineToCSV, timelineToJSON } from './src/channelExport.js';
+import assert from 'assert';
+
+console.log("=== BER / BLER 误码率估计测试 ===\n");
+
+const rel = (a, b) => Math.abs(a - b) / Math.abs(b);
+
+// ============================================================
+// 1. AWGN 未编码 BER
+// ============================================================
+
+console.log("--- 1. AWGN BER ---");
+
+// 经典值：BPSK/QPSK Eb/N0 = 9.59 dB 时 BER = 1e-5；8PSK 约 13.0 dB
+assert(Math.abs(requiredEsN0('BPSK', 1e-5) - 9.59) < 0.02, "BPSK 1e-5 @ 9.59 dB");
+assert(Math.abs(requiredEsN0('QPSK', 1e-5) - (9.59 + 10 * Math.log10(2))) < 0.02, "QPSK Es/N0 = Eb/N0 + 3 dB");
+assert(Math.abs(requiredEsN0('8PSK', 1e-5) - 10 * Math.log10(3) - 13.0) < 0.15, "8PSK Eb/N0 ≈ 13.0 dB");
+assert(rel(berAWGN('BPSK', 0), 0.0786496) < 1e-5, "BPSK Eb/N0 = 0 dB: Q(√2)");
+for (const m of BER_MODULATIONS) {
+  console.log(`[1.1] ${m.padEnd(6)} BER=1e-5 需 Es/N0 ${requiredEsN0(m).toFixed(2)} dB, BER(10 dB) = ${berAWGN(m, 10).toExponential(2)}`);
+  assert(berAWGN(m, 5) > berAWGN(m, 10) && berAWGN(m, -30) <= 0.5, `${m} 单调且不超过 0.5`);
+}
+for (let i = 1; i < BER_MODULATIONS.length; i++) {
+  assert(berAWGN(BER_MODULATIONS[i], 15) > berAWGN(BER_MODULATIONS[i - 1], 15), "同 Es/N0 下高阶调制 BER 更高");
+}
+assert.throws(() => berAWGN('64QAM', 10), /Unsupported modulation "64QAM"/);
+
+// ============================================================
+// 2. 衰落平均
+// ============================================================
+
+console.log("\n--- 2. 衰落信道平均 BER / 中断 ---");
+
+// Rayleigh (K → 0)：BPSK 平均 BER = ½(1 − √(γ̄/(1+γ̄)))，中断 = 1 − exp(−γ_req/γ̄)
+const rayleigh = fadingErrorRates(20, { modulation: 'BPSK', fading: { model: 'rician', K_dB: -100 } });
+const ray = 0.5 * (1 - Math.sqrt(100 / 101));
+const rayOut = 1 - Math.exp(-Math.pow(10, requiredEsN0('BPSK') / 10) / 100);
+console.log(`[2.1] Rayleigh BPSK @ 20 dB: BER ${rayleigh.ber.toExponential(4)} (解析 ${ray.toExponential(4)}), 中断 ${rayleigh.outageProbability.toFixed(4)} (解析 ${rayOut.toFixed(4)})`);
+assert(rel(rayleigh.ber, ray) < 0.01);
+assert(rel(rayleigh.outageProbability, rayOut) < 0.03);
+
+// K 越大越接近 AWGN；无衰落时等于 AWGN
+const awgn = berAWGN('QPSK', 10);
+const bers = [0, 6, 12, 20].map(K_dB => fadingErrorRates(10, { modulation: 'QPSK', fading: { model: 'rician', K_dB } }).ber);
+console.log(`[2.2] QPSK @ 10 dB: K = 0/6/12/20 dB → ${bers.map(b => b.toExponential(2)).join(' / ')}, AWGN ${awgn.toExponential(2)}`);
+for (let i = 1; i < bers.length; i++) assert(bers[i] < bers[i - 1], "K 增大 BER 下降");
+assert(bers[3] > awgn && rel(bers[3], awgn) < 0.5);
+assert.strictEqual(fadingErrorRates(10, { modulation: 'QPSK' }).ber, awgn, "fading = null 即 AWGN");
+
+// Loo：σ → 0、MP → −∞ 退化为固定 μ dB 衰减
+const loo = fadingErrorRates(12, { modulation: 'QPSK', fading: { model: 'loo', mean_dB: -3, std_dB: 0.01, multipath_dB: -40 } });
+assert(rel(loo.ber, berAWGN('QPSK', 9)) < 0.1, "Loo 退化为 μ dB 固定衰减");
+// Markov LMS 状态越差平均 BER 越高
+const states = getLmsMarkovParams('suburban', 2.2).states;
+const stateBer = states.map(s => fadingErrorRates(15, { modulation: 'QPSK', fading: fadingDistributionParams({ env: 'suburban', freq: 2.2 }, s.label) }).ber);
+console.log(`[2.3] LMS suburban S 频段 @ 15 dB: ${states.map((s, i) => `${s.label} ${stateBer[i].toExponential(2)}`).join(' / ')}`);
+assert(stateBer[0] < stateBer[1] && stateBer[1] < stateBer[2]);
+
+// ============================================================
+// 3. 编码 BLER 与缺省配置
+// ============================================================
+
+console.log("\n--- 3. 编码 BLER ---");
+
+assert(rel(codedBLER('QPSK 3/4', 4.03), 1e-7) < 1e-9, "QEF 门限处 BLER = 1e-7");
+assert(rel(codedBLER('QPSK 3/4', 4.03 - 0.3), Math.pow(10, -2.5)) < 1e-9, "瀑布曲线查表");
+assert.strictEqual(codedBLER('QPSK 3/4', 0), 1, "远低于门限 → 1");
+assert(codedBLER('QPSK 3/4', 6) >= 1e-12 && codedBLER('QPSK 3/4', 6) < 1e-7, "门限之上外推并下限截断");
+assert(codedBLER('8PSK 2/3', 6.5) > codedBLER('QPSK 3/4', 6.5), "门限更高的 MODCOD BLER 更高");
+assert.throws(() => codedBLER('QPSK 7/8', 5), /Unknown MODCOD "QPSK 7\/8"/);
+const coded = fadingErrorRates(6, { modulation: 'QPSK', modcod: 'QPSK 3/4', fading: { model: 'rician', K_dB: 6 } });
+assert(coded.bler > codedBLER('QPSK 3/4', 6), "衰落下块衰落平均 BLER 高于 AWGN");
+console.log(`[3.1] QPSK 3/4 @ 6 dB: AWGN BLER ${codedBLER('QPSK 3/4', 6).toExponential(2)}, Rician K=6 dB ${coded.bler.toExponential(2)}, 中断 ${coded.outageProbability.toFixed(3)}`);
+
+// 缺省曲线为示意值；blerTables 给出的 MODCOD 曲线按绝对 Es/N0 插值，其余 MODCOD 仍用缺省曲线
+assert(/Illustrative.*not published DVB-S2 per-MODCOD curves/.test(BLER_CURVE_SOURCE));
+const tables = { 'QPSK 3/4': [[3, 0.5], [4, 1e-3], [5, 1e-6]] };
+assert(rel(codedBLER('QPSK 3/4', 4, tables), 1e-3) < 1e-9, "表点处 BLER = 给定值");
+assert(rel(codedBLER('QPSK 3/4', 4.5, tables), Math.pow(10, -4.5)) < 1e-9, "log10 BLER 线性插值");
+assert(rel(codedBLER('QPSK 3/4', 2, tables), 0.5) < 1e-9, "低于首点取首点值");
+assert(rel(codedBLER('QPSK 3/4', 5.5, tables), Math.pow(10, -7.5)) < 1e-9, "高于末点按末段斜率外推");
+assert.strictEqual(codedBLER('8PSK 2/3', 6.5, tables), codedBLER('8PSK 2/3', 6.5), "未给出的 MODCOD 用缺省曲线");
+const codedTable = fadingErrorRates(6, { modulation: 'QPSK', modcod: 'QPSK 3/4', fading: { model: 'rician', K_dB: 6 }, blerTables: tables });
+assert(codedTable.bler !== coded.bler && codedTable.ber === coded.ber, "衰落平均同样使用给定曲线");
+for (const bad of [[[4, 1e-3]], [[4, 1e-3], [3, 0.5]], [[3, 1e-3], [4, 0.5]], [[3, 0], [4, 0]], 'QPSK']) {
+  assert.throws(() => codedBLER('QPSK 3/4', 4, { 'QPSK 3/4': bad }), /blerTables\["QPSK 3\/4"\] must list/);
+}
+console.log(`[3.2] 给定曲线 QPSK 3/4 @ 6 dB: Rician K=6 dB BLER ${codedTable.bler.toExponential(2)}（缺省示意曲线 ${coded.bler.toExponential(2)}）`);
+
+// KNOWN_SATELLITES 频段 modulation → 缺省配置
+const bandConfigs = Object.values(KNOWN_SATELLITES).flatMap(sat => Object.values(sat.bands).map(b => [b.modulation, errorRateConfigFor(b.modulation)]));
+assert.deepStrictEqual(errorRateConfigFor('QPSK'), { modulation: 'QPSK', modcod: null });
+assert.deepStrictEqual(errorRateConfigFor('BPSK(10)'), { modulation: 'BPSK', modcod: null }, "扩频 BPSK 按 BPSK");
+assert.deepStrictEqual(errorRateConfigFor('DVB-S2'), { modulation: 'QPSK', modcod: 'QPSK 3/4' });
+assert.deepStrictEqual(errorRateConfigFor('16APSK 3/4'), { modulation: '16APSK', modcod: '16APSK 3/4' });
+assert.strictEqual(errorRateConfigFor('CW'), null, "CW 信标无误码率");
+assert.strictEqual(errorRateConfigFor('WCDMA'), null);
+assert.strictEqual(errorRateConfigFor('64APSK 4/5'), null, "无对应 BER 模型的 S2X MODCOD");
+console.log(`[3.3] 已知卫星频段: ${bandConfigs.map(([m, c]) => `${m}→${c ? c.modcod || c.modulation : '—'}`).join(', ')}`);
+
+// ============================================================
+// 4. 时间序列逐帧 BER + 过境统计 + 导出
+// ============================================================
+
+console.log("\n--- 4. ISS 过境逐帧误码率 ---");
+
+const ISS_TLE1 = '1 25544U 98067A   23249.52157811  .00018042  00000-0  32479-3 0  9997';
+const ISS_TLE2 = '2 25544  51.6420 330.1245 0005273  19.5398  65.7335 15.49841804414341';
+const t0 = new Date('2023-09-06T16:50:00Z'), t1 = new Date('2023-09-06T17:02:00Z');
+const base = { freq: 2.2, eirp: 30, gRx: 20, tRx: 150, bandwidth: 36, env: 'suburban', rainRate: 0, disableFastFading: true };
+const runWith = (params) => generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, t0, t1, 10, params);
+
+// 无随机衰落：BER = AWGN BER
+const plain = { ...base, fadingModel: 'none' };
+const tlPlain = runWith(plain);
+const erPlain = estimateErrorRates(tlPlain, plain, { modulation: 'QPSK' });
+assert(erPlain.frames.every(f => f.ber === f.berAwgn && f.meanEsN0_dB === f.esN0_dB), "AWGN 帧 BER = berAwgn");
+assert.strictEqual(erPlain.config.fadingModel, 'none');
+
+// 关闭快衰落：即使选了 rician 也不取衰落平均
+const riceOff = { ...base, fadingModel: 'rician' };
+const erRiceOff = estimateErrorRates(runWith(riceOff), riceOff, { modulation: 'QPSK' });
+assert.strictEqual(fadingDistributionParams(riceOff), null);
+assert(erRiceOff.frames.every(f => f.ber === f.berAwgn && f.meanEsN0_dB === f.esN0_dB), "disableFastFading: BER = berAwgn");
+assert.strictEqual(erRiceOff.config.fadingModel, 'none');
+
+// Rician：加回已采样包络后，同一几何下平均 BER 高于 AWGN
+const rician = { ...base, fadingModel: 'rician', disableFastFading: false, fadingSeed: 3 };
+const tlRician = runWith(rician);
+const erRician = estimateErrorRates(tlRician, rician, { modulation: 'QPSK' });
+console.log(`[4.1] 过境平均 BER: AWGN ${erPlain.summary.meanBer.toExponential(2)}, Rician(K=6 dB) ${erRician.summary.meanBer.toExponential(2)}; 中断 ${erPlain.summary.outageProbability.toFixed(3)} / ${erRician.summary.outageProbability.toFixed(3)}`);
+tlRician.forEach((f, i) => assert(Math.abs(erRician.frames[i].meanEsN0_dB - (f.esN0_dB + f.fastFadeLoss)) < 1e-12, "局部均值 = Es/N0 + 已采样包络"));
+assert(erRician.summary.meanBer > erPlain.summary.meanBer);
+assert(erRician.frames.filter(f => f.visible && f.meanEsN0_dB > 10).every(f => f.ber > berAWGN('QPSK', f.meanEsN0_dB)), "高 SNR 帧衰落平均 BER 高于同均值 AWGN");
+
+// 分布参数标注来源：内置各环境缺省为示意值，链路参数全部给出时为用户参数
+assert.deepStrictEqual(fadingDistributionParams(rician), { model: 'rician', K_dB: 6, illustrative: true, source: FADING_DEFAULTS_SOURCE });
+assert(/Illustrative.*not a published parameter set/.test(FADING_DEFAULTS_SOURCE));
+assert.deepStrictEqual(fadingDistributionParams({ ...rician, ricianK_dB: 9.5 }), { model: 'rician', K_dB: 9.5, illustrative: false, source: 'user-supplied' });
+const looGiven = { ...rician, fadingModel: 'loo', looMean_dB: -2, looStd_dB: 1.5, looMultipath_dB: -16 };
+assert.deepStrictEqual(fadingDistributionParams(looGiven), { model: 'loo', mean_dB: -2, std_dB: 1.5, multipath_dB: -16, illustrative: false, source: 'user-supplied' });
+assert.strictEqual(fadingDistributionParams({ ...looGiven, looStd_dB: undefined }).illustrative, true, "部分缺省仍含示意值");
+assert.strictEqual(fadingDistributionParams({ ...rician, freq: 2.2 }, 'Blocked').source, LMS_PARAMS_SOURCE);
+
+// 过境统计 = 可见帧平均
+assert.strictEqual(erPlain.passes.length, 1);
+const visible = erPlain.frames.filter(f => f.visible);
+assert.strictEqual(erPlain.passes[0].frames, visible.length);
+assert(rel(erPlain.passes[0].meanBer, visible.reduce((a, f) => a + f.ber, 0) / visible.length) < 1e-12);
+assert.strictEqual(erPlain.passes[0].meanBler, null, "未编码时无 BLER");
+
+// Markov LMS：加回已采样的阴影，Blocked 帧中断概率更高
+const lms = { ...base, fadingModel: 'none', lmsModel: 'markov', fadingSeed: 3, disableFastFading: false };
+const tlLms = runWith(lms);
+const erLms = estimateErrorRates(tlLms, lms, { modulation: 'QPSK', modcod: 'QPSK 1/2' });
+tlLms.forEach((f, i) => assert(Math.abs(erLms.frames[i].meanEsN0_dB - (f.esN0_dB + f.fadeLMS)) < 1e-12, "局部均值 = Es/N0 + 已采样阴影"));
+const byState = {};
+tlLms.forEach((f, i) => { if (erLms.frames[i].visible) (byState[f.lmsState] = byState[f.lmsState] || []).push(erLms.frames[i].outageProbability); });
+console.log(`[4.2] LMS 各状态平均中断概率: ${Object.entries(byState).map(([s, v]) => `${s} ${(v.reduce((a, b) => a + b, 0) / v.length).toFixed(3)} (${v.length} 帧)`).join(' / ')}`);
+assert.strictEqual(erLms.config.fadingModel, 'lms-markov');
+assert(erLms.summary.meanBler > 0 && erLms.summary.meanBler <= 1);
+assert.throws(() => estimateErrorRates(tlPlain, plain, { modulation: 'QPSK', targetBer: 0.7 }), /targetBer must be in/);
+
+// Markov LMS + Rician：LMS 样本与包络都加回，快衰落不重复计入
+const lmsRice = { ...lms, fadingModel: 'rician' };
+const tlLmsRice = runWith(lmsRice);
+const erLmsRice = estimateErrorRates(tlLmsRice, lmsRice, { modulation: 'QPSK' });
+assert(tlLmsRice.some(f => Math.abs(f.fastFadeLoss) > 0.1), "包络已采样");
+tlLmsRice.forEach((f, i) => assert(Math.abs(erLmsRice.frames[i].meanEsN0_dB - (f.esN0_dB + f.fadeLMS + f.fastFadeLoss)) < 1e-12, "局部均值 = Es/N0 + LMS 样本 + 包络"));
+
+// 导出
+const csv = timelineToCSV(tlLms, { errorRates: erLms }).split('\n');
+const header = csv[0].split(',');
+assert.deepStrictEqual(header.slice(header.indexOf('BER_AWGN'), header.indexOf('BER_AWGN') + 4), ['BER_AWGN', 'BER_Fading', 'BLER', 'Outage_Prob']);
+const row = csv[1].split(',');
+assert.strictEqual(Number(row[header.indexOf('BER_Fading')]), Number(erLms.frames[0].ber.toExponential(3)));
+const json = timelineToJSON(tlLms, { stepSec: 10, errorRates: erLms });
+assert.strictEqual(json.metadata.errorRates.modcod, 'QPSK 1/2');
+assert.strictEqual(json.metadata.errorRates.summary.meanBler, erLms.summary.meanBler);
+assert.deepStrictEqual(json.metadata.errorRates.blerCurve, { illustrative: true, source: BLER_CURVE_SOURCE }, "导出元数据标注 BLER 曲线来源");
+assert.strictEqual(json.frames[0].errorRates.ber, erLms.frames[0].ber);
+console.log(`[4.3] CSV / JSON 导出 BER / BLER / 中断概率 ✓`);
+
+console.log("\n✅ [误码率估计测试通过]");
@@ -0,0 +1,126 @@
+import { parseInterleavedIQ, serializeInterleavedIQ, applyChannelToIQ } from './src/iqImpairment.js';
+import { generateChannelTimeSeries } from './src/model.js';
+import assert from 'assert';
+
+console.log("=== IQ 信道损伤测试 (CIR 卷积 / Doppler / AWGN / XPD) ===\n");
+
+const fs = 100e3;
+const t0 = new Date('2023-09-06T16:50:00Z');
+const tap = (excessDelay_ns, amplitude_linear, phase_rad = 0, extra = {}) => ({ excessDelay_ns, amplitude_linear, phase_rad, ...extra });
+const frameOf = (i, overrides = {}) => ({
+  time: new Date(t0.getTime() + i * 1000), snrDb: 200, doppler_Hz: 0, dopplerRate_Hzs: 0, xpd: 1000,
+  cir: { taps: [tap(0, 1e-9)] }, ...overrides
+});
+const tone = (n, f = 0) => {
+  const iq = new Float32Array(2 * n);
+  for (let i = 0; i < n; i++) { iq[2 * i] = Math.cos(2 * Math.PI * f * i / fs); iq[2 * i + 1] = Math.sin(2 * Math.PI * f * i / fs); }
+  return iq;
+};
+const power = (iq) => iq.reduce((s, v) => s + v * v, 0) / (iq.length / 2);
+
+// ============================================================
+// 1. 交织 float32 文件格式
+// ============================================================
+
+console.log("--- 1. 文件格式 ---");
+
+const raw = new Float32Array([0.5, -0.25, 1.5, 2.0]);
+const buf = serializeInterleavedIQ(raw);
+assert.strictEqual(buf.byteLength, 16);
+assert.strictEqual(new DataView(buf).getFloat32(4, true), -0.25, "小端存储");
+assert.deepStrictEqual(Array.from(parseInterleavedIQ(buf)), Array.from(raw), "序列化往返一致");
+assert.throws(() => parseInterleavedIQ(new ArrayBuffer(12)), /odd number/);
+console.log("[1.1] 往返 / 字节序 / 奇数长度校验 ✓");
+
+// ============================================================
+// 2. 理想信道与多径卷积
+// ============================================================
+
+console.log("\n--- 2. CIR 卷积 ---");
+
+const input = tone(1000, 1234);
+const ideal = applyChannelToIQ(input, [frameOf(0)], { sampleRate_Hz: fs });
+const maxErr = ideal.iq.reduce((m, v, i) => Math.max(m, Math.abs(v - input[i])), 0);
+console.log(`[2.1] 单抽头理想信道最大误差 ${maxErr.toExponential(2)}`);
+assert(maxErr < 1e-6, "单抽头、无噪声、无多普勒时输出 = 输入");
+
+// 冲激输入：输出在 0 与 30 μs (3 个采样) 处出现归一化抽头
+const impulse = new Float32Array(40);
+impulse[0] = 1;
+const twoTap = applyChannelToIQ(impulse, [frameOf(0, { cir: { taps: [tap(0, 2), tap(30000, 1, Math.PI / 2)] } })], { sampleRate_Hz: fs });
+const norm = Math.sqrt(5);
+assert(Math.abs(twoTap.iq[0] - 2 / norm) < 1e-6, "主径幅度 2/√5");
+assert(Math.abs(twoTap.iq[7] - 1 / norm) < 1e-6 && Math.abs(twoTap.iq[6]) < 1e-6, "时延 3 个采样、相位 90° 的次径");
+console.log(`[2.2] 两径冲激响应: h[0]=${twoTap.iq[0].toFixed(3)}, h[3]=j${twoTap.iq[7].toFixed(3)}`);
+
+// 分数时延：15 μs = 1.5 个采样，能量平分到相邻采样
+const frac = applyChannelToIQ(impulse, [frameOf(0, { cir: { taps: [tap(15000, 1)] } })], { sampleRate_Hz: fs });
+assert(Math.abs(frac.iq[2] - 0.5) < 1e-6 && Math.abs(frac.iq[4] - 0.5) < 1e-6, "分数时延线性插值");
+
+// ============================================================
+// 3. 多普勒
+// ============================================================
+
+console.log("\n--- 3. 多普勒 ---");
+
+const dc = tone(2000);
+const shifted = applyChannelToIQ(dc, [frameOf(0, { doppler_Hz: 1000 })], { sampleRate_Hz: fs });
+const step = Math.atan2(shifted.iq[201], shifted.iq[200]) - Math.atan2(shifted.iq[199], shifted.iq[198]);
+console.log(`[3.1] 每采样相位增量 ${step.toFixed(5)} rad (期望 ${(2 * Math.PI * 1000 / fs).toFixed(5)})`);
+assert(Math.abs(step - 2 * Math.PI * 1000 / fs) < 1e-6, "载波多普勒相位增量 2π·f_D/fs");
+
+// 多普勒变化率：帧内频率线性外推
+const chirp = applyChannelToIQ(tone(fs), [frameOf(0, { doppler_Hz: 0, dopplerRate_Hzs: 500 })], { sampleRate_Hz: fs });
+const instFreq = (i) => (Math.atan2(chirp.iq[2 * i + 3], chirp.iq[2 * i + 2]) - Math.atan2(chirp.iq[2 * i + 1], chirp.iq[2 * i])) * fs / (2 * Math.PI);
+console.log(`[3.2] 0.5 s 处瞬时频率 ${instFreq(fs / 2).toFixed(1)} Hz`);
+assert(Math.abs(instFreq(fs / 2) - 250) < 1, "f_D(t) = Ḟ_D·t");
+
+// 抽头残余多普勒（终端运动分量）相对卫星多普勒单独旋转
+const resid = applyChannelToIQ(dc, [frameOf(0, { doppler_Hz: 1000, cir: { taps: [tap(0, 1, 0, { doppler_Hz: 1200 })] } })], { sampleRate_Hz: fs });
+const stepResid = Math.atan2(resid.iq[201], resid.iq[200]) - Math.atan2(resid.iq[199], resid.iq[198]);
+assert(Math.abs(stepResid - 2 * Math.PI * 1200 / fs) < 1e-6, "总多普勒 = 卫星 + 残余");
+const noDoppler = applyChannelToIQ(dc, [frameOf(0, { doppler_Hz: 1000 })], { sampleRate_Hz: fs, applyDoppler: false, applyNoise: false });
+assert.deepStrictEqual(noDoppler.iq, dc, "可关闭多普勒");
+
+// ============================================================
+// 4. AWGN 与交叉极化泄漏
+// ============================================================
+
+console.log("\n--- 4. AWGN / XPD ---");
+
+const n = 200000;
+const sig = tone(n, 5000);
+const frames = [frameOf(0, { snrDb: 10, xpd: 20 }), frameOf(1, { snrDb: 0, xpd: 20 })];
+const out = applyChannelToIQ(sig, frames, { sampleRate_Hz: fs, seed: 7, applyXpd: false });
+const noiseA = out.iq.subarray(0, n).map((v, i) => v - sig[i]);
+const noiseB = out.iq.subarray(n).map((v, i) => v - sig[n + i]);
+const snrA = 10 * Math.log10(1 / power(noiseA)), snrB = 10 * Math.log10(1 / power(noiseB));
+console.log(`[4.1] 帧 SNR 10 / 0 dB → 实测 ${snrA.toFixed(2)} / ${snrB.toFixed(2)} dB`);
+assert(Math.abs(snrA - 10) < 0.1 && Math.abs(snrB) < 0.1, "噪声功率按帧 SNR");
+assert.deepStrictEqual(out.frames.map(f => [f.frameIndex, f.startSample, f.numSamples]), [[0, 0, fs], [1, fs, fs]], "按帧间隔切分采样");
+assert.deepStrictEqual(applyChannelToIQ(sig, frames, { sampleRate_Hz: fs, seed: 7, applyXpd: false }).iq, out.iq, "相同种子可复现");
+
+const xpdOut = applyChannelToIQ(sig, [frameOf(0, { xpd: 20 })], { sampleRate_Hz: fs });
+const ratio = 10 * Math.log10(power(xpdOut.crossIq) / power(xpdOut.iq));
+console.log(`[4.2] XPD 20 dB → 交叉/共极化功率比 ${ratio.toFixed(2)} dB, 总功率 ${(power(xpdOut.iq) + power(xpdOut.crossIq)).toFixed(4)}`);
+assert(Math.abs(ratio + 20) < 1e-3, "泄漏功率比 = −XPD");
+assert(Math.abs(power(xpdOut.iq) + power(xpdOut.crossIq) - 1) < 1e-4, "泄漏前后总功率守恒");
+assert.throws(() => applyChannelToIQ(sig, frames, { sampleRate_Hz: fs, crossIq: new Float32Array(4) }), /crossIq length/);
+
+// ============================================================
+// 5. 由仿真时间序列驱动
+// ============================================================
+
+console.log("\n--- 5. 仿真时间序列 ---");
+
+const ISS_TLE1 = '1 25544U 98067A   23249.52157811  .00018042  00000-0  32479-3 0  9997';
+const ISS_TLE2 = '2 25544  51.6420 330.1245 0005273  19.5398  65.7335 15.49841804414341';
+const timeline = generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, new Date('2023-09-06T16:55:00Z'), new Date('2023-09-06T16:55:04Z'), 1,
+  { freq: 2, env: 'urban', bandwidth: 0.1, eirp: 50, gRx: 10, cirProfile: 'NTN-TDL-A', ntnDelaySpread_ns: 20000, fadingSeed: 3 });
+const sim = applyChannelToIQ(tone(5 * 20000, 1000), timeline, { sampleRate_Hz: 20000, seed: 3 });
+console.log(`[5.1] ${timeline.length} 帧, SNR ${timeline.map(f => f.snrDb.toFixed(1)).join('/')} dB, f_D ${(timeline[0].doppler_Hz / 1e3).toFixed(1)} kHz`);
+assert.strictEqual(sim.frames.length, timeline.length, "每帧一段采样");
+assert(sim.iq.every(Number.isFinite), "输出采样有限");
+assert(sim.frames.every((f, i) => f.snrDb === timeline[i].snrDb));
+
+console.log("\n✅ [IQ 信道损伤测试通过]");
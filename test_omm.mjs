@@ -0,0 +1,286 @@
+import {
+  OMMError, detectOrbitFormat, isOMMRecord, normalizeOMM, validateOMM, ommEpochDate,
+  parseOMM, parseOMMJSON, parseOMMXML, parseOMMKVN, ommToSatrec, ommProvenance
+} from './src/omm.js';
+import {
+  createSatrec, hasOrbitInput, predictPasses, generateChannelTimeSeries, generatePassReplay,
+  computeGroundTrack, calculateDynamicOrbit
+} from './src/model.js';
+import { parseTLECatalog, searchTLECatalog, orbitProvenance } from './src/tleCatalog.js';
+import { parseTLESet } from './src/constellation.js';
+import { timelineToJSON } from './src/channelExport.js';
+import { parseScenario, validateScenario, runScenario } from './src/scenario.js';
+import * as satelliteModule from 'satellite.js';
+import assert from 'assert';
+
+const satellite = satelliteModule.json2satrec ? satelliteModule : satelliteModule.default;
+
+console.log("=== CCSDS OMM 轨道输入测试 (JSON / XML / KVN) ===\n");
+
+// 仓库测试沿用的 ISS 根数及其等价 OMM（历元 23249.52157811 = 2023-09-06T12:31:04.348704）
+const ISS_TLE1 = '1 25544U 98067A   23249.52157811  .00018042  00000-0  32479-3 0  9997';
+const ISS_TLE2 = '2 25544  51.6420 330.1245 0005273  19.5398  65.7335 15.49841804414341';
+const ISS_JSON = {
+  OBJECT_NAME: 'ISS (ZARYA)', OBJECT_ID: '1998-067A', EPOCH: '2023-09-06T12:31:04.348704',
+  MEAN_MOTION: 15.49841804, ECCENTRICITY: 0.0005273, INCLINATION: 51.642, RA_OF_ASC_NODE: 330.1245,
+  ARG_OF_PERICENTER: 19.5398, MEAN_ANOMALY: 65.7335, EPHEMERIS_TYPE: 0, CLASSIFICATION_TYPE: 'U',
+  NORAD_CAT_ID: 25544, ELEMENT_SET_NO: 999, REV_AT_EPOCH: 41434, BSTAR: 0.00032479,
+  MEAN_MOTION_DOT: 0.00018042, MEAN_MOTION_DDOT: 0
+};
+// Space-Track gp 风格：全部为字符串，带 null 字段
+const ISS_SPACETRACK = {
+  ...Object.fromEntries(Object.entries(ISS_JSON).map(([k, v]) => [k, String(v)])),
+  CCSDS_OMM_VERS: '2.0', ORIGINATOR: '18 SPCS', CREATION_DATE: '2023-09-06T18:16:09', DECAY_DATE: null
+};
+const ISS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<ndm xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<omm id="CCSDS_OMM_VERS" version="2.0">
+<header><CREATION_DATE>2023-09-06T18:16:09</CREATION_DATE><ORIGINATOR>18 SPCS</ORIGINATOR></header>
+<body><segment><metadata>
+  <OBJECT_NAME>ISS (ZARYA)</OBJECT_NAME><OBJECT_ID>1998-067A</OBJECT_ID><CENTER_NAME>EARTH</CENTER_NAME>
+  <REF_FRAME>TEME</REF_FRAME><TIME_SYSTEM>UTC</TIME_SYSTEM><MEAN_ELEMENT_THEORY>SGP4</MEAN_ELEMENT_THEORY>
+</metadata><data>
+  <COMMENT>GP element set</COMMENT><COMMENT>R&amp;D copy</COMMENT>
+  <meanElements>
+    <EPOCH>2023-09-06T12:31:04.348704</EPOCH><MEAN_MOTION units="rev/day">15.49841804</MEAN_MOTION>
+    <ECCENTRICITY>.0005273</ECCENTRICITY><INCLINATION units="deg">51.6420</INCLINATION>
+    <RA_OF_ASC_NODE>330.1245</RA_OF_ASC_NODE><ARG_OF_PERICENTER>19.5398</ARG_OF_PERICENTER><MEAN_ANOMALY>65.7335</MEAN_ANOMALY>
+  </meanElements>
+  <tleParameters>
+    <EPHEMERIS_TYPE>0</EPHEMERIS_TYPE><CLASSIFICATION_TYPE>U</CLASSIFICATION_TYPE><NORAD_CAT_ID>25544</NORAD_CAT_ID>
+    <ELEMENT_SET_NO>999</ELEMENT_SET_NO><REV_AT_EPOCH>41434</REV_AT_EPOCH><BSTAR>.32479E-3</BSTAR>
+    <MEAN_MOTION_DOT>.00018042</MEAN_MOTION_DOT><MEAN_MOTION_DDOT>0</MEAN_MOTION_DDOT>
+  </tleParameters>
+</data></segment></body></omm>
+</ndm>`;
+const ISS_KVN = `CCSDS_OMM_VERS = 2.0
+COMMENT GP element set
+CREATION_DATE = 2023-09-06T18:16:09
+ORIGINATOR = 18 SPCS
+
+OBJECT_NAME = ISS (ZARYA)
+OBJECT_ID = 1998-067A
+CENTER_NAME = EARTH
+REF_FRAME = TEME
+TIME_SYSTEM = UTC
+MEAN_ELEMENT_THEORY = SGP4
+EPOCH = 2023-249T12:31:04.348704
+MEAN_MOTION = 15.49841804 [rev/day]
+ECCENTRICITY = .0005273
+INCLINATION = 51.6420 [deg]
+RA_OF_ASC_NODE = 330.1245 [deg]
+ARG_OF_PERICENTER = 19.5398 [deg]
+MEAN_ANOMALY = 65.7335 [deg]
+EPHEMERIS_TYPE = 0
+CLASSIFICATION_TYPE = U
+NORAD_CAT_ID = 25544
+ELEMENT_SET_NO = 999
+REV_AT_EPOCH = 41434
+BSTAR = .32479E-3 [1/ER]
+MEAN_MOTION_DOT = .00018042 [rev/day**2]
+MEAN_MOTION_DDOT = 0 [rev/day**3]
+`;
+const ELEMENT_FIELDS = ['OBJECT_NAME', 'OBJECT_ID', 'EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY', 'NORAD_CAT_ID', 'BSTAR', 'MEAN_MOTION_DOT', 'MEAN_MOTION_DDOT'];
+const pick = (r) => Object.fromEntries(ELEMENT_FIELDS.map(k => [k, r[k]]));
+
+// ============================================================
+// 1. 三种编码解析
+// ============================================================
+
+console.log("--- 1. JSON / XML / KVN 解析 ---");
+
+assert.strictEqual(detectOrbitFormat(JSON.stringify([ISS_JSON])), 'json');
+assert.strictEqual(detectOrbitFormat('  \n' + ISS_XML), 'xml');
+assert.strictEqual(detectOrbitFormat(ISS_KVN), 'kvn');
+assert.strictEqual(detectOrbitFormat(`ISS (ZARYA)\n${ISS_TLE1}\n${ISS_TLE2}`), 'tle');
+
+const [fromJson] = parseOMMJSON(JSON.stringify(ISS_JSON));
+const [fromSpaceTrack] = parseOMMJSON([ISS_SPACETRACK]);
+const [fromXml] = parseOMMXML(ISS_XML);
+const [fromKvn] = parseOMMKVN(ISS_KVN);
+assert.deepStrictEqual(pick(fromSpaceTrack), pick(fromJson), "字符串数值转 number");
+assert.deepStrictEqual(pick(fromXml), pick(fromJson), "XML units 属性忽略");
+assert.deepStrictEqual(pick(fromKvn), pick(fromJson), "KVN 单位去除 / 年积日历元转日历日期");
+assert.strictEqual(fromKvn.EPOCH, '2023-09-06T12:31:04.348704');
+assert(!('DECAY_DATE' in fromSpaceTrack), "null 字段丢弃");
+assert.strictEqual(fromXml.CCSDS_OMM_VERS, '2.0', "XML 版本来自 <omm version>");
+assert.strictEqual(fromXml.COMMENT, 'GP element set\nR&D copy', "多个 COMMENT 换行拼接，实体解码");
+assert.strictEqual(fromKvn.ORIGINATOR, '18 SPCS');
+assert.strictEqual(ommEpochDate(fromJson).toISOString(), '2023-09-06T12:31:04.348Z', "无时区后缀按 UTC");
+assert(isOMMRecord(fromJson) && !isOMMRecord(ISS_TLE1) && !isOMMRecord(null));
+console.log("[1.1] 四种来源的平根数一致 ✓");
+
+// 多条消息
+const two = parseOMM(ISS_KVN + '\n' + ISS_KVN.replace(/25544/, '270001').replace('ISS (ZARYA)', 'FUTURE-SAT'));
+assert.strictEqual(two.format, 'kvn');
+assert.deepStrictEqual(two.records.map(r => r.NORAD_CAT_ID), [25544, 270001]);
+const ndm = parseOMM(ISS_XML.replace('</omm>', '</omm>\n' + ISS_XML.slice(ISS_XML.indexOf('<omm'), ISS_XML.indexOf('</ndm>'))));
+assert.strictEqual(ndm.records.length, 2, "NDM 容器内多个 <omm>");
+console.log(`[1.2] 多消息: KVN ${two.records.length} 条 / XML ${ndm.records.length} 条 ✓`);
+
+// ============================================================
+// 2. SGP4 satrec
+// ============================================================
+
+console.log("\n--- 2. ommToSatrec / createSatrec ---");
+
+const tleSatrec = satellite.twoline2satrec(ISS_TLE1, ISS_TLE2);
+let maxDiff = 0;
+for (const rec of [fromJson, fromSpaceTrack, fromXml, fromKvn]) {
+  const satrec = ommToSatrec(rec);
+  for (const h of [0, 6, 24]) {
+    const t = new Date(Date.UTC(2023, 8, 6, 12 + h, 31));
+    const a = satellite.propagate(satrec, t).position;
+    const b = satellite.propagate(tleSatrec, t).position;
+    maxDiff = Math.max(maxDiff, Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z));
+  }
+}
+console.log(`[2.1] 与 twoline2satrec 最大位置差 (24 h 内): ${(maxDiff * 1000).toFixed(1)} m`);
+assert(maxDiff < 0.1, "OMM 与等价 TLE 外推位置相差 < 100 m（仅历元小数位精度不同）");
+
+// 微秒历元截断为毫秒：与 .348Z 历元的 satrec 完全相同
+const msSatrec = ommToSatrec({ ...ISS_JSON, EPOCH: '2023-09-06T12:31:04.348Z' });
+assert.strictEqual(ommToSatrec(fromJson).jdsatepoch, msSatrec.jdsatepoch, "历元精度为 1 ms");
+assert.notStrictEqual(ommToSatrec({ ...ISS_JSON, EPOCH: '2023-09-06T12:31:04.349Z' }).jdsatepoch, msSatrec.jdsatepoch);
+assert.strictEqual(ommEpochDate(fromJson).toISOString(), '2023-09-06T12:31:04.348Z');
+
+const big = ommToSatrec({ ...ISS_JSON, NORAD_CAT_ID: 270001 });
+assert.strictEqual(big.satnum, '270001', "6 位编号 TLE 无法表示，OMM 直接支持");
+assert.deepStrictEqual(ommToSatrec({ ...ISS_JSON, MEAN_MOTION_DOT: undefined, MEAN_MOTION_DDOT: undefined }).error, 0, "DOT / DDOT 缺省为 0");
+assert.throws(() => ommToSatrec({ ...ISS_JSON, BSTAR: undefined }), e => e instanceof OMMError && e.errors[0].path === '/BSTAR');
+
+const p = (s) => satellite.propagate(s, new Date('2023-09-06T17:00:00Z')).position.x;
+assert.strictEqual(p(createSatrec(fromJson, null)), p(ommToSatrec(fromJson)), "记录对象");
+assert.strictEqual(p(createSatrec(ISS_KVN)), p(ommToSatrec(fromKvn)), "OMM 文本作 tleLine1");
+assert.strictEqual(p(createSatrec(ISS_TLE1, ISS_TLE2)), p(tleSatrec), "TLE 仍走 twoline2satrec");
+assert(hasOrbitInput(fromJson, null) && hasOrbitInput(ISS_XML, '') && hasOrbitInput(ISS_TLE1, ISS_TLE2));
+assert(!hasOrbitInput(ISS_TLE1, '') && !hasOrbitInput('', ISS_TLE2) && !hasOrbitInput(null, null));
+console.log("[2.2] createSatrec: 记录 / 文本 / TLE 分派，6 位编号 ✓");
+
+// ============================================================
+// 3. model.js 轨道函数接受 OMM
+// ============================================================
+
+console.log("\n--- 3. model.js 函数 ---");
+
+const gs = { lat: 22.54, lon: 114.05, alt: 0 };
+const start = new Date('2023-09-06T12:00:00Z');
+const passesTle = predictPasses(ISS_TLE1, ISS_TLE2, gs.lat, gs.lon, gs.alt, 24, 10, start);
+const passesOmm = predictPasses(fromXml, null, gs.lat, gs.lon, gs.alt, 24, 10, start);
+assert(passesTle.length > 0);
+assert.strictEqual(passesOmm.length, passesTle.length);
+passesOmm.forEach((ps, i) => {
+  assert(Math.abs(ps.aos - passesTle[i].aos) <= 60000, "AOS 相差不超过一个扫描步");
+  assert(Math.abs(ps.maxElev - passesTle[i].maxElev) < 0.5);
+});
+console.log(`[3.1] predictPasses: ${passesOmm.length} 次过境与 TLE 一致`);
+
+const { aos, los } = passesTle[0];
+const linkParams = { freq: 12, disableFastFading: true };
+const tlTle = generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, gs.lat, gs.lon, gs.alt, aos, los, 30, linkParams);
+const tlOmm = generateChannelTimeSeries(JSON.stringify(ISS_JSON), null, gs.lat, gs.lon, gs.alt, aos, los, 30, linkParams);
+assert.strictEqual(tlOmm.length, tlTle.length);
+assert(tlOmm.every((f, i) => Math.abs(f.elevation - tlTle[i].elevation) < 0.05 && Math.abs(f.snrDb - tlTle[i].snrDb) < 0.05));
+assert.strictEqual(generatePassReplay(fromKvn, null, gs.lat, gs.lon, gs.alt, aos, los, 30, linkParams).length, tlTle.length);
+assert(computeGroundTrack({ ...fromJson, EPOCH: new Date().toISOString() }, null, 30).length > 0, "地面轨迹从当前时刻外推，历元取当前");
+const dyn = calculateDynamicOrbit(fromJson, null, gs.lat, gs.lon, gs.alt, aos);
+assert(dyn && Math.abs(dyn.elevation - calculateDynamicOrbit(ISS_TLE1, ISS_TLE2, gs.lat, gs.lon, gs.alt, aos).elevation) < 0.05);
+assert.deepStrictEqual(generateChannelTimeSeries({ ...ISS_JSON, ECCENTRICITY: 2 }, null, gs.lat, gs.lon, gs.alt, aos, los, 30, linkParams), [], "非法 OMM 与非法 TLE 一样返回空序列");
+console.log(`[3.2] generateChannelTimeSeries / generatePassReplay / computeGroundTrack / calculateDynamicOrbit: ${tlOmm.length} 帧一致 ✓`);
+
+// ============================================================
+// 4. 校验错误
+// ============================================================
+
+console.log("\n--- 4. 校验 ---");
+
+const paths = (rec) => validateOMM(normalizeOMM(rec)).map(e => e.path);
+assert.deepStrictEqual(validateOMM(fromJson), []);
+assert.deepStrictEqual(paths({ ...ISS_JSON, MEAN_MOTION: undefined }), ['/MEAN_MOTION']);
+assert.deepStrictEqual(paths({ ...ISS_JSON, ECCENTRICITY: 1.2, INCLINATION: 190 }), ['/ECCENTRICITY', '/INCLINATION']);
+assert.deepStrictEqual(paths({ ...ISS_JSON, MEAN_ELEMENT_THEORY: 'SGP4-XP' }), ['/MEAN_ELEMENT_THEORY'], "SGP4-XP 根数不能代入 SGP4");
+assert.deepStrictEqual(paths({ ...ISS_JSON, REF_FRAME: 'ICRF', TIME_SYSTEM: 'TAI' }), ['/REF_FRAME', '/TIME_SYSTEM'], "只接受 TEME / UTC");
+assert.deepStrictEqual(paths({ ...ISS_JSON, REF_FRAME: 'teme', TIME_SYSTEM: 'utc' }), []);
+assert.deepStrictEqual(paths({ ...ISS_JSON, BSTAR: 'abc' }), ['/BSTAR']);
+assert.deepStrictEqual(paths({ ...ISS_JSON, EPOCH: 'yesterday' }), ['/EPOCH']);
+assert.deepStrictEqual(paths({ ...ISS_JSON, NORAD_CAT_ID: 1.5 }), ['/NORAD_CAT_ID']);
+
+const errorsOf = (fn) => { try { fn(); } catch (e) { assert(e instanceof OMMError, e.message); return e.errors; } assert.fail('expected OMMError'); };
+assert.match(errorsOf(() => parseOMMJSON('{ bad json'))[0].message, /invalid JSON/);
+assert.deepStrictEqual(errorsOf(() => parseOMMJSON([ISS_JSON, { ...ISS_JSON, ECCENTRICITY: -1 }])).map(e => e.path), ['/1/ECCENTRICITY'], "路径含记录序号");
+assert.match(errorsOf(() => parseOMMXML('<ndm></ndm>'))[0].message, /no <omm> element/);
+const kvnErr = errorsOf(() => parseOMMKVN(ISS_KVN.replace('REF_FRAME = TEME', 'REF_FRAME TEME')));
+assert.deepStrictEqual(kvnErr.map(e => e.path), ['line 9'], "KVN 语法错误给出行号（1 起，含空行）");
+assert.match(errorsOf(() => parseOMMKVN('OBJECT_NAME = X'))[0].message, /before CCSDS_OMM_VERS/);
+assert.match(errorsOf(() => parseOMM(ISS_TLE1 + '\n' + ISS_TLE2))[0].message, /not an OMM message/);
+assert.match(new OMMError([{ path: '/0/EPOCH', message: 'is required' }]).message, /Invalid OMM:\n {2}\/0\/EPOCH: is required/);
+
+const lenient = parseOMM(JSON.stringify([ISS_JSON, { ...ISS_JSON, MEAN_MOTION: 0 }]), { strict: false });
+assert.strictEqual(lenient.records.length, 1);
+assert.deepStrictEqual(lenient.errors.map(e => e.path), ['/1/MEAN_MOTION']);
+console.log("[4.1] 必填 / 范围 / 理论 / 参考系 / 时间系统 / 语法 / 宽松模式 ✓");
+
+// ============================================================
+// 5. 目录 / 溯源 / 导出 / 场景
+// ============================================================
+
+console.log("\n--- 5. 目录与溯源 ---");
+
+// 同一 NDM 中追加一条偏心率非法的记录和一条 6 位编号的记录
+const now = new Date('2023-09-10T12:00:00Z');
+const OMM_BLOCK = ISS_XML.slice(ISS_XML.indexOf('<omm'), ISS_XML.indexOf('</ndm>'));
+const catalog = parseTLECatalog(ISS_XML.replace('</ndm>',
+  OMM_BLOCK.replace(/25544/, '270001').replace('ISS (ZARYA)', 'FUTURE-SAT').replace('.0005273', '1.5') +
+  OMM_BLOCK.replace(/25544/, '270002').replace('ISS (ZARYA)', 'FUTURE-SAT-2') + '</ndm>'), { now });
+assert.deepStrictEqual(catalog.entries.map(e => e.name), ['ISS (ZARYA)', 'FUTURE-SAT-2'], "不合法记录跳过");
+assert.deepStrictEqual(catalog.errors, [{ line: null, message: '/1/ECCENTRICITY: must be in [0, 1), got 1.5' }]);
+const [iss] = catalog.entries;
+assert.strictEqual(iss.format, 'omm-xml');
+assert.strictEqual(iss.noradId, '25544');
+assert(isOMMRecord(iss.line1) && iss.line2 === null && iss.checksumOk);
+assert.strictEqual(iss.status, 'fresh');
+assert(Math.abs(iss.ageDays - 3.978) < 1e-3);
+assert.deepStrictEqual(searchTLECatalog(catalog.entries, '270002').map(e => e.name), ['FUTURE-SAT-2'], "6 位编号检索");
+assert.deepStrictEqual(parseTLESet(ISS_KVN), [{ name: 'ISS (ZARYA)', line1: fromKvn, line2: null }], "星座输入同样接受 OMM");
+assert.deepStrictEqual(parseTLECatalog('CCSDS_OMM_VERS = 2.0\nbroken line').errors, [{ line: 2, message: 'expected "KEY = value", got "broken line"' }]);
+console.log(`[5.1] OMM 目录: ${catalog.entries.length} 条 (${iss.format}), ${catalog.errors.length} 条错误 ✓`);
+
+assert.deepStrictEqual(iss.provenance, {
+  format: 'omm-xml', ccsdsOmmVersion: '2.0', originator: '18 SPCS', creationDate: '2023-09-06T18:16:09', messageId: null,
+  objectName: 'ISS (ZARYA)', objectId: '1998-067A', noradId: 25544, epoch: '2023-09-06T12:31:04.348Z',
+  meanElementTheory: 'SGP4', refFrame: 'TEME', timeSystem: 'UTC', comment: 'GP element set\nR&D copy'
+});
+assert.strictEqual(ommProvenance(fromJson).format, 'omm');
+assert.deepStrictEqual(orbitProvenance(ISS_TLE1), { format: 'tle', noradId: '25544', epoch: '2023-09-06T12:31:04.348Z' });
+assert.deepStrictEqual(parseTLECatalog(`${ISS_TLE1}\n${ISS_TLE2}`).entries[0].provenance, orbitProvenance(ISS_TLE1));
+assert.deepStrictEqual(orbitProvenance(fromKvn, 'kvn'), ommProvenance(fromKvn, 'kvn'));
+
+const exported = timelineToJSON(tlOmm, { satellite: 'ISS (ZARYA)', orbit: iss.provenance, groundStation: gs, linkConfig: linkParams, stepSec: 30 });
+assert.strictEqual(exported.metadata.orbit.originator, '18 SPCS');
+assert.strictEqual(exported.metadata.orbit.creationDate, '2023-09-06T18:16:09');
+assert(!('orbit' in timelineToJSON(tlOmm, { satellite: 'x', groundStation: gs, linkConfig: linkParams, stepSec: 30 }).metadata), "未给定时不写入");
+console.log("[5.2] 溯源字段写入 metadata.orbit ✓");
+
+const scenarioBase = {
+  schema: 'satchan-scenario', version: 1,
+  groundStation: gs,
+  timeWindow: { start: aos.toISOString(), end: los.toISOString(), stepSec: 30 },
+  link: { freq: 12 }
+};
+const sc = parseScenario({ ...scenarioBase, satellite: { omm: ISS_SPACETRACK } });
+assert.strictEqual(sc.satellite.name, 'ISS (ZARYA)', "缺省名称取 OBJECT_NAME");
+assert.deepStrictEqual(sc.satellite.omm, fromSpaceTrack, "场景中的 OMM 归一化");
+assert.deepStrictEqual(parseScenario(JSON.parse(JSON.stringify(sc))), sc, "JSON 往返不变");
+const scTle = parseScenario({ ...scenarioBase, satellite: { tle1: ISS_TLE1, tle2: ISS_TLE2 } });
+const runOmm = runScenario(sc).timeline;
+const runTle = runScenario(scTle).timeline;
+assert.strictEqual(runOmm.length, runTle.length);
+assert(runOmm.every((f, i) => Math.abs(f.snrDb - runTle[i].snrDb) < 0.05));
+const scPaths = (satellite) => validateScenario({ ...scenarioBase, satellite }).map(e => e.path);
+assert.deepStrictEqual(scPaths({ omm: { ...ISS_JSON, ECCENTRICITY: 1 } }), ['/satellite/omm/ECCENTRICITY']);
+assert.deepStrictEqual(scPaths({ omm: ISS_JSON, tle1: ISS_TLE1 }), ['/satellite/omm']);
+assert.deepStrictEqual(scPaths({ omm: 'ISS' }), ['/satellite/omm']);
+assert.deepStrictEqual(scPaths({ name: 'x' }), ['/satellite/tle1', '/satellite/tle2'], "无 omm 时仍要求 TLE 两行");
+console.log(`[5.3] 场景 satellite.omm: ${runOmm.length} 帧与 TLE 场景一致，校验路径 /satellite/omm/... ✓`);
+
+console.log("\n✅ [CCSDS OMM 轨道输入测试通过]");
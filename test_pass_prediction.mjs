@@ -0,0 +1,159 @@
+import { predictPasses, calculateDynamicOrbit, computeGroundTrack } from './src/model.js';
+import assert from 'assert';
+
+console.log("=== 过境预测测试 (Brent 求根 / TCA / 方位角 / GEO / 窗口截断) ===\n");
+
+const ISS_TLE1 = '1 25544U 98067A   23249.52157811  .00018042  00000-0  32479-3 0  9997';
+const ISS_TLE2 = '2 25544  51.6420 330.1245 0005273  19.5398  65.7335 15.49841804414341';
+// 近静止轨道（星下点约 115.2°E，深圳站仰角约 63°）
+const GEO_TLE1 = '1 99999U 23001A   23249.00000000  .00000000  00000-0  00000-0 0  9990';
+const GEO_TLE2 = '2 99999   0.0500 100.0000 0002000 270.0000  90.0000  1.00270000    10';
+const GS = { lat: 22.54, lon: 114.05, alt: 0 };
+const start = new Date('2023-09-06T00:00:00Z');
+const at = (l1, l2, date, gs = GS) => calculateDynamicOrbit(l1, l2, gs.lat, gs.lon, gs.alt, date);
+
+// ============================================================
+// 1. AOS / TCA / LOS 精度（对照 1 s 逐点扫描）
+// ============================================================
+
+console.log("--- 1. 精度 ---");
+
+const passes = predictPasses(ISS_TLE1, ISS_TLE2, GS.lat, GS.lon, GS.alt, 24, 0, start);
+assert.strictEqual(passes.length, 6);
+
+// 逐秒扫描得到的可见区间（首个 / 末个仰角 > 0 的整秒）
+const brute = [];
+let cur = null;
+for (let t = start.getTime(); t <= start.getTime() + 24 * 3600000; t += 1000) {
+  const o = at(ISS_TLE1, ISS_TLE2, new Date(t));
+  if (o.elevation > 0) {
+    if (!cur) cur = { first: t, last: t, maxElev: o.elevation };
+    cur.last = t;
+    cur.maxElev = Math.max(cur.maxElev, o.elevation);
+  } else if (cur) {
+    brute.push(cur);
+    cur = null;
+  }
+}
+assert.strictEqual(brute.length, passes.length, "与逐秒扫描的过境数一致");
+
+passes.forEach((p, i) => {
+  const b = brute[i];
+  assert(p.aos.getTime() <= b.first && b.first - p.aos.getTime() < 1000, `#${i + 1} AOS 在逐秒首个可见点前 1 s 内`);
+  assert(p.los.getTime() >= b.last && p.los.getTime() - b.last < 1000, `#${i + 1} LOS 在逐秒末个可见点后 1 s 内`);
+  assert(Math.abs(at(ISS_TLE1, ISS_TLE2, p.aos).elevation) < 1e-3, "AOS 仰角 = 门限");
+  assert(Math.abs(at(ISS_TLE1, ISS_TLE2, p.los).elevation) < 1e-3, "LOS 仰角 = 门限");
+  assert(p.maxElev >= b.maxElev - 1e-6 && p.maxElev - b.maxElev < 1e-3, "TCA 仰角不低于逐秒最大值");
+  assert(p.aos < p.tca && p.tca < p.los);
+  assert.strictEqual(p.durationSec, (p.los - p.aos) / 1000);
+  assert.strictEqual(p.inViewAtStart, false);
+  assert.strictEqual(p.inViewAtEnd, false);
+});
+console.log(`[1.1] ${passes.length} 次过境，AOS/LOS 误差 < 1 s，仰角残差 < 1e-3°`);
+passes.forEach((p, i) => console.log(`      #${i + 1} ${p.aos.toISOString().slice(11, 19)} ~ ${p.los.toISOString().slice(11, 19)} max ${p.maxElev.toFixed(2)}° ${p.direction}`));
+
+// ============================================================
+// 2. 方位角 / 最小斜距 / 升降方向
+// ============================================================
+
+console.log("\n--- 2. 过境元数据 ---");
+
+for (const p of passes) {
+  assert(Math.abs(p.aosAzimuth - at(ISS_TLE1, ISS_TLE2, p.aos).azimuth) < 1e-9);
+  assert(Math.abs(p.losAzimuth - at(ISS_TLE1, ISS_TLE2, p.los).azimuth) < 1e-9);
+  const tca = at(ISS_TLE1, ISS_TLE2, p.tca);
+  assert(Math.abs(p.tcaAzimuth - tca.azimuth) < 1e-9 && Math.abs(p.maxElev - tca.elevation) < 1e-9);
+  for (const dt of [-20000, -2000, 0, 2000, 20000]) {
+    assert(at(ISS_TLE1, ISS_TLE2, new Date(p.tca.getTime() + dt)).slantRange >= p.minRange_km - 1e-3, "最小斜距为局部最小");
+  }
+  assert(p.minRange_km <= tca.slantRange + 1e-6);
+  const [here, later] = computeGroundTrack(ISS_TLE1, ISS_TLE2, 1, p.tca).slice(-2);
+  assert.strictEqual(p.direction, later.lat > here.lat ? 'ascending' : 'descending', "星下点纬度变化方向");
+}
+assert.deepStrictEqual(passes.map(p => p.direction), ['descending', 'descending', 'descending', 'ascending', 'ascending', 'ascending']);
+const high = passes[1];
+console.log(`[2.1] #2 Az ${high.aosAzimuth.toFixed(1)}° → ${high.tcaAzimuth.toFixed(1)}° → ${high.losAzimuth.toFixed(1)}°, 最小斜距 ${high.minRange_km.toFixed(1)} km ✓`);
+
+// ============================================================
+// 3. 粗扫描步长与短过境
+// ============================================================
+
+console.log("\n--- 3. 步长 / 短过境 ---");
+
+// 10 min 粗步长下同样找到全部过境（过境时长均短于一步），时刻一致
+const coarse = predictPasses(ISS_TLE1, ISS_TLE2, GS.lat, GS.lon, GS.alt, 24, 0, start, { stepSec: 600 });
+assert.strictEqual(coarse.length, passes.length);
+coarse.forEach((p, i) => {
+  assert(Math.abs(p.aos - passes[i].aos) <= 20 && Math.abs(p.los - passes[i].los) <= 20, "AOS/LOS 与 60 s 步长相差 < 20 ms");
+  assert(Math.abs(p.maxElev - passes[i].maxElev) < 1e-4);
+});
+
+// 门限接近峰值：60 s 逐点扫描可能漏掉的 40 s 级短过境
+const peakMask = passes[0].maxElev - 0.05;
+const short = predictPasses(ISS_TLE1, ISS_TLE2, GS.lat, GS.lon, GS.alt, 1, peakMask, start);
+assert.strictEqual(short.length, 1);
+assert(short[0].durationSec > 30 && short[0].durationSec < 60, `短过境 ${short[0].durationSec} s`);
+assert(Math.abs(short[0].tca - passes[0].tca) < 50, "TCA 与门限无关");
+assert(Math.abs(at(ISS_TLE1, ISS_TLE2, short[0].aos).elevation - peakMask) < 1e-3);
+
+// 不足 30 s 的短过境同样照报（不按时长 / 峰值过滤）
+const grazeMask = passes[0].maxElev - 0.02;
+const graze = predictPasses(ISS_TLE1, ISS_TLE2, GS.lat, GS.lon, GS.alt, 1, grazeMask, start);
+assert.strictEqual(graze.length, 1);
+assert(graze[0].durationSec > 10 && graze[0].durationSec < 30, `短过境 ${graze[0].durationSec} s`);
+assert(graze[0].aos > short[0].aos && graze[0].los < short[0].los);
+assert(Math.abs(at(ISS_TLE1, ISS_TLE2, graze[0].los).elevation - grazeMask) < 1e-3);
+console.log(`[3.1] 600 s 步长结果一致；门限 ${peakMask.toFixed(2)}° 的 ${short[0].durationSec.toFixed(1)} s、${grazeMask.toFixed(2)}° 的 ${graze[0].durationSec.toFixed(1)} s 短过境 ✓`);
+
+// ============================================================
+// 4. 窗口起点已在视野内 / 终点仍在视野内
+// ============================================================
+
+console.log("\n--- 4. 窗口截断 ---");
+
+const mid = new Date(passes[1].tca.getTime() + 60000);
+const fromMid = predictPasses(ISS_TLE1, ISS_TLE2, GS.lat, GS.lon, GS.alt, 24, 0, mid);
+assert.strictEqual(fromMid[0].inViewAtStart, true);
+assert.strictEqual(fromMid[0].aos.getTime(), mid.getTime(), "AOS = 窗口起点");
+assert(Math.abs(fromMid[0].los - passes[1].los) <= 20, "LOS 不受影响");
+assert.strictEqual(fromMid[0].tca.getTime(), mid.getTime(), "已过 TCA：窗口内峰值在起点");
+assert(Math.abs(fromMid[0].aosAzimuth - at(ISS_TLE1, ISS_TLE2, mid).azimuth) < 1e-9);
+passes.slice(2).forEach((p, i) => assert(Math.abs(fromMid[i + 1].aos - p.aos) <= 20, "其后过境照常"));
+
+const toMid = predictPasses(ISS_TLE1, ISS_TLE2, GS.lat, GS.lon, GS.alt, (mid - start) / 3600000, 0, start);
+assert.strictEqual(toMid.length, 2);
+assert.strictEqual(toMid[1].inViewAtEnd, true);
+assert.strictEqual(toMid[1].los.getTime(), mid.getTime(), "LOS = 窗口终点");
+assert(Math.abs(toMid[1].tca - passes[1].tca) <= 20);
+
+// 截断后很短的过境照报
+const tail = predictPasses(ISS_TLE1, ISS_TLE2, GS.lat, GS.lon, GS.alt, 1, 0, new Date(passes[0].los.getTime() - 10000));
+assert.strictEqual(tail[0].inViewAtStart, true);
+assert(Math.abs(tail[0].durationSec - 10) < 0.05);
+console.log(`[4.1] 起点在视野内 / 终点在视野内 / 截断剩 ${tail[0].durationSec.toFixed(2)} s ✓`);
+
+// ============================================================
+// 5. GEO：永不落下 / 永不可见
+// ============================================================
+
+console.log("\n--- 5. GEO ---");
+
+const geo = predictPasses(GEO_TLE1, GEO_TLE2, GS.lat, GS.lon, GS.alt, 24, 10, start);
+assert.strictEqual(geo.length, 1, "整个窗口一次过境");
+assert(geo[0].inViewAtStart && geo[0].inViewAtEnd);
+assert.strictEqual(geo[0].aos.getTime(), start.getTime());
+assert.strictEqual(geo[0].durationSec, 24 * 3600);
+const geoEl = at(GEO_TLE1, GEO_TLE2, start).elevation;
+assert(Math.abs(geo[0].maxElev - geoEl) < 0.2 && geo[0].maxElev >= geoEl, `仰角 ${geo[0].maxElev.toFixed(2)}° 基本不变`);
+assert(geo[0].minRange_km > 35786 && geo[0].minRange_km < 37000);
+assert.deepStrictEqual(predictPasses(GEO_TLE1, GEO_TLE2, 0, -65, 0, 24, 0, start), [], "地球背面永不可见");
+console.log(`[5.1] GEO 仰角 ${geo[0].maxElev.toFixed(2)}°、方位 ${geo[0].tcaAzimuth.toFixed(1)}°、斜距 ${geo[0].minRange_km.toFixed(0)} km，全程可见 ✓`);
+
+// 进度回调按粗扫描步
+const progress = [];
+predictPasses(ISS_TLE1, ISS_TLE2, GS.lat, GS.lon, GS.alt, 1, 0, start, { onProgress: (done, total) => progress.push([done, total]) });
+assert.strictEqual(progress.length, 61);
+assert.deepStrictEqual(progress[60], [61, 61]);
+console.log("[5.2] onProgress 61/61 ✓");
+
+console.log("\n✅ [过境预测测试通过]");
@@ -0,0 +1,235 @@
+import { calculateLinkBudget, calculateRainAttenuationP618, rainHeightP839, rainCoefficientsP838, polarizationTiltDeg, calculateGasAttenuationP676, oxygenSpecificAttenuation, waterVapourSpecificAttenuation, calculateCloudAttenuationP840, cloudSpecificAttenuationCoefficient, cloudLiquidWaterExceeded, calculateAttenuationCCDF, calculateLinkAvailability, scintillationSigmaP618, rainClimatologyP837, rainRateExceededP837, RAIN_CLIMATOLOGY_SOURCE } from './src/model.js';
+import assert from 'assert';
+
+console.log("=== ITU-R 传播模型测试 (P.618 / P.676 / P.837 / P.838 / P.839 / P.840) ===\n");
+
+// ============================================================
+// 1. P.839 雨顶高度
+// ============================================================
+
+console.log("--- 1. P.839 雨顶高度 ---");
+
+const hShenzhen = rainHeightP839(22.54);
+const hBeijing = rainHeightP839(39.9);
+console.log(`[1.1] h_R 深圳(22.54°N): ${hShenzhen.toFixed(2)} km, 北京(39.9°N): ${hBeijing.toFixed(2)} km`);
+assert(Math.abs(hShenzhen - 5.36) < 1e-9, "热带/副热带 h0 = 5 km → h_R = 5.36 km");
+assert(Math.abs(hBeijing - (5.0 - 0.075 * (39.9 - 23) + 0.36)) < 1e-9, "北纬 23° 以上 h0 线性递减");
+assert(rainHeightP839(-80) === 0.36, "极地 h0 = 0");
+
+// ============================================================
+// 2. P.618 雨衰链路
+// ============================================================
+
+console.log("\n--- 2. P.618 雨衰 ---");
+
+// 14.25 GHz, 仰角 31.08°, 北纬 51.5°, R0.01 = 26.48 mm/h (ITU-R 验证示例几何)
+const ex = calculateRainAttenuationP618({ freq: 14.25, elevation: 31.0769, k: 0.0374, alpha: 1.1396, r001: 26.48, timePercent: 0.01, stationLat: 51.5, stationAlt: 31.9 });
+console.log(`[2.1] A0.01 = ${ex.attRain.toFixed(2)} dB (γR=${ex.gammaR.toFixed(3)} dB/km, r=${ex.horizReduction.toFixed(3)}, v=${ex.vertAdjustment.toFixed(3)})`);
+assert(ex.attRain > 6.5 && ex.attRain < 9.5, "A0.01 应与 ITU-R 验证示例同量级 (~7.5 dB)");
+assert(ex.horizReduction < 1, "水平缩减因子应 < 1");
+
+// p% 换算应单调：时间百分比越小，雨衰越大
+const pcts = [0.001, 0.01, 0.1, 1, 5];
+const ap = pcts.map(p => calculateLinkBudget({ freq: 30, r001: 42, timePercent: p, elevation: 40, env: 'open', stationLat: 22.54 }).attRain);
+console.log(`[2.2] A_p (30 GHz, R0.01=42): ${pcts.map((p, i) => `${p}%→${ap[i].toFixed(2)}dB`).join(', ')}`);
+for (let i = 1; i < ap.length; i++) {
+    assert(ap[i] < ap[i - 1], "A_p 必须随 p 增大单调递减");
+}
+
+// 瞬时模式下 A(0.01%) 与 timePercent=0.01 一致
+const inst = calculateLinkBudget({ freq: 30, rainRate: 42, elevation: 40, env: 'open', stationLat: 22.54 });
+console.log(`[2.3] 瞬时 R=42 → ${inst.attRain.toFixed(2)} dB`);
+assert(Math.abs(inst.attRain - ap[1]) < 1e-9, "瞬时模式应等价于以 R 代入 R0.01 的 A0.01");
+
+// 地面站高于雨顶时无雨衰
+const highSite = calculateRainAttenuationP618({ freq: 20, elevation: 30, k: 0.09, alpha: 1.0, rainRate: 20, stationLat: 70, stationAlt: 6000 });
+console.log(`[2.4] 站点高于雨顶: ${highSite.attRain} dB`);
+assert(highSite.attRain === 0, "h_s ≥ h_R 时 A = 0");
+
+// 低仰角 (< 5°) 使用地球曲率修正，结果应为有限值
+const lowEl = calculateLinkBudget({ freq: 20, rainRate: 10, elevation: 1, env: 'open', stationLat: 30 });
+console.log(`[2.5] 1° 仰角雨衰: ${lowEl.attRain.toFixed(2)} dB`);
+assert(isFinite(lowEl.attRain) && lowEl.attRain > 0, "低仰角雨衰必须为有限正数");
+
+// ============================================================
+// 3. P.838-3 比衰减系数
+// ============================================================
+
+console.log("\n--- 3. P.838-3 系数 ---");
+
+// P.838-3 表 5: 30 GHz → kH 0.2403 αH 0.9485 kV 0.2291 αV 0.9129
+const c30 = rainCoefficientsP838(30, 0, 0);
+console.log(`[3.1] 30 GHz: kH=${c30.kH.toFixed(4)} αH=${c30.alphaH.toFixed(4)} kV=${c30.kV.toFixed(4)} αV=${c30.alphaV.toFixed(4)}`);
+assert(Math.abs(c30.kH - 0.2403) < 0.001 && Math.abs(c30.alphaH - 0.9485) < 0.001, "30 GHz 水平系数应与 P.838-3 表格一致");
+assert(Math.abs(c30.kV - 0.2291) < 0.001 && Math.abs(c30.alphaV - 0.9129) < 0.001, "30 GHz 垂直系数应与 P.838-3 表格一致");
+
+// 20 / 25 GHz 不再吸附到同一频点
+const c20 = rainCoefficientsP838(20, 30, 45);
+const c25 = rainCoefficientsP838(25, 30, 45);
+console.log(`[3.2] 20 GHz k=${c20.k.toFixed(4)} α=${c20.alpha.toFixed(4)} | 25 GHz k=${c25.k.toFixed(4)} α=${c25.alpha.toFixed(4)}`);
+assert(c20.k < c25.k && c25.k < rainCoefficientsP838(30, 30, 45).k, "k 必须随频率连续单调增长");
+
+// 圆极化 (τ=45°) 取 H/V 的平均; 天顶方向 (θ=90°) 与极化无关
+const circ = rainCoefficientsP838(20, 0, 45);
+assert(Math.abs(circ.k - (circ.kH + circ.kV) / 2) < 1e-12, "圆极化 k = (kH + kV) / 2");
+const zenH = rainCoefficientsP838(20, 90, 0), zenV = rainCoefficientsP838(20, 90, 90);
+assert(Math.abs(zenH.k - zenV.k) < 1e-12 && Math.abs(zenH.alpha - zenV.alpha) < 1e-12, "天顶路径下 H/V 系数相同");
+
+assert(polarizationTiltDeg('Linear-H') === 0 && polarizationTiltDeg('Linear-V') === 90 && polarizationTiltDeg('RHCP') === 45, "极化倾角映射");
+const attH = calculateLinkBudget({ freq: 20, rainRate: 30, elevation: 20, env: 'open', polarization: 'Linear-H' }).attRain;
+const attV = calculateLinkBudget({ freq: 20, rainRate: 30, elevation: 20, env: 'open', polarization: 'Linear-V' }).attRain;
+console.log(`[3.3] 20 GHz / 30 mm/h / 20°: H 极化 ${attH.toFixed(2)} dB, V 极化 ${attV.toFixed(2)} dB`);
+assert(attH > attV, "低仰角下水平极化雨衰应大于垂直极化");
+
+// ============================================================
+// 4. P.676 气体吸收
+// ============================================================
+
+console.log("\n--- 4. P.676 气体吸收 ---");
+
+// 标准大气 (1013.25 hPa, 15°C, 7.5 g/m³)
+const gO60 = oxygenSpecificAttenuation(60);
+const gW22 = waterVapourSpecificAttenuation(22.235);
+console.log(`[4.1] γo(60 GHz) = ${gO60.toFixed(2)} dB/km, γw(22.235 GHz) = ${gW22.toFixed(3)} dB/km`);
+assert(gO60 > 12 && gO60 < 18, "60 GHz 氧气吸收带峰值约 15 dB/km");
+assert(gW22 > 0.15 && gW22 < 0.22, "22.235 GHz 水汽谱线约 0.18 dB/km");
+
+// 水汽谱线：22.2 GHz 天顶衰减应高于两侧
+const z = (f) => calculateGasAttenuationP676({ freq: f, elevation: 90 }).zenithGas;
+console.log(`[4.2] 天顶气体衰减: 18 GHz ${z(18).toFixed(3)} dB, 22.2 GHz ${z(22.2).toFixed(3)} dB, 28 GHz ${z(28).toFixed(3)} dB`);
+assert(z(22.2) > z(18) && z(22.2) > z(28), "22.2 GHz 水汽吸收峰必须可见");
+
+// 干燥大气下水汽分量为 0
+const dry = calculateGasAttenuationP676({ freq: 22.235, elevation: 90, waterVapour_gm3: 0 });
+assert(dry.attWaterVapour === 0, "ρ = 0 时水汽衰减为 0");
+
+// 低仰角射线积分与等效高度法在 5° ~ 10° 之间线性过渡，两端连续无台阶
+const gasAt = (freq, elevation) => calculateGasAttenuationP676({ freq, elevation }).attGas;
+for (const f of [12, 20, 22.2, 40]) {
+  for (const edge of [5, 10]) {
+    const lo = gasAt(f, edge - 1e-6), hi = gasAt(f, edge + 1e-6);
+    assert(Math.abs(lo - hi) / hi < 1e-4, `${f} GHz: ${edge}° 处两侧连续`);
+  }
+  const sinE = (e) => Math.sin(e * Math.PI / 180);
+  const zenith = calculateGasAttenuationP676({ freq: f, elevation: 90 }).zenithGas;
+  assert(Math.abs(gasAt(f, 10) - zenith / sinE(10)) < 1e-9, "10° 起为等效高度法");
+}
+const below = gasAt(22.2, 4.99), above = gasAt(22.2, 5.01);
+console.log(`[4.3] 22.2 GHz: 4.99° ${below.toFixed(3)} dB | 5.01° ${above.toFixed(3)} dB | 10° ${gasAt(22.2, 10).toFixed(3)} dB`);
+const horizon = gasAt(20, 0);
+assert(isFinite(horizon) && horizon > gasAt(20, 4.99), "0° 仰角路径积分必须有限且大于 5°");
+
+// 射线积分按 0.1° 网格缓存：节点间插值，重复调用结果一致
+const mid = gasAt(20, 1.25), n0 = gasAt(20, 1.2), n1 = gasAt(20, 1.3);
+assert(Math.abs(mid - (n0 + n1) / 2) < 1e-6 && mid < n0 && mid > n1, "节点间线性插值");
+assert.strictEqual(gasAt(20, 1.25), mid);
+
+// ============================================================
+// 5. P.840 云衰减
+// ============================================================
+
+console.log("\n--- 5. P.840 云衰减 ---");
+
+// P.840 Fig.1: 0°C 时 Kl(30 GHz) ≈ 0.8，Kl(10 GHz) ≈ 0.1 (dB/km)/(g/m³)
+const kl10 = cloudSpecificAttenuationCoefficient(10, 0);
+const kl30 = cloudSpecificAttenuationCoefficient(30, 0);
+console.log(`[5.1] Kl(0°C): 10 GHz ${kl10.toFixed(4)}, 30 GHz ${kl30.toFixed(4)}`);
+assert(kl10 > 0.07 && kl10 < 0.12 && kl30 > 0.6 && kl30 < 0.95, "Kl 应与 P.840 曲线同量级");
+assert(cloudSpecificAttenuationCoefficient(30, -8) > kl30 && kl30 > cloudSpecificAttenuationCoefficient(30, 20), "Kl 随温度升高而减小");
+
+// 配置的 L 与 1/sin θ 成正比
+const c40 = calculateCloudAttenuationP840({ freq: 30, elevation: 40, cloudLWC: 1.0 });
+assert(c40.lwcSource === 'configured' && Math.abs(c40.attCloud - kl30 / Math.sin(40 * Math.PI / 180)) < 1e-12, "A = L·Kl/sinθ");
+
+// 统计 L（站点参数由调用方给出，此处为测试值）: 被超过概率越小，L 越大；p = P_L 处 L = exp(m_L)
+const stats = { logMean: -1.2, logStd: 0.8, probability: 40 };
+const lwc = [0.1, 1, 5].map(p => cloudLiquidWaterExceeded(p, stats));
+console.log(`[5.2] L(p): 0.1% ${lwc[0].toFixed(2)}, 1% ${lwc[1].toFixed(2)}, 5% ${lwc[2].toFixed(2)} kg/m²`);
+assert(lwc[0] > lwc[1] && lwc[1] > lwc[2] && lwc[2] > 0, "L(p) 必须随 p 单调递减");
+assert(Math.abs(cloudLiquidWaterExceeded(20, stats) - Math.exp(-1.2)) < 1e-9, "p = P_L / 2 时 Q⁻¹ = 0");
+assert(cloudLiquidWaterExceeded(50, stats) === 0, "p 超过有云概率时 L = 0");
+assert.throws(() => cloudLiquidWaterExceeded(1), /needs the site P\.840-8 lognormal parameters/, "不内置站点统计");
+const noStats = calculateCloudAttenuationP840({ freq: 30, elevation: 40, timePercent: 0.1 });
+assert(noStats.lwcSource === 'default' && noStats.lwc === 0.5, "缺少站点统计时取 0.5 kg/m²");
+assert.strictEqual(calculateCloudAttenuationP840({ freq: 30, elevation: 40, timePercent: 0.1, cloudStats: stats }).lwc, lwc[0]);
+
+// 链路预算输出独立的云衰减分量
+const lbCloud = calculateLinkBudget({ freq: 30, rainRate: 0, elevation: 30, env: 'open', cloudLWC: 1.0 });
+const lbDry = calculateLinkBudget({ freq: 30, rainRate: 0, elevation: 30, env: 'open', cloudLWC: 0 });
+console.log(`[5.3] 30 GHz / 30°: 云衰 ${lbCloud.attCloud.toFixed(3)} dB (L=${lbCloud.cloudLWC})`);
+assert(lbDry.attCloud === 0 && lbCloud.attCloud > 0, "cloudLWC = 0 时云衰为 0");
+assert(Math.abs((lbCloud.totalAtmosphericLoss - lbDry.totalAtmosphericLoss) - lbCloud.attCloud) < 1e-9, "云衰计入大气总损耗");
+const lowCloud = calculateCloudAttenuationP840({ freq: 30, elevation: 0, cloudLWC: 1.0 });
+assert(isFinite(lowCloud.attCloud) && lowCloud.attCloud > c40.attCloud, "0° 仰角云衰必须有限");
+
+// ============================================================
+// 6. P.618 §2.5 总衰减 CCDF 与可用度
+// ============================================================
+
+console.log("\n--- 6. 总衰减 CCDF / 可用度 ---");
+
+const ccdfParams = { freq: 20, elevation: 30, rainRate: 50, env: 'open', stationLat: 22.54 };
+const ccdf = calculateAttenuationCCDF(ccdfParams);
+console.log(`[6.1] A_T: 0.001% ${ccdf[0].attTotal.toFixed(2)} dB, 0.01% ${ccdf[4].attTotal.toFixed(2)} dB, 1% ${ccdf[12].attTotal.toFixed(2)} dB, 5% ${ccdf[15].attTotal.toFixed(2)} dB`);
+assert(ccdf[0].p === 0.001 && ccdf[ccdf.length - 1].p === 5, "CCDF 覆盖 0.001% ~ 5%");
+for (let i = 1; i < ccdf.length; i++) {
+    assert(ccdf[i].attTotal < ccdf[i - 1].attTotal, "A_T(p) 必须随 p 单调递减");
+}
+for (const c of ccdf) {
+    const expected = c.attGas + Math.sqrt(Math.pow(c.attRain + c.attCloud, 2) + c.attScint * c.attScint);
+    assert(Math.abs(c.attTotal - expected) < 1e-9, "A_T = A_G + √((A_R + A_C)² + A_S²)");
+}
+assert(ccdf[0].attCloud === ccdf[12].attCloud && ccdf[0].attGas === ccdf[12].attGas, "p < 1% 时 A_C、A_G 取 1% 值");
+const c20_30 = rainCoefficientsP838(20, 30, 45);
+const rain001 = calculateRainAttenuationP618({ freq: 20, elevation: 30, k: c20_30.k, alpha: c20_30.alpha, r001: 50, timePercent: 0.01, stationLat: 22.54 }).attRain;
+assert(Math.abs(ccdf[4].attRain - rain001) < 1e-9, "雨衰分量与 P.618 A_p 一致");
+
+const sig = scintillationSigmaP618({ freq: 20, elevation: 30, antennaDiameter_m: 1.2 });
+assert(sig > 0.02 && sig < 0.5, "闪烁 σ 应为十分之一 dB 量级");
+
+// 可用度：在 CCDF 上插值，所需 SNR 越低可用度越高
+const avail = calculateLinkAvailability({ ccdf, clearSkySnr_dB: 20, requiredSnr_dB: 5, tSys_K: 200 });
+const availLow = calculateLinkAvailability({ ccdf, clearSkySnr_dB: 20, requiredSnr_dB: 0, tSys_K: 200 });
+console.log(`[6.2] 晴空 SNR 20 dB: 需 5 dB → ${avail.availability.toFixed(3)}%, 需 0 dB → ${availLow.availability.toFixed(3)}%`);
+assert(avail.bound === null && avail.availability > 95 && avail.availability < 99.999, "门限位于 CCDF 内时插值得到可用度");
+assert(availLow.availability > avail.availability, "所需 SNR 越低，可用度越高");
+const idx = avail.snr.findIndex(v => v >= 5);
+assert(avail.outagePercent <= ccdf[idx].p && avail.outagePercent >= ccdf[idx - 1].p, "中断时间百分比落在相邻网格点之间");
+assert(calculateLinkAvailability({ ccdf, clearSkySnr_dB: 100, requiredSnr_dB: 5 }).bound === 'above', "余量超过 A_T(0.001%) 时标记为上界");
+assert(calculateLinkAvailability({ ccdf, clearSkySnr_dB: 6, requiredSnr_dB: 5 }).bound === 'below', "余量不足 A_T(5%) 时标记为下界");
+
+// ============================================================
+// 7. 近似降雨气候统计（P.837-1 气候区 + 10° 气候区图）
+// ============================================================
+
+console.log("\n--- 7. 近似 P.837-1 降雨气候 ---");
+
+const sz = rainClimatologyP837(22.54, 114.05);
+const bj = rainClimatologyP837(39.9, 116.4);
+console.log(`[7.1] 深圳 R0.01 = ${sz.r001.toFixed(1)} mm/h (zone ${sz.zone}) | 北京 R0.01 = ${bj.r001.toFixed(1)} mm/h (zone ${bj.zone})`);
+assert(sz.zone === 'N' && sz.r001 > 90 && sz.r001 < 120, "深圳位于华南强降雨区，R0.01 约 100 mm/h");
+assert(bj.r001 < sz.r001, "北京 R0.01 低于深圳");
+assert(sz.approximate === true && sz.source === RAIN_CLIMATOLOGY_SOURCE && /Approximate.*not P\.837-7/.test(sz.source), "标注为近似值，注明非 P.837-7 数据");
+for (let i = 1; i < sz.rates.length; i++) {
+    assert(sz.rates[i] > sz.rates[i - 1], "降雨率分布必须随 p 减小而增大");
+}
+
+// 网格节点处等于气候区表值；经度 ±180° 连续
+assert(rainClimatologyP837(50, 0).r001 === 22, "节点处取气候区 E 的表值");
+assert(Math.abs(rainClimatologyP837(10, 180).r001 - rainClimatologyP837(10, -180).r001) < 1e-9, "经度 180°/-180° 连续");
+assert(Math.abs(rainClimatologyP837(25, 474.05).r001 - rainClimatologyP837(25, 114.05).r001) < 1e-9, "经度可超出 ±180° 并自动折叠");
+
+// p% 降雨率在分布节点处精确，节点间 log-log 插值
+assert(Math.abs(rainRateExceededP837(22.54, 114.05, 0.01) - sz.r001) < 1e-9, "R_p(0.01%) = R0.01");
+const r005 = rainRateExceededP837(22.54, 114.05, 0.05);
+assert(r005 < sz.rates[3] && r005 > sz.rates[2], "R_p 在相邻节点之间");
+
+// 链路预算：rainClimatology 开启时以站点 R0.01 替代手动降雨率
+const lbClim = calculateLinkBudget({ freq: 20, elevation: 40, env: 'open', rainRate: 5, timePercent: 0.01, rainClimatology: true, stationLat: 22.54, stationLon: 114.05 });
+const lbManual = calculateLinkBudget({ freq: 20, elevation: 40, env: 'open', rainRate: sz.r001, timePercent: 0.01, stationLat: 22.54 });
+console.log(`[7.2] 20 GHz / 40° / 0.01%: 气候统计 A = ${lbClim.attRain.toFixed(2)} dB (R0.01 = ${lbClim.rainR001.toFixed(1)})`);
+assert(Math.abs(lbClim.attRain - lbManual.attRain) < 1e-9 && lbClim.rainR001 === sz.r001, "气候统计 R0.01 进入 P.618 链路");
+const lbExplicit = calculateLinkBudget({ freq: 20, elevation: 40, env: 'open', r001: 30, timePercent: 0.01, rainClimatology: true, stationLat: 22.54, stationLon: 114.05 });
+assert(lbExplicit.rainR001 === 30, "显式 r001 优先于气候统计");
+
+console.log("\n✅ [ITU-R 传播模型测试通过]");
@@ -0,0 +1,151 @@
+import {
+  SCENARIO_VERSION, ScenarioError, validateScenario, parseScenario, createScenario,
+  scenarioLinkParams, resolveScenarioWindow, runScenario
+} from './src/scenario.js';
+import { generateChannelTimeSeries, predictPasses, applyCalibration, ENVIRONMENTS } from './src/model.js';
+import assert from 'assert';
+
+console.log("=== 场景文件测试 (schema / 校验 / 执行) ===\n");
+
+const ISS_TLE1 = '1 25544U 98067A   23249.52157811  .00018042  00000-0  32479-3 0  9997';
+const ISS_TLE2 = '2 25544  51.6420 330.1245 0005273  19.5398  65.7335 15.49841804414341';
+const base = {
+  schema: 'satchan-scenario',
+  version: 1,
+  name: 'ISS 深圳 L 波段',
+  satellite: { name: 'ISS (ZARYA)', tle1: ISS_TLE1, tle2: ISS_TLE2 },
+  groundStation: { lat: 22.54, lon: 114.05, alt: 0 },
+  timeWindow: { start: '2023-09-06T16:50:00Z', end: '2023-09-06T17:02:00Z', stepSec: 30 },
+  link: { freq: 2.2, eirp: 30 },
+  environment: { env: 'urban' }
+};
+const pathsOf = (obj) => validateScenario(obj).map(e => e.path);
+
+// ============================================================
+// 1. 解析与缺省值
+// ============================================================
+
+console.log("--- 1. 解析与缺省值 ---");
+
+const s = parseScenario(JSON.stringify(base));
+console.log(`[1.1] v${s.version} "${s.name}", 窗口 ${s.timeWindow.start} ~ ${s.timeWindow.end}`);
+assert.strictEqual(s.version, SCENARIO_VERSION);
+assert.strictEqual(s.link.freq, 2.2, "显式字段保留");
+assert.strictEqual(s.link.gRx, 42.0, "缺省字段补齐（与面板初始值一致）");
+assert.strictEqual(s.environment.pressure_hPa, 1013.25);
+assert.strictEqual(s.fading.enabled, false, "缺省关闭快衰落（面板默认）");
+assert.strictEqual(s.timeWindow.start, '2023-09-06T16:50:00.000Z', "时间归一化为 ISO");
+assert.strictEqual(s.calibration, null);
+assert.deepStrictEqual(parseScenario(s), s, "归一化结果再次解析不变");
+assert.deepStrictEqual(parseScenario(JSON.parse(JSON.stringify(s))), s, "JSON 往返不变");
+assert.deepStrictEqual(createScenario({ ...base, schema: undefined, version: undefined }), s, "createScenario 补齐 schema/version");
+
+const byPass = parseScenario({ ...base, timeWindow: { pass: 2, searchStart: '2023-09-06T00:00:00Z' } });
+assert.deepStrictEqual(byPass.timeWindow, { pass: 2, searchStart: '2023-09-06T00:00:00.000Z', searchHours: 24, stepSec: 10 });
+assert.deepStrictEqual(parseScenario({ ...base, timeWindow: {} }).timeWindow, { durationMin: 30, stepSec: 10 }, "空时间窗 = 从当前时刻起 30 min");
+
+// ============================================================
+// 2. 校验错误指向字段
+// ============================================================
+
+console.log("\n--- 2. 字段级校验错误 ---");
+
+const cases = [
+  [{ ...base, groundStation: { lat: 120, lon: 114.05 } }, ['/groundStation/lat']],
+  [{ ...base, groundStation: { lon: 114.05 } }, ['/groundStation/lat']],
+  [{ ...base, link: { frq: 2.2 } }, ['/link/frq']],
+  [{ ...base, link: { freq: '2.2' } }, ['/link/freq']],
+  [{ ...base, environment: { env: 'desert' } }, ['/environment/env']],
+  [{ ...base, fading: { cirProfile: 'NTN-TDL-E', fadingSeed: 1.5 } }, ['/fading/fadingSeed', '/fading/cirProfile']],
+  [{ ...base, uplink: { enabled: true, payload: 'hybrid', outputBackoff_dB: -1 } }, ['/uplink/payload', '/uplink/outputBackoff_dB']],
+  [{ ...base, satellite: { tle1: ISS_TLE2, tle2: ISS_TLE2 } }, ['/satellite/tle1']],
+  [{ ...base, timeWindow: { start: '2023-09-06T17:00:00Z', end: '2023-09-06T16:00:00Z' } }, ['/timeWindow/end']],
+  [{ ...base, timeWindow: { start: '2023-09-06T17:00:00Z' } }, ['/timeWindow/end']],
+  [{ ...base, timeWindow: { start: 'yesterday', end: '2023-09-06T16:00:00Z' } }, ['/timeWindow/start']],
+  [{ ...base, timeWindow: { pass: 1, durationMin: 20 } }, ['/timeWindow']],
+  [{ ...base, timeWindow: { durationMin: 20, searchHours: 12 } }, ['/timeWindow/searchHours']],
+  [{ ...base, calibration: { enabled: true, profile: { calibrated: true, params: { eirpOffset_dB: 'x' } } } }, ['/calibration/profile/params/eirpOffset_dB']],
+  [{ ...base, version: 2 }, ['/version']],
+  [{ ...base, schema: 'other' }, ['/schema']],
+  [{ ...base, extra: 1 }, ['/extra']],
+  [{ ...base, satellite: undefined, groundStation: undefined }, ['/satellite', '/groundStation']]
+];
+for (const [obj, expected] of cases) {
+  assert.deepStrictEqual(pathsOf(obj), expected, JSON.stringify(obj).slice(0, 120));
+}
+console.log(`[2.1] ${cases.length} 种错误场景，错误路径全部正确`);
+
+try {
+  parseScenario({ ...base, groundStation: { lat: 120, lon: 400 } });
+  assert.fail('应抛出 ScenarioError');
+} catch (e) {
+  assert(e instanceof ScenarioError);
+  assert.deepStrictEqual(e.errors.map(x => x.path), ['/groundStation/lat', '/groundStation/lon'], "一次报告全部错误");
+  assert.match(e.message, /\/groundStation\/lat: must be between -90 and 90, got 120/);
+  console.log(`[2.2] ${e.message.split('\n').join(' | ')}`);
+}
+assert.throws(() => parseScenario('{ "schema": '), e => e instanceof ScenarioError && /invalid JSON/.test(e.message));
+
+// ============================================================
+// 3. 链路参数组装与校准
+// ============================================================
+
+console.log("\n--- 3. 链路参数 ---");
+
+const lp = scenarioLinkParams(s);
+assert.strictEqual(lp.disableFastFading, true);
+assert.strictEqual(lp.env, 'urban');
+assert.strictEqual(lp.rainClimatology, undefined, "未启用 P.837 时不带 timePercent");
+assert.strictEqual(scenarioLinkParams(parseScenario({ ...base, environment: { rainClimatology: true, timePercent: 0.1 } })).timePercent, 0.1);
+
+// 界面提供的每种环境都能导出 → 再导入
+assert.deepStrictEqual(ENVIRONMENTS, ['open', 'rural', 'maritime', 'suburban', 'urban']);
+for (const env of ENVIRONMENTS) {
+  const exported = JSON.stringify(createScenario({ ...base, environment: { env } }));
+  assert.strictEqual(scenarioLinkParams(parseScenario(exported)).env, env, `${env} 往返`);
+}
+
+const profile = { calibrated: true, residualRMS: 0.2, params: { correctionFactor: 1.1, gasAttenOffset_dB: 0.5, scatterPowerOffset_dB: 0, eirpOffset_dB: -2, systemNoiseOffset_K: 10 } };
+const cal = parseScenario({ ...base, calibration: { enabled: true, profile } });
+assert.deepStrictEqual(scenarioLinkParams(cal), applyCalibration(lp, profile), "启用校准时应用 applyCalibration");
+assert.strictEqual(scenarioLinkParams(cal).eirp, 28);
+assert.deepStrictEqual(scenarioLinkParams(parseScenario({ ...base, calibration: { enabled: false, profile } })), lp, "未启用校准时不修正");
+console.log(`[3.1] 校准后 EIRP ${scenarioLinkParams(cal).eirp} dBW, T_rx ${scenarioLinkParams(cal).tRx} K`);
+
+// 上行：未启用时不带上行参数，启用后展开为 computeEndToEndPerformance 参数
+assert.strictEqual(s.uplink.enabled, false);
+assert.strictEqual(lp.uplinkFreq, undefined, "未启用上行时仅下行");
+const withUp = scenarioLinkParams(parseScenario({ ...base, uplink: { enabled: true, freq: 1.6, payload: 'regenerative', cim_dB: 18 } }));
+assert.deepStrictEqual(
+  [withUp.uplinkFreq, withUp.uplinkEirp, withUp.satGOverT_dBK, withUp.payload, withUp.outputBackoff_dB, withUp.cim_dB],
+  [1.6, 50, 5, 'regenerative', 0, 18], "上行参数与缺省值"
+);
+console.log(`[3.2] 上行 ${withUp.uplinkFreq} GHz / ${withUp.payload} / C/IM ${withUp.cim_dB} dB`);
+
+// ============================================================
+// 4. 执行
+// ============================================================
+
+console.log("\n--- 4. 执行 ---");
+
+const run = runScenario(s);
+const reference = generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0,
+  new Date('2023-09-06T16:50:00Z'), new Date('2023-09-06T17:02:00Z'), 30, lp);
+assert.deepStrictEqual(run.timeline, reference, "与直接调用 generateChannelTimeSeries 一致");
+console.log(`[4.1] 绝对时间窗: ${run.timeline.length} 帧`);
+
+const start = new Date('2023-09-06T00:00:00Z');
+const pass2 = predictPasses(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, 24, 0, start)[1];
+const w = resolveScenarioWindow(byPass);
+assert.strictEqual(w.startTime.getTime(), pass2.aos.getTime() - 120000, "过境模式: AOS − 2 min");
+assert.strictEqual(w.endTime.getTime(), pass2.los.getTime() + 120000, "过境模式: LOS + 2 min");
+console.log(`[4.2] 第 2 次过境窗口 ${w.startTime.toISOString()} ~ ${w.endTime.toISOString()}`);
+assert.throws(() => resolveScenarioWindow(parseScenario({ ...base, timeWindow: { pass: 99, searchStart: start.toISOString() } })),
+  e => e instanceof ScenarioError && e.errors[0].path === '/timeWindow/pass');
+
+const now = new Date('2023-09-06T16:55:00Z');
+const rel = resolveScenarioWindow(parseScenario({ ...base, timeWindow: { durationMin: 5 } }), now);
+assert.strictEqual(rel.endTime - rel.startTime, 5 * 60000, "durationMin 模式从参考时刻开始");
+assert.strictEqual(rel.startTime.getTime(), now.getTime());
+
+console.log("\n✅ [场景文件测试通过]");
@@ -0,0 +1,136 @@
+import { createSimClock, parseClockTime, measurementTimeRange, CLOCK_RATES } from './src/simClock.js';
+import { computeGroundTrack, computeSkyTrack, calculateDynamicOrbit, predictPasses, generatePassReplay } from './src/model.js';
+import { readFileSync } from 'fs';
+import assert from 'assert';
+
+console.log("=== 仿真时钟测试 (历元 / 播放暂停 / 倍速 / 步进 / 实测对齐) ===\n");
+
+// 可控挂钟：测试中手动推进
+let wall = Date.parse('2026-10-19T08:00:00Z');
+const wallClock = () => wall;
+const advance = sec => { wall += sec * 1000; };
+
+// ============================================================
+// 1. 时刻解析
+// ============================================================
+
+console.log("--- 1. parseClockTime ---");
+
+const T0 = Date.parse('2026-02-23T10:00:00Z');
+assert.strictEqual(parseClockTime(new Date(T0)), T0);
+assert.strictEqual(parseClockTime(T0), T0);
+assert.strictEqual(parseClockTime('2026-02-23T10:00:00Z'), T0);
+assert.strictEqual(parseClockTime('2026-02-23T10:00'), T0, "datetime-local 无时区 → UTC");
+assert.strictEqual(parseClockTime('2026-02-23T18:00:00+08:00'), T0);
+assert.throws(() => parseClockTime('yesterday'), /Invalid clock time: "yesterday"/);
+assert.throws(() => parseClockTime(NaN), /Invalid clock time/);
+assert.throws(() => parseClockTime(null), /Invalid clock time/);
+console.log("[1.1] Date / ms / ISO / 无时区按 UTC / 非法输入 ✓");
+
+// ============================================================
+// 2. 播放 / 暂停 / 倍速 / 步进
+// ============================================================
+
+console.log("\n--- 2. createSimClock ---");
+
+const live = createSimClock({ wallClock });
+assert.strictEqual(live.nowMs(), wall, "缺省历元 = 挂钟");
+assert(live.isRealTime());
+advance(5);
+assert.strictEqual(live.nowMs(), wall, "1× 播放跟随挂钟");
+
+const clock = createSimClock({ epoch: '2026-02-23T10:00:00Z', playing: false, wallClock });
+assert.strictEqual(clock.now().toISOString(), '2026-02-23T10:00:00.000Z');
+advance(30);
+assert.strictEqual(clock.nowMs(), T0, "暂停时不走");
+assert(!clock.isRealTime());
+
+const events = [];
+const unsubscribe = clock.subscribe(st => events.push(st));
+clock.setRate(60);
+clock.play();
+advance(10);
+assert.strictEqual(clock.nowMs(), T0 + 600e3, "60× 播放 10 s → 10 min");
+clock.setRate(10);
+advance(6);
+assert.strictEqual(clock.nowMs(), T0 + 660e3, "改倍速不跳变");
+clock.pause();
+advance(100);
+assert.strictEqual(clock.nowMs(), T0 + 660e3);
+clock.step(-60);
+clock.step(3600);
+assert.strictEqual(clock.nowMs(), T0 + 4200e3, "步进 −1 min / +1 h");
+clock.setRate(-60);
+clock.play();
+advance(10);
+assert.strictEqual(clock.nowMs(), T0 + 3600e3, "负倍速倒放");
+assert.deepStrictEqual(events.map(e => [e.playing, e.rate]), [[false, 60], [true, 60], [true, 10], [false, 10], [false, 10], [false, 10], [false, -60], [true, -60]]);
+assert.strictEqual(events[4].time.getTime(), T0 + 600e3, "订阅者收到变更后的状态");
+assert.strictEqual(clock.getState().offsetMs, T0 + 3600e3 - wall);
+unsubscribe();
+clock.setTime('2026-02-23T10:35:00Z');
+assert.strictEqual(events.length, 8, "取消订阅后不再通知");
+assert.strictEqual(clock.now().toISOString(), '2026-02-23T10:35:00.000Z');
+clock.syncToWallClock();
+assert(clock.isRealTime() && clock.rate === 1 && clock.playing);
+
+for (const bad of [0, NaN, Infinity, '10']) assert.throws(() => clock.setRate(bad), /rate must be a non-zero finite number/);
+assert.throws(() => createSimClock({ rate: 0 }), /rate must be a non-zero finite number/);
+assert.throws(() => clock.step(NaN), /step must be a finite number of seconds/);
+assert.throws(() => clock.setTime('garbage'), /Invalid clock time/);
+assert(clock.isRealTime(), "非法操作不改变状态");
+assert(CLOCK_RATES.includes(1));
+console.log(`[2.1] 暂停 / 60× / 10× / 步进 / −60× / 订阅 ${events.length} 次 / 回到挂钟 ✓`);
+
+// ============================================================
+// 3. 与实测时间戳对齐（sample_calib_CSS_TIANHE_S.json）
+// ============================================================
+
+console.log("\n--- 3. measurementTimeRange ---");
+
+const calib = JSON.parse(readFileSync('./public/sample_calib_CSS_TIANHE_S.json', 'utf8'));
+const range = measurementTimeRange(calib.measurements);
+assert.strictEqual(range.start.toISOString(), '2026-02-23T10:00:00.000Z');
+assert.strictEqual(range.end.toISOString(), '2026-02-23T10:35:00.000Z');
+assert.deepStrictEqual(measurementTimeRange([{ timestamp: '2026-01-01T00:05:00Z' }, { elevation: 10 }, { timestamp: '2026-01-01T00:00:00Z' }]),
+  { start: new Date('2026-01-01T00:00:00Z'), end: new Date('2026-01-01T00:05:00Z') }, "缺时间戳的点忽略，不要求有序");
+assert.strictEqual(measurementTimeRange([{ elevation: 10 }]), null);
+assert.strictEqual(measurementTimeRange(null), null);
+console.log(`[3.1] 实测范围 ${range.start.toISOString()} ~ ${range.end.toISOString()} ✓`);
+
+// ============================================================
+// 4. 轨道函数读取仿真时刻（可复现）
+// ============================================================
+
+console.log("\n--- 4. 轨道函数 @ 仿真时钟 ---");
+
+// 历元 2026-02-22 的 CSS 根数（与实测日期相邻）
+const CSS_TLE1 = '1 48274U 21035A   26053.50000000  .00021534  00000+0  24548-3 0  9990';
+const CSS_TLE2 = '2 48274  41.4700 203.6170 0006060 290.8424  69.1960 15.61204452152419';
+const GS = calib.metadata.groundStation;
+
+const aligned = createSimClock({ epoch: range.start, playing: false, wallClock });
+advance(3600);
+const gt1 = computeGroundTrack(CSS_TLE1, CSS_TLE2, 100, aligned.now());
+advance(3600);
+const gt2 = computeGroundTrack(CSS_TLE1, CSS_TLE2, 100, aligned.now());
+assert.strictEqual(gt1.length, 111);
+assert.deepStrictEqual(gt1, gt2, "暂停的时钟 → 地面轨迹与挂钟无关");
+const cur = gt1.find(p => p.isCurrent);
+const orbit = calculateDynamicOrbit(CSS_TLE1, CSS_TLE2, GS.lat, GS.lon, GS.alt, range.start);
+const sky = computeSkyTrack(CSS_TLE1, CSS_TLE2, GS.lat, GS.lon, GS.alt, 100, aligned.now());
+const skyCur = sky.find(p => p.isCurrent);
+assert(Math.abs(skyCur.elev - orbit.elevation) < 1e-9 && Math.abs(skyCur.az - orbit.azimuth) < 1e-9, "天空图当前点 = 同一时刻的动态轨道");
+assert.deepStrictEqual(computeSkyTrack(CSS_TLE1, CSS_TLE2, GS.lat, GS.lon, GS.alt, 100, new Date(range.start)), sky);
+console.log(`[4.1] ${range.start.toISOString()}: 星下点 (${cur.lat.toFixed(2)}, ${cur.lon.toFixed(2)}), El ${orbit.elevation.toFixed(2)}° ✓`);
+
+// 过境预测与回放以时钟时刻为起点
+const passes = predictPasses(CSS_TLE1, CSS_TLE2, GS.lat, GS.lon, GS.alt, 24, 0, aligned.now());
+assert(passes.length > 0 && passes[0].aos >= range.start);
+const replay = generatePassReplay(CSS_TLE1, CSS_TLE2, GS.lat, GS.lon, GS.alt, range.start, range.end, 10, {});
+assert.strictEqual(replay.length, 211, "35 min / 10 s + 1");
+const stamps = new Set(replay.map(f => f.time.toISOString()));
+assert(calib.measurements.every(m => stamps.has(new Date(m.timestamp).toISOString())), "每个实测时间戳都有对应帧");
+console.log(`[4.2] 首次过境 AOS ${passes[0].aos.toISOString()}; 回放 ${replay.length} 帧覆盖全部 ${calib.measurements.length} 个实测时间戳 ✓`);
+
+console.log("\n✅ [仿真时钟测试通过]");
@@ -0,0 +1,202 @@
+import {
+  sampleParameters, percentile, summarize, empiricalCDF, rankCorrelation,
+  evaluateLinkBudgetMetrics, runSweep, sweepToCSV, sweepSummaryToCSV, LINK_BUDGET_METRICS, TIME_SERIES_METRICS
+} from './src/sweep.js';
+import { runSimJob } from './src/simJobs.js';
+import assert from 'assert';
+
+console.log("=== 参数扫描 / 蒙特卡洛测试 (抽样 / 统计 / 龙卷风敏感度) ===\n");
+
+const base = {
+  freq: 30.0, rainRate: 0, elevation: 40.0, env: 'suburban', eirp: 70.0, gRx: 42.0, tRx: 150.0, bandwidth: 400.0,
+  tec: 50.0, xpdAnt: 35.0, slantRange: 35786, hpbw: 2.0, polarization: 'RHCP', fadingModel: 'none', fadingSeed: 1,
+  stationLat: 22.54, stationLon: 114.05, stationAlt: 0, disableFastFading: true
+};
+const near = (a, b, tol = 1e-9) => Math.abs(a - b) <= tol;
+
+// ============================================================
+// 1. 抽样方法
+// ============================================================
+
+console.log("--- 1. sampleParameters ---");
+
+const grid = sampleParameters([
+  { key: 'gRx', min: 30, max: 45, steps: 4 },
+  { key: 'rainRate', values: [0, 10, 50] }
+], { method: 'grid' });
+assert.strictEqual(grid.length, 12, "网格为各维笛卡尔积 4 × 3");
+assert.deepStrictEqual([...new Set(grid.map(s => s.gRx))], [30, 35, 40, 45]);
+assert.deepStrictEqual([...new Set(grid.map(s => s.rainRate))], [0, 10, 50]);
+const logGrid = sampleParameters([{ key: 'rainRate', min: 1, max: 100, steps: 3, scale: 'log' }], { method: 'grid' });
+assert(logGrid.every((s, i) => near(s.rainRate, [1, 10, 100][i], 1e-9)), "对数刻度等比取值");
+assert.deepStrictEqual(sampleParameters([{ key: 'fadingSeed', min: 1, max: 3, steps: 9, integer: true }], { method: 'grid' }).map(s => s.fadingSeed), [1, 2, 3], "整数参数去重");
+console.log(`[1.1] grid: ${grid.length} 点, log 网格 ${logGrid.map(s => s.rainRate).join(' / ')}`);
+
+// 拉丁超立方：每一维的 N 个分层各恰好命中一次
+const N = 50;
+const lhs = sampleParameters([{ key: 'a', min: 0, max: 1 }, { key: 'b', min: -10, max: 10 }], { method: 'lhs', samples: N, seed: 42 });
+assert.strictEqual(lhs.length, N);
+for (const [key, lo, hi] of [['a', 0, 1], ['b', -10, 10]]) {
+  const strata = lhs.map(s => Math.floor((s[key] - lo) / (hi - lo) * N)).sort((x, y) => x - y);
+  assert.deepStrictEqual(strata, Array.from({ length: N }, (_, i) => i), `LHS ${key}: 每层恰一个样本`);
+}
+console.log(`[1.2] LHS: ${N} 样本, 两维分层全覆盖`);
+
+const r1 = sampleParameters([{ key: 'x', min: 5, max: 6 }], { method: 'random', samples: 20, seed: 'abc' });
+const r2 = sampleParameters([{ key: 'x', min: 5, max: 6 }], { method: 'random', samples: 20, seed: 'abc' });
+const r3 = sampleParameters([{ key: 'x', min: 5, max: 6 }], { method: 'random', samples: 20, seed: 'abd' });
+assert.deepStrictEqual(r1, r2, "同一种子可复现");
+assert.notDeepStrictEqual(r1, r3, "不同种子不同样本");
+assert(r1.every(s => s.x >= 5 && s.x <= 6), "样本落在区间内");
+
+assert.throws(() => sampleParameters([], {}), /at least one parameter/);
+assert.throws(() => sampleParameters([{ min: 0, max: 1 }]), /needs a "key"/);
+assert.throws(() => sampleParameters([{ key: 'x', min: 2, max: 1 }]), /min <= max/);
+assert.throws(() => sampleParameters([{ key: 'x', min: 0, max: 1, scale: 'log' }]), /log scale/);
+assert.throws(() => sampleParameters([{ key: 'x', values: [] }]), /non-empty array/);
+assert.throws(() => sampleParameters([{ key: 'x', min: 0, max: 1 }, { key: 'x', min: 0, max: 1 }]), /listed twice/);
+assert.throws(() => sampleParameters([{ key: 'x', min: 0, max: 1 }], { method: 'sobol' }), /Unknown sweep method/);
+assert.throws(() => sampleParameters([1, 2, 3].map(i => ({ key: 'k' + i, min: 0, max: 1, steps: 50 })), { method: 'grid' }), /125000 points/);
+console.log("[1.3] random 可复现 / 参数校验 ✓");
+
+// ============================================================
+// 2. 统计量
+// ============================================================
+
+console.log("\n--- 2. 分位数 / CDF / 秩相关 ---");
+
+const data = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+assert.strictEqual(percentile(data, 0), 1);
+assert.strictEqual(percentile(data, 100), 10);
+assert(near(percentile(data, 50), 5.5), "中位数线性插值");
+assert(near(percentile(data, 90), 9.1), "numpy 默认插值: P90 = 9.1");
+assert(Number.isNaN(percentile([], 50)));
+
+const s = summarize([3, 1, NaN, 2, Infinity]);
+assert.strictEqual(s.count, 3, "忽略非有限值");
+assert.strictEqual(s.mean, 2);
+assert.strictEqual(s.std, 1, "样本标准差 (n − 1)");
+assert.strictEqual(s.min, 1);
+assert.strictEqual(s.max, 3);
+assert.strictEqual(s.percentiles.p50, 2);
+assert.deepStrictEqual(Object.keys(s.percentiles), ['p1', 'p5', 'p10', 'p50', 'p90', 'p95', 'p99']);
+
+assert.deepStrictEqual(empiricalCDF([3, 1, 2]), [{ x: 1, p: 1 / 3 }, { x: 2, p: 2 / 3 }, { x: 3, p: 1 }]);
+const bigCdf = empiricalCDF(Array.from({ length: 1000 }, (_, i) => i), 200);
+assert.strictEqual(bigCdf.length, 200, "超过 maxPoints 时抽取");
+assert.deepStrictEqual([bigCdf[0], bigCdf[199]], [{ x: 0, p: 0.001 }, { x: 999, p: 1 }], "保留首尾");
+
+assert(near(rankCorrelation([1, 2, 3, 4], [10, 100, 1000, 1e4]), 1), "单调递增 → +1（非线性亦然）");
+assert(near(rankCorrelation([1, 2, 3, 4], [4, 3, 2, 1]), -1), "单调递减 → −1");
+assert.strictEqual(rankCorrelation([1, 2, 3], [5, 5, 5]), 0, "常数变量 → 0");
+assert(near(rankCorrelation([1, 2, 2, 3], [1, 2, 2, 3]), 1), "并列取平均秩");
+console.log(`[2.1] P90(1..10) = ${percentile(data, 90).toFixed(2)}, CDF 抽取 ${bigCdf.length} 点 ✓`);
+
+// ============================================================
+// 3. 链路预算扫描
+// ============================================================
+
+console.log("\n--- 3. runSweep (linkBudget) ---");
+
+const single = evaluateLinkBudgetMetrics(base);
+assert.deepStrictEqual(Object.keys(single), LINK_BUDGET_METRICS);
+assert(near(evaluateLinkBudgetMetrics({ ...base, gRx: 45 }).rxPowerDbm - single.rxPowerDbm, 3, 1e-9), "接收增益 +3 dB → 接收功率 +3 dB");
+
+// 容量随天线增益 30 ~ 45 dBi（网格）
+const gRxSweep = runSweep({ base, params: [{ key: 'gRx', min: 30, max: 45, steps: 4 }], method: 'grid' });
+const caps = gRxSweep.samples.map(r => r.outputs.capRank1);
+console.log(`[3.1] gRx 30/35/40/45 dBi → capRank1 ${caps.map(c => c.toFixed(2)).join(' / ')} bps/Hz`);
+assert.strictEqual(gRxSweep.samples.length, 4);
+assert(caps.every((c, i) => i === 0 || c > caps[i - 1]), "容量随增益单调递增");
+assert(near(gRxSweep.sensitivity.capRank1[0].rankCorrelation, 1), "秩相关 = 1");
+
+// 蒙特卡洛：降雨 / TEC / 增益，龙卷风排序
+const progress = [];
+const mc = runSweep({
+  base,
+  params: [
+    { key: 'rainRate', min: 0, max: 5 },
+    { key: 'tec', min: 10, max: 100 },
+    { key: 'gRx', min: 41, max: 43 }
+  ],
+  method: 'lhs', samples: 200, seed: 7,
+  onProgress: (done, total) => progress.push([done, total])
+});
+assert.strictEqual(mc.samples.length, 200);
+assert.deepStrictEqual(progress[progress.length - 1], [207, 207], "进度总数 = N + 2P + 1");
+const snr = mc.summary.snrDb;
+console.log(`[3.2] LHS 200: SNR 均值 ${snr.mean.toFixed(2)} dB, P5 ${snr.percentiles.p5.toFixed(2)}, P50 ${snr.percentiles.p50.toFixed(2)}, P95 ${snr.percentiles.p95.toFixed(2)}`);
+assert(snr.percentiles.p5 <= snr.percentiles.p50 && snr.percentiles.p50 <= snr.percentiles.p95);
+assert.strictEqual(mc.cdf.snrDb.length, 200);
+const tornadoSnr = mc.sensitivity.snrDb;
+console.log(`      龙卷风 (SNR): ${tornadoSnr.map(t => `${t.key} ${t.swing.toFixed(2)} dB`).join(', ')}`);
+assert.strictEqual(tornadoSnr[0].key, 'rainRate', "Ka 频段降雨主导 SNR 波动");
+assert(tornadoSnr[0].swing < 0 && tornadoSnr[0].rankCorrelation < -0.9, "降雨越大 SNR 越低");
+assert(tornadoSnr.every((t, i) => i === 0 || Math.abs(t.swing) <= Math.abs(tornadoSnr[i - 1].swing)), "按 |摆幅| 降序");
+const gRxEntry = tornadoSnr.find(t => t.key === 'gRx');
+assert(near(gRxEntry.swing, 2, 1e-9), "增益 41 → 43 dBi 摆幅 = 2 dB");
+assert.strictEqual(mc.baseline.snrDb, evaluateLinkBudgetMetrics({ ...base }).snrDb, "基准取 base 中的参数值");
+assert.deepStrictEqual(runSweep({ base, params: mc.params, method: 'lhs', samples: 200, seed: 7 }).summary, mc.summary, "同种子结果可复现");
+
+const noTornado = runSweep({ base, params: [{ key: 'rainRate', min: 0, max: 60 }], method: 'random', samples: 10, tornado: false });
+assert.strictEqual(noTornado.baseline, null);
+assert.deepStrictEqual(noTornado.sensitivity.snrDb, []);
+
+// 导出
+const csv = sweepToCSV(mc).split('\n');
+assert.strictEqual(csv[0], 'Sample,rainRate,tec,gRx,' + LINK_BUDGET_METRICS.join(','));
+assert.strictEqual(csv.length, 201);
+assert.strictEqual(parseFloat(csv[1].split(',')[1]), mc.samples[0].inputs.rainRate);
+const sumCsv = sweepSummaryToCSV(mc).split('\n');
+assert.strictEqual(sumCsv[0], 'Metric,Count,Mean,Std,Min,Max,P1,P5,P10,P50,P90,P95,P99');
+assert.strictEqual(sumCsv.length, 1 + LINK_BUDGET_METRICS.length);
+assert.strictEqual(parseFloat(sumCsv[1].split(',')[2]), snr.mean);
+console.log(`[3.3] 样本 CSV ${csv.length - 1} 行, 汇总 CSV ${sumCsv.length - 1} 行 ✓`);
+
+assert.throws(() => runSweep({ base, params: [{ key: 'gRx', min: 30, max: 45 }], mode: 'orbit' }), /Unknown sweep mode/);
+assert.throws(() => runSweep({ base, params: [{ key: 'gRx', min: 30, max: 45 }], mode: 'timeSeries' }), /window/);
+
+// ============================================================
+// 4. 时间序列扫描 / Worker 任务
+// ============================================================
+
+console.log("\n--- 4. runSweep (timeSeries) / Worker ---");
+
+const ISS_TLE1 = '1 25544U 98067A   23249.52157811  .00018042  00000-0  32479-3 0  9997';
+const ISS_TLE2 = '2 25544  51.6420 330.1245 0005273  19.5398  65.7335 15.49841804414341';
+const window = {
+  tleLine1: ISS_TLE1, tleLine2: ISS_TLE2, lat: 22.54, lon: 114.05, alt: 0,
+  startTime: '2023-09-06T16:50:00Z', endTime: '2023-09-06T17:02:00Z', stepSec: 60
+};
+const ts = runSweep({
+  base: { freq: 2.2, eirp: 30, env: 'urban', fadingModel: 'rician' },
+  params: [{ key: 'fadingSeed', min: 1, max: 1000, integer: true }, { key: 'eirp', values: [20, 30, 40] }],
+  method: 'random', samples: 6, seed: 3, mode: 'timeSeries', window
+});
+assert.deepStrictEqual(ts.metrics, TIME_SERIES_METRICS);
+assert(ts.samples.every(r => Number.isInteger(r.inputs.fadingSeed)));
+assert(ts.samples.every(r => r.outputs.outageFraction >= 0 && r.outputs.outageFraction <= 1));
+assert(ts.samples.every(r => r.outputs.minSnrDb <= r.outputs.p10SnrDb && r.outputs.p10SnrDb <= r.outputs.meanSnrDb + 1e-9));
+const eirpEntry = ts.sensitivity.meanSnrDb.find(t => t.key === 'eirp');
+assert(eirpEntry.swing > 15, "EIRP 20 → 40 dBW 抬升平均 SNR");
+console.log(`[4.1] ${ts.samples.length} 条时间序列, 平均 SNR P50 ${ts.summary.meanSnrDb.percentiles.p50.toFixed(2)} dB, EIRP 摆幅 ${eirpEntry.swing.toFixed(2)} dB`);
+
+const dark = runSweep({
+  base: { freq: 2.2 }, params: [{ key: 'eirp', values: [30] }], method: 'grid', mode: 'timeSeries', tornado: false,
+  window: { ...window, startTime: '2023-09-06T12:00:00Z', endTime: '2023-09-06T12:05:00Z' }
+});
+assert(Number.isNaN(dark.samples[0].outputs.meanSnrDb), "窗口内不可见 → NaN");
+assert.strictEqual(dark.summary.meanSnrDb.count, 0);
+
+const msgs = [];
+runSimJob({ id: 9, type: 'sweep', args: { base, params: [{ key: 'gRx', min: 30, max: 45, steps: 4 }], method: 'grid' } }, msg => msgs.push(msg));
+const done = msgs[msgs.length - 1];
+assert.strictEqual(done.type, 'result');
+assert.deepStrictEqual(done.result, gRxSweep, "Worker 任务与直接调用一致");
+assert(msgs.some(m => m.type === 'progress'), "扫描任务上报进度");
+const badMsgs = [];
+runSimJob({ id: 10, type: 'sweep', args: { base, params: [] } }, msg => badMsgs.push(msg));
+assert.deepStrictEqual(badMsgs, [{ id: 10, type: 'error', message: 'sweep needs at least one parameter' }]);
+console.log(`[4.2] Worker 'sweep' 任务: ${msgs.length - 1} 条进度 + 结果 ✓`);
+
+console.log("\n✅ [参数扫描 / 蒙特卡洛测试通过]");
@@ -0,0 +1,118 @@
+import { tleChecksum, verifyTLEChecksum, parseTLEEpochAgeDays, tleEpochStatus, parseTLECatalog, searchTLECatalog, TLE_AGE_THRESHOLDS } from './src/tleCatalog.js';
+import { parseTLESet } from './src/constellation.js';
+import assert from 'assert';
+
+console.log("=== TLE / 3LE 目录测试 (校验和 / 历元龄期 / 检索) ===\n");
+
+// 中国空间站与 Starlink 风格根数（校验位按内容计算）
+const CSS = [
+  'CSS (TIANHE)',
+  '1 48274U 21035A   24001.50000000  .00021534  00000+0  24548-3 0  9990',
+  '2 48274  41.4700 203.6170 0006060 290.8424  69.1960 15.61204452152419'
+].map((l, i) => i === 0 ? l : l.slice(0, 68) + tleChecksum(l));
+const STARLINK = [1008, 1012, 30000].map((n, k) => {
+  const id = String(44700 + k);
+  const l1 = `1 ${id}U 19074${'ABC'[k]}   24001.25000000  .00001234  00000-0  10270-3 0  999`;
+  const l2 = `2 ${id}  53.0541 ${(100 + k).toFixed(4)} 0001420  90.0000 270.0000 15.06400000 2345`;
+  return [`0 STARLINK-${n}`, l1 + tleChecksum(l1), l2.padEnd(68, '0') + tleChecksum(l2.padEnd(68, '0'))];
+});
+// 仓库测试沿用的 ISS 根数：两行校验位均与内容不符
+const ISS_TLE1 = '1 25544U 98067A   23249.52157811  .00018042  00000-0  32479-3 0  9997';
+const ISS_TLE2 = '2 25544  51.6420 330.1245 0005273  19.5398  65.7335 15.49841804414341';
+
+// ============================================================
+// 1. 校验和
+// ============================================================
+
+console.log("--- 1. 校验和 ---");
+
+// Vanguard 1 (NORAD 00005) 的标准示例根数
+assert(verifyTLEChecksum('1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753'));
+assert(verifyTLEChecksum('2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667'));
+assert(verifyTLEChecksum(CSS[1]) && verifyTLEChecksum(CSS[2]));
+assert.strictEqual(tleChecksum(ISS_TLE1), 3);
+assert(!verifyTLEChecksum(ISS_TLE1), "行尾 7 ≠ 3");
+assert(!verifyTLEChecksum(ISS_TLE2), "行尾 1 ≠ 9");
+assert(!verifyTLEChecksum(CSS[1].slice(0, 68)), "缺校验位");
+const flipped = CSS[1].replace('24548-3', '24548+3');
+assert(!verifyTLEChecksum(flipped), "'-' 计 1，'+' 计 0");
+console.log("[1.1] 模 10 校验位 / '-' 计 1 / 缺位 ✓");
+
+// ============================================================
+// 2. 历元龄期
+// ============================================================
+
+console.log("\n--- 2. parseTLEEpochAgeDays ---");
+
+const now = new Date('2024-01-10T12:00:00Z');
+const css = parseTLEEpochAgeDays(CSS[1], now);
+assert.strictEqual(css.epochDate.toISOString(), '2024-01-01T12:00:00.000Z', "第 1.5 天 = 1 月 1 日 12:00");
+assert(Math.abs(css.ageDays - 9) < 1e-9);
+assert.strictEqual(parseTLEEpochAgeDays(ISS_TLE1, now).epochDate.toISOString().slice(0, 16), '2023-09-06T12:31');
+assert.strictEqual(parseTLEEpochAgeDays('1 00005U 58002B   57001.00000000', now).epochDate.getUTCFullYear(), 1957, "两位年份 ≥ 57 → 19xx");
+assert.deepStrictEqual(parseTLEEpochAgeDays('garbage', now), { epochDate: null, ageDays: -1 });
+assert(Math.abs(parseTLEEpochAgeDays(CSS[1]).ageDays - (Date.now() - css.epochDate.getTime()) / 86400000) < 1e-3, "缺省参考时刻为当前");
+
+assert.strictEqual(tleEpochStatus(0.5), 'fresh');
+assert.strictEqual(tleEpochStatus(TLE_AGE_THRESHOLDS.aging), 'fresh', "恰好 7 天仍为 fresh");
+assert.strictEqual(tleEpochStatus(9), 'aging');
+assert.strictEqual(tleEpochStatus(31), 'stale');
+assert.strictEqual(tleEpochStatus(-1), null);
+console.log(`[2.1] CSS 历元 ${css.epochDate.toISOString()} → ${css.ageDays.toFixed(1)} 天 (${tleEpochStatus(css.ageDays)}) ✓`);
+
+// ============================================================
+// 3. 目录解析
+// ============================================================
+
+console.log("\n--- 3. parseTLECatalog ---");
+
+const text = [
+  ...CSS,
+  '',
+  ...STARLINK.flat(),
+  ISS_TLE1, ISS_TLE2,                                   // 2 行 TLE，无名称
+  'BROKEN-1', STARLINK[0][1],                            // 缺第 2 行
+  'MISMATCH', CSS[1], STARLINK[1][2],                    // 两行编号不一致
+  'SHORT', ISS_TLE1.slice(0, 60), ISS_TLE2,              // 行长不足
+  ISS_TLE2                                               // 孤立第 2 行
+].join('\r\n');
+const { entries, errors } = parseTLECatalog(text, { now });
+assert.deepStrictEqual(entries.map(e => e.name), ['CSS (TIANHE)', 'STARLINK-1008', 'STARLINK-1012', 'STARLINK-30000', 'NORAD 25544']);
+assert.deepStrictEqual(entries.map(e => e.checksumOk), [true, true, true, true, false]);
+assert.deepStrictEqual(entries.map(e => e.status), ['aging', 'aging', 'aging', 'aging', 'stale']);
+assert.strictEqual(entries[0].noradId, '48274');
+assert.strictEqual(entries[0].line1, CSS[1], "行尾空白与 CRLF 已去除");
+assert.strictEqual(errors.length, 4);
+assert.match(errors[0].message, /without a following line 2/);
+assert.match(errors[1].message, /MISMATCH: NORAD ID 48274 on line 1 but 44701 on line 2/);
+assert.match(errors[2].message, /SHORT: TLE lines must be 69 characters/);
+assert.match(errors[3].message, /line 2 without a preceding line 1/);
+assert.strictEqual(errors[1].line, 19, "错误行号为第 1 行所在的原始行号（1 起，含空行）");
+assert.deepStrictEqual(parseTLECatalog(''), { entries: [], errors: [] });
+console.log(`[3.1] ${entries.length} 条记录 (1 条校验和不符), ${errors.length} 条结构错误: ${errors.map(e => 'L' + e.line).join(' ')}`);
+
+// 星座解析复用目录：校验和不符保留，结构错误跳过
+assert.deepStrictEqual(parseTLESet(text), entries.map(({ name, line1, line2 }) => ({ name, line1, line2 })));
+console.log("[3.2] parseTLESet 与目录一致 ✓");
+
+// ============================================================
+// 4. 检索
+// ============================================================
+
+console.log("\n--- 4. searchTLECatalog ---");
+
+const names = (q, opts) => searchTLECatalog(entries, q, opts).map(e => e.name);
+assert.deepStrictEqual(names('starlink'), ['STARLINK-1008', 'STARLINK-1012', 'STARLINK-30000'], "名称不区分大小写");
+assert.deepStrictEqual(names('  1012 '), ['STARLINK-1012'], "数字也按名称子串匹配");
+assert.deepStrictEqual(names('25544'), ['NORAD 25544'], "NORAD 编号完全匹配");
+assert.deepStrictEqual(names('447'), ['STARLINK-1008', 'STARLINK-1012', 'STARLINK-30000'], "NORAD 编号前缀");
+assert.deepStrictEqual(names('048274'), ['CSS (TIANHE)'], "前导零不敏感");
+assert.deepStrictEqual(names('tian'), ['CSS (TIANHE)']);
+assert.deepStrictEqual(names('30000'), ['STARLINK-30000']);
+assert.deepStrictEqual(names('link-1'), ['STARLINK-1008', 'STARLINK-1012']);
+assert.deepStrictEqual(names('s'), ['STARLINK-1008', 'STARLINK-1012', 'STARLINK-30000', 'CSS (TIANHE)'], "名称前缀优先，同档保持目录顺序");
+assert.deepStrictEqual(names('', { limit: 2 }), ['CSS (TIANHE)', 'STARLINK-1008'], "空查询按目录顺序截断");
+assert.deepStrictEqual(names('gps'), []);
+console.log("[4.1] 名称 / NORAD 编号 / 前缀排序 / limit ✓");
+
+console.log("\n✅ [TLE 目录测试通过]");
@@ -0,0 +1,118 @@
+import { packTimeline, unpackTimeline, runSimJob } from './src/simJobs.js';
+import { createSimWorkerClient, SimCancelledError } from './src/simWorkerClient.js';
+import { generateChannelTimeSeries, predictPasses } from './src/model.js';
+import assert from 'assert';
+
+console.log("=== 后台仿真 Worker 测试 (类型数组打包 / 进度 / 取消) ===\n");
+
+const ISS_TLE1 = '1 25544U 98067A   23249.52157811  .00018042  00000-0  32479-3 0  9997';
+const ISS_TLE2 = '2 25544  51.6420 330.1245 0005273  19.5398  65.7335 15.49841804414341';
+const t0 = new Date('2023-09-06T16:50:00Z'), t1 = new Date('2023-09-06T17:02:00Z');
+const linkParams = { freq: 2.2, eirp: 30, env: 'urban', lmsModel: 'markov', disableFastFading: false, fadingModel: 'rician', fadingSeed: 7 };
+const genArgs = { tleLine1: ISS_TLE1, tleLine2: ISS_TLE2, lat: 22.54, lon: 114.05, alt: 0, startTime: t0, endTime: t1, stepSec: 10, linkParams };
+const timeline = generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, t0, t1, 10, linkParams);
+
+// ============================================================
+// 1. 列式类型数组打包
+// ============================================================
+
+console.log("--- 1. packTimeline / unpackTimeline ---");
+
+const { packed, transfer } = packTimeline(timeline);
+assert(packed.frames.snrDb.values instanceof Float64Array, "数值字段 → Float64Array");
+assert.strictEqual(packed.frames.time.kind, 'date');
+assert.strictEqual(packed.frames.lmsState.kind, 'plain', "字符串字段保持普通数组");
+assert.strictEqual(packed.taps.label.kind, 'plain');
+assert(transfer.every(b => b instanceof ArrayBuffer), "转移列表只含 ArrayBuffer");
+assert.strictEqual(packed.tapOffsets[timeline.length], timeline.reduce((n, f) => n + f.cir.taps.length, 0));
+assert.deepStrictEqual(unpackTimeline(packed), timeline, "往返后逐字段相同");
+console.log(`[1.1] ${timeline.length} 帧, ${packed.tapOffsets[timeline.length]} 个抽头 → ${transfer.length} 个可转移缓冲区 (${(transfer.reduce((n, b) => n + b.byteLength, 0) / 1024).toFixed(1)} KiB)`);
+
+// 模拟 postMessage：结构化克隆 + 转移后仍可还原，源缓冲区被分离
+const cloned = structuredClone({ result: packed }, { transfer });
+assert.strictEqual(packed.frames.snrDb.values.byteLength, 0, "转移后源缓冲区已分离（零拷贝）");
+assert.deepStrictEqual(unpackTimeline(cloned.result), timeline);
+
+const ntn = generateChannelTimeSeries(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, t0, t1, 60, { freq: 2, cirProfile: 'NTN-CDL-C' });
+assert.deepStrictEqual(unpackTimeline(packTimeline(ntn).packed), ntn, "NTN 剖面（多抽头、带多普勒）往返一致");
+assert.deepStrictEqual(unpackTimeline(packTimeline([]).packed), [], "空时间序列");
+
+// ============================================================
+// 2. 任务执行与进度
+// ============================================================
+
+console.log("\n--- 2. runSimJob ---");
+
+const messages = [];
+runSimJob({ id: 1, type: 'generate', args: genArgs }, (msg, tr) => messages.push({ msg, tr }));
+const progress = messages.filter(m => m.msg.type === 'progress').map(m => m.msg);
+const result = messages[messages.length - 1];
+console.log(`[2.1] ${progress.length} 条进度消息, 最后 ${progress[progress.length - 1].done}/${progress[progress.length - 1].total}`);
+assert(progress.length <= 101, "按百分比节流");
+assert(progress.every((p, i) => i === 0 || p.done > progress[i - 1].done), "进度单调递增");
+assert.strictEqual(progress[progress.length - 1].done, progress[progress.length - 1].total, "进度到达 100%");
+assert.strictEqual(result.msg.type, 'result');
+assert(result.tr.length > 0, "结果随消息转移 ArrayBuffer");
+assert.deepStrictEqual(unpackTimeline(result.msg.result), timeline, "Worker 结果与主线程计算一致");
+
+const start = new Date('2023-09-06T00:00:00Z');
+const passMsgs = [];
+runSimJob({ id: 2, type: 'passes', args: { tleLine1: ISS_TLE1, tleLine2: ISS_TLE2, lat: 22.54, lon: 114.05, alt: 0, hoursAhead: 24, minElev: 0, startTime: start } }, msg => passMsgs.push(msg));
+assert.deepStrictEqual(passMsgs[passMsgs.length - 1].result, predictPasses(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, 24, 0, start));
+assert.strictEqual(passMsgs.filter(m => m.type === 'progress').length, 101, "过境搜索同样上报进度");
+console.log(`[2.2] 过境搜索: ${passMsgs[passMsgs.length - 1].result.length} 次过境`);
+
+const errMsgs = [];
+runSimJob({ id: 3, type: 'launch', args: {} }, msg => errMsgs.push(msg));
+assert.deepStrictEqual(errMsgs, [{ id: 3, type: 'error', message: 'Unknown simulation job "launch"' }]);
+
+// ============================================================
+// 3. 客户端：进度 / 取消 / 重建
+// ============================================================
+
+console.log("\n--- 3. createSimWorkerClient ---");
+
+// 以事件循环异步执行任务、结构化克隆消息的伪 Worker
+const workers = [];
+function FakeWorker() {
+  this.terminated = false;
+  this.postMessage = (job) => {
+    setTimeout(() => runSimJob(structuredClone(job), (msg, tr) => {
+      const data = structuredClone(msg, { transfer: tr || [] });
+      setTimeout(() => { if (!this.terminated) this.onmessage({ data }); });
+    }));
+  };
+  this.terminate = () => { this.terminated = true; };
+  workers.push(this);
+}
+const client = createSimWorkerClient(() => new FakeWorker());
+
+const fractions = [];
+const viaClient = await client.generateTimeline(genArgs, { onProgress: f => fractions.push(f) });
+assert.deepStrictEqual(viaClient, timeline, "客户端还原的时间序列与直接计算一致");
+assert.strictEqual(fractions[fractions.length - 1], 1);
+assert.strictEqual(client.busy, false);
+console.log(`[3.1] 客户端收到 ${fractions.length} 次进度回调, ${viaClient.length} 帧`);
+
+// 取消：挂起请求以 SimCancelledError 拒绝，Worker 被终止，下次请求新建 Worker
+const cancelled = client.generateTimeline(genArgs);
+assert.strictEqual(client.busy, true);
+client.cancel();
+await assert.rejects(cancelled, e => e instanceof SimCancelledError);
+assert.strictEqual(workers[0].terminated, true);
+const passes = await client.findPasses({ tleLine1: ISS_TLE1, tleLine2: ISS_TLE2, lat: 22.54, lon: 114.05, alt: 0, hoursAhead: 24, minElev: 0, startTime: start });
+assert.strictEqual(workers.length, 2, "取消后按需重建 Worker");
+assert.deepStrictEqual(passes, predictPasses(ISS_TLE1, ISS_TLE2, 22.54, 114.05, 0, 24, 0, start));
+console.log(`[3.2] 取消 → SimCancelledError，重建后过境搜索 ${passes.length} 次`);
+
+client.dispose();
+
+// Worker 脚本加载 / 运行失败：挂起请求以错误拒绝
+const broken = createSimWorkerClient(() => ({
+  postMessage() { setTimeout(() => this.onerror({ message: 'worker script failed to load' })); },
+  terminate() {}
+}));
+await assert.rejects(broken.findPasses({}), /failed to load/);
+assert.strictEqual(broken.busy, false);
+
+console.log("\n✅ [后台仿真 Worker 测试通过]");